@@ -5,9 +5,11 @@
  * - Theme toggling (dark/light mode)
  * - Mobile navigation
  * - Git playground simulator
+ * - Commit graph visualization
  * - Code block copy functionality
  * - Cheatsheet search
  * - Lesson navigation state
+ * - Certification test, certificates and their verification page
  * 
  * @author XDAS Research
  * @license MIT
@@ -23,6 +25,16 @@
   const CONFIG = {
     THEME_KEY: 'xdas-git-school-theme',
     COMPLETED_LESSONS_KEY: 'xdas-git-school-completed',
+    PLAYGROUND_HISTORY_KEY: 'xdas-git-school-playground-history',
+    PLAYGROUND_HISTORY_LIMIT: 500,
+    PLAYGROUND_STATE_KEY: 'xdas-git-school-playground-state',
+    COMPLETED_CHALLENGES_KEY: 'xdas-git-school-completed-challenges',
+    TEST_HISTORY_KEY: 'xdas-git-school-test-history',
+    TEST_HISTORY_LIMIT: 50,
+    TEST_SESSION_KEY: 'xdas-git-school-test-session',
+    TEST_QUESTION_BANK_URL: 'assets/data/question-bank.json',
+    // Time allowed for the test without extra time, in seconds
+    TEST_DURATION: 900,
     DEFAULT_THEME: 'light'
   };
 
@@ -149,570 +161,12253 @@
   };
 
   // ============================================
-  // Git Playground Simulator
+  // Saved Lists
   // ============================================
-  
-  const GitPlayground = {
-    // Virtual file system state
-    state: {
-      initialized: false,
-      branch: 'main',
-      stagedFiles: [],
-      modifiedFiles: ['README.md', 'index.html', 'style.css'],
-      commits: [],
-      workingDirectory: '/my-project'
-    },
 
-    // Command definitions with handlers
-    commands: {
-      'help': {
-        description: 'Show available commands',
-        handler: function() {
-          return `Available commands:
-  git init        - Initialize a new Git repository
-  git status      - Show the working tree status
-  git add <file>  - Add file(s) to staging area
-  git add .       - Add all files to staging area
-  git commit -m   - Record changes to the repository
-  git log         - Show commit logs
-  git branch      - List branches
-  clear           - Clear the terminal
-  help            - Show this help message
+  const SavedList = {
+    /**
+     * A list saved as JSON in localStorage, without the entries that fail
+     * a check
+     * @param {string} key - localStorage key
+     * @param {Function} valid - Whether an entry can be used
+     * @returns {Array} Empty when nothing usable is saved
+     */
+    read(key, valid) {
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(key));
+      } catch (e) {
+        // A corrupt entry just means starting with an empty list
+      }
+      return Array.isArray(saved) ? saved.filter(valid) : [];
+    }
+  };
 
-Try typing a command to see what happens!`;
+  // ============================================
+  // Git Object Model
+  // ============================================
+
+  const GitObjects = {
+    /**
+     * Compute the SHA-1 digest of a byte array.
+     * Synchronous on purpose: crypto.subtle only offers an async digest
+     * and every playground command handler returns its output directly.
+     * @param {Uint8Array} bytes - Data to hash
+     * @returns {string} 40-character hex digest
+     */
+    sha1(bytes) {
+      const blockCount = Math.ceil((bytes.length + 9) / 64);
+      const buffer = new Uint8Array(blockCount * 64);
+      buffer.set(bytes);
+      buffer[bytes.length] = 0x80;
+
+      const view = new DataView(buffer.buffer);
+      const bitLength = bytes.length * 8;
+      view.setUint32(buffer.length - 8, Math.floor(bitLength / 0x100000000));
+      view.setUint32(buffer.length - 4, bitLength >>> 0);
+
+      const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+      const w = new Uint32Array(80);
+
+      for (let offset = 0; offset < buffer.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+          w[i] = view.getUint32(offset + i * 4);
         }
-      },
-      
-      'clear': {
-        description: 'Clear terminal',
-        handler: function(playground) {
-          playground.clearOutput();
-          return null;
+        for (let i = 16; i < 80; i++) {
+          const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+          w[i] = (x << 1) | (x >>> 31);
         }
-      },
 
-      'git init': {
-        description: 'Initialize repository',
-        handler: function(playground) {
-          if (playground.state.initialized) {
-            return `Reinitialized existing Git repository in ${playground.state.workingDirectory}/.git/`;
+        let [a, b, c, d, e] = h;
+        for (let i = 0; i < 80; i++) {
+          let f, k;
+          if (i < 20) {
+            f = (b & c) | (~b & d);
+            k = 0x5A827999;
+          } else if (i < 40) {
+            f = b ^ c ^ d;
+            k = 0x6ED9EBA1;
+          } else if (i < 60) {
+            f = (b & c) | (b & d) | (c & d);
+            k = 0x8F1BBCDC;
+          } else {
+            f = b ^ c ^ d;
+            k = 0xCA62C1D6;
           }
-          playground.state.initialized = true;
-          playground.updateStatusIndicator();
-          return `Initialized empty Git repository in ${playground.state.workingDirectory}/.git/
-
-Hint: Your repository is now ready! Try 'git status' to see your files.`;
+          const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+          e = d;
+          d = c;
+          c = ((b << 30) | (b >>> 2)) >>> 0;
+          b = a;
+          a = temp;
         }
-      },
 
-      'git status': {
-        description: 'Show status',
-        handler: function(playground) {
-          if (!playground.state.initialized) {
-            return 'fatal: not a git repository (or any of the parent directories): .git';
-          }
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
+      }
 
-          let output = `On branch ${playground.state.branch}\n`;
-          
-          if (playground.state.commits.length === 0) {
-            output += '\nNo commits yet\n';
-          }
-          
-          if (playground.state.stagedFiles.length > 0) {
-            output += '\nChanges to be committed:\n';
-            output += '  (use "git restore --staged <file>..." to unstage)\n';
-            playground.state.stagedFiles.forEach(file => {
-              output += `\t${'\x1b[32m'}new file:   ${file}${'\x1b[0m'}\n`;
-            });
-          }
-          
-          const unstaged = playground.state.modifiedFiles.filter(
-            f => !playground.state.stagedFiles.includes(f)
-          );
-          
-          if (unstaged.length > 0) {
-            output += '\nUntracked files:\n';
-            output += '  (use "git add <file>..." to include in what will be committed)\n';
-            unstaged.forEach(file => {
-              output += `\t${'\x1b[31m'}${file}${'\x1b[0m'}\n`;
-            });
-          }
-          
-          if (playground.state.stagedFiles.length === 0 && unstaged.length === 0) {
-            output += '\nnothing to commit, working tree clean';
-          }
-          
-          return output;
-        }
-      },
+      return h.map(word => word.toString(16).padStart(8, '0')).join('');
+    },
 
-      'git add': {
-        description: 'Stage files',
-        handler: function(playground, args) {
-          if (!playground.state.initialized) {
-            return 'fatal: not a git repository (or any of the parent directories): .git';
-          }
+    /**
+     * Join several byte arrays into one
+     * @param {Uint8Array[]} parts
+     * @returns {Uint8Array}
+     */
+    concat(parts) {
+      const total = parts.reduce((sum, part) => sum + part.length, 0);
+      const result = new Uint8Array(total);
+      let offset = 0;
+      parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+      });
+      return result;
+    },
 
-          if (!args || args.length === 0) {
-            return `Nothing specified, nothing added.
-hint: Maybe you wanted to say 'git add .'?`;
-          }
+    /**
+     * Format an author/committer line value the way Git stores it
+     * @param {Object} person - { name, email, timestamp, timezone }
+     * @returns {string} e.g. "You <you@example.com> 1700000000 +0000"
+     */
+    formatPerson(person) {
+      return `${person.name} <${person.email}> ${person.timestamp} ${person.timezone}`;
+    },
 
-          const fileArg = args.join(' ');
-          
-          if (fileArg === '.') {
-            // Add all files
-            const newFiles = playground.state.modifiedFiles.filter(
-              f => !playground.state.stagedFiles.includes(f)
-            );
-            playground.state.stagedFiles.push(...newFiles);
-            return `Added ${newFiles.length} file(s) to staging area.
+    /**
+     * Encode the body of an object (without the "<type> <size>\0" header)
+     * exactly as Git writes it, so hashes match a real repository.
+     * @param {Object} object - A blob, tree or commit
+     * @returns {Uint8Array}
+     */
+    encodeBody(object) {
+      const encoder = new TextEncoder();
 
-Hint: Use 'git status' to see staged files, then 'git commit -m "message"' to commit.`;
-          } else {
-            // Add specific file
-            if (playground.state.modifiedFiles.includes(fileArg)) {
-              if (!playground.state.stagedFiles.includes(fileArg)) {
-                playground.state.stagedFiles.push(fileArg);
-                return `Added '${fileArg}' to staging area.`;
-              } else {
-                return `'${fileArg}' is already staged.`;
-              }
-            } else {
-              return `fatal: pathspec '${fileArg}' did not match any files`;
+      switch (object.type) {
+        case 'blob':
+          return encoder.encode(object.content);
+
+        case 'tree': {
+          const parts = [];
+          object.entries.forEach(entry => {
+            parts.push(encoder.encode(`${entry.mode} ${entry.name}\0`));
+            const raw = new Uint8Array(20);
+            for (let i = 0; i < 20; i++) {
+              raw[i] = parseInt(entry.hash.substr(i * 2, 2), 16);
             }
-          }
+            parts.push(raw);
+          });
+          return this.concat(parts);
         }
-      },
 
-      'git commit': {
-        description: 'Commit changes',
-        handler: function(playground, args) {
-          if (!playground.state.initialized) {
-            return 'fatal: not a git repository (or any of the parent directories): .git';
-          }
+        case 'commit':
+          return encoder.encode(this.formatCommit(object));
 
-          if (playground.state.stagedFiles.length === 0) {
-            return `nothing to commit, working tree clean
+        case 'tag':
+          return encoder.encode(this.formatTag(object));
 
-Hint: Use 'git add <file>' or 'git add .' to stage changes first.`;
-          }
+        default:
+          throw new Error(`Unknown object type: ${object.type}`);
+      }
+    },
 
-          // Parse commit message
-          const argsStr = args.join(' ');
-          let message = '';
-          
-          if (argsStr.startsWith('-m')) {
-            // Extract message from quotes
-            const match = argsStr.match(/-m\s*["']([^"']+)["']/);
-            if (match) {
-              message = match[1];
-            } else {
-              // Try without quotes
-              const noQuoteMatch = argsStr.match(/-m\s+(.+)/);
-              if (noQuoteMatch) {
-                message = noQuoteMatch[1];
-              }
-            }
-          }
+    /**
+     * Render a commit object as Git's textual commit format
+     * @param {Object} commit
+     * @returns {string}
+     */
+    formatCommit(commit) {
+      let text = `tree ${commit.tree}\n`;
+      commit.parents.forEach(parent => {
+        text += `parent ${parent}\n`;
+      });
+      text += `author ${this.formatPerson(commit.author)}\n`;
+      text += `committer ${this.formatPerson(commit.committer)}\n`;
+      text += `\n${commit.message}\n`;
+      return text;
+    },
 
-          if (!message) {
-            return `error: switch 'm' requires a value
-Usage: git commit -m "your message here"`;
-          }
+    /**
+     * Render an annotated tag object as Git's textual tag format
+     * @param {Object} tag - { object, objectType, tag, tagger, message }
+     * @returns {string}
+     */
+    formatTag(tag) {
+      let text = `object ${tag.object}\n`;
+      text += `type ${tag.objectType}\n`;
+      text += `tag ${tag.tag}\n`;
+      text += `tagger ${this.formatPerson(tag.tagger)}\n`;
+      text += `\n${tag.message}\n`;
+      return text;
+    },
 
-          // Create commit
-          const commitHash = playground.generateHash();
-          const commit = {
-            hash: commitHash,
-            message: message,
-            files: [...playground.state.stagedFiles],
-            date: new Date().toISOString()
-          };
-          
-          playground.state.commits.unshift(commit);
-          const filesCommitted = playground.state.stagedFiles.length;
-          playground.state.stagedFiles = [];
+    /**
+     * Compute an object's ID: SHA-1 over "<type> <size>\0<body>"
+     * @param {Object} object
+     * @returns {string} 40-character hex object ID
+     */
+    hash(object) {
+      const body = this.encodeBody(object);
+      const header = new TextEncoder().encode(`${object.type} ${body.length}\0`);
+      return this.sha1(this.concat([header, body]));
+    },
 
-          return `[${playground.state.branch} ${commitHash.substring(0, 7)}] ${message}
- ${filesCommitted} file(s) changed
+    /**
+     * Sort tree entries in Git's canonical order. Git compares
+     * directory names as if they ended with "/".
+     * @param {Object[]} entries
+     * @returns {Object[]} The same array, sorted
+     */
+    sortTreeEntries(entries) {
+      const key = entry => entry.mode === '40000' ? `${entry.name}/` : entry.name;
+      return entries.sort((a, b) => {
+        const ka = key(a);
+        const kb = key(b);
+        return ka < kb ? -1 : ka > kb ? 1 : 0;
+      });
+    },
 
-Hint: Use 'git log' to see your commit history.`;
-        }
-      },
+    /**
+     * Size in bytes of an object's body, as reported by `git cat-file -s`
+     * @param {Object} object
+     * @returns {number}
+     */
+    size(object) {
+      return this.encodeBody(object).length;
+    }
+  };
 
-      'git log': {
-        description: 'Show commits',
-        handler: function(playground) {
-          if (!playground.state.initialized) {
-            return 'fatal: not a git repository (or any of the parent directories): .git';
-          }
+  // ============================================
+  // Git Repository (object store, refs, index)
+  // ============================================
 
-          if (playground.state.commits.length === 0) {
-            return 'fatal: your current branch does not have any commits yet';
-          }
+  const GitRepo = {
+    /**
+     * Create an empty repository
+     * @returns {Object} Plain, JSON-serializable repository data
+     */
+    create() {
+      return {
+        objects: {},
+        refs: {},
+        HEAD: 'ref: refs/heads/main',
+        index: {},
+        unmerged: {},
+        previousHead: null,
+        mergeHead: null,
+        mergeMsg: null,
+        sequencer: null,
+        bisect: null,
+        reflog: {},
+        config: {}
+      };
+    },
 
-          let output = '';
-          playground.state.commits.forEach((commit, index) => {
-            output += `commit ${commit.hash}`;
-            if (index === 0) {
-              output += ` (HEAD -> ${playground.state.branch})`;
-            }
-            output += '\n';
-            output += `Author: You <you@example.com>\n`;
-            output += `Date:   ${new Date(commit.date).toLocaleString()}\n\n`;
-            output += `    ${commit.message}\n\n`;
-          });
+    /**
+     * Store an object and return its ID
+     * @param {Object} repo
+     * @param {Object} object
+     * @returns {string} Object ID
+     */
+    writeObject(repo, object) {
+      const hash = GitObjects.hash(object);
+      if (!repo.objects[hash]) {
+        repo.objects[hash] = object;
+      }
+      return hash;
+    },
+
+    /**
+     * Look up an object by its full ID
+     * @param {Object} repo
+     * @param {string} hash
+     * @returns {Object|null}
+     */
+    readObject(repo, hash) {
+      return repo.objects[hash] || null;
+    },
+
+    /**
+     * Store file content as a blob
+     * @param {Object} repo
+     * @param {string} content
+     * @returns {string} Blob ID
+     */
+    writeBlob(repo, content) {
+      return this.writeObject(repo, { type: 'blob', content: content });
+    },
+
+    /**
+     * The ref HEAD points at, or null when HEAD is detached
+     * @param {Object} repo
+     * @returns {string|null} e.g. 'refs/heads/main'
+     */
+    headRef(repo) {
+      return repo.HEAD.startsWith('ref: ') ? repo.HEAD.slice(5) : null;
+    },
+
+    /**
+     * Short name of the checked-out branch
+     * @param {Object} repo
+     * @returns {string|null} e.g. 'main', or null when detached
+     */
+    currentBranch(repo) {
+      const ref = this.headRef(repo);
+      return ref ? ref.replace(/^refs\/heads\//, '') : null;
+    },
+
+    /**
+     * Commit ID HEAD currently resolves to
+     * @param {Object} repo
+     * @returns {string|null} null on an unborn branch
+     */
+    headCommit(repo) {
+      const ref = this.headRef(repo);
+      return ref ? (repo.refs[ref] || null) : repo.HEAD;
+    },
+
+    /**
+     * Point a ref at a commit
+     * @param {Object} repo
+     * @param {string} ref - Full ref name, e.g. 'refs/heads/main'
+     * @param {string} hash
+     * @param {string} [reason] - Reflog message, e.g. 'branch: Created from HEAD'
+     */
+    updateRef(repo, ref, hash, reason) {
+      const old = repo.refs[ref] || null;
+      repo.refs[ref] = hash;
+      if (reason) this.logRef(repo, ref, old, hash, reason);
+    },
+
+    /**
+     * Move whatever HEAD points at (the current branch, or HEAD
+     * itself when detached) to a new commit
+     * @param {Object} repo
+     * @param {string} hash
+     * @param {string} [reason] - Reflog message, e.g. 'commit: Add login page'
+     */
+    advanceHead(repo, hash, reason) {
+      const ref = this.headRef(repo);
+      const old = this.headCommit(repo);
+      if (ref) {
+        this.updateRef(repo, ref, hash, reason);
+      } else {
+        repo.HEAD = hash;
+      }
+      if (reason) this.logRef(repo, 'HEAD', old, hash, reason);
+    },
+
+    /**
+     * Point HEAD at a branch ('ref: refs/heads/x') or detach it at a commit
+     * @param {Object} repo
+     * @param {string} value - New contents of HEAD
+     * @param {string} [reason] - Reflog message, e.g. 'checkout: moving from main to feature'
+     */
+    setHead(repo, value, reason) {
+      const old = this.headCommit(repo);
+      repo.HEAD = value;
+      const hash = this.headCommit(repo);
+      if (reason && hash) this.logRef(repo, 'HEAD', old, hash, reason);
+    },
+
+    /**
+     * Append to a ref's reflog, the record `git reflog` shows and
+     * `HEAD@{n}` reads
+     * @param {Object} repo
+     * @param {string} ref - 'HEAD' or a full ref name
+     * @param {string|null} old - Previous commit
+     * @param {string} hash - New commit
+     * @param {string} reason
+     */
+    logRef(repo, ref, old, hash, reason) {
+      if (!repo.reflog[ref]) repo.reflog[ref] = [];
+      repo.reflog[ref].push({ old: old, new: hash, message: reason });
+    },
+
+    /**
+     * Flatten a tree into a map of path -> { mode, hash }
+     * @param {Object} repo
+     * @param {string|null} treeHash
+     * @param {string} prefix - Path prefix for nested trees
+     * @returns {Object}
+     */
+    readTree(repo, treeHash, prefix = '') {
+      const files = {};
+      const tree = treeHash ? this.readObject(repo, treeHash) : null;
+      if (!tree) return files;
 
-          return output.trim();
+      tree.entries.forEach(entry => {
+        const path = prefix + entry.name;
+        if (entry.mode === '40000') {
+          Object.assign(files, this.readTree(repo, entry.hash, `${path}/`));
+        } else {
+          files[path] = { mode: entry.mode, hash: entry.hash };
         }
-      },
+      });
+      return files;
+    },
 
-      'git branch': {
-        description: 'List branches',
-        handler: function(playground) {
-          if (!playground.state.initialized) {
-            return 'fatal: not a git repository (or any of the parent directories): .git';
+    /**
+     * Build (nested) tree objects from a flat path map such as the index
+     * @param {Object} repo
+     * @param {Object} files - path -> { mode, hash }
+     * @returns {string} Root tree ID
+     */
+    writeTree(repo, files) {
+      const root = { files: {}, dirs: {} };
+      Object.keys(files).forEach(path => {
+        const segments = path.split('/');
+        const name = segments.pop();
+        let node = root;
+        segments.forEach(segment => {
+          node.dirs[segment] = node.dirs[segment] || { files: {}, dirs: {} };
+          node = node.dirs[segment];
+        });
+        node.files[name] = files[path];
+      });
+
+      const write = node => {
+        const entries = [];
+        Object.keys(node.files).forEach(name => {
+          entries.push({ mode: node.files[name].mode, name: name, hash: node.files[name].hash });
+        });
+        Object.keys(node.dirs).forEach(name => {
+          entries.push({ mode: '40000', name: name, hash: write(node.dirs[name]) });
+        });
+        return this.writeObject(repo, { type: 'tree', entries: GitObjects.sortTreeEntries(entries) });
+      };
+
+      return write(root);
+    },
+
+    /**
+     * Flat file map of a commit's tree
+     * @param {Object} repo
+     * @param {string|null} commitHash
+     * @returns {Object} path -> { mode, hash }
+     */
+    commitFiles(repo, commitHash) {
+      const commit = commitHash ? this.readObject(repo, commitHash) : null;
+      return commit ? this.readTree(repo, commit.tree) : {};
+    },
+
+    /**
+     * Build a person record for the current moment
+     * @param {string} name
+     * @param {string} email
+     * @returns {Object} { name, email, timestamp, timezone }
+     */
+    signature(name, email) {
+      const now = new Date();
+      const offset = -now.getTimezoneOffset();
+      const sign = offset >= 0 ? '+' : '-';
+      const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+      const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+      return {
+        name: name,
+        email: email,
+        timestamp: Math.floor(now.getTime() / 1000),
+        timezone: `${sign}${hours}${minutes}`
+      };
+    },
+
+    /**
+     * Resolve a revision such as "HEAD", "main", "a1b2c3d", "HEAD~2",
+     * "main^", "HEAD^{tree}" or "HEAD:README.md" to an object ID.
+     * An annotated tag resolves to the commit it points at.
+     * @param {Object} repo
+     * @param {string} spec
+     * @returns {string|null}
+     */
+    resolveRevision(repo, spec) {
+      return this.peel(repo, this.resolveObject(repo, spec));
+    },
+
+    /**
+     * Like resolveRevision, but a tag name gives the annotated tag
+     * object itself, as `git cat-file` and `git show` want
+     * @param {Object} repo
+     * @param {string} spec
+     * @returns {string|null}
+     */
+    resolveObject(repo, spec) {
+      if (!spec) return null;
+
+      // <rev>:<path> names a blob or tree inside a commit
+      const colon = spec.indexOf(':');
+      if (colon !== -1) {
+        const commit = this.resolveRevision(repo, spec.slice(0, colon) || 'HEAD');
+        const path = spec.slice(colon + 1).replace(/\/+$/, '');
+        return commit ? this.lookupPath(repo, commit, path) : null;
+      }
+
+      const match = spec.match(/^(.*?)((?:[~^]\d*|\^\{\w*\})*)$/);
+      let hash = this.resolveName(repo, match[1]);
+      const suffixes = match[2].match(/~\d*|\^\{\w*\}|\^\d*/g) || [];
+
+      for (const suffix of suffixes) {
+        if (!hash) return null;
+        hash = this.peel(repo, hash);
+        const object = this.readObject(repo, hash);
+
+        if (suffix === '^{tree}') {
+          hash = object && object.type === 'commit' ? object.tree : null;
+        } else if (suffix === '^{commit}' || suffix === '^{}') {
+          hash = object && object.type === 'commit' ? hash : null;
+        } else if (suffix[0] === '~') {
+          const count = suffix.length > 1 ? parseInt(suffix.slice(1), 10) : 1;
+          for (let i = 0; i < count && hash; i++) {
+            const commit = this.readObject(repo, hash);
+            hash = commit && commit.type === 'commit' ? (commit.parents[0] || null) : null;
           }
+        } else {
+          const n = suffix.length > 1 ? parseInt(suffix.slice(1), 10) : 1;
+          if (n === 0) continue;
+          hash = object && object.type === 'commit' ? (object.parents[n - 1] || null) : null;
+        }
+      }
+
+      return hash;
+    },
+
+    /**
+     * Follow annotated tags to the object they tag
+     * @param {Object} repo
+     * @param {string|null} hash
+     * @returns {string|null} The first object that is not a tag
+     */
+    peel(repo, hash) {
+      let object = hash ? this.readObject(repo, hash) : null;
+      while (object && object.type === 'tag') {
+        hash = object.object;
+        object = this.readObject(repo, hash);
+      }
+      return hash;
+    },
+
+    /**
+     * Resolve a bare name (ref or object ID prefix) to an object ID
+     * @param {Object} repo
+     * @param {string} name
+     * @returns {string|null}
+     */
+    resolveName(repo, name) {
+      if (name === 'HEAD' || name === '@') {
+        return this.headCommit(repo);
+      }
+
+      // <ref>@{n}: where the ref was n moves ago, according to its reflog
+      const reflog = name.match(/^(.*)@\{(\d+)\}$/);
+      if (reflog) {
+        const ref = this.fullRefName(repo, reflog[1] || 'HEAD');
+        const entries = ref ? repo.reflog[ref] || [] : [];
+        const entry = entries[entries.length - 1 - parseInt(reflog[2], 10)];
+        return entry ? entry.new : null;
+      }
+
+      const ref = this.fullRefName(repo, name);
+      if (ref) return repo.refs[ref];
+
+      if (/^[0-9a-f]{4,40}$/.test(name)) {
+        const matches = Object.keys(repo.objects).filter(hash => hash.startsWith(name));
+        if (matches.length === 1) return matches[0];
+      }
+
+      return null;
+    },
+
+    /**
+     * Expand a short ref name the way Git does ('main' -> 'refs/heads/main')
+     * @param {Object} repo
+     * @param {string} name
+     * @returns {string|null} Full ref name, 'HEAD', or null if no such ref
+     */
+    fullRefName(repo, name) {
+      if (name === 'HEAD' || name === '@') return 'HEAD';
+      const candidates = [name, `refs/${name}`, `refs/tags/${name}`, `refs/heads/${name}`, `refs/remotes/${name}`];
+      return candidates.find(ref => repo.refs[ref]) || null;
+    },
+
+    /**
+     * Find the object at a path inside a commit's tree
+     * @param {Object} repo
+     * @param {string} commitHash
+     * @param {string} path
+     * @returns {string|null} Blob or tree ID
+     */
+    lookupPath(repo, commitHash, path) {
+      const commit = this.readObject(repo, commitHash);
+      if (!commit || commit.type !== 'commit') return null;
+
+      let hash = commit.tree;
+      const segments = path ? path.split('/') : [];
+      for (const segment of segments) {
+        const tree = this.readObject(repo, hash);
+        const entry = tree && tree.type === 'tree' && tree.entries.find(e => e.name === segment);
+        if (!entry) return null;
+        hash = entry.hash;
+      }
+      return hash;
+    },
+
+    /**
+     * Commits reachable from the given starting points, newest first.
+     * Like `git log --date-order`, a commit is never listed before its
+     * children, so history reads correctly even when several commits
+     * share the same timestamp.
+     * @param {Object} repo
+     * @param {string[]} starts - Commit IDs (or annotated tags, which are followed)
+     * @returns {string[]} Commit IDs
+     */
+    reachableCommits(repo, starts) {
+      const seen = new Set();
+      const order = [];
+      const stack = starts.filter(Boolean).map(hash => this.peel(repo, hash)).reverse();
+      while (stack.length) {
+        const hash = stack.pop();
+        if (seen.has(hash)) continue;
+        seen.add(hash);
+        order.push(hash);
+        const commit = this.readObject(repo, hash);
+        if (commit) stack.push(...commit.parents.slice().reverse());
+      }
+
+      const children = {};
+      order.forEach(hash => {
+        this.readObject(repo, hash).parents.forEach(parent => {
+          children[parent] = (children[parent] || 0) + 1;
+        });
+      });
+
+      const discovered = {};
+      order.forEach((hash, i) => {
+        discovered[hash] = i;
+      });
+      const ready = order.filter(hash => !children[hash]);
+      const result = [];
+      while (ready.length) {
+        // Newest first; ties go to whichever was discovered first
+        let best = 0;
+        for (let i = 1; i < ready.length; i++) {
+          const a = this.readObject(repo, ready[i]).committer.timestamp;
+          const b = this.readObject(repo, ready[best]).committer.timestamp;
+          if (a > b || (a === b && discovered[ready[i]] < discovered[ready[best]])) best = i;
+        }
+        const hash = ready.splice(best, 1)[0];
+        result.push(hash);
+        this.readObject(repo, hash).parents.forEach(parent => {
+          children[parent]--;
+          if (children[parent] === 0) ready.push(parent);
+        });
+      }
+      return result;
+    },
+
+    /**
+     * Whether one commit is an ancestor of (or the same as) another
+     * @param {Object} repo
+     * @param {string} ancestor
+     * @param {string} descendant
+     * @returns {boolean}
+     */
+    isAncestor(repo, ancestor, descendant) {
+      if (!ancestor || !descendant) return false;
+      return this.ancestors(repo, descendant).has(ancestor);
+    },
+
+    /**
+     * A commit together with all of its ancestors, in no particular order
+     * @param {Object} repo
+     * @param {string} hash
+     * @returns {Set<string>}
+     */
+    ancestors(repo, hash) {
+      const seen = new Set();
+      const stack = [this.peel(repo, hash)];
+      while (stack.length) {
+        const next = stack.pop();
+        if (!next || seen.has(next)) continue;
+        seen.add(next);
+        const commit = this.readObject(repo, next);
+        if (commit) stack.push(...commit.parents);
+      }
+      return seen;
+    },
+
+    /**
+     * How many commits each side has that the other lacks, for
+     * "Your branch is ahead of 'origin/main' by 2 commits"
+     * @param {Object} repo
+     * @param {string} local
+     * @param {string} upstream
+     * @returns {Object} { ahead, behind }
+     */
+    aheadBehind(repo, local, upstream) {
+      const ofLocal = this.ancestors(repo, local);
+      const ofUpstream = this.ancestors(repo, upstream);
+      return {
+        ahead: [...ofLocal].filter(hash => !ofUpstream.has(hash)).length,
+        behind: [...ofUpstream].filter(hash => !ofLocal.has(hash)).length
+      };
+    },
+
+    /**
+     * Copy commits, with their trees, blobs and history, from one
+     * repository to another, as fetch and push do
+     * @param {Object} source
+     * @param {Object} target
+     * @param {string[]} tips - Commit IDs to copy
+     */
+    copyObjects(source, target, tips) {
+      const stack = tips.slice();
+      while (stack.length) {
+        const hash = stack.pop();
+        // Everything reachable from an object the target has is already there
+        if (!hash || target.objects[hash]) continue;
+        const object = source.objects[hash];
+        target.objects[hash] = object;
+        if (object.type === 'commit') {
+          stack.push(object.tree, ...object.parents);
+        } else if (object.type === 'tree') {
+          stack.push(...object.entries.map(entry => entry.hash));
+        } else if (object.type === 'tag') {
+          stack.push(object.object);
+        }
+      }
+    },
+
+    /**
+     * Best common ancestor of two commits, the starting point of a
+     * three-way merge
+     * @param {Object} repo
+     * @param {string} a
+     * @param {string} b
+     * @returns {string|null} null when the histories are unrelated
+     */
+    mergeBase(repo, a, b) {
+      const ofA = this.ancestors(repo, a);
+      const common = this.reachableCommits(repo, [b]).filter(hash => ofA.has(hash));
+      // Drop common ancestors that are themselves ancestors of another candidate
+      const hidden = new Set();
+      common.forEach(candidate => {
+        if (hidden.has(candidate)) return;
+        this.ancestors(repo, candidate).forEach(hash => {
+          if (hash !== candidate) hidden.add(hash);
+        });
+      });
+      return common.find(hash => !hidden.has(hash)) || null;
+    },
+
+    /**
+     * Three-way merge of two commits' trees against a base
+     * @param {Object} repo
+     * @param {string|null} base - Merge base commit (null for unrelated histories)
+     * @param {string} ours - Our commit
+     * @param {string} theirs - Their commit
+     * @param {Object} labels - { ours, theirs } names used in conflict markers
+     * @returns {Object} { files, conflicts, messages } where files maps every
+     *   cleanly merged path to { mode, hash }, conflicts lists
+     *   { path, label, stages: { base, ours, theirs }, content } and messages
+     *   holds the "Auto-merging"/"CONFLICT" lines Git prints
+     */
+    mergeTrees(repo, base, ours, theirs, labels) {
+      const baseFiles = this.commitFiles(repo, base);
+      const ourFiles = this.commitFiles(repo, ours);
+      const theirFiles = this.commitFiles(repo, theirs);
+      const files = {};
+      const conflicts = [];
+      const messages = [];
+      const hashOf = entry => entry ? entry.hash : null;
+      const contentOf = entry => entry ? this.readObject(repo, entry.hash).content : '';
+
+      const paths = new Set(Object.keys(baseFiles).concat(Object.keys(ourFiles), Object.keys(theirFiles)));
+      [...paths].sort().forEach(path => {
+        const b = baseFiles[path];
+        const o = ourFiles[path];
+        const t = theirFiles[path];
+
+        if (hashOf(o) === hashOf(t) || hashOf(t) === hashOf(b)) {
+          if (o) files[path] = o;
+          return;
+        }
+        if (hashOf(o) === hashOf(b)) {
+          if (t) files[path] = t;
+          return;
+        }
+
+        const stages = { base: b || null, ours: o || null, theirs: t || null };
+
+        if (!o || !t) {
+          // One side deleted the file, the other changed it
+          const deletedBy = o ? 'them' : 'us';
+          const kept = o || t;
+          messages.push(`CONFLICT (modify/delete): ${path} deleted in ${deletedBy === 'us' ? labels.ours : labels.theirs} and modified in ${deletedBy === 'us' ? labels.theirs : labels.ours}.`);
+          conflicts.push({ path: path, label: `deleted by ${deletedBy}`, stages: stages, content: contentOf(kept) });
+          return;
+        }
+
+        messages.push(`Auto-merging ${path}`);
+        const merged = TextDiff.merge3(contentOf(b), contentOf(o), contentOf(t), labels);
+        if (merged.conflict) {
+          const kind = b ? 'content' : 'add/add';
+          messages.push(`CONFLICT (${kind}): Merge conflict in ${path}`);
+          conflicts.push({ path: path, label: b ? 'both modified' : 'both added', stages: stages, content: merged.content });
+        } else {
+          files[path] = { mode: o.mode, hash: this.writeBlob(repo, merged.content) };
+        }
+      });
+
+      return { files: files, conflicts: conflicts, messages: messages };
+    },
+
+    /**
+     * Check a branch name against the main rules of git check-ref-format
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isValidBranchName(name) {
+      return Boolean(name) &&
+        !/[\s~^:?*[\\]|\.\.|@\{|\/\/|^[-/.]|[/.]$|\.lock$/.test(name) &&
+        name !== 'HEAD' && name !== '@';
+    },
+
+    /**
+     * Ref names pointing at a commit, formatted like `git log` decorations
+     * @param {Object} repo
+     * @param {string} hash
+     * @returns {string} e.g. "HEAD -> main, feature"; empty when none
+     */
+    decorations(repo, hash) {
+      const labels = [];
+      const head = this.headRef(repo);
+
+      if (!head && repo.HEAD === hash) {
+        labels.push('HEAD');
+      }
+      Object.keys(repo.refs).sort().forEach(ref => {
+        if (this.peel(repo, repo.refs[ref]) !== hash) return;
+        const name = ref.replace(/^refs\/(heads|remotes)\//, '').replace(/^refs\/tags\//, 'tag: ');
+        if (ref === head) {
+          labels.unshift(`HEAD -> ${name}`);
+        } else {
+          labels.push(name);
+        }
+      });
+      return labels.join(', ');
+    },
+
+    /**
+     * Format a timestamp the way `git log` prints dates
+     * @param {Object} person - { timestamp, timezone }
+     * @param {string} [style] - 'iso' for "2026-10-19 17:59:35 +0000", as `git blame` prints them
+     * @returns {string} e.g. "Mon Oct 19 17:59:35 2026 +0000"
+     */
+    formatDate(person, style = 'default') {
+      const sign = person.timezone[0] === '-' ? -1 : 1;
+      const offsetMinutes = sign * (parseInt(person.timezone.substr(1, 2), 10) * 60 + parseInt(person.timezone.substr(3, 2), 10));
+      const local = new Date((person.timestamp + offsetMinutes * 60) * 1000);
+      const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+      const pad = n => String(n).padStart(2, '0');
+      if (style === 'iso') {
+        return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())} ` +
+          `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())} ${person.timezone}`;
+      }
+      return `${days[local.getUTCDay()]} ${months[local.getUTCMonth()]} ${local.getUTCDate()} ` +
+        `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())} ` +
+        `${local.getUTCFullYear()} ${person.timezone}`;
+    },
+
+    /**
+     * How long ago a timestamp was, the way `git log --date=relative` says it
+     * @param {Object} person - { timestamp }
+     * @param {number} [now] - Current time in seconds
+     * @returns {string} e.g. "3 minutes ago"
+     */
+    relativeDate(person, now = Math.floor(Date.now() / 1000)) {
+      const seconds = Math.max(0, now - person.timestamp);
+      const ago = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+      if (seconds < 90) return ago(seconds, 'second');
+      const minutes = Math.round(seconds / 60);
+      if (minutes < 90) return ago(minutes, 'minute');
+      const hours = Math.round(minutes / 60);
+      if (hours < 36) return ago(hours, 'hour');
+      const days = Math.round(hours / 24);
+      if (days < 14) return ago(days, 'day');
+      if (days < 70) return ago(Math.round(days / 7), 'week');
+      if (days < 365) return ago(Math.round(days / 30), 'month');
+      return ago(Math.round(days / 365), 'year');
+    },
+
+    /**
+     * Read a date as typed after --since or --until: "2 days ago",
+     * "yesterday", "2026-10-01", "2026-10-01 14:30" and the like
+     * @param {string} text
+     * @param {number} [now] - Current time in seconds
+     * @returns {number|null} Timestamp in seconds, or null if it makes no sense
+     */
+    parseDate(text, now = Math.floor(Date.now() / 1000)) {
+      const value = text.trim().toLowerCase().replace(/[._]/g, ' ');
+      const units = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800, month: 2592000, year: 31536000 };
+      if (value === 'now') return now;
+      if (value === 'yesterday') return now - units.day;
+      if (value === 'today') return now - (now % units.day);
+      const ago = value.match(/^(\d+|an?)\s*(second|minute|hour|day|week|month|year)s?( ago)?$/);
+      if (ago) {
+        const count = /^\d/.test(ago[1]) ? parseInt(ago[1], 10) : 1;
+        return now - count * units[ago[2]];
+      }
+      if (/^@\d+$/.test(value)) return parseInt(value.slice(1), 10);
+      const parsed = Date.parse(/^\d{4}-\d\d-\d\d \d/.test(value) ? value.replace(' ', 'T') : value);
+      return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+    },
+
+    /**
+     * Match a name against a shell-style pattern the way Git's wildmatch
+     * does: * and ? wildcards and [abc] character classes
+     * @param {string} pattern - e.g. 'v1.*'
+     * @param {string} text
+     * @param {boolean} [pathname] - Keep * and ? from matching '/', except in '**'
+     * @returns {boolean}
+     */
+    wildmatch(pattern, text, pathname = false) {
+      const any = pathname ? '[^/]' : '.';
+      let source = '';
+      for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pathname && pattern[i + 1] === '*') {
+          // "**/" matches any number of leading directories, "/**" everything inside
+          if (pattern[i + 2] === '/') {
+            source += '(?:.*/)?';
+            i += 2;
+          } else {
+            source += '.*';
+            i++;
+          }
+        } else if (char === '*') {
+          source += `${any}*`;
+        } else if (char === '?') {
+          source += any;
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+          const end = pattern.indexOf(']', i + 2);
+          const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+          source += `[${body}]`;
+          i = end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+          source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+          source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+      }
+      return new RegExp(`^${source}$`).test(text);
+    }
+  };
+
+  // ============================================
+  // Line Diff & Three-Way Merge
+  // ============================================
+
+  const TextDiff = {
+    /**
+     * Split text into lines, keeping each line's "\n" so that
+     * joining the lines gives back the exact original text
+     * @param {string} text
+     * @returns {string[]}
+     */
+    splitLines(text) {
+      return text ? text.match(/[^\n]*\n|[^\n]+$/g) : [];
+    },
+
+    /**
+     * Shortest edit script between two line arrays (Myers' O(ND) algorithm)
+     * @param {string[]} a - Old lines
+     * @param {string[]} b - New lines
+     * @returns {Object[]} [{ type: 'equal'|'delete'|'insert', line, oldIndex, newIndex }]
+     */
+    diffLines(a, b) {
+      const n = a.length;
+      const m = b.length;
+      const max = n + m;
+      const offset = max + 1;
+      const v = new Array(2 * max + 3).fill(0);
+      const trace = [];
+
+      search:
+      for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+          let x = (k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset]))
+            ? v[k + 1 + offset]
+            : v[k - 1 + offset] + 1;
+          let y = x - k;
+          while (x < n && y < m && a[x] === b[y]) {
+            x++;
+            y++;
+          }
+          v[k + offset] = x;
+          if (x >= n && y >= m) break search;
+        }
+      }
+
+      // Walk back through the saved frontiers to recover the path
+      const ops = [];
+      let x = n;
+      let y = m;
+      for (let d = trace.length - 1; d >= 0; d--) {
+        const frontier = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && frontier[k - 1 + offset] < frontier[k + 1 + offset])) ? k + 1 : k - 1;
+        const prevX = frontier[prevK + offset];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+          x--;
+          y--;
+          ops.push({ type: 'equal', line: a[x], oldIndex: x, newIndex: y });
+        }
+        if (d > 0) {
+          if (x === prevX) {
+            ops.push({ type: 'insert', line: b[prevY], oldIndex: x, newIndex: prevY });
+          } else {
+            ops.push({ type: 'delete', line: a[prevX], oldIndex: prevX, newIndex: y });
+          }
+          x = prevX;
+          y = prevY;
+        }
+      }
+
+      return ops.reverse();
+    },
+
+    /**
+     * Map each line of `a` that survives unchanged in `b` to its index in `b`
+     * @param {string[]} a
+     * @param {string[]} b
+     * @returns {Object} oldIndex -> newIndex
+     */
+    matchLines(a, b) {
+      const matches = {};
+      this.diffLines(a, b).forEach(op => {
+        if (op.type === 'equal') matches[op.oldIndex] = op.newIndex;
+      });
+      return matches;
+    },
+
+    /**
+     * Merge two descendants of a common base, line by line (diff3).
+     * Where both sides changed the same region differently, the result
+     * contains Git's conflict markers.
+     * @param {string} base - Common ancestor content
+     * @param {string} ours - Our version
+     * @param {string} theirs - Their version
+     * @param {Object} labels - { ours, theirs } names for the conflict markers
+     * @returns {Object} { content, conflict }
+     */
+    merge3(base, ours, theirs, labels) {
+      const baseLines = this.splitLines(base);
+      const ourLines = this.splitLines(ours);
+      const theirLines = this.splitLines(theirs);
+      const ourMatches = this.matchLines(baseLines, ourLines);
+      const theirMatches = this.matchLines(baseLines, theirLines);
+      const same = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+      const terminate = lines => lines.map((line, i) =>
+        i === lines.length - 1 && !line.endsWith('\n') ? `${line}\n` : line
+      );
+
+      const result = [];
+      let conflict = false;
+      let i = 0;
+      let j = 0;
+      let k = 0;
+
+      // Resolve the unstable region between the last and the next line all three agree on
+      const flush = (baseEnd, ourEnd, theirEnd) => {
+        const b = baseLines.slice(i, baseEnd);
+        const o = ourLines.slice(j, ourEnd);
+        const t = theirLines.slice(k, theirEnd);
+
+        if (same(o, t) || same(t, b)) {
+          result.push(...o);
+        } else if (same(o, b)) {
+          result.push(...t);
+        } else {
+          conflict = true;
+          result.push(`<<<<<<< ${labels.ours}\n`, ...terminate(o), '=======\n', ...terminate(t), `>>>>>>> ${labels.theirs}\n`);
+        }
+      };
+
+      baseLines.forEach((line, index) => {
+        if (ourMatches[index] === undefined || theirMatches[index] === undefined) return;
+        flush(index, ourMatches[index], theirMatches[index]);
+        result.push(line);
+        i = index + 1;
+        j = ourMatches[index] + 1;
+        k = theirMatches[index] + 1;
+      });
+      flush(baseLines.length, ourLines.length, theirLines.length);
+
+      return { content: result.join(''), conflict: conflict };
+    },
+
+    /**
+     * Group a line diff into unified-diff hunks with some unchanged
+     * context around each change, like `diff -u`
+     * @param {string} a - Old text
+     * @param {string} b - New text
+     * @param {number} [context] - Unchanged lines to show around each change
+     * @returns {Object[]} [{ oldStart, oldCount, newStart, newCount, ops }]
+     */
+    hunks(a, b, context = 3) {
+      const ops = this.diffLines(this.splitLines(a), this.splitLines(b));
+      const hunks = [];
+      let i = 0;
+      while (i < ops.length) {
+        if (ops[i].type === 'equal') {
+          i++;
+          continue;
+        }
+
+        // Extend the hunk while the next change is close enough to share context
+        const start = Math.max(i - context, hunks.length ? hunks[hunks.length - 1].end : 0);
+        let end = i;
+        let j = i;
+        while (j < ops.length) {
+          if (ops[j].type !== 'equal') {
+            end = ++j;
+            continue;
+          }
+          let k = j;
+          while (k < ops.length && ops[k].type === 'equal') k++;
+          if (k === ops.length || k - j > 2 * context) break;
+          j = k;
+        }
+        const stop = Math.min(end + context, ops.length);
+        const slice = ops.slice(start, stop);
+        const oldCount = slice.filter(op => op.type !== 'insert').length;
+        const newCount = slice.filter(op => op.type !== 'delete').length;
+        hunks.push({
+          // An empty side is numbered after the line it follows, so "-0,0" for a new file
+          oldStart: slice[0].oldIndex + (oldCount ? 1 : 0),
+          oldCount: oldCount,
+          newStart: slice[0].newIndex + (newCount ? 1 : 0),
+          newCount: newCount,
+          ops: slice,
+          end: stop
+        });
+        i = stop;
+      }
+      return hunks;
+    },
+
+    /**
+     * Count added and removed lines between two texts
+     * @param {string} a - Old text
+     * @param {string} b - New text
+     * @returns {Object} { insertions, deletions }
+     */
+    countChanges(a, b) {
+      const ops = this.diffLines(this.splitLines(a), this.splitLines(b));
+      return {
+        insertions: ops.filter(op => op.type === 'insert').length,
+        deletions: ops.filter(op => op.type === 'delete').length
+      };
+    }
+  };
+
+  // ============================================
+  // Virtual File System
+  // ============================================
+
+  const VirtualFS = {
+    /**
+     * Create a file system seeded with some files
+     * @param {Object} files - path -> content
+     * @returns {Object} { files, dirs } where dirs records explicitly created directories
+     */
+    create(files = {}) {
+      return { files: Object.assign({}, files), dirs: {} };
+    },
+
+    /**
+     * Resolve a path typed by the user to a path relative to the project root
+     * @param {string} root - Absolute project path, e.g. '/my-project'
+     * @param {string} cwd - Current directory relative to the root ('' for the root)
+     * @param {string} path - Path as typed (relative, absolute or ~)
+     * @returns {string|null} Normalized path ('' is the root), or null if it leaves the project
+     */
+    resolve(root, cwd, path) {
+      let segments;
+      if (path === '~' || path.startsWith('~/')) {
+        segments = path.slice(1).split('/');
+      } else if (path.startsWith('/')) {
+        if (path !== root && !path.startsWith(`${root}/`)) return null;
+        segments = path.slice(root.length).split('/');
+      } else {
+        segments = (cwd ? `${cwd}/${path}` : path).split('/');
+      }
+
+      const result = [];
+      for (const segment of segments) {
+        if (segment === '' || segment === '.') continue;
+        if (segment === '..') {
+          if (result.length === 0) return null;
+          result.pop();
+        } else {
+          result.push(segment);
+        }
+      }
+      return result.join('/');
+    },
+
+    /**
+     * Express a root-relative path relative to the current directory
+     * @param {string} cwd
+     * @param {string} path
+     * @returns {string} e.g. '../README.md'
+     */
+    relative(cwd, path) {
+      if (!cwd) return path;
+      const from = cwd.split('/');
+      const to = path.split('/');
+      let common = 0;
+      while (common < from.length && common < to.length && from[common] === to[common]) {
+        common++;
+      }
+      const up = from.slice(common).map(() => '..');
+      return up.concat(to.slice(common)).join('/') || '.';
+    },
+
+    /**
+     * Parent directory of a path
+     * @param {string} path
+     * @returns {string}
+     */
+    dirname(path) {
+      const index = path.lastIndexOf('/');
+      return index === -1 ? '' : path.slice(0, index);
+    },
+
+    /**
+     * Whether a path points at the repository's own .git directory
+     * @param {string} path
+     * @returns {boolean}
+     */
+    isGitDir(path) {
+      return path === '.git' || path.startsWith('.git/');
+    },
+
+    /**
+     * Whether a path is a regular file
+     * @param {Object} fs
+     * @param {string} path
+     * @returns {boolean}
+     */
+    isFile(fs, path) {
+      return Object.prototype.hasOwnProperty.call(fs.files, path);
+    },
+
+    /**
+     * Whether a path is a directory, either created with mkdir
+     * or implied by the files inside it
+     * @param {Object} fs
+     * @param {string} path
+     * @returns {boolean}
+     */
+    isDir(fs, path) {
+      if (path === '' || fs.dirs[path]) return true;
+      // mkdir -p a/b only records a/b, so a is a directory too
+      const prefix = `${path}/`;
+      return Object.keys(fs.files).concat(Object.keys(fs.dirs)).some(entry => entry.startsWith(prefix));
+    },
+
+    /**
+     * Whether anything exists at a path
+     * @param {Object} fs
+     * @param {string} path
+     * @returns {boolean}
+     */
+    exists(fs, path) {
+      return this.isFile(fs, path) || this.isDir(fs, path);
+    },
+
+    /**
+     * Immediate children of a directory
+     * @param {Object} fs
+     * @param {string} dir
+     * @returns {Object[]} Sorted [{ name, isDir }]
+     */
+    list(fs, dir) {
+      const prefix = dir ? `${dir}/` : '';
+      const children = {};
+      Object.keys(fs.files).concat(Object.keys(fs.dirs)).forEach(path => {
+        if (!path.startsWith(prefix) || path === dir) return;
+        const rest = path.slice(prefix.length);
+        const slash = rest.indexOf('/');
+        const name = slash === -1 ? rest : rest.slice(0, slash);
+        const isDir = slash !== -1 || !this.isFile(fs, path);
+        children[name] = children[name] || isDir;
+      });
+      return Object.keys(children).sort().map(name => ({ name: name, isDir: children[name] }));
+    },
+
+    /**
+     * Every file at or below a path
+     * @param {Object} fs
+     * @param {string} path - A file, a directory, or '' for everything
+     * @returns {string[]}
+     */
+    filesUnder(fs, path) {
+      const prefix = path ? `${path}/` : '';
+      return Object.keys(fs.files).filter(file => file === path || file.startsWith(prefix)).sort();
+    },
+
+    /**
+     * Create or overwrite a file
+     * @param {Object} fs
+     * @param {string} path
+     * @param {string} content
+     */
+    writeFile(fs, path, content) {
+      fs.files[path] = content;
+    },
+
+    /**
+     * Remove a file or a directory with everything in it
+     * @param {Object} fs
+     * @param {string} path
+     */
+    remove(fs, path) {
+      const prefix = `${path}/`;
+      Object.keys(fs.files).forEach(file => {
+        if (file === path || file.startsWith(prefix)) delete fs.files[file];
+      });
+      Object.keys(fs.dirs).forEach(dir => {
+        if (dir === path || dir.startsWith(prefix)) delete fs.dirs[dir];
+      });
+    },
+
+    /**
+     * Create an (empty) directory
+     * @param {Object} fs
+     * @param {string} path
+     */
+    mkdir(fs, path) {
+      fs.dirs[path] = true;
+    }
+  };
+
+  // ============================================
+  // Ignore Rules (.gitignore)
+  // ============================================
+
+  const GitIgnore = {
+    /**
+     * Read the rules of one .gitignore file
+     * @param {string} content - File contents
+     * @param {string} base - Directory the file is in ('' for the root)
+     * @returns {Object[]} [{ pattern, negate, dirOnly, anchored, base, source, line, text }]
+     */
+    parse(content, base) {
+      const source = base ? `${base}/.gitignore` : '.gitignore';
+      const rules = [];
+      content.split('\n').forEach((raw, i) => {
+        // Trailing spaces don't count unless escaped with a backslash
+        const text = raw.replace(/\r$/, '').replace(/(^|[^\\])\s+$/, '$1');
+        if (!text || text.startsWith('#')) return;
+
+        let pattern = text;
+        const negate = pattern.startsWith('!');
+        if (negate) pattern = pattern.slice(1);
+        if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+        const dirOnly = pattern.endsWith('/');
+        if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+        // A slash anywhere but the end ties the pattern to this directory
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        if (!pattern) return;
+
+        rules.push({
+          pattern: pattern,
+          negate: negate,
+          dirOnly: dirOnly,
+          anchored: anchored,
+          base: base,
+          source: source,
+          line: i + 1,
+          text: text
+        });
+      });
+      return rules;
+    },
+
+    /**
+     * Every rule that can apply to a path: those of the .gitignore in the
+     * root and in each directory on the way down, deepest last
+     * @param {Object} fs
+     * @param {string} path
+     * @returns {Object[]}
+     */
+    rulesFor(fs, path) {
+      const dirs = [''];
+      const parts = path.split('/');
+      for (let i = 1; i < parts.length; i++) {
+        dirs.push(parts.slice(0, i).join('/'));
+      }
+      return dirs.reduce((rules, dir) => {
+        const file = dir ? `${dir}/.gitignore` : '.gitignore';
+        return VirtualFS.isFile(fs, file) ? rules.concat(this.parse(fs.files[file], dir)) : rules;
+      }, []);
+    },
+
+    /**
+     * The last rule that matches a path itself, ignoring its parent directories
+     * @param {Object} fs
+     * @param {string} path
+     * @param {boolean} isDir
+     * @returns {Object|null}
+     */
+    lastMatch(fs, path, isDir) {
+      let match = null;
+      this.rulesFor(fs, path).forEach(rule => {
+        if (rule.dirOnly && !isDir) return;
+        const relative = rule.base ? path.slice(rule.base.length + 1) : path;
+        const target = rule.anchored ? relative : relative.slice(relative.lastIndexOf('/') + 1);
+        if (GitRepo.wildmatch(rule.pattern, target, true)) match = rule;
+      });
+      return match;
+    },
+
+    /**
+     * Find the rule that decides whether a path is ignored. Once a
+     * directory is ignored, nothing inside it can be brought back.
+     * @param {Object} fs
+     * @param {string} path - Relative to the project root
+     * @param {boolean} [isDir] - Whether the path is a directory
+     * @returns {Object|null} The deciding rule (a negated one means "not
+     *   ignored"), or null when no rule matches
+     */
+    check(fs, path, isDir = false) {
+      const parts = path.split('/');
+      for (let i = 1; i < parts.length; i++) {
+        const rule = this.lastMatch(fs, parts.slice(0, i).join('/'), true);
+        if (rule && !rule.negate) return rule;
+      }
+      return this.lastMatch(fs, path, isDir);
+    },
+
+    /**
+     * Whether Git would ignore a path if it were untracked
+     * @param {Object} fs
+     * @param {string} path
+     * @param {boolean} [isDir]
+     * @returns {boolean}
+     */
+    isIgnored(fs, path, isDir = false) {
+      const rule = this.check(fs, path, isDir);
+      return Boolean(rule) && !rule.negate;
+    }
+  };
+
+  // ============================================
+  // Pathspecs
+  // ============================================
+
+  const Pathspec = {
+    /**
+     * Read one pathspec as typed: a path or directory, a wildcard pattern
+     * such as '*.css', and the magic prefixes ':!' / ':^' / ':(exclude)'
+     * (leave these out) and ':/' / ':(top)' (start at the project root)
+     * @param {string} arg
+     * @param {string} root - Absolute project path
+     * @param {string} cwd - Current directory relative to the root
+     * @returns {Object} { arg, path, exclude, wildcard } or { error }
+     */
+    parse(arg, root, cwd) {
+      let body = arg;
+      let exclude = false;
+      let top = false;
+      const magic = arg.match(/^:(?:\(([^)]*)\)|([!^/]*))(.*)$/);
+      if (magic) {
+        const words = magic[1] !== undefined
+          ? magic[1].split(',').map(word => word.trim())
+          : [...magic[2]].map(char => char === '/' ? 'top' : 'exclude');
+        for (const word of words) {
+          if (word === 'exclude') exclude = true;
+          else if (word === 'top') top = true;
+          else if (word) return { error: `fatal: Unimplemented pathspec magic '${word}' in '${arg}'` };
+        }
+        body = magic[3];
+      }
+
+      const path = VirtualFS.resolve(root, top ? '' : cwd, body || '.');
+      if (path === null) {
+        return { error: `fatal: ${arg}: '${arg}' is outside repository at '${root}'` };
+      }
+      return { arg: arg, path: path, exclude: exclude, wildcard: /[*?[]/.test(body) };
+    },
+
+    /**
+     * Whether one pathspec matches a path. As in Git, wildcards in a
+     * pathspec also match across '/', so '*.css' finds css/site.css.
+     * @param {Object} spec - From parse
+     * @param {string} path
+     * @returns {boolean}
+     */
+    matchOne(spec, path) {
+      if (spec.path === '' || path === spec.path || path.startsWith(`${spec.path}/`)) return true;
+      return spec.wildcard && GitRepo.wildmatch(spec.path, path);
+    },
+
+    /**
+     * Whether a path is picked by a list of pathspecs: matched by one of
+     * them (or by none needed when there are only exclusions) and by no
+     * exclusion
+     * @param {Object[]} specs
+     * @param {string} path
+     * @returns {boolean}
+     */
+    matches(specs, path) {
+      const include = specs.filter(spec => !spec.exclude);
+      return (include.length === 0 || include.some(spec => this.matchOne(spec, path))) &&
+        !specs.some(spec => spec.exclude && this.matchOne(spec, path));
+    }
+  };
+
+  // ============================================
+  // Command Line Parsing
+  // ============================================
+
+  const CommandLine = {
+    // Shell operators, longest first so "&&" wins over "&"
+    operators: ['&&', '||', '>>', '>', '<', ';', '|', '&'],
+
+    /**
+     * Split a command line into words and operators the way a POSIX
+     * shell does: quotes keep spaces inside a word, backslashes escape
+     * the next character, and operators only count outside quotes
+     * @param {string} line
+     * @returns {Object} { tokens: [{ type: 'word' | 'op', value }] } or { error }
+     */
+    tokenize(line) {
+      const tokens = [];
+      // null while between words; '' is a real (empty, quoted) word
+      let word = null;
+      const flush = () => {
+        if (word !== null) tokens.push({ type: 'word', value: word });
+        word = null;
+      };
+
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (/\s/.test(char)) {
+          flush();
+        } else if (char === "'") {
+          // Single quotes: everything up to the next ' is literal
+          const end = line.indexOf("'", i + 1);
+          if (end === -1) {
+            return { error: "bash: unexpected EOF while looking for matching `''" };
+          }
+          word = (word || '') + line.slice(i + 1, end);
+          i = end;
+        } else if (char === '"') {
+          // Double quotes: a backslash only escapes ", \, $ and `
+          let text = '';
+          let j = i + 1;
+          for (; j < line.length && line[j] !== '"'; j++) {
+            if (line[j] === '\\' && j + 1 < line.length && '"\\$`'.includes(line[j + 1])) j++;
+            text += line[j];
+          }
+          if (j >= line.length) {
+            return { error: 'bash: unexpected EOF while looking for matching `"\'' };
+          }
+          word = (word || '') + text;
+          i = j;
+        } else if (char === '\\') {
+          if (i + 1 < line.length) word = (word || '') + line[++i];
+        } else {
+          const operator = this.operators.find(op => line.startsWith(op, i));
+          if (operator) {
+            flush();
+            tokens.push({ type: 'op', value: operator });
+            i += operator.length - 1;
+          } else {
+            word = (word || '') + char;
+          }
+        }
+      }
+      flush();
+      return { tokens: tokens };
+    },
+
+    /**
+     * Parse a command line into simple commands joined by && or ;,
+     * each with an optional > or >> redirection
+     * @param {string} line
+     * @returns {Object} { commands: [{ words, redirect, connector }] } or { error }
+     */
+    parse(line) {
+      const { tokens, error } = this.tokenize(line);
+      if (error) return { error: error };
+
+      const commands = [];
+      const unexpected = value => ({ error: `bash: syntax error near unexpected token \`${value}'` });
+      let current = { words: [], redirect: null, connector: null };
+
+      for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === 'word') {
+          current.words.push(token.value);
+        } else if (token.value === '>' || token.value === '>>') {
+          const target = tokens[i + 1];
+          if (!target || target.type !== 'word') {
+            return unexpected(target ? target.value : 'newline');
+          }
+          current.redirect = { append: token.value === '>>', target: target.value };
+          i++;
+        } else if (token.value === '&&' || token.value === ';') {
+          if (current.words.length === 0 && !current.redirect) {
+            return unexpected(token.value);
+          }
+          current.connector = token.value;
+          commands.push(current);
+          current = { words: [], redirect: null, connector: null };
+        } else {
+          return { error: `bash: '${token.value}' is not supported in the playground
+
+Hint: Chain commands with '&&' (runs the next command only if this one worked) or ';' (runs it anyway).` };
+        }
+      }
+
+      if (current.words.length > 0 || current.redirect) {
+        commands.push(current);
+      } else if (commands.length > 0 && commands[commands.length - 1].connector === '&&') {
+        return { error: 'bash: syntax error: unexpected end of file' };
+      }
+      return { commands: commands };
+    },
+
+    /**
+     * Sort a command's arguments into options and operands with its
+     * declarative option spec, the way Git's parse-options does:
+     * bundled short flags (-am), attached or separate values (-mtext,
+     * -m text, --message=text, --message text), --no-<name> for
+     * negatable options, and -- to end option parsing
+     * @param {string[]} args
+     * @param {Object[]} spec - [{ name, short?, long?, value?, negatable?, repeat?, count?, set?, number? }]
+     *   value: takes an argument (its placeholder, e.g. '<msg>'); repeat: collect every use;
+     *   count: count uses (-vv); set: store this constant instead of true;
+     *   number: -<n> is short for this option with the value n (git log -3)
+     * @param {string} usage - Shown after a usage error
+     * @param {string} [program] - Shell tool name, for coreutils-style errors instead of Git's
+     * @returns {Object} { options, args } with operands after -- in options['--'], or { error }
+     */
+    parseOptions(args, spec, usage, program) {
+      const options = {};
+      const operands = [];
+      const fail = (gitMessage, toolMessage) => ({
+        error: program ? `${program}: ${toolMessage}\n${usage}` : `error: ${gitMessage}\n${usage}`
+      });
+      const assign = (option, value) => {
+        if (option.repeat) {
+          (options[option.name] = options[option.name] || []).push(value);
+        } else if (option.count) {
+          options[option.name] = (options[option.name] || 0) + 1;
+        } else {
+          options[option.name] = option.set !== undefined ? option.set : value;
+        }
+      };
+
+      for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+          options['--'] = args.slice(i + 1);
+          break;
+        }
+
+        if (arg.startsWith('--')) {
+          const equals = arg.indexOf('=');
+          const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+          const inline = equals === -1 ? undefined : arg.slice(equals + 1);
+          let option = spec.find(candidate => candidate.long === name);
+          if (!option && name.startsWith('no-')) {
+            const negated = spec.find(candidate => candidate.long === name.slice(3) && candidate.negatable);
+            if (negated) {
+              if (inline !== undefined) return fail(`option \`${name}' takes no value`, `option '--${name}' doesn't allow an argument`);
+              options[negated.name] = false;
+              continue;
+            }
+          }
+          if (!option) {
+            return fail(`unknown option \`${name}'`, `unrecognized option '--${name}'`);
+          }
+          if (!option.value) {
+            if (inline !== undefined) return fail(`option \`${name}' takes no value`, `option '--${name}' doesn't allow an argument`);
+            assign(option, true);
+            continue;
+          }
+          const value = inline !== undefined ? inline : args[++i];
+          if (value === undefined) {
+            return fail(`option \`${name}' requires a value`, `option '--${name}' requires an argument`);
+          }
+          assign(option, value);
+          continue;
+        }
+
+        const numbered = spec.find(candidate => candidate.number);
+        if (numbered && /^-\d+$/.test(arg)) {
+          assign(numbered, arg.slice(1));
+          continue;
+        }
+
+        if (arg.startsWith('-') && arg.length > 1) {
+          for (let j = 1; j < arg.length; j++) {
+            const flag = arg[j];
+            const option = spec.find(candidate => candidate.short === flag);
+            if (!option) {
+              return fail(`unknown switch \`${flag}'`, `invalid option -- '${flag}'`);
+            }
+            if (!option.value) {
+              assign(option, true);
+              continue;
+            }
+            // The rest of the bundle, or else the next argument, is the value
+            const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i];
+            if (value === undefined) {
+              return fail(`switch \`${flag}' requires a value`, `option requires an argument -- '${flag}'`);
+            }
+            assign(option, value);
+            break;
+          }
+          continue;
+        }
+
+        operands.push(arg);
+      }
+      return { options: options, args: operands };
+    },
+
+    /**
+     * What a command handler returns when it fails: its output, and the
+     * exit status that && and redirection look at. A handler that
+     * succeeds returns its output on its own.
+     * @param {string|Object|Array|null} output - See TerminalRenderer.render
+     * @returns {Object} { output, failed: true }
+     */
+    failure(output) {
+      return { output: output, failed: true };
+    },
+
+    /**
+     * What a handler returned, as { output, failed }
+     * @param {string|Object|Array|null} returned - Output, or a failure()
+     * @returns {Object} { output, failed }
+     */
+    result(returned) {
+      return returned && returned.failed === true ? returned : { output: returned === undefined ? null : returned, failed: false };
+    }
+  };
+
+  // ============================================
+  // Tab Completion
+  // ============================================
+
+  const Completion = {
+    /**
+     * Complete the word before the cursor. Command names, Git
+     * subcommands and flags come from the command registry, so new
+     * commands complete without any changes here.
+     * @param {Object} playground - GitPlayground
+     * @param {string} line - Input text up to the cursor
+     * @returns {Object} { word, candidates } where word is the raw text
+     *   being completed and candidates are [{ text, suffix }], sorted
+     */
+    complete(playground, line) {
+      // Only the last command of a chain matters
+      const segment = line.split(/&&|\|\||;/).pop();
+      const words = segment.match(/(?:\\.|\S)+/g) || [];
+      const word = /\s$/.test(segment) || words.length === 0 ? '' : words.pop();
+      const typed = this.unescape(word);
+
+      const seen = new Set();
+      const candidates = this.candidates(playground, words.map(this.unescape), typed)
+        .filter(candidate => {
+          if (!candidate.text.startsWith(typed) || seen.has(candidate.text)) return false;
+          seen.add(candidate.text);
+          return true;
+        })
+        .sort((a, b) => a.text.localeCompare(b.text));
+      return { word: word, candidates: candidates };
+    },
+
+    /**
+     * Everything that could go where the cursor is, before filtering
+     * @param {Object} playground
+     * @param {string[]} words - Complete words before the cursor, unescaped
+     * @param {string} typed - The partial word, unescaped
+     * @returns {Object[]} [{ text, suffix }]
+     */
+    candidates(playground, words, typed) {
+      const commands = playground.commands;
+      const word = text => ({ text: text, suffix: ' ' });
+
+      if (words.length === 0) {
+        return Object.keys(commands).map(name => word(name.split(' ')[0]));
+      }
+      if (words[0] === 'git' && words.length === 1) {
+        const aliases = Object.keys(Object.assign({}, playground.state.config, playground.state.repo ? playground.state.repo.config : {}))
+          .filter(key => key.startsWith('alias.'))
+          .map(key => word(key.slice(6)));
+        return Object.keys(commands)
+          .filter(name => name.startsWith('git '))
+          .map(name => word(name.slice(4)))
+          .concat(aliases);
+      }
+
+      const name = words[0] === 'git' ? `git ${words[1]}` : words[0];
+      const command = commands[name];
+      if (!command) return [];
+      const spec = command.options || [];
+      const operands = words.slice(words[0] === 'git' ? 2 : 1);
+
+      if (typed.startsWith('-') && !operands.includes('--')) {
+        const flags = [];
+        spec.forEach(option => {
+          if (option.long) {
+            flags.push(option.value ? { text: `--${option.long}=`, suffix: '' } : word(`--${option.long}`));
+            if (option.negatable) flags.push(word(`--no-${option.long}`));
+          }
+          if (option.short) flags.push(word(`-${option.short}`));
+        });
+        return flags;
+      }
+
+      // The value of an option like -m <msg> is free text
+      const previous = operands[operands.length - 1];
+      const valueOption = previous && /^-/.test(previous) && spec.find(option => option.value &&
+        (previous === `--${option.long}` || (option.short && new RegExp(`^-[^-]*${option.short}$`).test(previous))));
+      if (valueOption) {
+        return valueOption.complete ? this.kind(playground, valueOption.complete, typed) : [];
+      }
+
+      if (command.subcommands && operands.every(operand => operand.startsWith('-'))) {
+        return command.subcommands.map(word);
+      }
+      return (command.completion || ['paths'])
+        .reduce((all, kind) => all.concat(this.kind(playground, kind, typed)), []);
+    },
+
+    /**
+     * Candidates of one kind: 'refs', 'remotes', 'stashes' or 'paths'
+     * @param {Object} playground
+     * @param {string} kind
+     * @param {string} typed - The partial word, unescaped
+     * @returns {Object[]} [{ text, suffix }]
+     */
+    kind(playground, kind, typed) {
+      const repo = playground.state.repo;
+      if (kind === 'refs') {
+        if (!repo) return [];
+        const names = Object.keys(repo.refs).map(ref => ref.replace(/^refs\/((heads|tags|remotes)\/)?/, ''));
+        return names.concat('HEAD').map(name => ({ text: name, suffix: ' ' }));
+      }
+      if (kind === 'remotes') {
+        return repo ? playground.remoteNames().map(name => ({ text: name, suffix: ' ' })) : [];
+      }
+      if (kind === 'stashes') {
+        const entries = repo ? repo.reflog['refs/stash'] || [] : [];
+        return entries.map((entry, i) => ({ text: `stash@{${i}}`, suffix: ' ' }));
+      }
+
+      // Paths: list the directory the partial word points into
+      const slash = typed.lastIndexOf('/');
+      const dirPart = typed.slice(0, slash + 1);
+      const dir = playground.resolvePath(dirPart || '.');
+      const fs = playground.state.fs;
+      if (dir === null || !VirtualFS.isDir(fs, dir)) return [];
+      const showHidden = typed.slice(slash + 1).startsWith('.');
+      return VirtualFS.list(fs, dir)
+        .filter(child => showHidden || !child.name.startsWith('.'))
+        .map(child => ({ text: dirPart + child.name, suffix: child.isDir ? '/' : ' ' }));
+    },
+
+    /**
+     * The longest prefix all candidates share
+     * @param {Object[]} candidates
+     * @returns {string}
+     */
+    commonPrefix(candidates) {
+      return candidates.map(candidate => candidate.text).reduce((prefix, text) => {
+        let i = 0;
+        while (i < prefix.length && prefix[i] === text[i]) i++;
+        return prefix.slice(0, i);
+      });
+    },
+
+    /**
+     * Backslash-escape characters the shell would otherwise split on
+     * @param {string} text
+     * @returns {string}
+     */
+    escape(text) {
+      return text.replace(/([\s'"\\&;|<>])/g, '\\$1');
+    },
+
+    /**
+     * Undo escape()
+     * @param {string} text
+     * @returns {string}
+     */
+    unescape(text) {
+      return text.replace(/\\(.)/g, '$1');
+    }
+  };
+
+  // ============================================
+  // Terminal Output Rendering
+  // ============================================
+
+  const TerminalRenderer = {
+    // Escape sequences: CSI (colours, cursor moves), OSC (titles, links) and stray ESCs
+    escapePattern: /\x1b\[([0-9;:]*)([\x40-\x7e])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b/g,
+
+    // Abbreviated or full commit IDs worth turning into links
+    hashPattern: /\b[0-9a-f]{7,40}\b/g,
+
+    /**
+     * A table block: rendered as an HTML table, or as aligned columns
+     * when written to a file
+     * @param {Array<string[]>} rows - Cell text, which may contain SGR codes
+     * @param {Object} [options] - { header: string[], separator: string }
+     *   A separator (e.g. '\t') replaces the padding in the text form
+     * @returns {Object} Block
+     */
+    table(rows, options = {}) {
+      return { type: 'table', rows: rows, header: options.header || null, separator: options.separator || null };
+    },
+
+    /**
+     * A diff block: `git diff` output whose lines are styled by kind
+     * @param {string[]} lines - Patch lines, which may contain SGR codes
+     * @returns {Object} Block
+     */
+    diff(lines) {
+      return { type: 'diff', lines: lines };
+    },
+
+    /**
+     * Remove every escape sequence, leaving the plain text
+     * @param {string} text
+     * @returns {string}
+     */
+    strip(text) {
+      return text.replace(this.escapePattern, '');
+    },
+
+    /**
+     * Plain text of command output, as `>` writes it
+     * @param {string|Object|Array|null} output - Text, a block, or a list of both
+     * @returns {string|null}
+     */
+    toText(output) {
+      if (output === null || output === undefined) return null;
+      if (Array.isArray(output)) {
+        return output.map(part => this.toText(part)).filter(part => part !== null).join('\n');
+      }
+      if (typeof output === 'string') return output;
+      if (output.type === 'diff') return output.lines.join('\n');
+
+      const rows = (output.header ? [output.header] : []).concat(output.rows);
+      if (output.separator) {
+        return rows.map(row => row.join(output.separator)).join('\n');
+      }
+      const widths = [];
+      rows.forEach(row => row.forEach((cell, i) => {
+        widths[i] = Math.max(widths[i] || 0, this.strip(cell).length);
+      }));
+      return rows.map(row => row.map((cell, i) => {
+        const pad = i === row.length - 1 ? 0 : widths[i] - this.strip(cell).length + 2;
+        return cell + ' '.repeat(pad);
+      }).join('')).join('\n');
+    },
+
+    /**
+     * Split text into runs that share one style, following SGR codes
+     * (bold, dim, italic, underline, inverse, strike, 16/256/24-bit colour)
+     * and dropping every other escape sequence
+     * @param {string} text
+     * @returns {Object[]} [{ text, style }]
+     */
+    parse(text) {
+      const runs = [];
+      let style = {};
+      let last = 0;
+      const push = end => {
+        if (end > last) runs.push({ text: text.slice(last, end), style: style });
+      };
+
+      text.replace(this.escapePattern, (match, params, final, offset) => {
+        push(offset);
+        last = offset + match.length;
+        if (final === 'm') {
+          style = this.applySgr(style, params);
+        }
+        return match;
+      });
+      push(text.length);
+      return runs;
+    },
+
+    /**
+     * Apply the parameters of one SGR sequence to a style
+     * @param {Object} style - Current style (not modified)
+     * @param {string} params - e.g. '1;31' or '38;5;208'
+     * @returns {Object} New style
+     */
+    applySgr(style, params) {
+      const next = Object.assign({}, style);
+      const codes = (params || '0').split(/[;:]/).map(code => parseInt(code, 10) || 0);
+      const flags = { 1: 'bold', 2: 'dim', 3: 'italic', 4: 'underline', 7: 'inverse', 9: 'strike' };
+      const resets = { 22: ['bold', 'dim'], 23: ['italic'], 24: ['underline'], 27: ['inverse'], 29: ['strike'] };
+
+      for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+          Object.keys(next).forEach(key => delete next[key]);
+        } else if (flags[code]) {
+          next[flags[code]] = true;
+        } else if (resets[code]) {
+          resets[code].forEach(key => delete next[key]);
+        } else if (code >= 30 && code <= 37) {
+          next.fg = code - 30;
+        } else if (code >= 90 && code <= 97) {
+          next.fg = code - 90 + 8;
+        } else if (code >= 40 && code <= 47) {
+          next.bg = code - 40;
+        } else if (code >= 100 && code <= 107) {
+          next.bg = code - 100 + 8;
+        } else if (code === 39) {
+          delete next.fg;
+        } else if (code === 49) {
+          delete next.bg;
+        } else if (code === 38 || code === 48) {
+          // 38;5;<n> picks from the 256-colour palette, 38;2;<r>;<g>;<b> is 24-bit
+          const key = code === 38 ? 'fg' : 'bg';
+          if (codes[i + 1] === 5 && i + 2 < codes.length) {
+            next[key] = Math.min(codes[i + 2], 255);
+            i += 2;
+          } else if (codes[i + 1] === 2 && i + 4 < codes.length) {
+            next[key] = codes.slice(i + 2, i + 5).map(value => Math.min(value, 255));
+            i += 4;
+          } else {
+            break;
+          }
+        }
+      }
+      return next;
+    },
+
+    /**
+     * CSS colour for a palette index or an [r, g, b] triple. The first
+     * 16 colours come from the theme; the rest follow xterm's palette.
+     * @param {number|number[]} color
+     * @returns {string}
+     */
+    cssColor(color) {
+      if (Array.isArray(color)) {
+        return `rgb(${color.join(', ')})`;
+      }
+      if (color < 16) {
+        return `var(--ansi-${color})`;
+      }
+      if (color >= 232) {
+        const level = 8 + (color - 232) * 10;
+        return `rgb(${level}, ${level}, ${level})`;
+      }
+      const steps = [0, 95, 135, 175, 215, 255];
+      const index = color - 16;
+      return `rgb(${steps[Math.floor(index / 36)]}, ${steps[Math.floor(index / 6) % 6]}, ${steps[index % 6]})`;
+    },
+
+    /**
+     * Render command output. All text goes in as text nodes, so markup
+     * in file names or commit messages is shown, never interpreted.
+     * @param {string|Object|Array|null} output - Text, a block, or a list of both
+     * @param {Object} [options] - { commitFor(token) }: returns the full ID
+     *   of the commit an abbreviated hash names, to render it as a link
+     * @returns {DocumentFragment}
+     */
+    render(output, options = {}) {
+      const fragment = document.createDocumentFragment();
+      if (output === null || output === undefined) return fragment;
+
+      if (Array.isArray(output)) {
+        output.forEach(part => {
+          const element = document.createElement('div');
+          element.className = 'output-part';
+          element.appendChild(this.render(part, options));
+          fragment.appendChild(element);
+        });
+      } else if (typeof output === 'string') {
+        this.appendText(fragment, output, options);
+      } else if (output.type === 'diff') {
+        fragment.appendChild(this.renderDiff(output, options));
+      } else if (output.type === 'table') {
+        fragment.appendChild(this.renderTable(output, options));
+      }
+      return fragment;
+    },
+
+    /**
+     * Append styled runs of text, with commit IDs as links
+     * @param {Node} parent
+     * @param {string} text
+     * @param {Object} options - See render
+     */
+    appendText(parent, text, options) {
+      this.parse(text).forEach(run => {
+        let target = parent;
+        const style = run.style;
+        if (Object.keys(style).length > 0) {
+          const span = document.createElement('span');
+          ['bold', 'dim', 'italic', 'underline', 'strike'].forEach(flag => {
+            if (style[flag]) span.classList.add(`ansi-${flag}`);
+          });
+          let fg = style.fg !== undefined ? this.cssColor(style.fg) : null;
+          let bg = style.bg !== undefined ? this.cssColor(style.bg) : null;
+          if (style.inverse) {
+            [fg, bg] = [bg || 'var(--color-terminal-bg)', fg || 'var(--color-terminal-text)'];
+          }
+          if (fg) span.style.color = fg;
+          if (bg) span.style.backgroundColor = bg;
+          parent.appendChild(span);
+          target = span;
+        }
+        this.appendLinked(target, run.text, options);
+      });
+    },
+
+    /**
+     * Append text, turning abbreviated commit IDs into buttons
+     * @param {Node} parent
+     * @param {string} text
+     * @param {Object} options - See render
+     */
+    appendLinked(parent, text, options) {
+      let last = 0;
+      if (options.commitFor) {
+        text.replace(this.hashPattern, (token, offset) => {
+          const hash = options.commitFor(token);
+          if (hash) {
+            if (offset > last) parent.appendChild(document.createTextNode(text.slice(last, offset)));
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'output-commit-link';
+            link.dataset.hash = hash;
+            link.title = `Show commit ${hash.substring(0, 7)} in the graph`;
+            link.textContent = token;
+            parent.appendChild(link);
+            last = offset + token.length;
+          }
+          return token;
+        });
+      }
+      if (last < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(last)));
+      }
+    },
+
+    /**
+     * Render a diff block, one element per line, classed by kind so
+     * added and removed lines get a full-width background
+     * @param {Object} block
+     * @param {Object} options - See render
+     * @returns {HTMLElement}
+     */
+    renderDiff(block, options) {
+      const container = document.createElement('div');
+      container.className = 'output-diff';
+      block.lines.forEach(line => {
+        const plain = this.strip(line);
+        let kind = 'context';
+        if (/^(diff --git|index |new file|deleted file|old mode|new mode|--- |\+\+\+ )/.test(plain)) kind = 'meta';
+        else if (plain.startsWith('@@')) kind = 'hunk';
+        else if (plain.startsWith('+')) kind = 'add';
+        else if (plain.startsWith('-')) kind = 'delete';
+
+        const element = document.createElement('div');
+        element.className = `diff-line diff-${kind}`;
+        if (kind === 'meta' && plain.startsWith('diff --git')) {
+          element.classList.add('diff-file');
+        }
+        this.appendText(element, line || ' ', options);
+        container.appendChild(element);
+      });
+      return container;
+    },
+
+    /**
+     * Render a table block
+     * @param {Object} block
+     * @param {Object} options - See render
+     * @returns {HTMLElement}
+     */
+    renderTable(block, options) {
+      const table = document.createElement('table');
+      table.className = 'output-table';
+      const addRow = (section, cells, tag) => {
+        const row = document.createElement('tr');
+        cells.forEach(cell => {
+          const element = document.createElement(tag);
+          if (tag === 'th') element.scope = 'col';
+          this.appendText(element, cell, options);
+          row.appendChild(element);
+        });
+        section.appendChild(row);
+      };
+      if (block.header) {
+        addRow(table.createTHead(), block.header, 'th');
+      }
+      const body = table.createTBody();
+      block.rows.forEach(cells => addRow(body, cells, 'td'));
+      return table;
+    }
+  };
+
+  // ============================================
+  // Saving and Sharing
+  // ============================================
+
+  const Snapshot = {
+    format: 'xdas-git-playground',
+
+    // Bump when the state shape changes in a way upgrade() has to handle
+    version: 1,
+
+    // URL fragment that carries a shared snapshot
+    fragmentKey: 'snapshot',
+
+    /**
+     * Wrap the playground state in a versioned snapshot
+     * @param {Object} state - GitPlayground state
+     * @returns {Object}
+     */
+    create(state) {
+      return {
+        format: this.format,
+        version: this.version,
+        savedAt: new Date().toISOString(),
+        state: state
+      };
+    },
+
+    /**
+     * Check a snapshot read from a file, a link or localStorage and
+     * bring it up to the current version
+     * @param {*} data - Parsed JSON
+     * @returns {Object} { state } or { error }
+     */
+    read(data) {
+      if (!data || typeof data !== 'object' || data.format !== this.format) {
+        return { error: 'This is not a Git Playground snapshot.' };
+      }
+      if (!Number.isInteger(data.version) || data.version < 1) {
+        return { error: 'The snapshot has no valid version number.' };
+      }
+      if (data.version > this.version) {
+        return { error: `The snapshot was made by a newer version of the playground (format ${data.version}). Reload the page to update it.` };
+      }
+
+      const state = data.state;
+      const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      const nested = isMap(state) ? state.nested : null;
+      const problem = this.checkWorkspace(state) || (
+        state.config !== undefined && !this.checkConfig(state.config) ? 'config' :
+        !isMap(state.servers) || Object.values(state.servers).some(server => this.checkRepo(server)) ? 'remotes' :
+        nested != null && (!isMap(nested) || typeof nested.entered !== 'boolean' || typeof nested.path !== 'string' ||
+          !nested.path || VirtualFS.resolve('/', '', nested.path) !== nested.path ||
+          this.checkWorkspace(nested.workspace)) ? 'clone' :
+        null);
+      if (problem) {
+        return { error: `The snapshot is damaged (bad ${problem}).` };
+      }
+      [state, nested && nested.workspace].forEach(workspace => {
+        if (workspace && !VirtualFS.isDir(workspace.fs, workspace.cwd)) {
+          workspace.cwd = '';
+        }
+      });
+      return { state: this.upgrade(state) };
+    },
+
+    /**
+     * Find what is wrong with one project in a snapshot: the active one,
+     * or the other side of a clone in a subdirectory
+     * @param {*} workspace - { initialized, fs, cwd, workingDirectory, repo }
+     * @returns {string|null} What is bad, or null if it looks sound
+     */
+    checkWorkspace(workspace) {
+      const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      return !isMap(workspace) ? 'state' :
+        typeof workspace.initialized !== 'boolean' ? 'initialized' :
+        !isMap(workspace.fs) || !isMap(workspace.fs.files) || !isMap(workspace.fs.dirs) ||
+          Object.values(workspace.fs.files).some(content => typeof content !== 'string') ? 'files' :
+        typeof workspace.cwd !== 'string' || typeof workspace.workingDirectory !== 'string' ||
+          !/^(\/[^/]+)+$/.test(workspace.workingDirectory) ? 'working directory' :
+        workspace.initialized !== Boolean(workspace.repo) || (workspace.repo && this.checkRepo(workspace.repo)) ? 'repository' :
+        null;
+    },
+
+    /**
+     * Find what is wrong with a repository in a snapshot
+     * @param {*} repo
+     * @returns {string|null} Description of the problem, or null if it looks sound
+     */
+    checkRepo(repo) {
+      const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      if (!isMap(repo) || !isMap(repo.objects) || !isMap(repo.refs) || typeof repo.HEAD !== 'string') {
+        return 'shape';
+      }
+      if (Object.values(repo.objects).some(object => !this.checkObject(repo, object))) {
+        return 'objects';
+      }
+      const isCommit = hash => typeof hash === 'string' && isMap(repo.objects[hash]) && repo.objects[hash].type === 'commit';
+      // A ref may name an annotated tag, which has to lead to a commit in the end
+      const leadsToCommit = hash => {
+        const seen = new Set();
+        while (isMap(repo.objects[hash]) && repo.objects[hash].type === 'tag' && !seen.has(hash)) {
+          seen.add(hash);
+          hash = repo.objects[hash].object;
+        }
+        return isCommit(hash);
+      };
+      if (Object.values(repo.refs).some(hash => !leadsToCommit(hash))) {
+        return 'refs';
+      }
+      if (!repo.HEAD.startsWith('ref: refs/heads/') && !isCommit(repo.HEAD)) {
+        return 'HEAD';
+      }
+      // Staged files are { mode, hash } pointing at a blob; a conflict keeps one per side, or null
+      const isFile = entry => isMap(entry) && typeof entry.mode === 'string' &&
+        isMap(repo.objects[entry.hash]) && repo.objects[entry.hash].type === 'blob';
+      if (!isMap(repo.index) || Object.values(repo.index).some(entry => !isFile(entry))) {
+        return 'index';
+      }
+      if (!isMap(repo.unmerged) || Object.values(repo.unmerged).some(stages => !isMap(stages) ||
+          ['base', 'ours', 'theirs'].some(side => stages[side] !== null && !isFile(stages[side])))) {
+        return 'unmerged';
+      }
+
+      // The rest may be missing from an older snapshot, and upgrade() fills it in
+      const optional = (value, check) => value === undefined || check(value);
+      const isCommits = value => Array.isArray(value) && value.every(isCommit);
+      if (!optional(repo.reflog, reflog => isMap(reflog) && Object.values(reflog).every(entries => Array.isArray(entries) &&
+          entries.every(entry => isMap(entry) && (entry.old === null || isCommit(entry.old)) && isCommit(entry.new) &&
+            typeof entry.message === 'string')))) {
+        return 'reflog';
+      }
+      if (!optional(repo.config, config => this.checkConfig(config))) {
+        return 'config';
+      }
+      if (!optional(repo.mergeHead, hash => hash === null || isCommit(hash)) ||
+          !optional(repo.mergeMsg, message => message === null || typeof message === 'string')) {
+        return 'merge';
+      }
+      if (!optional(repo.sequencer, sequencer => sequencer === null || (isMap(sequencer) &&
+          ['rebase', 'cherry-pick', 'revert'].includes(sequencer.operation) && typeof sequencer.interactive === 'boolean' &&
+          (sequencer.headName === null || typeof sequencer.headName === 'string') &&
+          isCommit(sequencer.origHead) && isCommit(sequencer.onto) &&
+          Array.isArray(sequencer.todo) && sequencer.todo.every(step => isMap(step) && typeof step.action === 'string' &&
+            isCommit(step.hash) && (step.message === undefined || typeof step.message === 'string')) &&
+          (sequencer.current === null || (isMap(sequencer.current) && typeof sequencer.current.action === 'string' &&
+            isCommit(sequencer.current.hash) && typeof sequencer.current.message === 'string' && isCommit(sequencer.current.startHead))) &&
+          Array.isArray(sequencer.rewritten) && sequencer.rewritten.every(step => isMap(step) &&
+            isCommit(step.from) && (step.to === null || isCommit(step.to)))))) {
+        return 'sequencer';
+      }
+      if (!optional(repo.bisect, bisect => bisect === null || (isMap(bisect) && typeof bisect.start === 'string' &&
+          (bisect.bad === null || isCommit(bisect.bad)) && isCommits(bisect.good) && isCommits(bisect.skip) &&
+          Array.isArray(bisect.log) && bisect.log.every(line => typeof line === 'string')))) {
+        return 'bisect';
+      }
+      return null;
+    },
+
+    /**
+     * Whether git config settings in a snapshot, the repository's or the
+     * global ones, map each name to a string
+     * @param {*} config
+     * @returns {boolean}
+     */
+    checkConfig(config) {
+      return Boolean(config) && typeof config === 'object' && !Array.isArray(config) &&
+        Object.values(config).every(value => typeof value === 'string');
+    },
+
+    /**
+     * Whether an object in a snapshot has every field the playground
+     * reads, and points only at objects of the right type
+     * @param {Object} repo
+     * @param {*} object
+     * @returns {boolean}
+     */
+    checkObject(repo, object) {
+      const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      const points = (hash, type) => typeof hash === 'string' && isMap(repo.objects[hash]) &&
+        (!type || repo.objects[hash].type === type);
+      const isPerson = person => isMap(person) && typeof person.name === 'string' &&
+        typeof person.email === 'string' && Number.isFinite(person.timestamp) && typeof person.timezone === 'string';
+      if (!isMap(object)) return false;
+
+      switch (object.type) {
+        case 'blob':
+          return typeof object.content === 'string';
+        case 'tree':
+          return Array.isArray(object.entries) && object.entries.every(entry =>
+            isMap(entry) && typeof entry.mode === 'string' && typeof entry.name === 'string' && entry.name !== '' &&
+            points(entry.hash, entry.mode === '40000' ? 'tree' : 'blob'));
+        case 'commit':
+          return points(object.tree, 'tree') && Array.isArray(object.parents) &&
+            object.parents.every(parent => points(parent, 'commit')) &&
+            isPerson(object.author) && isPerson(object.committer) && typeof object.message === 'string';
+        case 'tag':
+          return points(object.object) && typeof object.objectType === 'string' && typeof object.tag === 'string' &&
+            isPerson(object.tagger) && typeof object.message === 'string';
+        default:
+          return false;
+      }
+    },
+
+    /**
+     * Fill in whatever an older snapshot lacks, so state added since
+     * (new settings, new kinds of refs) starts out empty
+     * @param {Object} state
+     * @returns {Object}
+     */
+    upgrade(state) {
+      const withDefaults = repo => repo && Object.assign(GitRepo.create(), repo);
+      const servers = {};
+      Object.keys(state.servers).forEach(url => {
+        servers[url] = withDefaults(state.servers[url]);
+      });
+      const nested = state.nested && Object.assign({}, state.nested, {
+        workspace: Object.assign({}, state.nested.workspace, { repo: withDefaults(state.nested.workspace.repo) })
+      });
+      return Object.assign({ config: {}, teammateCommits: 0, challenge: null }, state, {
+        repo: withDefaults(state.repo),
+        servers: servers,
+        nested: nested || null
+      });
+    },
+
+    /**
+     * Encode a snapshot for a URL fragment: deflate-compressed where the
+     * browser supports CompressionStream, then base64url
+     * @param {Object} snapshot
+     * @returns {Promise<string>} e.g. 'z.eNqr...'
+     */
+    async encode(snapshot) {
+      let bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+      let method = 'j';
+      if (typeof CompressionStream === 'function') {
+        bytes = await this.pipe(bytes, new CompressionStream('deflate-raw'));
+        method = 'z';
+      }
+      let binary = '';
+      bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+      });
+      const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      return `${method}.${base64}`;
+    },
+
+    /**
+     * Decode what encode() produced
+     * @param {string} text
+     * @returns {Promise<Object>} { state } or { error }
+     */
+    async decode(text) {
+      const match = text.match(/^([jz])\.([A-Za-z0-9_-]+)$/);
+      if (!match) {
+        return { error: 'The link does not contain a snapshot. It may have been cut short.' };
+      }
+      try {
+        const binary = atob(match[2].replace(/-/g, '+').replace(/_/g, '/'));
+        let bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        if (match[1] === 'z') {
+          if (typeof DecompressionStream !== 'function') {
+            return { error: 'This browser cannot open compressed links. Try a current version of Chrome, Firefox or Safari.' };
+          }
+          bytes = await this.pipe(bytes, new DecompressionStream('deflate-raw'));
+        }
+        return this.read(JSON.parse(new TextDecoder().decode(bytes)));
+      } catch (e) {
+        return { error: 'The link is damaged. It may have been cut short.' };
+      }
+    },
+
+    /**
+     * Run bytes through a compression or decompression stream
+     * @param {Uint8Array} bytes
+     * @param {TransformStream} transform
+     * @returns {Promise<Uint8Array>}
+     */
+    async pipe(bytes, transform) {
+      const stream = new Blob([bytes]).stream().pipeThrough(transform);
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+  };
+
+  // ============================================
+  // Commit Graph Visualization
+  // ============================================
+
+  const CommitGraph = {
+    SVG_NS: 'http://www.w3.org/2000/svg',
+
+    // Drawing geometry, in SVG user units
+    rowHeight: 28,
+    laneWidth: 16,
+    padding: 14,
+    charWidth: 6.6,
+
+    // Lane colours, cycled by column
+    laneColors: ['#1f883d', '#0969da', '#bf3989', '#bc4c00', '#8250df', '#1b7c83'],
+
+    // Where commits and ref labels were drawn last time, to animate from
+    positions: {},
+    labelPositions: {},
+
+    // Commit shown in the details pane
+    selected: null,
+
+    /**
+     * Find the graph panel
+     * @param {GitPlayground} playground - Receives commands picked from the details pane
+     * @returns {boolean} Whether the playground has a graph panel
+     */
+    init(playground) {
+      this.container = playground.root.querySelector('.commit-graph');
+      if (!this.container) return false;
+
+      this.playground = playground;
+      this.canvas = this.container.querySelector('.commit-graph-canvas');
+      this.details = this.container.querySelector('.commit-graph-details');
+      return true;
+    },
+
+    /**
+     * Redraw the graph for the current repository
+     * @param {Object|null} repo - null before git init
+     */
+    render(repo) {
+      if (!this.canvas) return;
+
+      const head = repo ? GitRepo.headCommit(repo) : null;
+      if (!repo || (!head && !Object.keys(repo.refs).length)) {
+        this.positions = {};
+        this.labelPositions = {};
+        this.showDetails(null);
+        this.canvas.replaceChildren(this.message(repo
+          ? 'No commits yet. Your first commit will appear here.'
+          : 'No repository yet. Run "git init" or "git clone" and your commits will appear here.'));
+        return;
+      }
+
+      const layout = this.layout(repo);
+      const svg = this.draw(repo, layout);
+      this.canvas.replaceChildren(svg);
+      this.animate(svg);
+
+      if (this.selected && !layout.rows.some(row => row.hash === this.selected)) {
+        this.showDetails(null);
+      } else if (this.selected) {
+        this.showDetails(repo, this.selected);
+      }
+    },
+
+    /**
+     * Placeholder text for an empty graph
+     * @param {string} text
+     * @returns {HTMLElement}
+     */
+    message(text) {
+      const element = document.createElement('p');
+      element.className = 'commit-graph-empty';
+      element.textContent = text;
+      return element;
+    },
+
+    /**
+     * Commits a ref or HEAD points at, oldest first so that the newest
+     * ends up on top of the graph and HEAD wins ties
+     * @param {Object} repo
+     * @returns {string[]}
+     */
+    tips(repo) {
+      const head = GitRepo.headCommit(repo);
+      const time = hash => GitRepo.readObject(repo, hash).committer.timestamp;
+      // Stash entries are side commits of their own, so leave them out
+      const tips = [...new Set(Object.keys(repo.refs).filter(ref => ref !== 'refs/stash').map(ref => GitRepo.peel(repo, repo.refs[ref])))]
+        .filter(hash => hash !== head && GitRepo.readObject(repo, hash).type === 'commit')
+        .sort((a, b) => time(a) - time(b));
+      return head ? tips.concat(head) : tips;
+    },
+
+    /**
+     * Put every reachable commit on a row, children above parents,
+     * and give each one a column ("lane") the way `git log --graph` does
+     * @param {Object} repo
+     * @returns {Object} { rows: [{ hash, row, col }], edges: [{ from, to, lane }], lanes }
+     */
+    layout(repo) {
+      // Depth-first, parents before children; reversed, so children come first
+      const order = [];
+      const seen = new Set();
+      this.tips(repo).forEach(tip => {
+        if (seen.has(tip)) return;
+        seen.add(tip);
+        const stack = [{ hash: tip, next: 0 }];
+        while (stack.length) {
+          const frame = stack[stack.length - 1];
+          const parents = GitRepo.readObject(repo, frame.hash).parents;
+          if (frame.next < parents.length) {
+            const parent = parents[frame.next++];
+            if (!seen.has(parent)) {
+              seen.add(parent);
+              stack.push({ hash: parent, next: 0 });
+            }
+          } else {
+            order.push(stack.pop().hash);
+          }
+        }
+      });
+      order.reverse();
+
+      // lanes[i] is the commit the line in column i is heading down to
+      const lanes = [];
+      const freeLane = () => {
+        const index = lanes.indexOf(null);
+        return index === -1 ? lanes.push(null) - 1 : index;
+      };
+      const rows = [];
+      const edges = [];
+      let width = 1;
+
+      order.forEach((hash, row) => {
+        let col = lanes.indexOf(hash);
+        if (col === -1) col = freeLane();
+        // Other lines heading for this commit end here
+        lanes.forEach((waiting, i) => {
+          if (waiting === hash) lanes[i] = null;
+        });
+
+        GitRepo.readObject(repo, hash).parents.forEach((parent, i) => {
+          let lane = col;
+          if (i === 0) {
+            lanes[col] = parent;
+          } else {
+            lane = lanes.indexOf(parent);
+            if (lane === -1) {
+              lane = freeLane();
+              lanes[lane] = parent;
+            }
+          }
+          edges.push({ from: hash, to: parent, lane: lane });
+        });
+
+        while (lanes.length && lanes[lanes.length - 1] === null) lanes.pop();
+        rows.push({ hash: hash, row: row, col: col });
+        width = Math.max(width, col + 1, lanes.length);
+      });
+
+      return { rows: rows, edges: edges, lanes: width };
+    },
+
+    /**
+     * Ref labels by commit: HEAD, branches, remote-tracking branches and tags
+     * @param {Object} repo
+     * @returns {Object} hash -> [{ key, text, kind }]
+     */
+    labels(repo) {
+      const labels = {};
+      const add = (hash, label) => {
+        (labels[hash] = labels[hash] || []).push(label);
+      };
+      const headRef = GitRepo.headRef(repo);
+      if (!headRef && repo.HEAD) {
+        add(repo.HEAD, { key: 'HEAD', text: 'HEAD', kind: 'head' });
+      }
+      Object.keys(repo.refs).sort().forEach(ref => {
+        const hash = GitRepo.peel(repo, repo.refs[ref]);
+        if (ref.startsWith('refs/heads/')) {
+          const name = ref.slice(11);
+          add(hash, ref === headRef
+            ? { key: ref, text: `HEAD → ${name}`, kind: 'head' }
+            : { key: ref, text: name, kind: 'branch' });
+        } else if (ref.startsWith('refs/remotes/')) {
+          add(hash, { key: ref, text: ref.slice(13), kind: 'remote' });
+        } else if (ref.startsWith('refs/tags/')) {
+          add(hash, { key: ref, text: `tag: ${ref.slice(10)}`, kind: 'tag' });
+        }
+      });
+      // HEAD's label first, as in git log
+      Object.values(labels).forEach(list => list.sort((a, b) => (b.kind === 'head') - (a.kind === 'head')));
+      return labels;
+    },
+
+    /**
+     * Create an SVG element
+     * @param {string} name
+     * @param {Object} attributes
+     * @returns {SVGElement}
+     */
+    svgElement(name, attributes = {}) {
+      const element = document.createElementNS(this.SVG_NS, name);
+      Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+      return element;
+    },
+
+    /**
+     * Build the SVG for a layout
+     * @param {Object} repo
+     * @param {Object} layout - From layout()
+     * @returns {SVGElement}
+     */
+    draw(repo, layout) {
+      const { rowHeight, laneWidth, padding, charWidth } = this;
+      const point = (col, row) => ({ x: padding + col * laneWidth, y: padding + row * rowHeight });
+      const color = col => this.laneColors[col % this.laneColors.length];
+      const byHash = {};
+      layout.rows.forEach(row => {
+        byHash[row.hash] = row;
+      });
+
+      const head = GitRepo.headCommit(repo);
+      const labels = this.labels(repo);
+      const textX = padding + layout.lanes * laneWidth;
+      let width = textX;
+
+      const svg = this.svgElement('svg', { class: 'commit-graph-svg', role: 'list' });
+      const edgeGroup = this.svgElement('g', { class: 'graph-edges' });
+      const commitGroup = this.svgElement('g', { class: 'graph-commits' });
+      const labelGroup = this.svgElement('g', { class: 'graph-labels' });
+      svg.append(edgeGroup, commitGroup, labelGroup);
+
+      layout.edges.forEach(edge => {
+        const from = byHash[edge.from];
+        const to = byHash[edge.to];
+        edgeGroup.appendChild(this.svgElement('path', {
+          class: 'graph-edge',
+          d: this.edgePath(point(from.col, from.row), point(edge.lane, from.row), point(to.col, to.row)),
+          stroke: color(edge.lane)
+        }));
+      });
+
+      layout.rows.forEach(row => {
+        const commit = GitRepo.readObject(repo, row.hash);
+        const { x, y } = point(row.col, row.row);
+        const subject = commit.message.split('\n')[0];
+        const group = this.svgElement('g', {
+          class: `graph-commit${row.hash === head ? ' is-head' : ''}${row.hash === this.selected ? ' is-selected' : ''}${this.positions[row.hash] ? '' : ' is-new'}`,
+          role: 'listitem',
+          tabindex: '0',
+          'aria-label': `${row.hash.substring(0, 7)} ${subject}`,
+          'data-hash': row.hash
+        });
+        group.style.transform = `translate(${x}px, ${y}px)`;
+        const node = this.svgElement('circle', {
+          class: 'graph-node',
+          r: commit.parents.length > 1 ? 6 : 5,
+          stroke: color(row.col)
+        });
+        // HEAD's commit is filled in with its lane colour
+        if (row.hash === head) node.style.fill = color(row.col);
+        group.appendChild(node);
+
+        // Labels sit between the lanes and the subject
+        let labelX = textX - x;
+        (labels[row.hash] || []).forEach(label => {
+          const labelWidth = label.text.length * charWidth + 10;
+          const tag = this.svgElement('g', {
+            class: `graph-label graph-label-${label.kind}`,
+            'data-ref': label.key
+          });
+          tag.style.transform = `translate(${x + labelX}px, ${y}px)`;
+          tag.append(
+            this.svgElement('rect', { x: 0, y: -8, rx: 3, width: labelWidth, height: 16 }),
+            this.svgElement('text', { x: 5, y: 4 })
+          );
+          tag.lastChild.textContent = label.text;
+          labelGroup.appendChild(tag);
+          labelX += labelWidth + 4;
+        });
+
+        const text = this.svgElement('text', { class: 'graph-subject', x: labelX, y: 4 });
+        const hash = this.svgElement('tspan', { class: 'graph-hash' });
+        hash.textContent = `${row.hash.substring(0, 7)} `;
+        text.append(hash, document.createTextNode(subject));
+        group.appendChild(text);
+
+        group.addEventListener('click', () => this.select(repo, row.hash));
+        group.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.select(repo, row.hash);
+          }
+        });
+        commitGroup.appendChild(group);
+        width = Math.max(width, x + labelX + (subject.length + 8) * charWidth);
+      });
+
+      const height = padding * 2 + (layout.rows.length - 1) * rowHeight;
+      svg.setAttribute('width', Math.ceil(width + padding));
+      svg.setAttribute('height', height);
+      svg.setAttribute('viewBox', `0 0 ${Math.ceil(width + padding)} ${height}`);
+      return svg;
+    },
+
+    /**
+     * Path from a commit down to its parent: leave the commit into the
+     * lane the line travels in, run down it, then turn into the parent
+     * @param {Object} from - Child position
+     * @param {Object} lane - Child row, lane column
+     * @param {Object} to - Parent position
+     * @returns {string} SVG path data
+     */
+    edgePath(from, lane, to) {
+      const path = [from];
+      const down = from.y + this.rowHeight;
+      const up = to.y - this.rowHeight;
+      // Adjacent rows leave no room to run down the lane: one curve will do
+      if (lane.x === from.x || lane.x === to.x || down <= up) {
+        if (lane.x !== from.x) path.push({ x: lane.x, y: down });
+        if (lane.x !== to.x) path.push({ x: lane.x, y: up });
+      }
+      path.push(to);
+
+      let d = `M ${path[0].x} ${path[0].y}`;
+      for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const middle = (a.y + b.y) / 2;
+        d += a.x === b.x ? ` L ${b.x} ${b.y}` : ` C ${a.x} ${middle} ${b.x} ${middle} ${b.x} ${b.y}`;
+      }
+      return d;
+    },
+
+    /**
+     * Slide commits and ref labels from where they were drawn last time
+     * to their new place, so a moving branch is easy to follow
+     * @param {SVGElement} svg
+     */
+    animate(svg) {
+      const read = element => element.style.transform;
+      const moved = [];
+      const previous = { commit: this.positions, label: this.labelPositions };
+      const current = { commit: {}, label: {} };
+
+      svg.querySelectorAll('.graph-commit, .graph-label').forEach(element => {
+        const kind = element.classList.contains('graph-commit') ? 'commit' : 'label';
+        const key = kind === 'commit' ? element.dataset.hash : element.dataset.ref;
+        current[kind][key] = read(element);
+        const before = previous[kind][key];
+        if (before && before !== read(element)) {
+          moved.push({ element: element, to: read(element) });
+          element.style.transition = 'none';
+          element.style.transform = before;
+        }
+      });
+
+      this.positions = current.commit;
+      this.labelPositions = current.label;
+      if (moved.length === 0) return;
+
+      svg.classList.add('is-moving');
+      // Force a layout so the transition starts from the old position
+      svg.getBoundingClientRect();
+      moved.forEach(({ element, to }) => {
+        element.style.transition = '';
+        element.style.transform = to;
+      });
+    },
+
+    /**
+     * Show a commit's details below the graph
+     * @param {Object} repo
+     * @param {string} hash
+     */
+    select(repo, hash) {
+      this.selected = this.selected === hash ? null : hash;
+      this.canvas.querySelectorAll('.graph-commit').forEach(element => {
+        element.classList.toggle('is-selected', element.dataset.hash === this.selected);
+      });
+      this.showDetails(repo, this.selected);
+    },
+
+    /**
+     * Fill in (or hide) the details pane: message, author and the
+     * files the commit changed compared with its first parent
+     * @param {Object|null} repo
+     * @param {string|null} [hash]
+     */
+    showDetails(repo, hash) {
+      if (!this.details) return;
+      if (!repo || !hash) {
+        this.selected = null;
+        this.details.hidden = true;
+        this.details.replaceChildren();
+        return;
+      }
+
+      const commit = GitRepo.readObject(repo, hash);
+      const short = hash.substring(0, 7);
+      const element = (tag, className, text) => {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+      };
+
+      const header = element('div', 'commit-graph-details-header');
+      const close = element('button', 'commit-graph-details-close', '×');
+      close.setAttribute('aria-label', 'Close commit details');
+      close.addEventListener('click', () => this.select(repo, hash));
+      header.append(element('code', '', short), close);
+
+      const meta = element('div', 'commit-graph-details-meta',
+        `${commit.author.name} · ${GitRepo.formatDate(commit.author)}`);
+      if (commit.parents.length > 1) {
+        meta.textContent += ` · merge of ${commit.parents.map(parent => parent.substring(0, 7)).join(' and ')}`;
+      }
+
+      const before = GitRepo.commitFiles(repo, commit.parents[0] || null);
+      const after = GitRepo.commitFiles(repo, hash);
+      const files = element('ul', 'commit-graph-details-files');
+      [...new Set(Object.keys(before).concat(Object.keys(after)))].sort().forEach(path => {
+        const status = !before[path] ? 'A' : !after[path] ? 'D' : before[path].hash !== after[path].hash ? 'M' : null;
+        if (!status) return;
+        const item = element('li');
+        item.append(element('span', `commit-graph-file-status status-${status}`, status), element('span', '', path));
+        files.appendChild(item);
+      });
+      if (!files.children.length) {
+        files.appendChild(element('li', 'commit-graph-details-none', 'No file changes'));
+      }
+
+      const show = element('button', 'commit-graph-details-show', `Insert "git show ${short}"`);
+      show.addEventListener('click', () => {
+        this.playground.input.value = `git show ${short}`;
+        this.playground.input.focus();
+      });
+
+      this.details.replaceChildren(
+        header,
+        meta,
+        element('pre', 'commit-graph-details-message', commit.message.replace(/\n+$/, '')),
+        files,
+        show
+      );
+      this.details.hidden = false;
+    }
+  };
+
+  // ============================================
+  // Playground Challenges
+  // ============================================
+
+  const ChallengeMode = {
+    // Definitions, read from the page's #playground-challenges JSON
+    challenges: [],
+
+    /**
+     * Goal checkers, by the "check" named in a goal. Each one inspects
+     * the playground after a command and says whether the goal is met;
+     * they only run once a repository exists.
+     */
+    checks: {
+      /**
+       * A repository exists (git init or git clone)
+       * @returns {boolean}
+       */
+      repository() {
+        return true;
+      },
+
+      /**
+       * HEAD is on goal.branch
+       * @param {Object} playground
+       * @param {Object} goal - { branch }
+       * @returns {boolean}
+       */
+      head(playground, goal) {
+        return GitRepo.currentBranch(playground.state.repo) === goal.branch;
+      },
+
+      /**
+       * goal.branch exists ("exists": false for one that should be
+       * deleted) and, with goal.commits, has that many commits of its own
+       * since it was created
+       * @param {Object} playground
+       * @param {Object} goal - { branch, exists, commits }
+       * @returns {boolean}
+       */
+      branch(playground, goal) {
+        const repo = playground.state.repo;
+        const ref = `refs/heads/${goal.branch}`;
+        if (!repo.refs[ref]) return goal.exists === false;
+        if (goal.exists === false) return false;
+        if (goal.commits === undefined) return true;
+
+        // Where the branch started is the newest reflog entry that created it
+        const created = (repo.reflog[ref] || []).filter(entry => !entry.old).pop();
+        const before = created ? GitRepo.ancestors(repo, created.new) : new Set();
+        const own = [...GitRepo.ancestors(repo, repo.refs[ref])].filter(hash => !before.has(hash));
+        return own.length === goal.commits;
+      },
+
+      /**
+       * The history of goal.rev (default HEAD) has at least goal.count commits
+       * @param {Object} playground
+       * @param {Object} goal - { rev, count }
+       * @returns {boolean}
+       */
+      commits(playground, goal) {
+        const hash = GitRepo.resolveRevision(playground.state.repo, goal.rev || 'HEAD');
+        return !!hash && GitRepo.ancestors(playground.state.repo, hash).size >= goal.count;
+      },
+
+      /**
+       * goal.branch is merged into goal.into; with "noFastForward", the
+       * merge made a merge commit instead of just moving goal.into
+       * @param {Object} playground
+       * @param {Object} goal - { branch, into, noFastForward }
+       * @returns {boolean}
+       */
+      merged(playground, goal) {
+        const repo = playground.state.repo;
+        const tip = GitRepo.resolveRevision(repo, goal.branch);
+        const into = GitRepo.resolveRevision(repo, goal.into);
+        if (!tip || !into || tip === into || !GitRepo.isAncestor(repo, tip, into)) return false;
+        if (!goal.noFastForward) return true;
+
+        // A fast-forward leaves the branch's commits on the first-parent line
+        for (let hash = into; hash; hash = GitRepo.readObject(repo, hash).parents[0]) {
+          if (hash === tip) return false;
+        }
+        return true;
+      },
+
+      /**
+       * goal.ancestor is part of the history of goal.rev, e.g. a branch
+       * rebased onto main contains main
+       * @param {Object} playground
+       * @param {Object} goal - { ancestor, rev }
+       * @returns {boolean}
+       */
+      contains(playground, goal) {
+        const repo = playground.state.repo;
+        return GitRepo.isAncestor(repo, GitRepo.resolveRevision(repo, goal.ancestor), GitRepo.resolveRevision(repo, goal.rev));
+      },
+
+      /**
+       * The history of goal.rev has no merge commits
+       * @param {Object} playground
+       * @param {Object} goal - { rev }
+       * @returns {boolean}
+       */
+      linear(playground, goal) {
+        const repo = playground.state.repo;
+        const hash = GitRepo.resolveRevision(repo, goal.rev);
+        return !!hash && [...GitRepo.ancestors(repo, hash)].every(commit => GitRepo.readObject(repo, commit).parents.length < 2);
+      },
+
+      /**
+       * No commit in the history of goal.rev contains goal.path, for
+       * secrets that have to be removed from history, not just deleted
+       * @param {Object} playground
+       * @param {Object} goal - { rev, path }
+       * @returns {boolean}
+       */
+      neverCommitted(playground, goal) {
+        const repo = playground.state.repo;
+        const hash = GitRepo.resolveRevision(repo, goal.rev);
+        return !!hash && [...GitRepo.ancestors(repo, hash)].every(commit => !GitRepo.lookupPath(repo, commit, goal.path));
+      },
+
+      /**
+       * A commit in the history of goal.rev has a message matching
+       * goal.message, a regular expression
+       * @param {Object} playground
+       * @param {Object} goal - { rev, message }
+       * @returns {boolean}
+       */
+      message(playground, goal) {
+        const repo = playground.state.repo;
+        const hash = GitRepo.resolveRevision(repo, goal.rev || 'HEAD');
+        const pattern = new RegExp(goal.message, 'm');
+        return !!hash && [...GitRepo.ancestors(repo, hash)].some(commit => pattern.test(GitRepo.readObject(repo, commit).message));
+      },
+
+      /**
+       * A commit in the history of goal.rev (default HEAD) changes
+       * goal.path. Root commits, which add every file, don't count.
+       * @param {Object} playground
+       * @param {Object} goal - { rev, path }
+       * @returns {boolean}
+       */
+      changed(playground, goal) {
+        const repo = playground.state.repo;
+        const hash = GitRepo.resolveRevision(repo, goal.rev || 'HEAD');
+        return !!hash && [...GitRepo.ancestors(repo, hash)].some(commit => {
+          const parent = GitRepo.readObject(repo, commit).parents[0];
+          return !!parent && GitRepo.lookupPath(repo, commit, goal.path) !== GitRepo.lookupPath(repo, parent, goal.path);
+        });
+      },
+
+      /**
+       * Every revision in goal.revs is the same commit, e.g. main and
+       * origin/main after a push
+       * @param {Object} playground
+       * @param {Object} goal - { revs }
+       * @returns {boolean}
+       */
+      same(playground, goal) {
+        const hashes = goal.revs.map(rev => GitRepo.resolveRevision(playground.state.repo, rev));
+        return !!hashes[0] && hashes.every(hash => hash === hashes[0]);
+      },
+
+      /**
+       * goal.branch tracks goal.upstream, e.g. 'origin/main'
+       * @param {Object} playground
+       * @param {Object} goal - { branch, upstream }
+       * @returns {boolean}
+       */
+      upstream(playground, goal) {
+        const upstream = playground.upstreamOf(goal.branch);
+        return !!upstream && upstream.name === goal.upstream;
+      },
+
+      /**
+       * The working tree file goal.path exists ("exists": false for one
+       * that should be gone) and, with goal.contains, matches that
+       * regular expression
+       * @param {Object} playground
+       * @param {Object} goal - { path, exists, contains }
+       * @returns {boolean}
+       */
+      file(playground, goal) {
+        const fs = playground.state.fs;
+        if (!VirtualFS.isFile(fs, goal.path)) return goal.exists === false;
+        if (goal.exists === false) return false;
+        return goal.contains === undefined || new RegExp(goal.contains, 'm').test(fs.files[goal.path]);
+      },
+
+      /**
+       * Nothing to commit and no merge or rebase in progress
+       * @param {Object} playground
+       * @returns {boolean}
+       */
+      clean(playground) {
+        const status = playground.getStatus();
+        const repo = playground.state.repo;
+        return !repo.mergeHead && !repo.sequencer &&
+          !status.staged.length && !status.unstaged.length && !status.untracked.length && !status.unmerged.length;
+      }
+    },
+
+    /**
+     * Find the panel and read the challenge definitions
+     * @param {GitPlayground} playground - Runs the setup commands and owns the state
+     * @returns {boolean} Whether the playground has a challenge panel
+     */
+    init(playground) {
+      this.container = playground.root.querySelector('.challenge-panel');
+      if (!this.container) return false;
+
+      this.playground = playground;
+      this.challenges = this.load(document.getElementById('playground-challenges'));
+      return true;
+    },
+
+    /**
+     * Parse and check the definitions, skipping (with a console warning
+     * for whoever is writing them) any that could never work
+     * @param {HTMLElement|null} source - <script type="application/json">
+     * @returns {Object[]}
+     */
+    load(source) {
+      if (!source) return [];
+      let data;
+      try {
+        data = JSON.parse(source.textContent);
+      } catch (e) {
+        console.warn('Playground challenges are not valid JSON:', e.message);
+        return [];
+      }
+
+      const ids = new Set();
+      return (Array.isArray(data) ? data : []).filter(challenge => {
+        const problem = this.validate(challenge, ids);
+        if (problem) {
+          console.warn(`Skipping playground challenge ${challenge && challenge.id ? `"${challenge.id}"` : '(no id)'}: ${problem}`);
+          return false;
+        }
+        ids.add(challenge.id);
+        return true;
+      });
+    },
+
+    /**
+     * What is wrong with a challenge definition
+     * @param {Object} challenge
+     * @param {Set<string>} ids - Ids already taken
+     * @returns {string|null}
+     */
+    validate(challenge, ids) {
+      const isStrings = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+      if (!challenge || typeof challenge.id !== 'string' || !challenge.id) return 'it needs an "id"';
+      if (ids.has(challenge.id)) return 'the id is already used';
+      if (typeof challenge.title !== 'string' || typeof challenge.task !== 'string') return 'it needs a "title" and a "task"';
+      if (challenge.setup !== undefined && !isStrings(challenge.setup)) return '"setup" must be a list of commands';
+      if (challenge.scenario !== undefined && !Object.prototype.hasOwnProperty.call(GitPlayground.scenarios, challenge.scenario)) {
+        return `unknown scenario "${challenge.scenario}"`;
+      }
+      if (challenge.hints !== undefined && !isStrings(challenge.hints)) return '"hints" must be a list of strings';
+      return this.validateGoals(challenge.goals);
+    },
+
+    /**
+     * What is wrong with a list of goals, in a challenge or a hands-on
+     * test question
+     * @param {*} goals
+     * @returns {string|null}
+     */
+    validateGoals(goals) {
+      if (!Array.isArray(goals) || !goals.length) return 'it needs at least one goal';
+      for (const goal of goals) {
+        if (!goal || typeof goal.text !== 'string') return 'every goal needs a "text"';
+        if (!Object.prototype.hasOwnProperty.call(this.checks, goal.check)) return `unknown check "${goal.check}"`;
+        for (const key of ['message', 'contains']) {
+          try {
+            if (goal[key] !== undefined) new RegExp(goal[key]);
+          } catch (e) {
+            return `"${key}" in "${goal.text}" is not a valid regular expression`;
+          }
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Find a challenge by id
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    find(id) {
+      return this.challenges.find(challenge => challenge.id === id);
+    },
+
+    /**
+     * The challenge being played, if any
+     * @returns {Object|null} Definition
+     */
+    active() {
+      const progress = this.playground.state.challenge;
+      return (progress && this.find(progress.id)) || null;
+    },
+
+    /**
+     * Which goals of a challenge are met right now
+     * @param {Object} challenge
+     * @returns {Object[]} { text, done }
+     */
+    evaluate(challenge) {
+      return this.checkGoals(this.playground, challenge.goals);
+    },
+
+    /**
+     * Which goals are met right now in a playground
+     * @param {GitPlayground} playground
+     * @param {Object[]} goals
+     * @returns {Object[]} { text, done }
+     */
+    checkGoals(playground, goals) {
+      const repo = playground.state.repo;
+      return goals.map(goal => {
+        let done = false;
+        try {
+          done = !!repo && this.checks[goal.check](playground, goal);
+        } catch (e) {
+          // A goal naming something that doesn't exist yet is simply not met
+        }
+        return { text: goal.text, done: done };
+      });
+    },
+
+    /**
+     * Challenges finished in this browser
+     * @returns {string[]} Ids
+     */
+    completed() {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.COMPLETED_CHALLENGES_KEY)) || [];
+      } catch (e) {
+        return [];
+      }
+    },
+
+    /**
+     * Set up a challenge's starting repository and show its task
+     * @param {Object} challenge
+     */
+    start(challenge) {
+      const playground = this.playground;
+      if (playground.state.initialized && !(playground.state.challenge && playground.state.challenge.id === challenge.id) &&
+          !window.confirm(`Start "${challenge.title}"? It replaces the repository you have now. Cancel and use Export first if you want to keep it.`)) {
+        return;
+      }
+
+      // A challenge can start from one of the scenarios instead of its own setup
+      const setup = challenge.scenario ? GitPlayground.scenarios[challenge.scenario].setup : challenge.setup || [];
+      const state = playground.createState();
+      const failure = playground.runSilently(state, setup);
+      if (failure) {
+        playground.notify(`error: could not set up "${challenge.title}": \`${failure.command}\` failed:\n${failure.output}`, 'error');
+        return;
+      }
+      state.challenge = { id: challenge.id, hints: 0, done: false };
+      playground.loadState(state, `Challenge: ${challenge.title}\n${challenge.task}`);
+    },
+
+    /**
+     * Leave the current challenge, keeping the repository as it is
+     */
+    leave() {
+      this.playground.state.challenge = null;
+      this.playground.refresh();
+    },
+
+    /**
+     * Reveal the next hint, one at a time
+     */
+    nextHint() {
+      const challenge = this.active();
+      const progress = this.playground.state.challenge;
+      if (!challenge || progress.hints >= (challenge.hints || []).length) return;
+      progress.hints++;
+      this.playground.notify(`Hint: ${challenge.hints[progress.hints - 1]}`);
+      this.playground.refresh();
+    },
+
+    /**
+     * Check the goals after a command and redraw the panel; the first
+     * time they are all met, finish the challenge
+     */
+    update() {
+      const challenge = this.active();
+      const progress = this.playground.state.challenge;
+      const goals = challenge ? this.evaluate(challenge) : [];
+
+      if (challenge && !progress.done && goals.every(goal => goal.done)) {
+        progress.done = true;
+        const completed = this.completed();
+        if (!completed.includes(challenge.id)) {
+          localStorage.setItem(CONFIG.COMPLETED_CHALLENGES_KEY, JSON.stringify(completed.concat(challenge.id)));
+        }
+        if (challenge.lesson) LessonProgress.markComplete(challenge.lesson);
+        this.playground.notify(`🎉 Challenge complete: ${challenge.title}!${challenge.lesson ? ' The related lesson is marked as complete.' : ''}`, 'success');
+      }
+      this.render(challenge, goals);
+    },
+
+    /**
+     * Draw the challenge list, or the task, goals and hints of the
+     * challenge being played
+     * @param {Object|null} challenge
+     * @param {Object[]} goals - From evaluate()
+     */
+    render(challenge, goals) {
+      if (!this.container) return;
+      const element = (tag, className, text) => {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+      };
+      const button = (text, className, onClick) => {
+        const node = element('button', `btn btn-sm ${className}`, text);
+        node.addEventListener('click', onClick);
+        return node;
+      };
+
+      if (!challenge) {
+        const completed = this.completed();
+        const list = element('ul', 'challenge-list');
+        this.challenges.forEach(item => {
+          const entry = element('li', 'challenge-card');
+          const title = element('h3', 'challenge-card-title', item.title);
+          if (completed.includes(item.id)) {
+            title.appendChild(element('span', 'challenge-done-badge', '✓ Done'));
+          }
+          entry.append(title, element('p', 'challenge-card-task', item.task),
+            button('Start', 'btn-outline', () => this.start(item)));
+          list.appendChild(entry);
+        });
+        if (!this.challenges.length) {
+          list.appendChild(element('li', 'challenge-card-task', 'No challenges are available.'));
+        }
+        this.container.replaceChildren(element('h3', 'help-section-title', 'Challenges'), list);
+        return;
+      }
+
+      const progress = this.playground.state.challenge;
+      const hints = challenge.hints || [];
+      const checklist = element('ul', 'challenge-goals');
+      goals.forEach(goal => {
+        const item = element('li', goal.done ? 'is-done' : '', goal.text);
+        item.prepend(element('span', 'challenge-goal-mark', goal.done ? '✓' : '○'));
+        checklist.appendChild(item);
+      });
+      const shownHints = element('ol', 'challenge-hints');
+      hints.slice(0, progress.hints).forEach(hint => shownHints.appendChild(element('li', '', hint)));
+
+      const actions = element('div', 'challenge-actions');
+      if (!progress.done && progress.hints < hints.length) {
+        actions.appendChild(button(`Show hint (${progress.hints + 1}/${hints.length})`, 'btn-secondary', () => this.nextHint()));
+      }
+      actions.append(
+        button('Start over', 'btn-secondary', () => this.start(challenge)),
+        button(progress.done ? 'More challenges' : 'Leave challenge', 'btn-outline', () => this.leave())
+      );
+
+      const children = [
+        element('h3', 'help-section-title', 'Challenge'),
+        element('h3', 'challenge-title', challenge.title),
+        element('p', 'challenge-task', challenge.task),
+        checklist,
+        shownHints
+      ];
+      if (progress.done) {
+        const done = element('p', 'challenge-complete', 'Challenge complete! ');
+        if (challenge.lesson) {
+          const link = element('a', '', 'Back to the lesson →');
+          link.href = `learn.html#${challenge.lesson}`;
+          done.appendChild(link);
+        }
+        children.push(done);
+      }
+      children.push(actions);
+      this.container.replaceChildren(...children);
+    }
+  };
+
+  // ============================================
+  // Git Playground Simulator
+  // ============================================
+
+  class GitPlayground {
+    // Contents of the starter project files
+    static starterFiles = {
+      'README.md': '# My Project\n\nA small website for practising Git.\n',
+      'index.html': '<!DOCTYPE html>\n<html>\n<head>\n  <title>My Project</title>\n  <link rel="stylesheet" href="style.css">\n</head>\n<body>\n  <h1>Hello, Git!</h1>\n</body>\n</html>\n',
+      'style.css': 'body {\n  font-family: sans-serif;\n  margin: 2rem;\n}\n'
+    };
+
+    // Remote repository every fresh playground can clone
+    static demoRemoteUrl = 'https://github.com/git-school/demo-site.git';
+
+    // Who the "Teammate pushes" button commits as
+    static teammate = { name: 'Sam Lee', email: 'sam@example.com' };
+
+    // What the teammate changes on each push; the last entry repeats
+    static teammateChanges = [
+      {
+        message: 'Add contributing guidelines',
+        change: () => ({
+          'CONTRIBUTING.md': '# Contributing\n\n1. Create a branch for your change\n2. Commit in small steps\n3. Pull before you push\n'
+        })
+      },
+      {
+        message: 'Credit the team in the README',
+        change: files => ({
+          'README.md': `${files['README.md'] || '# Project\n'}\nBuilt by the whole team.\n`
+        })
+      },
+      {
+        message: 'Style the footer',
+        change: files => ({
+          'style.css': `${files['style.css'] || ''}\nfooter {\n  color: gray;\n}\n`
+        })
+      },
+      {
+        message: 'Add team note #{n}',
+        change: (files, n) => ({
+          'NOTES.md': `${files['NOTES.md'] || '# Team notes\n\n'}- Note ${n} from Sam\n`
+        })
+      }
+    ];
+
+    // Starting repositories for mini-playgrounds (data-scenario), built
+    // by running the setup commands on the starter project
+    static scenarios = {
+      'empty': {
+        welcome: 'This is a project folder that Git doesn\'t know about yet. Turn it into a repository with "git init".',
+        setup: []
+      },
+      'untracked': {
+        welcome: 'This repository was just created, so none of its files are tracked yet. Try "git status", then "git add".',
+        setup: ['git init']
+      },
+      'committed': {
+        welcome: 'Everything here is committed. Change a file (echo "Hi" >> README.md), then see what "git status" and "git diff" say.',
+        setup: ['git init', 'git add .', 'git commit -m "Initial commit"']
+      },
+      'history': {
+        welcome: 'This repository has a few commits. Explore them with "git log" and "git show".',
+        setup: [
+          'git init',
+          'git add .',
+          'git commit -m "Initial commit"',
+          'echo "<p>Welcome to my site.</p>" >> index.html',
+          'git commit -am "Add a welcome paragraph"',
+          'echo "h1 { color: teal; }" >> style.css',
+          'git commit -am "Colour the heading"'
+        ]
+      },
+      'diverged': {
+        welcome: 'main and feature have each gained a commit since they split. Try "git merge feature" on main, or "git rebase main" on feature.',
+        setup: [
+          'git init',
+          'git add .',
+          'git commit -m "Initial commit"',
+          'git switch -c feature',
+          'echo "<p>Contact: hello@example.com</p>" >> index.html',
+          'git commit -am "Add contact details"',
+          'git switch main',
+          'echo "Open index.html in a browser to view the site." >> README.md',
+          'git commit -am "Explain how to view the site"'
+        ]
+      },
+      'regression': {
+        welcome: 'The page heading has disappeared, but it was still there in v1.0. Find the commit that broke it: git bisect start, git bisect bad, git bisect good v1.0, then cat style.css at each step.',
+        setup: [
+          'git init',
+          'git add .',
+          'git commit -m "Initial commit"',
+          'echo "<h1>Contact</h1>" > contact.html',
+          'git add contact.html',
+          'git commit -m "Add a contact page"',
+          'echo "a { color: teal; }" >> style.css',
+          'git commit -am "Colour the links"',
+          'git tag v1.0',
+          'echo "<p>hello@example.com</p>" >> contact.html',
+          'git commit -am "Add an email address"',
+          'echo "h1 { display: none; }" >> style.css',
+          'git commit -am "Tidy up the heading styles"',
+          'echo "<p>Open 9 to 5, Monday to Friday</p>" >> contact.html',
+          'git commit -am "Add opening hours"',
+          'echo "See contact.html to get in touch." >> README.md',
+          'git commit -am "Mention the contact page"',
+          'echo "<h1>Our team</h1>" > team.html',
+          'git add team.html',
+          'git commit -m "Add a team page"',
+          'echo "<p>Sam, Alex and Kim</p>" >> team.html',
+          'git commit -am "List the team"'
+        ]
+      }
+    };
+
+    // Command definitions with handlers
+    static commands = {
+      'help': {
+        description: 'Show available commands',
+        completion: [],
+        handler: function(playground) {
+          // A mini-playground lists just the commands it offers
+          if (playground.commands !== GitPlayground.commands) {
+            const names = Object.keys(playground.commands);
+            const width = Math.max(...names.map(name => name.length));
+            return `Commands you can use here:
+${names.map(name => `  ${name.padEnd(width)}  - ${playground.commands[name].description}`).join('\n')}
+
+The full Playground has many more.`;
+          }
+
+          return `Available commands:
+  git init        - Initialize a new Git repository
+  git status      - Show the working tree status
+  git add <file>  - Add file(s) to staging area
+  git add .       - Add all files to staging area
+  git add "*.css" ":!vendor" - Add what matches a pattern, leaving vendor/ out
+  git add -A / -u - Add every change, or only changes to tracked files
+  git add -p      - Pick which changes (hunks) to stage
+  git rm [--cached] <file> - Delete a file and stage that (--cached keeps the file)
+  git mv <old> <new> - Move or rename a tracked file
+  git check-ignore -v <path> - Show the .gitignore rule that ignores a path
+  git commit -m   - Record changes to the repository
+  git log         - Show commit logs
+  git log --oneline --graph --all - One line per commit, with branches drawn
+                    (also -n <count>, --author=, --grep=, --since=, -- <path>,
+                     --pretty=format:"%h %an %s")
+  git tag [-a -m <msg>] <name>  - Name a commit, e.g. a release (-l lists, -d deletes)
+  git describe    - Name HEAD after the nearest tag (--tags includes lightweight ones)
+  git diff        - Show unstaged changes (--staged for staged ones)
+  git diff <a> <b> - Compare two commits (--stat, --name-only)
+  git show [commit] - Show a commit and the changes it made
+  git branch      - List branches (-v details, -a include remotes)
+  git branch <name>      - Create a branch
+  git branch -d <name>   - Delete a merged branch (-D to force)
+  git switch <branch>    - Switch branches (-c creates one first)
+  git checkout <branch>  - Switch branches (-b creates one first)
+  git checkout <commit>  - Look at an old commit (detached HEAD)
+  git merge <branch>     - Merge a branch (--no-ff, --ff-only, --abort)
+  git rebase <branch>    - Replay your commits on top of a branch
+  git rebase -i <commit> - Pick, reword, squash, fixup or drop commits
+  git cherry-pick <commit> - Copy a commit onto the current branch
+                           (rebase and cherry-pick take --continue, --skip, --abort)
+  git cat-file    - Look inside a Git object (-t type, -s size, -p contents)
+  git config <name> [<value>] - Read or set an option (--global, --list, --unset)
+  git config --global user.name "Your Name" - Who your commits are by (and user.email)
+
+Remotes:
+  git clone <url>              - Copy a remote repository (try the demo project)
+  git remote add <name> <url>  - Connect a remote (-v lists them)
+  git fetch [remote]           - Download commits into origin/* branches
+  git pull [--rebase]          - Fetch, then merge (or rebase onto) the upstream
+  git push [-u] [remote] [branch] - Upload commits (-u sets the upstream)
+  git branch -vv               - Show how each branch compares with its upstream
+
+Undoing things:
+  git restore <file>           - Throw away unstaged changes
+  git restore --staged <file>  - Unstage a file
+  git reset [--soft | --mixed | --hard] <commit> - Move the branch back
+  git revert <commit>          - Undo a commit with a new commit
+  git commit --amend           - Redo the last commit (-m for a new message)
+  git reflog                   - Everywhere HEAD has been; find "lost" commits
+
+Investigating history:
+  git blame <file>             - Which commit last changed each line
+  git bisect start             - Start a binary search for the commit that broke something
+  git bisect bad / good        - Say whether the checked-out commit is broken or fine
+  git bisect reset             - Stop searching and go back where you started
+
+Setting work aside:
+  git stash [-u] [-m <message>] - Put your changes away and clean the working tree
+  git stash list               - Show the saved entries (stash@{0} is the newest)
+  git stash show [-p] [<stash>] - See what an entry changed
+  git stash pop [<stash>]      - Bring an entry back and drop it (apply keeps it)
+  git stash drop [<stash>]     - Delete an entry (clear deletes them all)
+  git stash branch <name>      - Start a branch where the entry was made and apply it
+
+Shell commands:
+  ls, cat <file>, touch <file>, mkdir <dir>, rm [-r] <path>
+  echo "text", cd <dir>, pwd
+  clear           - Clear the terminal
+  help            - Show this help message
+
+Shell features:
+  "double" or 'single' quotes keep spaces together; \\ escapes one character
+  cmd > file, cmd >> file  - Write (or append) the output to a file
+  a && b          - Run b only if a succeeded (a ; b runs both)
+  git config --global alias.co checkout  - Then 'git co main' works
+
+Keyboard shortcuts:
+  Up / Down       - Step through earlier commands (kept between visits)
+  Tab             - Complete commands, options, branch names and file paths
+  Ctrl+R          - Search earlier commands (Ctrl+R again for older matches)
+  Ctrl+L          - Clear the screen
+  Ctrl+C          - Cancel the line, or the rebase todo list
+
+Try typing a command to see what happens!`;
+        }
+      },
+      
+      'clear': {
+        description: 'Clear terminal',
+        completion: [],
+        handler: function(playground) {
+          playground.clearOutput();
+          return null;
+        }
+      },
+
+      'pwd': {
+        description: 'Print working directory',
+        completion: [],
+        handler: function(playground) {
+          const cwd = playground.state.cwd;
+          return playground.state.workingDirectory + (cwd ? `/${cwd}` : '');
+        }
+      },
+
+      'cd': {
+        description: 'Change directory',
+        handler: function(playground, args) {
+          const target = args[0] || '~';
+          const state = playground.state;
+          const nested = playground.nestedClone();
+          const root = nested && nested.entered ? nested.workspace.workingDirectory : state.workingDirectory;
+
+          // With a clone in a subdirectory, cd moves between it and the project around it
+          const place = nested ? playground.resolveAcrossClone(target) : { path: playground.resolvePath(target) };
+          const crossing = Boolean(nested) && place.path !== null && place.inside !== nested.entered;
+          if (crossing) playground.switchWorkspace();
+
+          const path = place.path;
+          const error =
+            path === null ? `cd: ${target}: Permission denied (the playground is limited to ${root})` :
+            VirtualFS.isGitDir(path) && state.initialized ? `cd: ${target}: Permission denied (Git manages .git itself — try 'git cat-file' to look inside)` :
+            VirtualFS.isFile(state.fs, path) ? `cd: ${target}: Not a directory` :
+            !VirtualFS.isDir(state.fs, path) ? `cd: ${target}: No such file or directory` :
+            null;
+          if (error) {
+            if (crossing) playground.switchWorkspace();
+            return CommandLine.failure(error);
+          }
+          state.cwd = path;
+          playground.updateTitle();
+          return null;
+        }
+      },
+
+      'ls': {
+        description: 'List files',
+        options: [
+          { name: 'all', short: 'a', long: 'all' }
+        ],
+        usage: "Try 'ls -a' to include hidden files.",
+        handler: function(playground, args, options) {
+          const fs = playground.state.fs;
+          const showAll = Boolean(options.all);
+          const targets = args.concat(options['--'] || []);
+          if (targets.length === 0) targets.push('.');
+
+          let failed = false;
+          const blocks = targets.map(target => {
+            const path = playground.resolvePath(target);
+            if (path === null || !VirtualFS.exists(playground.state.fs, path)) {
+              failed = true;
+              return `ls: cannot access '${target}': No such file or directory`;
+            }
+            if (VirtualFS.isFile(fs, path)) {
+              return target;
+            }
+
+            let names = VirtualFS.list(fs, path).map(child => child.isDir ? `${child.name}/` : child.name);
+            if (showAll) {
+              const gitDir = path === '' && playground.state.initialized ? ['.git/'] : [];
+              names = ['./', '../'].concat(gitDir, names);
+            } else {
+              names = names.filter(name => !name.startsWith('.'));
+            }
+            const listing = names.join('  ');
+            return targets.length > 1 ? `${target}:\n${listing}` : listing;
+          });
+
+          const output = blocks.join('\n\n');
+          return failed ? CommandLine.failure(output) : output || null;
+        }
+      },
+
+      'cat': {
+        description: 'Print file contents',
+        options: [],
+        usage: "Try 'cat <file>' to print a file.",
+        handler: function(playground, args, options) {
+          args = args.concat(options['--'] || []);
+          if (args.length === 0) {
+            return CommandLine.failure('usage: cat <file>...');
+          }
+
+          const fs = playground.state.fs;
+          let failed = false;
+          const output = args.map(arg => {
+            const path = playground.resolvePath(arg);
+            if (path !== null && VirtualFS.isFile(fs, path)) {
+              return fs.files[path].replace(/\n$/, '');
+            }
+            failed = true;
+            if (path !== null && VirtualFS.isDir(fs, path)) {
+              return `cat: ${arg}: Is a directory`;
+            }
+            return `cat: ${arg}: No such file or directory`;
+          }).join('\n');
+          return failed ? CommandLine.failure(output) : output;
+        }
+      },
+
+      'touch': {
+        description: 'Create empty files',
+        options: [],
+        usage: "Try 'touch <file>' to create an empty file.",
+        handler: function(playground, args, options) {
+          args = args.concat(options['--'] || []);
+          if (args.length === 0) {
+            return CommandLine.failure('touch: missing file operand');
+          }
+
+          const errors = [];
+          args.forEach(arg => {
+            const error = playground.checkWritable(arg);
+            if (error) {
+              errors.push(`touch: cannot touch '${arg}': ${error}`);
+              return;
+            }
+            const path = playground.resolvePath(arg);
+            if (!VirtualFS.isFile(playground.state.fs, path)) {
+              VirtualFS.writeFile(playground.state.fs, path, '');
+            }
+          });
+          return errors.length ? CommandLine.failure(errors.join('\n')) : null;
+        }
+      },
+
+      'echo': {
+        description: 'Print text (> file writes it to a file, >> appends)',
+        handler: function(playground, args) {
+          return args.join(' ');
+        }
+      },
+
+      'mkdir': {
+        description: 'Create directories',
+        options: [
+          { name: 'parents', short: 'p', long: 'parents' }
+        ],
+        usage: "Try 'mkdir -p <dir>' to create parent directories as needed.",
+        handler: function(playground, args, options) {
+          const parents = Boolean(options.parents);
+          const targets = args.concat(options['--'] || []);
+          if (targets.length === 0) {
+            return CommandLine.failure('mkdir: missing operand');
+          }
+
+          const fs = playground.state.fs;
+          const errors = [];
+          targets.forEach(target => {
+            const path = playground.resolvePath(target);
+            if (path === null || VirtualFS.isGitDir(path)) {
+              errors.push(`mkdir: cannot create directory '${target}': Permission denied`);
+            } else if (VirtualFS.exists(fs, path)) {
+              if (!parents || VirtualFS.isFile(fs, path)) {
+                errors.push(`mkdir: cannot create directory '${target}': File exists`);
+              }
+            } else if (!parents && !VirtualFS.isDir(fs, VirtualFS.dirname(path))) {
+              errors.push(`mkdir: cannot create directory '${target}': No such file or directory`);
+            } else {
+              VirtualFS.mkdir(fs, path);
+            }
+          });
+          return errors.length ? CommandLine.failure(errors.join('\n')) : null;
+        }
+      },
+
+      'rm': {
+        description: 'Remove files',
+        options: [
+          { name: 'recursive', short: 'r', long: 'recursive' },
+          { name: 'recursive', short: 'R' },
+          { name: 'force', short: 'f', long: 'force' }
+        ],
+        usage: "Try 'rm <file>', or 'rm -r <dir>' for a directory.",
+        handler: function(playground, args, options) {
+          const recursive = Boolean(options.recursive);
+          const force = Boolean(options.force);
+          const targets = args.concat(options['--'] || []);
+          if (targets.length === 0) {
+            return CommandLine.failure('rm: missing operand');
+          }
+
+          const fs = playground.state.fs;
+          const errors = [];
+          targets.forEach(target => {
+            const path = playground.resolvePath(target);
+
+            if (path === '.git' && playground.state.initialized) {
+              if (!recursive) {
+                errors.push(`rm: cannot remove '${target}': Is a directory`);
+                return;
+              }
+              // Deleting .git deletes the repository but leaves the files alone
+              playground.state.initialized = false;
+              playground.state.repo = null;
+              playground.updateStatusIndicator();
+              return;
+            }
+
+            if (path === null || path === '' || VirtualFS.isGitDir(path)) {
+              errors.push(`rm: refusing to remove '${target}'`);
+            } else if (!VirtualFS.exists(fs, path)) {
+              if (!force) errors.push(`rm: cannot remove '${target}': No such file or directory`);
+            } else if (VirtualFS.isDir(fs, path) && !recursive) {
+              errors.push(`rm: cannot remove '${target}': Is a directory`);
+            } else {
+              VirtualFS.remove(fs, path);
+              // The containing directory stays behind, even if it is now empty
+              const parent = VirtualFS.dirname(path);
+              if (parent) VirtualFS.mkdir(fs, parent);
+            }
+          });
+          return errors.length ? CommandLine.failure(errors.join('\n')) : null;
+        }
+      },
+
+      'git init': {
+        description: 'Initialize repository',
+        completion: [],
+        options: [
+          { name: 'initialBranch', short: 'b', long: 'initial-branch', value: '<name>' }
+        ],
+        usage: 'usage: git init [-b <branch-name>]',
+        handler: function(playground, args, options) {
+          if (playground.state.initialized) {
+            return `Reinitialized existing Git repository in ${playground.state.workingDirectory}/.git/`;
+          }
+          const branch = options.initialBranch || 'main';
+          if (!GitRepo.isValidBranchName(branch)) {
+            return CommandLine.failure(`fatal: invalid initial branch name: '${branch}'`);
+          }
+          playground.state.initialized = true;
+          playground.state.repo = GitRepo.create();
+          playground.state.repo.HEAD = `ref: refs/heads/${branch}`;
+          playground.updateStatusIndicator();
+          return `Initialized empty Git repository in ${playground.state.workingDirectory}/.git/
+
+Hint: Your repository is now ready! Try 'git status' to see your files.`;
+        }
+      },
+
+      'git status': {
+        description: 'Show status',
+        options: [
+          { name: 'ignored', long: 'ignored' }
+        ],
+        usage: 'usage: git status [--ignored]',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const status = playground.getStatus();
+          const show = path => VirtualFS.relative(playground.state.cwd, path);
+          const branch = GitRepo.currentBranch(repo);
+          let output = branch ? `On branch ${branch}\n` : `HEAD detached at ${GitRepo.headCommit(repo).substring(0, 7)}\n`;
+          const tracking = branch ? playground.describeTracking(branch) : '';
+          output += tracking;
+          const hasCommits = Boolean(GitRepo.headCommit(repo));
+          
+          if (!hasCommits) {
+            output += '\nNo commits yet\n';
+          }
+
+          const sequencer = repo.sequencer;
+          if (sequencer && sequencer.operation === 'rebase') {
+            const onto = sequencer.onto.substring(0, 7);
+            output = `${sequencer.interactive ? 'interactive ' : ''}rebase in progress; onto ${onto}\n`;
+            output += sequencer.headName
+              ? `You are currently rebasing branch '${sequencer.headName.slice(11)}' on '${onto}'.\n`
+              : `You are currently rebasing on '${onto}'.\n`;
+            output += status.unmerged.length > 0
+              ? '  (fix conflicts and then run "git rebase --continue")\n'
+              : '  (all conflicts fixed: run "git rebase --continue")\n';
+            output += '  (use "git rebase --skip" to skip this patch)\n';
+            output += '  (use "git rebase --abort" to check out the original branch)\n';
+          } else if (sequencer && sequencer.current) {
+            const command = `git ${sequencer.operation}`;
+            const verb = sequencer.operation === 'revert' ? 'reverting' : 'cherry-picking';
+            output += `${tracking ? '\n' : ''}You are currently ${verb} commit ${sequencer.current.hash.substring(0, 7)}.\n`;
+            output += status.unmerged.length > 0
+              ? `  (fix conflicts and run "${command} --continue")\n`
+              : `  (all conflicts fixed: run "${command} --continue")\n`;
+            output += `  (use "${command} --skip" to skip this patch)\n`;
+            output += `  (use "${command} --abort" to cancel the ${sequencer.operation} operation)\n`;
+          } else if (status.unmerged.length > 0 && repo.mergeHead) {
+            output += `${tracking ? '\n' : ''}You have unmerged paths.\n`;
+            output += '  (fix conflicts and run "git commit")\n';
+            output += '  (use "git merge --abort" to abort the merge)\n';
+          } else if (repo.mergeHead) {
+            output += `${tracking ? '\n' : ''}All conflicts fixed but you are still merging.\n`;
+            output += '  (use "git commit" to conclude merge)\n';
+          }
+          if (repo.bisect) {
+            const start = repo.bisect.start;
+            output += start.startsWith('refs/heads/')
+              ? `You are currently bisecting, started from branch '${start.slice(11)}'.\n`
+              : 'You are currently bisecting.\n';
+            output += '  (use "git bisect reset" to get back to the original branch)\n';
+          }
+
+          if (status.staged.length > 0) {
+            output += '\nChanges to be committed:\n';
+            output += hasCommits
+              ? '  (use "git restore --staged <file>..." to unstage)\n'
+              : '  (use "git rm --cached <file>..." to unstage)\n';
+            // A deleted file and a new one with the same content are a rename (git mv)
+            const headFiles = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+            const deleted = status.staged.filter(change => change.label === 'deleted');
+            const renamedFrom = {};
+            status.staged.filter(change => change.label === 'new file').forEach(change => {
+              const source = deleted.find(old => !Object.values(renamedFrom).includes(old.path) &&
+                headFiles[old.path].hash === repo.index[change.path].hash);
+              if (source) renamedFrom[change.path] = source.path;
+            });
+            status.staged.forEach(change => {
+              if (change.label === 'deleted' && Object.values(renamedFrom).includes(change.path)) return;
+              const source = renamedFrom[change.path];
+              const label = source ? 'renamed' : change.label;
+              const path = source ? `${show(source)} -> ${show(change.path)}` : show(change.path);
+              output += `\t${'\x1b[32m'}${`${label}:`.padEnd(12)}${path}${'\x1b[0m'}\n`;
+            });
+          }
+
+          if (status.unmerged.length > 0) {
+            output += '\nUnmerged paths:\n';
+            if (!repo.mergeHead && !sequencer) {
+              // Left behind by git stash apply/pop
+              output += '  (use "git restore --staged <file>..." to unstage)\n';
+            }
+            output += '  (use "git add <file>..." to mark resolution)\n';
+            status.unmerged.forEach(change => {
+              output += `\t${'\x1b[31m'}${`${change.label}:`.padEnd(17)}${show(change.path)}${'\x1b[0m'}\n`;
+            });
+          }
+
+          if (status.unstaged.length > 0) {
+            output += '\nChanges not staged for commit:\n';
+            output += '  (use "git add <file>..." to update what will be committed)\n';
+            output += '  (use "git restore <file>..." to discard changes in working directory)\n';
+            status.unstaged.forEach(change => {
+              output += `\t${'\x1b[31m'}${`${change.label}:`.padEnd(12)}${show(change.path)}${'\x1b[0m'}\n`;
+            });
+          }
+          
+          if (status.untracked.length > 0) {
+            output += '\nUntracked files:\n';
+            output += '  (use "git add <file>..." to include in what will be committed)\n';
+            status.untracked.forEach(path => {
+              const suffix = path.endsWith('/') ? '/' : '';
+              output += `\t${'\x1b[31m'}${show(path.replace(/\/$/, ''))}${suffix}${'\x1b[0m'}\n`;
+            });
+          }
+
+          if (options.ignored && status.ignored.length > 0) {
+            output += '\nIgnored files:\n';
+            output += '  (use "git add -f <file>..." to include in what will be committed)\n';
+            status.ignored.forEach(path => {
+              const suffix = path.endsWith('/') ? '/' : '';
+              output += `\t${'\x1b[31m'}${show(path.replace(/\/$/, ''))}${suffix}${'\x1b[0m'}\n`;
+            });
+          }
+          
+          if (status.staged.length === 0 && status.unmerged.length === 0 && !repo.mergeHead) {
+            if (status.unstaged.length > 0) {
+              output += '\nno changes added to commit (use "git add" and/or "git commit -a")';
+            } else if (status.untracked.length > 0) {
+              output += '\nnothing added to commit but untracked files present (use "git add" to track)';
+            } else if (!hasCommits) {
+              output += '\nnothing to commit (create/copy files and use "git add" to track)';
+            } else {
+              output += '\nnothing to commit, working tree clean';
+            }
+          }
+          
+          return output.replace(/\n$/, '');
+        }
+      },
+
+      'git add': {
+        description: 'Stage files',
+        options: [
+          { name: 'all', short: 'A', long: 'all' },
+          { name: 'update', short: 'u', long: 'update' },
+          { name: 'patch', short: 'p', long: 'patch' },
+          { name: 'force', short: 'f', long: 'force' }
+        ],
+        usage: 'usage: git add [-A | -u | -p] [-f] [--] [<pathspec>...]',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          args = args.concat(options['--'] || []);
+          if (options.all && options.update) {
+            return CommandLine.failure('fatal: -A and -u are mutually incompatible');
+          }
+          if (options.patch && (options.all || options.update)) {
+            return CommandLine.failure(`fatal: options '${options.all ? '-A' : '-u'}' and '-p' cannot be used together`);
+          }
+          if (args.length === 0 && !options.all && !options.update && !options.patch) {
+            return `Nothing specified, nothing added.
+hint: Maybe you wanted to say 'git add .'?`;
+          }
+
+          const parsed = playground.pathspecs(args);
+          if (parsed.error) return CommandLine.failure(parsed.error);
+          const specs = parsed.specs;
+          if (options.patch) return playground.showHunkPicker(specs);
+
+          // -A and -u without a pathspec cover the whole tree; -u only
+          // looks at files Git already tracks
+          const { fs, repo } = playground.state;
+          const tracked = new Set(Object.keys(repo.index).concat(Object.keys(repo.unmerged)));
+          const candidates = options.update
+            ? [...tracked].sort()
+            : [...new Set(Object.keys(fs.files).filter(file => !VirtualFS.isGitDir(file)).concat([...tracked]))].sort();
+          const addable = file => tracked.has(file) || options.force || !GitIgnore.isIgnored(fs, file);
+
+          const ignored = [];
+          for (const spec of specs.filter(spec => !spec.exclude)) {
+            const matched = candidates.filter(file => Pathspec.matchOne(spec, file));
+            if (matched.some(addable)) continue;
+            // Naming an ignored file outright gets an explanation; a
+            // wildcard that only finds ignored files simply finds nothing
+            if (matched.length > 0 && !spec.wildcard) {
+              ignored.push(spec.arg);
+            } else {
+              return CommandLine.failure(options.update
+                ? `error: pathspec '${spec.arg}' did not match any file(s) known to git`
+                : `fatal: pathspec '${spec.arg}' did not match any files`);
+            }
+          }
+
+          const unique = candidates.filter(file => Pathspec.matches(specs, file) && addable(file));
+          const withMarkers = unique.filter(path => repo.unmerged[path] && VirtualFS.isFile(fs, path) &&
+            /^(<{7}|>{7}) /m.test(fs.files[path]));
+          const changed = unique.filter(path => playground.stageFile(path));
+          if (ignored.length > 0) {
+            return CommandLine.failure(`The following paths are ignored by one of your .gitignore files:
+${ignored.join('\n')}
+hint: Use -f if you really want to add them.
+hint: Turn this message off by running
+hint: "git config advice.addIgnoredFile false"`);
+          }
+          if (withMarkers.length > 0) {
+            const warning = `Hint: ${withMarkers.join(', ')} still contain${withMarkers.length === 1 ? 's' : ''} conflict markers. Git lets you add ${withMarkers.length === 1 ? 'it' : 'them'}, but you probably want to finish editing first.`;
+            return `Marked ${changed.length} file(s) as resolved.\n\n${warning}`;
+          }
+
+          if (specs.length === 1 && unique.length === 1 && unique[0] === specs[0].path) {
+            const file = unique[0];
+            if (changed.length > 0) {
+              return VirtualFS.isFile(fs, file)
+                ? `Added '${args[0]}' to staging area.`
+                : `Staged the deletion of '${args[0]}'.`;
+            }
+            const headFiles = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+            return headFiles[file] && headFiles[file].hash === repo.index[file].hash
+              ? `'${args[0]}' has no changes to stage.`
+              : `'${args[0]}' is already staged.`;
+          }
+
+          return `Added ${changed.length} file(s) to staging area.
+
+Hint: Use 'git status' to see staged files, then 'git commit -m "message"' to commit.`;
+        }
+      },
+
+      'git commit': {
+        description: 'Commit changes',
+        options: [
+          { name: 'message', short: 'm', long: 'message', value: '<msg>', repeat: true },
+          { name: 'all', short: 'a', long: 'all' },
+          { name: 'amend', long: 'amend' },
+          { name: 'edit', long: 'edit', negatable: true }
+        ],
+        usage: 'usage: git commit [-a] [-m <msg>]... [--amend] [--no-edit]',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          if (args.length > 0 || options['--']) {
+            return CommandLine.failure(`fatal: committing only some paths is not supported in the playground
+
+Hint: Stage what you want with 'git add <file>', then run 'git commit -m "message"'.`);
+          }
+          // -a stages every change to a tracked file (but not new files) first
+          if (options.all) {
+            Object.keys(repo.index).concat(Object.keys(repo.unmerged)).forEach(path => playground.stageFile(path));
+          }
+          if (Object.keys(repo.unmerged).length > 0) {
+            return CommandLine.failure(`error: Committing is not possible because you have unmerged files.
+hint: Fix them up in the work tree, and then use 'git add/rm <file>'
+hint: as appropriate to mark resolution and make a commit.
+fatal: Exiting because of an unresolved conflict.`);
+          }
+
+          const amend = Boolean(options.amend);
+          const parent = GitRepo.headCommit(repo);
+          const tree = GitRepo.writeTree(repo, repo.index);
+          const parentCommit = parent ? GitRepo.readObject(repo, parent) : null;
+          const merging = Boolean(repo.mergeHead);
+
+          if (amend && !parent) {
+            return CommandLine.failure('fatal: You have nothing to amend.');
+          }
+          if (amend && merging) {
+            return CommandLine.failure('fatal: You are in the middle of a merge -- cannot amend.');
+          }
+
+          if (!amend && !merging && (Object.keys(repo.index).length === 0 || (parentCommit && parentCommit.tree === tree))) {
+            const status = playground.getStatus();
+            // Git exits with an error when there is nothing to commit
+            if (status.unstaged.length > 0) {
+              return CommandLine.failure(`no changes added to commit (use "git add" and/or "git commit -a")
+
+Hint: Use 'git add <file>' or 'git add .' to stage changes first.`);
+            }
+            if (status.untracked.length > 0) {
+              return CommandLine.failure(`nothing added to commit but untracked files present (use "git add" to track)
+
+Hint: Use 'git add <file>' or 'git add .' to stage changes first.`);
+            }
+            return CommandLine.failure(`nothing to commit, working tree clean
+
+Hint: Use 'git add <file>' or 'git add .' to stage changes first.`);
+          }
+
+          // Each -m is a paragraph of the message
+          let message = (options.message || []).join('\n\n').trim();
+
+          // Amending keeps the old message unless a new one is given
+          if (!message && amend) {
+            message = parentCommit.message;
+          }
+          // Concluding a merge reuses the prepared merge message
+          if (!message && merging) {
+            message = repo.mergeMsg;
+          }
+          // ...and a stopped rebase or cherry-pick the message of the commit being replayed
+          if (!message && repo.sequencer && repo.sequencer.current) {
+            message = repo.sequencer.current.message;
+          }
+
+          if (!message) {
+            return CommandLine.failure(options.message
+              ? 'Aborting commit due to empty commit message.'
+              : `Aborting commit due to empty commit message.
+
+Hint: The playground has no editor, so give the message with -m: git commit -m "your message here"`);
+          }
+
+          const branch = GitRepo.currentBranch(repo) || 'detached HEAD';
+          if (amend) {
+            // The amended commit replaces HEAD: same parents and author, new ID
+            const parents = parentCommit.parents;
+            const commitHash = playground.createCommit(message, parents, {
+              author: parentCommit.author,
+              reflog: `commit (amend): ${message.split('\n')[0]}`
+            });
+            const rootLabel = parents.length ? '' : ' (root-commit)';
+            return `[${branch}${rootLabel} ${commitHash.substring(0, 7)}] ${message.split('\n')[0]}
+ Date: ${GitRepo.formatDate(parentCommit.author)}
+${playground.summarizeChanges(parents[0] || null, commitHash)}
+
+Hint: The old commit ${parent.substring(0, 7)} still exists; 'git reflog' shows where it went.`;
+          }
+
+          const parents = parent ? [parent] : [];
+          if (merging) {
+            parents.push(repo.mergeHead);
+            repo.mergeHead = null;
+            repo.mergeMsg = null;
+          }
+          const commitHash = playground.createCommit(message, parents);
+          const rootLabel = parent ? '' : ' (root-commit)';
+
+          return `[${branch}${rootLabel} ${commitHash.substring(0, 7)}] ${message.split('\n')[0]}
+${playground.summarizeChanges(parent, commitHash)}
+
+Hint: Use 'git log' to see your commit history.`;
+        }
+      },
+
+      'git merge': {
+        description: 'Join two histories together',
+        completion: ['refs'],
+        options: [
+          { name: 'message', short: 'm', value: '<message>', repeat: true },
+          { name: 'ff', long: 'ff', negatable: true },
+          { name: 'ffOnly', long: 'ff-only' },
+          { name: 'edit', long: 'edit', negatable: true },
+          { name: 'abort', long: 'abort' },
+          { name: 'continue', long: 'continue' }
+        ],
+        usage: `usage: git merge [--no-ff | --ff-only] [-m <message>] <branch>
+   or: git merge --abort
+   or: git merge --continue`,
+        handler: function(playground, names, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const message = options.message ? options.message.join('\n\n') : null;
+
+          if (options.abort) {
+            const error = playground.abortMerge();
+            return error ? CommandLine.failure(error) : null;
+          }
+          if (options.continue) {
+            if (!repo.mergeHead) {
+              return CommandLine.failure('fatal: There is no merge in progress (MERGE_HEAD missing).');
+            }
+            return GitPlayground.commands['git commit'].handler(playground, [], {});
+          }
+          if (repo.mergeHead) {
+            return CommandLine.failure(`fatal: You have not concluded your merge (MERGE_HEAD exists).
+Please, commit your changes before you merge.`);
+          }
+          if (names.length === 0) {
+            return CommandLine.failure(`fatal: No remote for the current branch.
+
+Hint: Name the branch to merge, e.g. 'git merge feature'.`);
+          }
+
+          const name = names[0];
+          const target = GitRepo.resolveRevision(repo, name);
+          if (!target || GitRepo.readObject(repo, target).type !== 'commit') {
+            return CommandLine.failure(`merge: ${name} - not something we can merge`);
+          }
+
+          return playground.mergeCommit(name, target, {
+            message: message,
+            noFastForward: options.ff === false,
+            fastForwardOnly: Boolean(options.ffOnly)
+          });
+        }
+      },
+
+      'git rebase': {
+        description: 'Replay commits on top of another base',
+        completion: ['refs'],
+        options: [
+          { name: 'interactive', short: 'i', long: 'interactive' },
+          { name: 'action', long: 'continue', set: '--continue' },
+          { name: 'action', long: 'abort', set: '--abort' },
+          { name: 'action', long: 'skip', set: '--skip' }
+        ],
+        usage: `usage: git rebase [-i] <upstream>
+   or: git rebase --continue | --abort | --skip`,
+        handler: function(playground, names, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const action = options.action;
+          const sequencer = repo.sequencer;
+          if (action) {
+            if (!sequencer || sequencer.operation !== 'rebase') {
+              return CommandLine.failure('fatal: No rebase in progress?');
+            }
+            if (action === '--abort') return playground.abortSequencer();
+            if (action === '--skip') return playground.skipSequencer();
+            return playground.continueSequencer();
+          }
+
+          if (sequencer) {
+            return CommandLine.failure(playground.describeSequencerInProgress());
+          }
+          if (names.length === 0) {
+            return CommandLine.failure(`There is no tracking information for the current branch.
+Please specify which branch you want to rebase against.
+
+Hint: Name the new base, e.g. 'git rebase main' or 'git rebase -i HEAD~3'.`);
+          }
+
+          const head = GitRepo.headCommit(repo);
+          if (!head) {
+            return CommandLine.failure('fatal: no commits yet, nothing to rebase');
+          }
+          const upstream = GitRepo.resolveRevision(repo, names[0]);
+          if (!upstream || GitRepo.readObject(repo, upstream).type !== 'commit') {
+            return CommandLine.failure(`fatal: invalid upstream '${names[0]}'`);
+          }
+          const error = playground.checkCleanForRebase();
+          if (error) return CommandLine.failure(error);
+
+          const interactive = Boolean(options.interactive);
+          const branch = GitRepo.currentBranch(repo);
+          if (!interactive && GitRepo.isAncestor(repo, upstream, head)) {
+            return `Current branch ${branch || 'HEAD'} is up to date.`;
+          }
+
+          const commits = playground.commitsToReplay(upstream, head);
+          if (interactive) {
+            if (commits.length === 0) {
+              return `Nothing to do: there are no commits between ${names[0]} and HEAD.`;
+            }
+            return playground.showRebaseTodo(upstream, commits, names[0]);
+          }
+          return playground.startSequencer('rebase', upstream, commits.map(hash => ({ action: 'pick', hash: hash })), {
+            ontoName: names[0]
+          });
+        }
+      },
+
+      'git cherry-pick': {
+        description: 'Apply the changes from existing commits',
+        completion: ['refs'],
+        options: [
+          { name: 'action', long: 'continue', set: '--continue' },
+          { name: 'action', long: 'abort', set: '--abort' },
+          { name: 'action', long: 'skip', set: '--skip' }
+        ],
+        usage: `usage: git cherry-pick <commit>...
+   or: git cherry-pick --continue | --abort | --skip`,
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+          return playground.pickCommits('cherry-pick', args, options.action);
+        }
+      },
+
+      'git revert': {
+        description: 'Undo a commit with a new commit',
+        completion: ['refs'],
+        options: [
+          { name: 'edit', long: 'edit', negatable: true },
+          { name: 'action', long: 'continue', set: '--continue' },
+          { name: 'action', long: 'abort', set: '--abort' },
+          { name: 'action', long: 'skip', set: '--skip' }
+        ],
+        usage: `usage: git revert [--no-edit] <commit>...
+   or: git revert --continue | --abort | --skip`,
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+          return playground.pickCommits('revert', args, options.action);
+        }
+      },
+
+      'git reset': {
+        description: 'Move the current branch, or unstage files',
+        completion: ['refs', 'paths'],
+        options: [
+          { name: 'mode', long: 'soft', set: 'soft' },
+          { name: 'mode', long: 'mixed', set: 'mixed' },
+          { name: 'mode', long: 'hard', set: 'hard' }
+        ],
+        usage: `usage: git reset [--soft | --mixed | --hard] [<commit>]
+   or: git reset [<commit>] [--] <paths>...`,
+        handler: function(playground, positional, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const { fs, repo } = playground.state;
+          const separator = options['--'] !== undefined;
+          let pathArgs = options['--'] || [];
+          const mode = options.mode || 'mixed';
+
+          // The first argument is a commit if it names one; anything else is a path
+          const isCommit = name => {
+            const hash = GitRepo.resolveRevision(repo, name);
+            return Boolean(hash) && GitRepo.readObject(repo, hash).type === 'commit';
+          };
+          let revision = null;
+          if (positional.length > 0 && (separator || isCommit(positional[0]))) {
+            revision = positional[0];
+            pathArgs = positional.slice(1).concat(pathArgs);
+          } else {
+            pathArgs = positional.concat(pathArgs);
+          }
+
+          const head = GitRepo.headCommit(repo);
+          const target = revision ? GitRepo.resolveRevision(repo, revision) : head;
+          if (revision && !isCommit(revision)) {
+            return CommandLine.failure(`fatal: ambiguous argument '${revision}': unknown revision or path not in the working tree.`);
+          }
+
+          // git reset <paths>: copy entries from the commit into the index
+          if (pathArgs.length > 0) {
+            if (options.mode) {
+              return CommandLine.failure(`fatal: Cannot do ${mode} reset with paths.`);
+            }
+            const files = GitRepo.commitFiles(repo, target);
+            const paths = new Set();
+            for (const arg of pathArgs) {
+              const path = playground.resolvePath(arg);
+              const prefix = path ? `${path}/` : '';
+              const known = path === null ? [] : Object.keys(files).concat(Object.keys(repo.index), Object.keys(repo.unmerged))
+                .filter(file => file === path || file.startsWith(prefix));
+              if (known.length === 0 && (path === null || !VirtualFS.exists(fs, path))) {
+                return CommandLine.failure(`fatal: ambiguous argument '${arg}': unknown revision or path not in the working tree.`);
+              }
+              known.forEach(file => paths.add(file));
+            }
+            paths.forEach(path => {
+              delete repo.unmerged[path];
+              if (files[path]) {
+                repo.index[path] = { mode: files[path].mode, hash: files[path].hash };
+              } else {
+                delete repo.index[path];
+              }
+            });
+            return playground.describeUnstagedChanges();
+          }
+
+          if (!target) {
+            // Nothing committed yet: reset simply empties the index
+            repo.index = {};
+            repo.unmerged = {};
+            return null;
+          }
+          if (mode === 'soft' && (repo.mergeHead || Object.keys(repo.unmerged).length > 0)) {
+            return CommandLine.failure('fatal: Cannot do a soft reset in the middle of a merge.');
+          }
+
+          if (mode === 'hard') {
+            playground.resetToCommit(target);
+          } else if (mode === 'mixed') {
+            const files = GitRepo.commitFiles(repo, target);
+            repo.index = {};
+            Object.keys(files).forEach(path => {
+              repo.index[path] = { mode: files[path].mode, hash: files[path].hash };
+            });
+            repo.unmerged = {};
+          }
+          GitRepo.advanceHead(repo, target, `reset: moving to ${revision || 'HEAD'}`);
+          repo.mergeHead = null;
+          repo.mergeMsg = null;
+          // Like CHERRY_PICK_HEAD and REVERT_HEAD, a stopped pick or revert doesn't survive a reset
+          if (repo.sequencer && repo.sequencer.operation !== 'rebase') {
+            repo.sequencer = null;
+          }
+
+          const notes = [];
+          if (mode === 'hard') {
+            const subject = GitRepo.readObject(repo, target).message.split('\n')[0];
+            notes.push(`HEAD is now at ${target.substring(0, 7)} ${subject}`);
+          } else if (mode === 'mixed' && playground.describeUnstagedChanges()) {
+            notes.push(playground.describeUnstagedChanges());
+          }
+          if (head && !GitRepo.isAncestor(repo, head, target)) {
+            notes.push(`Hint: ${head.substring(0, 7)} is no longer on this branch, but it isn't gone. Find it with 'git reflog'
+and bring it back with 'git reset --hard ${head.substring(0, 7)}'.`);
+          }
+          return notes.length ? notes.join('\n\n') : null;
+        }
+      },
+
+      'git restore': {
+        description: 'Restore working tree files or unstage them',
+        options: [
+          { name: 'staged', short: 'S', long: 'staged' },
+          { name: 'worktree', short: 'W', long: 'worktree' },
+          { name: 'source', short: 's', long: 'source', value: '<commit>', complete: 'refs' }
+        ],
+        usage: 'usage: git restore [--staged] [--worktree] [--source=<commit>] <path>...',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const { fs, repo } = playground.state;
+          const staged = Boolean(options.staged);
+          const worktree = Boolean(options.worktree) || !staged;
+          const source = options.source || null;
+          const pathArgs = args.concat(options['--'] || []);
+
+          if (pathArgs.length === 0) {
+            return CommandLine.failure(`fatal: you must specify path(s) to restore
+
+Hint: 'git restore <file>' throws away unstaged edits; 'git restore --staged <file>' unstages it.`);
+          }
+
+          // Without --source, --staged restores from HEAD and the working tree from the index
+          let files = repo.index;
+          if (source || staged) {
+            const hash = GitRepo.resolveRevision(repo, source || 'HEAD');
+            if (source && (!hash || GitRepo.readObject(repo, hash).type !== 'commit')) {
+              return CommandLine.failure(`fatal: could not resolve ${source}`);
+            }
+            files = GitRepo.commitFiles(repo, hash);
+          }
+
+          const paths = new Set();
+          for (const arg of pathArgs) {
+            const path = playground.resolvePath(arg);
+            const prefix = path ? `${path}/` : '';
+            const candidates = Object.keys(files).concat(Object.keys(repo.index), Object.keys(repo.unmerged));
+            const matches = path === null ? [] : candidates.filter(file => file === path || file.startsWith(prefix));
+            if (matches.length === 0) {
+              return CommandLine.failure(`error: pathspec '${arg}' did not match any file(s) known to git`);
+            }
+            matches.forEach(file => paths.add(file));
+          }
+
+          if (worktree && !staged && !source) {
+            const unmerged = [...paths].filter(path => repo.unmerged[path]);
+            if (unmerged.length > 0) {
+              return CommandLine.failure(unmerged.map(path => `error: path '${path}' is unmerged`).join('\n'));
+            }
+          }
+
+          paths.forEach(path => {
+            const entry = files[path];
+            if (staged) {
+              delete repo.unmerged[path];
+              if (entry) {
+                repo.index[path] = { mode: entry.mode, hash: entry.hash };
+              } else {
+                delete repo.index[path];
+              }
+            }
+            if (worktree) {
+              if (entry) {
+                VirtualFS.writeFile(fs, path, GitRepo.readObject(repo, entry.hash).content);
+              } else {
+                VirtualFS.remove(fs, path);
+              }
+            }
+          });
+          return null;
+        }
+      },
+
+      'git rm': {
+        description: 'Remove files from the working tree and the index',
+        options: [
+          { name: 'cached', long: 'cached' },
+          { name: 'recursive', short: 'r' },
+          { name: 'force', short: 'f', long: 'force' }
+        ],
+        usage: 'usage: git rm [-f] [-r] [--cached] [--] <pathspec>...',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          args = args.concat(options['--'] || []);
+          if (args.length === 0) {
+            return CommandLine.failure(`usage: git rm [-f] [-r] [--cached] [--] <pathspec>...
+
+Hint: 'git rm <file>' deletes a file and stages the deletion; 'git rm --cached <file>' only stops tracking it.`);
+          }
+          const parsed = playground.pathspecs(args);
+          if (parsed.error) return CommandLine.failure(parsed.error);
+          const specs = parsed.specs;
+
+          const { fs, repo } = playground.state;
+          const tracked = [...new Set(Object.keys(repo.index).concat(Object.keys(repo.unmerged)))].sort();
+          for (const spec of specs.filter(spec => !spec.exclude)) {
+            const matched = tracked.filter(file => Pathspec.matchOne(spec, file));
+            if (matched.length === 0) {
+              return CommandLine.failure(`fatal: pathspec '${spec.arg}' did not match any files`);
+            }
+            // Naming a directory removes everything in it, which Git wants spelled out
+            if (!options.recursive && !spec.wildcard && !matched.includes(spec.path)) {
+              return CommandLine.failure(`fatal: not removing '${spec.arg}' recursively without -r`);
+            }
+          }
+          const paths = tracked.filter(file => Pathspec.matches(specs, file));
+
+          // Refuse to lose work that is only in the index or the working tree
+          if (!options.force) {
+            const headFiles = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+            const problems = { both: [], staged: [], local: [] };
+            paths.filter(path => !repo.unmerged[path]).forEach(path => {
+              const entry = repo.index[path];
+              const head = headFiles[path];
+              const stagedChange = !head || head.hash !== entry.hash;
+              const localChange = VirtualFS.isFile(fs, path) && GitObjects.hash({ type: 'blob', content: fs.files[path] }) !== entry.hash;
+              if (stagedChange && localChange) problems.both.push(path);
+              else if (!options.cached && stagedChange) problems.staged.push(path);
+              else if (!options.cached && localChange) problems.local.push(path);
+            });
+            const report = (files, what, advice) => `error: the following ${files.length === 1 ? 'file has' : 'files have'} ${what}:
+${files.map(file => `    ${file}`).join('\n')}
+(${advice})`;
+            const errors = [];
+            if (problems.both.length) errors.push(report(problems.both, 'staged content different from both the\nfile and the HEAD', 'use -f to force removal'));
+            if (problems.staged.length) errors.push(report(problems.staged, 'changes staged in the index', 'use --cached to keep the file, or -f to force removal'));
+            if (problems.local.length) errors.push(report(problems.local, 'local modifications', 'use --cached to keep the file, or -f to force removal'));
+            if (errors.length) return CommandLine.failure(errors.join('\n'));
+          }
+
+          paths.forEach(path => {
+            delete repo.index[path];
+            delete repo.unmerged[path];
+            if (!options.cached) VirtualFS.remove(fs, path);
+          });
+          return paths.map(path => `rm '${path}'`).join('\n');
+        }
+      },
+
+      'git mv': {
+        description: 'Move or rename a file or directory',
+        options: [
+          { name: 'force', short: 'f', long: 'force' }
+        ],
+        usage: 'usage: git mv [-f] <source>... <destination>',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          args = args.concat(options['--'] || []);
+          if (args.length < 2) {
+            return CommandLine.failure('usage: git mv [-f] <source>... <destination>');
+          }
+
+          const { fs, repo } = playground.state;
+          const root = playground.state.workingDirectory;
+          const destination = playground.resolvePath(args[args.length - 1]);
+          const sources = args.slice(0, -1).map(arg => playground.resolvePath(arg));
+          const outside = args.find(arg => playground.resolvePath(arg) === null);
+          if (outside !== undefined) {
+            return CommandLine.failure(`fatal: ${outside}: '${outside}' is outside repository at '${root}'`);
+          }
+
+          // Into an existing directory, each source keeps its name
+          const intoDir = VirtualFS.isDir(fs, destination);
+          if (sources.length > 1 && !intoDir) {
+            return CommandLine.failure(`fatal: destination '${args[args.length - 1]}' is not a directory`);
+          }
+
+          const moves = [];
+          for (const source of sources) {
+            const name = source.split('/').pop();
+            const target = intoDir ? (destination ? `${destination}/${name}` : name) : destination;
+            const fail = reason => CommandLine.failure(`fatal: ${reason}, source=${source}, destination=${target}`);
+            const under = path => path.startsWith(`${source}/`);
+
+            if (!VirtualFS.exists(fs, source) || VirtualFS.isGitDir(source)) return fail('bad source');
+            if (VirtualFS.isDir(fs, source)) {
+              if (target === source || target.startsWith(`${source}/`)) return fail('can not move directory into itself');
+              if (!Object.keys(repo.index).concat(Object.keys(repo.unmerged)).some(under)) return fail('source directory is empty');
+              if (Object.keys(repo.unmerged).some(under)) return fail('conflicted');
+              if (VirtualFS.exists(fs, target)) return fail('destination exists');
+            } else {
+              if (repo.unmerged[source]) return fail('conflicted');
+              if (!repo.index[source]) return fail('not under version control');
+              if (VirtualFS.isDir(fs, target) || (VirtualFS.isFile(fs, target) && !options.force)) {
+                return fail('destination exists');
+              }
+            }
+            if (VirtualFS.isFile(fs, VirtualFS.dirname(target))) {
+              return fail('destination directory does not exist');
+            }
+            moves.push({ source: source, target: target });
+          }
+
+          // Files and index entries move together, so Git sees a rename
+          // (untracked files inside a moved directory go along, too)
+          moves.forEach(({ source, target }) => {
+            const rename = path => path === source ? target : `${target}${path.slice(source.length)}`;
+            const moved = path => path === source || path.startsWith(`${source}/`);
+            Object.keys(fs.files).filter(moved).forEach(path => {
+              fs.files[rename(path)] = fs.files[path];
+              delete fs.files[path];
+            });
+            Object.keys(fs.dirs).filter(moved).forEach(path => {
+              fs.dirs[rename(path)] = true;
+              delete fs.dirs[path];
+            });
+            Object.keys(repo.index).filter(moved).forEach(path => {
+              repo.index[rename(path)] = repo.index[path];
+              delete repo.index[path];
+            });
+          });
+          return null;
+        }
+      },
+
+      'git stash': {
+        description: 'Set local changes aside and bring them back later',
+        subcommands: ['push', 'save', 'list', 'show', 'apply', 'pop', 'drop', 'clear', 'branch'],
+        completion: ['stashes'],
+        options: [
+          { name: 'message', short: 'm', long: 'message', value: '<message>' },
+          { name: 'untracked', short: 'u', long: 'include-untracked' },
+          { name: 'format', short: 'p', long: 'patch', set: 'patch' },
+          { name: 'format', long: 'stat', set: 'stat' }
+        ],
+        usage: `usage: git stash list
+   or: git stash show [-p | --stat] [<stash>]
+   or: git stash drop [<stash>]
+   or: git stash (pop | apply) [<stash>]
+   or: git stash branch <branchname> [<stash>]
+   or: git stash clear
+   or: git stash [push [-u | --include-untracked] [-m | --message <message>]]`,
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const subcommand = args.length > 0 ? args[0] : 'push';
+          if (!this.subcommands.includes(subcommand)) {
+            return CommandLine.failure(`fatal: subcommand wasn't specified; 'push' can't be assumed due to unexpected token '${subcommand}'`);
+          }
+          const operands = args.slice(1);
+
+          // Each subcommand takes only some of the options
+          const allowed = { push: ['message', 'untracked'], save: ['untracked'], show: ['format'] }[subcommand] || [];
+          if (Object.keys(options).some(name => !allowed.includes(name))) {
+            return CommandLine.failure(this.usage);
+          }
+
+          if (subcommand === 'push' || subcommand === 'save') {
+            if (subcommand === 'push' && (operands.length > 0 || options['--'])) {
+              return CommandLine.failure('fatal: the playground can only stash all of your changes, not chosen paths');
+            }
+            const message = subcommand === 'save' ? operands.join(' ') : options.message;
+            return playground.saveStash(message || null, Boolean(options.untracked));
+          }
+
+          if (subcommand === 'list') {
+            const entries = repo.reflog['refs/stash'] || [];
+            return entries.slice().reverse().map((entry, i) => `stash@{${i}}: ${entry.message}`).join('\n') || null;
+          }
+
+          if (subcommand === 'clear') {
+            if (operands.length > 0) {
+              return CommandLine.failure('fatal: git stash clear with arguments is unimplemented');
+            }
+            delete repo.refs['refs/stash'];
+            delete repo.reflog['refs/stash'];
+            return null;
+          }
+
+          if (subcommand === 'branch') {
+            const [name, ref] = operands;
+            if (!name) {
+              return CommandLine.failure('fatal: No branch name specified');
+            }
+            const stash = playground.findStash(ref);
+            if (stash.error) return CommandLine.failure(stash.error);
+            const switched = playground.createBranch(name, GitRepo.readObject(repo, stash.hash).parents[0], true);
+            if (CommandLine.result(switched).failed) return switched;
+            const applied = CommandLine.result(playground.applyStash(stash.hash));
+            const output = `${switched}\n${applied.output}`;
+            return applied.failed ? CommandLine.failure(output) : `${output}\n${playground.dropStash(stash.index)}`;
+          }
+
+          if (operands.length > 1) {
+            return CommandLine.failure(`fatal: Too many revisions specified: ${operands.map(operand => `'${operand}'`).join(' ')}`);
+          }
+          const stash = playground.findStash(operands[0]);
+          if (stash.error) return CommandLine.failure(stash.error);
+
+          if (subcommand === 'show') {
+            const commit = GitRepo.readObject(repo, stash.hash);
+            const changes = playground.collectChanges(GitRepo.commitFiles(repo, commit.parents[0]), GitRepo.commitFiles(repo, stash.hash));
+            const format = options.format || 'stat';
+            const formatted = playground.formatChanges(changes, format);
+            if (formatted.length === 0) return null;
+            return format === 'patch' ? TerminalRenderer.diff(formatted) : formatted.join('\n');
+          }
+
+          if (subcommand === 'drop') {
+            return playground.dropStash(stash.index);
+          }
+
+          // apply or pop; pop drops the entry only if it applied cleanly
+          const applied = playground.applyStash(stash.hash, subcommand === 'pop');
+          if (subcommand === 'apply' || CommandLine.result(applied).failed) {
+            return applied;
+          }
+          return `${applied}\n${playground.dropStash(stash.index)}`;
+        }
+      },
+
+      'git log': {
+        description: 'Show commits',
+        completion: ['refs', 'paths'],
+        options: [
+          { name: 'oneline', long: 'oneline' },
+          { name: 'pretty', long: 'pretty', value: '<format>' },
+          { name: 'format', long: 'format', value: '<format>' },
+          { name: 'graph', long: 'graph' },
+          { name: 'patch', short: 'p', long: 'patch' },
+          { name: 'all', long: 'all' },
+          { name: 'decorate', long: 'decorate', negatable: true },
+          { name: 'maxCount', short: 'n', long: 'max-count', value: '<number>', number: true },
+          { name: 'author', long: 'author', value: '<pattern>' },
+          { name: 'grep', long: 'grep', value: '<pattern>' },
+          { name: 'ignoreCase', short: 'i', long: 'regexp-ignore-case' },
+          { name: 'since', long: 'since', value: '<date>' },
+          { name: 'since', long: 'after', value: '<date>' },
+          { name: 'until', long: 'until', value: '<date>' },
+          { name: 'until', long: 'before', value: '<date>' }
+        ],
+        usage: `usage: git log [--oneline | --pretty=<format> | --format=<format>] [--graph] [-p] [--all]
+               [--[no-]decorate] [-n <number>] [--author=<pattern>] [--grep=<pattern>]
+               [--since=<date>] [--until=<date>] [<revision-range>] [[--] <path>...]`,
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const { fs, repo } = playground.state;
+          const ambiguous = arg => `fatal: ambiguous argument '${arg}': unknown revision or path not in the working tree.
+Use '--' to separate paths from revisions, like this:
+'git <command> [<revision>...] -- [<file>...]'`;
+
+          // Revisions to start from (A, B in A..B) and to leave out (^A, A in A..B)
+          const include = [];
+          const exclude = [];
+          const pathArgs = [];
+          for (const arg of args) {
+            const range = arg.match(/^(.*)\.\.(.*)$/);
+            const specs = range
+              ? [[range[1] || 'HEAD', exclude], [range[2] || 'HEAD', include]]
+              : arg.startsWith('^') ? [[arg.slice(1), exclude]] : [[arg, include]];
+            const hashes = specs.map(([spec]) => GitRepo.resolveRevision(repo, spec));
+            const commits = hashes.every(hash => hash && GitRepo.readObject(repo, hash).type === 'commit');
+            if (pathArgs.length === 0 && commits) {
+              specs.forEach(([, list], i) => list.push(hashes[i]));
+              continue;
+            }
+            if (options['--'] !== undefined) {
+              return CommandLine.failure(`fatal: bad revision '${arg}'`);
+            }
+            // Without "--", anything that isn't a revision must be a path Git knows about
+            const path = playground.resolvePath(arg);
+            const known = path !== null && (VirtualFS.exists(fs, path) ||
+              Object.keys(repo.index).some(file => file === path || file.startsWith(`${path}/`)));
+            if (!known) {
+              return CommandLine.failure(ambiguous(arg));
+            }
+            pathArgs.push(arg);
+          }
+          pathArgs.push(...(options['--'] || []));
+          const paths = [];
+          for (const arg of pathArgs) {
+            const path = playground.resolvePath(arg);
+            if (path === null) {
+              return CommandLine.failure(`fatal: ${arg}: '${arg}' is outside repository at '${playground.state.workingDirectory}'`);
+            }
+            paths.push(path);
+          }
+
+          if (options.all) {
+            include.push(...Object.values(repo.refs), GitRepo.headCommit(repo));
+          } else if (include.length === 0) {
+            const head = GitRepo.headCommit(repo);
+            if (!head) {
+              return CommandLine.failure(`fatal: your current branch '${GitRepo.currentBranch(repo)}' does not have any commits yet`);
+            }
+            include.push(head);
+          }
+
+          // --pretty names a format or gives a template; --format is always a template
+          let pretty = options.format !== undefined ? `tformat:${options.format}` : options.pretty;
+          if (pretty === undefined) pretty = options.oneline ? 'oneline' : 'medium';
+          let format;
+          if (['oneline', 'short', 'medium', 'full'].includes(pretty)) {
+            format = { kind: pretty, abbrev: Boolean(options.oneline) };
+          } else if (/^t?format:/.test(pretty) || pretty.includes('%')) {
+            format = { kind: 'template', template: pretty.replace(/^t?format:/, '') };
+          } else {
+            return CommandLine.failure(`fatal: invalid --pretty format: ${pretty}`);
+          }
+
+          // Filters: all of them have to match
+          const filters = [];
+          for (const name of ['author', 'grep']) {
+            if (options[name] === undefined) continue;
+            let pattern;
+            try {
+              pattern = new RegExp(options[name], options.ignoreCase ? 'i' : '');
+            } catch (e) {
+              return CommandLine.failure(`fatal: command line, '${options[name]}': ${e.message}`);
+            }
+            filters.push(name === 'author'
+              ? commit => pattern.test(`${commit.author.name} <${commit.author.email}>`)
+              : commit => pattern.test(commit.message));
+          }
+          for (const name of ['since', 'until']) {
+            if (options[name] === undefined) continue;
+            const time = GitRepo.parseDate(options[name]);
+            if (time === null) {
+              return CommandLine.failure(`fatal: could not understand the date '${options[name]}'
+
+Hint: Try a date like 2026-01-31, or something like "2 days ago" or yesterday.`);
+            }
+            filters.push(name === 'since'
+              ? commit => commit.committer.timestamp >= time
+              : commit => commit.committer.timestamp <= time);
+          }
+          let limit = Infinity;
+          if (options.maxCount !== undefined) {
+            if (!/^-?\d+$/.test(options.maxCount)) {
+              return CommandLine.failure(`fatal: '${options.maxCount}': not an integer`);
+            }
+            limit = parseInt(options.maxCount, 10) < 0 ? Infinity : parseInt(options.maxCount, 10);
+          }
+
+          const hidden = new Set();
+          exclude.forEach(hash => GitRepo.ancestors(repo, hash).forEach(commit => hidden.add(commit)));
+          const hashes = GitRepo.reachableCommits(repo, include)
+            .filter(hash => !hidden.has(hash))
+            .filter(hash => filters.every(filter => filter(GitRepo.readObject(repo, hash))))
+            .filter(hash => paths.length === 0 || playground.touchesPaths(hash, paths))
+            .slice(0, limit);
+          if (hashes.length === 0) {
+            return null;
+          }
+
+          // -p: each commit's changes (to the given paths), left out for merges as in git show
+          const patches = hashes.map(hash => {
+            const commit = GitRepo.readObject(repo, hash);
+            if (!options.patch || commit.parents.length > 1) return [];
+            return playground.formatPatch(playground.collectChanges(
+              GitRepo.commitFiles(repo, commit.parents[0] || null),
+              GitRepo.commitFiles(repo, hash),
+              paths.length ? paths : undefined
+            ));
+          });
+
+          const decorate = options.decorate !== false;
+          const separated = ['short', 'medium', 'full'].includes(format.kind);
+          if (options.patch && !options.graph) {
+            // Patches are diff blocks; a blank line separates one commit from the next
+            const outputs = [];
+            hashes.forEach((hash, i) => {
+              const entry = playground.formatLogEntry(hash, format, decorate);
+              const text = separated && i > 0 ? `\n${entry}` : entry;
+              if (patches[i].length === 0) {
+                outputs.push(text);
+              } else {
+                outputs.push(separated ? `${text}\n` : text, TerminalRenderer.diff(patches[i]));
+              }
+            });
+            return outputs.length === 1 ? outputs[0] : outputs;
+          }
+          const entries = hashes.map((hash, i) => {
+            let entry = playground.formatLogEntry(hash, format, decorate);
+            // The graph runs down beside every line, so the patch goes in as text
+            if (patches[i].length > 0) {
+              entry += `${separated ? '\n\n' : '\n'}${patches[i].join('\n')}`;
+            }
+            return separated && i < hashes.length - 1 ? `${entry}\n` : entry;
+          });
+          return options.graph ? playground.logGraph(hashes, entries).join('\n') : entries.join('\n');
+        }
+      },
+
+      'git diff': {
+        description: 'Show changes between commits, the index and the working tree',
+        completion: ['refs', 'paths'],
+        options: [
+          { name: 'cached', long: 'staged' },
+          { name: 'cached', long: 'cached' },
+          { name: 'format', long: 'stat', set: 'stat' },
+          { name: 'format', long: 'name-only', set: 'name-only' },
+          { name: 'format', long: 'name-status', set: 'name-status' }
+        ],
+        usage: 'usage: git diff [--staged] [--stat | --name-only | --name-status] [<commit> [<commit>]] [-- <path>...]',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const { fs, repo } = playground.state;
+          const separator = options['--'] !== undefined;
+          const pathArgs = [];
+          const cached = Boolean(options.cached);
+          const format = options.format || 'patch';
+          const revisions = [];
+
+          for (const arg of args) {
+            if (pathArgs.length === 0 && revisions.length < 2 && playground.parseDiffRange(arg)) {
+              revisions.push(...playground.parseDiffRange(arg));
+            } else if (separator) {
+              return CommandLine.failure(`fatal: bad revision '${arg}'`);
+            } else {
+              // Without "--", anything that isn't a revision must be a path Git knows about
+              const path = playground.resolvePath(arg);
+              const known = path !== null && (VirtualFS.exists(fs, path) ||
+                Object.keys(repo.index).some(file => file === path || file.startsWith(`${path}/`)));
+              if (!known) {
+                return CommandLine.failure(`fatal: ambiguous argument '${arg}': unknown revision or path not in the working tree.
+Use '--' to separate paths from revisions, like this:
+'git <command> [<revision>...] -- [<file>...]'`);
+              }
+              pathArgs.push(arg);
+            }
+          }
+
+          if (separator) {
+            pathArgs.push(...options['--']);
+          }
+          const paths = [];
+          for (const arg of pathArgs) {
+            const path = playground.resolvePath(arg);
+            if (path === null) {
+              return CommandLine.failure(`fatal: ${arg}: '${arg}' is outside repository at '${playground.state.workingDirectory}'`);
+            }
+            paths.push(path);
+          }
+          if (revisions.includes(null)) {
+            return CommandLine.failure('fatal: bad revision');
+          }
+
+          const head = GitRepo.headCommit(repo);
+          const stagedFiles = Object.assign({}, repo.index);
+          const lines = [];
+          let oldFiles;
+          let newFiles;
+
+          if (revisions.length === 2) {
+            oldFiles = GitRepo.commitFiles(repo, revisions[0]);
+            newFiles = GitRepo.commitFiles(repo, revisions[1]);
+          } else if (cached) {
+            oldFiles = GitRepo.commitFiles(repo, revisions[0] || head);
+            newFiles = stagedFiles;
+            Object.keys(repo.unmerged).sort().forEach(path => lines.push(`* Unmerged path ${path}`));
+          } else if (revisions.length === 1) {
+            oldFiles = GitRepo.commitFiles(repo, revisions[0]);
+            newFiles = playground.workingTreeFiles(Object.keys(oldFiles).concat(Object.keys(repo.index), Object.keys(repo.unmerged)));
+          } else {
+            // Unmerged paths are compared against our side of the conflict
+            Object.keys(repo.unmerged).forEach(path => {
+              if (repo.unmerged[path].ours) stagedFiles[path] = repo.unmerged[path].ours;
+            });
+            oldFiles = stagedFiles;
+            newFiles = playground.workingTreeFiles(Object.keys(stagedFiles).concat(Object.keys(repo.unmerged)));
+          }
+
+          const changes = playground.collectChanges(oldFiles, newFiles, paths.length ? paths : null);
+          const formatted = playground.formatChanges(changes, format);
+          if (format === 'patch' && formatted.length > 0) {
+            return lines.length ? [lines.join('\n'), TerminalRenderer.diff(formatted)] : TerminalRenderer.diff(formatted);
+          }
+          lines.push(...formatted);
+          return lines.length ? lines.join('\n') : null;
+        }
+      },
+
+      'git show': {
+        description: 'Show a commit and what it changed',
+        completion: ['refs'],
+        options: [
+          { name: 'format', long: 'stat', set: 'stat' },
+          { name: 'format', long: 'name-only', set: 'name-only' },
+          { name: 'format', long: 'name-status', set: 'name-status' },
+          { name: 'format', short: 's', long: 'no-patch', set: 'none' }
+        ],
+        usage: 'usage: git show [--stat | --name-only | --name-status | -s] [<object>...]',
+        handler: function(playground, names, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const format = options.format || 'patch';
+
+          if (names.length === 0) {
+            if (!GitRepo.headCommit(repo)) {
+              return CommandLine.failure(`fatal: your current branch '${GitRepo.currentBranch(repo)}' does not have any commits yet`);
+            }
+            names.push('HEAD');
+          }
+
+          // Patches are diff blocks; a blank line separates one object from the next
+          const outputs = [];
+          const add = part => outputs.push(outputs.length && typeof part === 'string' ? `\n${part}` : part);
+          for (const name of names) {
+            let hash = GitRepo.resolveObject(repo, name);
+            let object = hash ? GitRepo.readObject(repo, hash) : null;
+            if (!object) {
+              return CommandLine.failure(`fatal: ambiguous argument '${name}': unknown revision or path not in the working tree.`);
+            }
+
+            // An annotated tag shows its own header, then what it tags
+            let tagHeader = '';
+            if (object.type === 'tag') {
+              tagHeader = `tag ${object.tag}
+Tagger: ${object.tagger.name} <${object.tagger.email}>
+Date:   ${GitRepo.formatDate(object.tagger)}
+
+${object.message}
+
+`;
+              hash = GitRepo.peel(repo, hash);
+              object = GitRepo.readObject(repo, hash);
+            }
+
+            if (object.type === 'blob') {
+              add(object.content.replace(/\n$/, ''));
+            } else if (object.type === 'tree') {
+              const entries = object.entries.map(entry => entry.mode === '40000' ? `${entry.name}/` : entry.name);
+              add(`tree ${name}\n\n${entries.join('\n')}`);
+            } else {
+              const header = tagHeader + playground.formatCommitHeader(hash);
+              let lines = [];
+              // Like Git, a merge commit shows no patch unless it resolved something by hand
+              if (format !== 'none' && object.parents.length <= 1) {
+                const changes = playground.collectChanges(
+                  GitRepo.commitFiles(repo, object.parents[0] || null),
+                  GitRepo.commitFiles(repo, hash)
+                );
+                lines = playground.formatChanges(changes, format);
+              }
+              if (lines.length === 0) {
+                add(header);
+              } else if (format === 'patch') {
+                add(`${header}\n`);
+                add(TerminalRenderer.diff(lines));
+              } else {
+                add(`${header}\n\n${lines.join('\n')}`);
+              }
+            }
+          }
+          return outputs.length === 1 ? outputs[0] : outputs;
+        }
+      },
+
+      'git blame': {
+        description: 'Show which commit last changed each line of a file',
+        completion: ['refs', 'paths'],
+        options: [
+          { name: 'range', short: 'L', value: '<start>,<end>' },
+          { name: 'suppress', short: 's' },
+          { name: 'email', short: 'e', long: 'show-email' }
+        ],
+        usage: 'usage: git blame [-L <start>,<end>] [-s] [-e] [<rev>] [--] <file>',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const operands = args.concat(options['--'] || []);
+          if (operands.length === 0 || operands.length > 2) {
+            return CommandLine.failure(this.usage);
+          }
+          const file = operands[operands.length - 1];
+          const rev = operands.length === 2 ? operands[0] : null;
+
+          let hash = null;
+          if (rev) {
+            hash = GitRepo.resolveRevision(repo, rev);
+            if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+              return CommandLine.failure(`fatal: bad revision '${rev}'`);
+            }
+          }
+          const path = playground.resolvePath(file);
+          if (path === null) {
+            return CommandLine.failure(`fatal: ${file}: '${file}' is outside repository at '${playground.state.workingDirectory}'`);
+          }
+
+          const lines = playground.blame(path, hash);
+          if (!lines) {
+            return CommandLine.failure(`fatal: no such path '${path}' in ${rev || 'HEAD'}`);
+          }
+
+          // -L 3,5, -L 3,+2 or -L 3 (to the end)
+          let first = 1;
+          let last = lines.length;
+          if (options.range !== undefined) {
+            const range = options.range.match(/^(\d+)(?:,(\+?)(\d+))?$/);
+            if (!range) {
+              return CommandLine.failure(`fatal: invalid -L argument '${options.range}'`);
+            }
+            first = parseInt(range[1], 10);
+            if (range[3] !== undefined) {
+              last = range[2] ? first + parseInt(range[3], 10) - 1 : parseInt(range[3], 10);
+            }
+            if (first < 1 || first > lines.length) {
+              return CommandLine.failure(`fatal: file ${file} has only ${lines.length} line${lines.length === 1 ? '' : 's'}`);
+            }
+            last = Math.min(Math.max(last, first), lines.length);
+          }
+
+          const shown = lines.slice(first - 1, last);
+          const who = line => options.email ? `<${line.author.email}>` : line.author.name;
+          const whoWidth = Math.max(...shown.map(line => who(line).length));
+          const numberWidth = String(last).length;
+          return shown.map((line, i) => {
+            // Lines from a root commit are marked as the boundary of the search
+            const id = !line.hash ? '00000000'
+              : line.boundary ? `^${line.hash.substring(0, 7)}` : line.hash.substring(0, 8);
+            const number = String(first + i).padStart(numberWidth);
+            const text = line.text.replace(/\n$/, '');
+            return options.suppress
+              ? `${id} ${number}) ${text}`
+              : `${id} (${who(line).padEnd(whoWidth)} ${GitRepo.formatDate(line.author, 'iso')} ${number}) ${text}`;
+          }).join('\n');
+        }
+      },
+
+      'git reflog': {
+        description: 'Show where HEAD and branches have been',
+        completion: ['refs'],
+        options: [],
+        usage: 'usage: git reflog [show] [<ref>]',
+        handler: function(playground, args) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const names = args.filter(arg => arg !== 'show');
+
+          const name = names[0] || 'HEAD';
+          const ref = GitRepo.fullRefName(repo, name);
+          const entries = ref ? repo.reflog[ref] || [] : [];
+          if (!ref && names[0]) {
+            return CommandLine.failure(`fatal: ambiguous argument '${name}': unknown revision or path not in the working tree.`);
+          }
+          if (entries.length === 0) {
+            return null;
+          }
+
+          return entries.slice().reverse().map((entry, i) => {
+            const decorations = GitRepo.decorations(repo, entry.new);
+            const shown = decorations ? ` (${decorations})` : '';
+            return `${entry.new.substring(0, 7)}${shown} ${name}@{${i}}: ${entry.message}`;
+          }).join('\n');
+        }
+      },
+
+      'git bisect': {
+        description: 'Binary search the history for the commit that broke something',
+        subcommands: ['start', 'bad', 'good', 'skip', 'reset', 'log'],
+        completion: ['refs'],
+        options: [],
+        usage: `usage: git bisect start [<bad> [<good>...]]
+   or: git bisect (bad | good) [<rev>...]
+   or: git bisect skip [<rev>...]
+   or: git bisect reset [<commit>]
+   or: git bisect log`,
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const subcommand = args[0];
+          if (!this.subcommands.includes(subcommand)) {
+            return CommandLine.failure(this.usage);
+          }
+          const revs = args.slice(1).concat(options['--'] || []);
+
+          if (subcommand === 'start') {
+            if (!GitRepo.headCommit(repo)) {
+              return CommandLine.failure("fatal: bad revision 'HEAD'");
+            }
+            return playground.startBisect(revs);
+          }
+
+          if (!repo.bisect) {
+            return subcommand === 'reset'
+              ? 'We are not bisecting.'
+              : CommandLine.failure(`You need to start by "git bisect start"
+
+Hint: Run git bisect start, then mark a broken commit with git bisect bad and a working one with git bisect good <commit>.`);
+          }
+
+          if (subcommand === 'log') {
+            return repo.bisect.log.join('\n');
+          }
+          if (subcommand === 'reset') {
+            if (revs.length > 1) return CommandLine.failure(this.usage);
+            return playground.resetBisect(revs[0]);
+          }
+
+          if (subcommand === 'bad' && revs.length > 1) {
+            return CommandLine.failure("error: 'git bisect bad' can take only one argument.");
+          }
+          const hashes = [];
+          for (const rev of revs.length ? revs : ['HEAD']) {
+            const hash = GitRepo.resolveRevision(repo, rev);
+            if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+              return CommandLine.failure(`error: Bad rev input: ${rev}`);
+            }
+            hashes.push(hash);
+          }
+          hashes.forEach(hash => playground.markBisect(subcommand, hash));
+          return playground.bisectNext();
+        }
+      },
+
+      'git tag': {
+        description: 'Name a commit, such as a release',
+        completion: ['refs'],
+        options: [
+          { name: 'action', short: 'l', long: 'list', set: 'list' },
+          { name: 'action', short: 'd', long: 'delete', set: 'delete' },
+          { name: 'annotate', short: 'a', long: 'annotate' },
+          { name: 'message', short: 'm', long: 'message', value: '<msg>', repeat: true },
+          { name: 'force', short: 'f', long: 'force' }
+        ],
+        usage: `usage: git tag [-a] [-f] [-m <msg>] <tagname> [<commit>]
+   or: git tag -d <tagname>...
+   or: git tag [-l] [<pattern>...]`,
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const annotated = Boolean(options.annotate || options.message);
+
+          if (options.action === 'delete') {
+            if (annotated) return CommandLine.failure(this.usage);
+            let failed = false;
+            const output = args.map(name => {
+              const ref = `refs/tags/${name}`;
+              if (!repo.refs[ref]) {
+                failed = true;
+                return `error: tag '${name}' not found.`;
+              }
+              const old = repo.refs[ref];
+              delete repo.refs[ref];
+              return `Deleted tag '${name}' (was ${old.substring(0, 7)})`;
+            }).join('\n');
+            return failed ? CommandLine.failure(output) : output || null;
+          }
+
+          if (options.action === 'list' || (args.length === 0 && !annotated)) {
+            if (annotated) return CommandLine.failure(this.usage);
+            const names = Object.keys(repo.refs)
+              .filter(ref => ref.startsWith('refs/tags/'))
+              .map(ref => ref.slice(10))
+              .filter(name => args.length === 0 || args.some(pattern => GitRepo.wildmatch(pattern, name)))
+              .sort();
+            return names.length ? names.join('\n') : null;
+          }
+
+          if (args.length === 0 || args.length > 2) {
+            return CommandLine.failure(args.length === 0 ? this.usage : 'fatal: too many arguments');
+          }
+          const [name, target] = args;
+          const ref = `refs/tags/${name}`;
+          if (!GitRepo.isValidBranchName(name)) {
+            return CommandLine.failure(`fatal: '${name}' is not a valid tag name.`);
+          }
+          if (repo.refs[ref] && !options.force) {
+            return CommandLine.failure(`fatal: tag '${name}' already exists`);
+          }
+          const hash = GitRepo.resolveRevision(repo, target || 'HEAD');
+          if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+            return CommandLine.failure(`fatal: Failed to resolve '${target || 'HEAD'}' as a valid ref.`);
+          }
+
+          let value = hash;
+          if (annotated) {
+            // An annotated tag is an object of its own, with a tagger and a message
+            const message = (options.message || []).join('\n\n').trim();
+            if (!message) {
+              return CommandLine.failure(options.message
+                ? 'fatal: no tag message?'
+                : `fatal: no tag message?
+
+Hint: The playground has no editor, so give the message with -m: git tag -a ${name} -m "your message here"`);
+            }
+            value = GitRepo.writeObject(repo, {
+              type: 'tag',
+              object: hash,
+              objectType: 'commit',
+              tag: name,
+              tagger: playground.identity(),
+              message: message
+            });
+          }
+
+          const old = repo.refs[ref];
+          GitRepo.updateRef(repo, ref, value);
+          return old && old !== value ? `Updated tag '${name}' (was ${old.substring(0, 7)})` : null;
+        }
+      },
+
+      'git describe': {
+        description: 'Name a commit after the nearest tag',
+        completion: ['refs'],
+        options: [
+          { name: 'tags', long: 'tags' },
+          { name: 'always', long: 'always' }
+        ],
+        usage: 'usage: git describe [--tags] [--always] [<commit>...]',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const names = args.length ? args : ['HEAD'];
+          const lines = [];
+          for (const name of names) {
+            const hash = GitRepo.resolveRevision(repo, name);
+            if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+              return CommandLine.failure(`fatal: Not a valid object name ${name}`);
+            }
+            const described = CommandLine.result(playground.describeCommit(hash, options));
+            if (described.failed) {
+              return CommandLine.failure(lines.concat(described.output).join('\n'));
+            }
+            lines.push(described.output);
+          }
+          return lines.join('\n');
+        }
+      },
+
+      'git clone': {
+        description: 'Copy a remote repository',
+        completion: [],
+        options: [],
+        usage: 'usage: git clone <repository> [<directory>]',
+        handler: function(playground, positional) {
+          if (positional.length === 0) {
+            return CommandLine.failure(`fatal: You must specify a repository to clone.
+
+usage: git clone <repository> [<directory>]
+
+Hint: Try the demo project: git clone ${GitPlayground.demoRemoteUrl}`);
+          }
+
+          const url = positional[0];
+          const server = playground.state.servers[url];
+          if (!server) {
+            return CommandLine.failure(`fatal: repository '${url}' not found
+
+Hint: Try the demo project: git clone ${GitPlayground.demoRemoteUrl}`);
+          }
+          const state = playground.state;
+          if (state.initialized) {
+            return CommandLine.failure(`fatal: the playground only clones outside a repository, and ${state.workingDirectory} already is one.
+
+Hint: Run 'rm -rf .git' to make it a plain folder again (your files stay, their history goes), then clone.`);
+          }
+          const nested = playground.nestedClone();
+          if (nested) {
+            return CommandLine.failure(`fatal: the playground holds one clone at a time, and ${nested.path} already is one.
+
+Hint: Remove it with 'rm -rf ${nested.path}' first, then clone again.`);
+          }
+
+          const directory = positional[1] || url.replace(/\/+$/, '').split('/').pop().replace(/\.git$/, '');
+          if (!directory || directory.includes('/') || directory === '.' || directory === '..') {
+            return CommandLine.failure(`fatal: could not create work tree dir '${directory}'`);
+          }
+          const path = state.cwd ? `${state.cwd}/${directory}` : directory;
+          if (VirtualFS.isFile(state.fs, path) || VirtualFS.list(state.fs, path).length > 0) {
+            return CommandLine.failure(`fatal: destination path '${directory}' already exists and is not an empty directory.`);
+          }
+
+          // Build the clone in its own workspace, then step back out to where the student ran clone
+          VirtualFS.mkdir(state.fs, path);
+          state.nested = {
+            path: path,
+            entered: false,
+            workspace: {
+              fs: VirtualFS.create(),
+              repo: GitRepo.create(),
+              initialized: true,
+              cwd: '',
+              workingDirectory: `${state.workingDirectory}/${path}`
+            }
+          };
+          playground.switchWorkspace();
+          const repo = state.repo;
+          playground.addRemote('origin', url);
+          playground.fetchRemote('origin');
+
+          // Check out the branch the server's HEAD points at
+          const defaultBranch = playground.defaultBranchOf(server);
+          let output = `Cloning into '${directory}'...\n`;
+          if (!defaultBranch) {
+            state.fs = VirtualFS.create();
+            output += 'warning: You appear to have cloned an empty repository.';
+          } else {
+            const hash = repo.refs[`refs/remotes/origin/${defaultBranch}`];
+            const files = GitRepo.commitFiles(repo, hash);
+            const contents = {};
+            Object.keys(files).forEach(path => {
+              contents[path] = GitRepo.readObject(repo, files[path].hash).content;
+              repo.index[path] = { mode: files[path].mode, hash: files[path].hash };
+            });
+            state.fs = VirtualFS.create(contents);
+            repo.HEAD = `ref: refs/heads/${defaultBranch}`;
+            GitRepo.advanceHead(repo, hash, `clone: from ${url}`);
+            playground.setUpstream(defaultBranch, 'origin', defaultBranch);
+            output += 'done.';
+          }
+          playground.switchWorkspace();
+
+          return `${output}
+
+Hint: Run 'cd ${directory}' to step into the copy, then try 'git log' and 'git branch -a'.`;
+        }
+      },
+
+      'git remote': {
+        description: 'Manage remote repositories',
+        subcommands: ['add', 'get-url', 'remove', 'rm'],
+        completion: ['remotes'],
+        options: [
+          { name: 'verbose', short: 'v', long: 'verbose' }
+        ],
+        usage: `usage: git remote [-v | --verbose]
+   or: git remote add <name> <url>
+   or: git remote remove <name>
+   or: git remote get-url <name>`,
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const names = playground.remoteNames();
+          const verbose = Boolean(options.verbose);
+          const subcommand = args[0];
+
+          if (!subcommand) {
+            if (names.length === 0) {
+              return `Hint: No remotes yet. Connect one with 'git remote add origin <url>'.`;
+            }
+            if (!verbose) return names.join('\n');
+            const rows = [];
+            names.forEach(name => {
+              const url = repo.config[`remote.${name}.url`];
+              rows.push([name, `${url} (fetch)`], [name, `${url} (push)`]);
+            });
+            return TerminalRenderer.table(rows, { separator: '\t' });
+          }
+
+          const [, name, url] = args;
+          if (subcommand === 'add') {
+            if (!name || !url) {
+              return CommandLine.failure('usage: git remote add <name> <url>');
+            }
+            if (names.includes(name)) {
+              return CommandLine.failure(`error: remote ${name} already exists.`);
+            }
+            if (!GitRepo.isValidBranchName(name)) {
+              return CommandLine.failure(`fatal: '${name}' is not a valid remote name`);
+            }
+            if (playground.state.servers[url]) {
+              playground.addRemote(name, url);
+              return null;
+            }
+            // Stand in for creating an empty repository on GitHub
+            playground.state.servers[url] = GitRepo.create();
+            playground.addRemote(name, url);
+            return `Hint: The playground created an empty repository at ${url} for you.
+Publish your branch to it with 'git push -u ${name} ${GitRepo.currentBranch(repo) || 'main'}'.`;
+          }
+
+          if (subcommand === 'remove' || subcommand === 'rm') {
+            if (!name) {
+              return CommandLine.failure('usage: git remote remove <name>');
+            }
+            if (!names.includes(name)) {
+              return CommandLine.failure(`error: No such remote: '${name}'`);
+            }
+            Object.keys(repo.config).forEach(key => {
+              if (key.startsWith(`remote.${name}.`) ||
+                  (/^branch\..*\.remote$/.test(key) && repo.config[key] === name)) {
+                delete repo.config[key];
+              }
+            });
+            Object.keys(repo.config).forEach(key => {
+              const match = key.match(/^branch\.(.*)\.merge$/);
+              if (match && !repo.config[`branch.${match[1]}.remote`]) {
+                delete repo.config[key];
+              }
+            });
+            Object.keys(repo.refs).forEach(ref => {
+              if (ref.startsWith(`refs/remotes/${name}/`)) {
+                delete repo.refs[ref];
+                delete repo.reflog[ref];
+              }
+            });
+            return null;
+          }
+
+          if (subcommand === 'get-url') {
+            if (!name) {
+              return CommandLine.failure('usage: git remote get-url <name>');
+            }
+            return names.includes(name) ? repo.config[`remote.${name}.url`] : CommandLine.failure(`error: No such remote '${name}'`);
+          }
+
+          return CommandLine.failure(`error: unknown subcommand: '${subcommand}'
+${this.usage}`);
+        }
+      },
+
+      'git fetch': {
+        description: 'Download commits from a remote',
+        completion: ['remotes', 'refs'],
+        options: [
+          { name: 'all', long: 'all' }
+        ],
+        usage: 'usage: git fetch [--all] [<remote>]',
+        handler: function(playground, positional, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const remotes = options.all ? playground.remoteNames() : [positional[0] || playground.defaultRemote()];
+          if (remotes.length === 0 || !remotes[0]) {
+            return CommandLine.failure(`fatal: No remote repository specified.  Please, specify either a URL or a
+remote name from which new revisions should be fetched.
+
+Hint: Connect one first with 'git remote add origin <url>'.`);
+          }
+
+          const output = [];
+          for (const remote of remotes) {
+            const result = playground.fetchRemote(remote);
+            if (result.error) return CommandLine.failure(result.error);
+            output.push(...result.lines);
+          }
+          return output.length ? output.join('\n') : null;
+        }
+      },
+
+      'git pull': {
+        description: 'Fetch from a remote and integrate the changes',
+        completion: ['remotes', 'refs'],
+        options: [
+          { name: 'rebase', short: 'r', long: 'rebase', negatable: true },
+          { name: 'ffOnly', long: 'ff-only' }
+        ],
+        usage: 'usage: git pull [--rebase | --no-rebase] [--ff-only] [<remote> [<branch>]]',
+        handler: function(playground, positional, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const rebase = Boolean(options.rebase);
+          const fastForwardOnly = Boolean(options.ffOnly);
+
+          if (repo.sequencer || Object.keys(repo.unmerged).length > 0) {
+            return CommandLine.failure(`error: Pulling is not possible because you have unmerged files.
+hint: Fix them up in the work tree, and then use 'git add/rm <file>'
+hint: as appropriate to mark resolution and make a commit.
+fatal: Exiting because of an unresolved conflict.`);
+          }
+          if (repo.mergeHead) {
+            return CommandLine.failure(`fatal: You have not concluded your merge (MERGE_HEAD exists).
+Please, commit your changes before merging.`);
+          }
+
+          const branch = GitRepo.currentBranch(repo);
+          const upstream = branch ? playground.upstreamOf(branch) : null;
+          const remote = positional[0] || (upstream ? upstream.remote : playground.defaultRemote());
+          if (!remote) {
+            return CommandLine.failure(`fatal: No remote repository specified.
+
+Hint: Connect one first with 'git remote add origin <url>'.`);
+          }
+          let remoteBranch = positional[1];
+          if (!remoteBranch) {
+            if (!branch) {
+              return CommandLine.failure(`You are not currently on a branch.
+Please specify which branch you want to merge with.
+See git-pull(1) for details.
+
+    git pull <remote> <branch>`);
+            }
+            if (!upstream || upstream.remote !== remote) {
+              return CommandLine.failure(`There is no tracking information for the current branch.
+Please specify which branch you want to merge with.
+See git-pull(1) for details.
+
+    git pull <remote> <branch>
+
+If you wish to set tracking information for this branch you can do so with:
+
+    git branch --set-upstream-to=${remote}/<branch> ${branch}`);
+            }
+            remoteBranch = upstream.branch;
+          }
+
+          const fetched = playground.fetchRemote(remote);
+          if (fetched.error) return CommandLine.failure(fetched.error);
+          const output = fetched.lines.slice();
+          const name = `${remote}/${remoteBranch}`;
+          const target = repo.refs[`refs/remotes/${name}`];
+          if (!target) {
+            output.push(`fatal: couldn't find remote ref ${remoteBranch}`);
+            return CommandLine.failure(output.join('\n'));
+          }
+
+          const head = GitRepo.headCommit(repo);
+          if (rebase && head) {
+            if (GitRepo.isAncestor(repo, target, head)) {
+              output.push(`Current branch ${branch || 'HEAD'} is up to date.`);
+              return output.join('\n');
+            }
+            const error = playground.checkCleanForRebase();
+            if (error) {
+              output.push(error);
+              return CommandLine.failure(output.join('\n'));
+            }
+            const todo = playground.commitsToReplay(target, head).map(hash => ({ action: 'pick', hash: hash }));
+            const rebased = CommandLine.result(playground.startSequencer('rebase', target, todo, { ontoName: name }));
+            output.push(rebased.output);
+            return rebased.failed ? CommandLine.failure(output.join('\n')) : output.join('\n');
+          }
+
+          const url = repo.config[`remote.${remote}.url`];
+          const merged = CommandLine.result(playground.mergeCommit(name, target, {
+            message: `Merge branch '${remoteBranch}' of ${url}`,
+            fastForwardOnly: fastForwardOnly
+          }));
+          output.push(merged.output);
+          return merged.failed ? CommandLine.failure(output.join('\n')) : output.join('\n');
+        }
+      },
+
+      'git push': {
+        description: 'Upload commits to a remote',
+        completion: ['remotes', 'refs'],
+        options: [
+          { name: 'setUpstream', short: 'u', long: 'set-upstream' },
+          { name: 'force', short: 'f', long: 'force' },
+          { name: 'tags', long: 'tags' }
+        ],
+        usage: 'usage: git push [-u | --set-upstream] [-f | --force] [--tags] [<remote> [<branch>[:<remote-branch>] | <tag>]]',
+        handler: function(playground, positional, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const setUpstream = Boolean(options.setUpstream);
+          const force = Boolean(options.force);
+
+          const branch = GitRepo.currentBranch(repo);
+          const upstream = branch ? playground.upstreamOf(branch) : null;
+          // Tags don't need an upstream branch, so --tags falls back to origin
+          const remote = positional[0] || (upstream && upstream.remote) || (options.tags ? playground.defaultRemote() : null);
+          if (!remote) {
+            if (playground.remoteNames().length === 0) {
+              return CommandLine.failure(`fatal: No configured push destination.
+Either specify the URL from the command-line or configure a remote repository using
+
+    git remote add <name> <url>
+
+and then push using the remote name
+
+    git push <name>`);
+            }
+            if (!branch) {
+              return CommandLine.failure(`fatal: You are not currently on a branch.
+To push the history leading to the current (detached HEAD)
+state now, use
+
+    git push origin HEAD:<name-of-remote-branch>`);
+            }
+            return CommandLine.failure(`fatal: The current branch ${branch} has no upstream branch.
+To push the current branch and set the remote as upstream, use
+
+    git push --set-upstream ${playground.defaultRemote()} ${branch}`);
+          }
+
+          const url = repo.config[`remote.${remote}.url`];
+          const server = url ? playground.state.servers[url] : null;
+          if (!server) {
+            return CommandLine.failure(`fatal: '${remote}' does not appear to be a git repository
+fatal: Could not read from remote repository.
+
+Hint: 'git remote -v' lists the remotes you have.`);
+          }
+
+          // <src>[:<dst>], defaulting to the current branch and its upstream
+          // unless --tags is all there is to push
+          let refspec = positional[1];
+          if (!refspec && !options.tags) {
+            if (!branch) {
+              return CommandLine.failure(`fatal: You are not currently on a branch.
+To push the history leading to the current (detached HEAD)
+state now, use
+
+    git push ${remote} HEAD:<name-of-remote-branch>`);
+            }
+            refspec = upstream && upstream.remote === remote ? `${branch}:${upstream.branch}` : branch;
+          }
+
+          // Each update: { source, target, hash, tag }, where target is a branch or tag name
+          const updates = [];
+          if (refspec) {
+            const [source, destination = source === 'HEAD' && branch ? branch : source] = refspec.split(':');
+            const tag = source.replace(/^refs\/tags\//, '');
+            if (source !== 'HEAD' && !repo.refs[`refs/heads/${source}`] && repo.refs[`refs/tags/${tag}`]) {
+              // A tag goes to refs/tags/ on the remote, whatever the branches are called
+              const target = destination.replace(/^refs\/tags\//, '');
+              if (!GitRepo.isValidBranchName(target)) {
+                return CommandLine.failure(`error: The destination you provided is not a full refname.
+error: failed to push some refs to '${url}'`);
+              }
+              updates.push({ source: tag, target: target, hash: repo.refs[`refs/tags/${tag}`], tag: true });
+            } else {
+              const hash = GitRepo.resolveRevision(repo, source);
+              if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+                return CommandLine.failure(`error: src refspec ${source} does not match any
+error: failed to push some refs to '${url}'`);
+              }
+              const target = destination.replace(/^refs\/heads\//, '');
+              if (target === 'HEAD' || !GitRepo.isValidBranchName(target)) {
+                return CommandLine.failure(`error: The destination you provided is not a full refname.
+error: failed to push some refs to '${url}'`);
+              }
+              updates.push({ source: source, target: target, hash: hash, tag: false });
+            }
+          }
+          if (options.tags) {
+            Object.keys(repo.refs).filter(ref => ref.startsWith('refs/tags/')).sort().forEach(ref => {
+              const name = ref.slice(10);
+              if (!updates.some(update => update.tag && update.target === name)) {
+                updates.push({ source: name, target: name, hash: repo.refs[ref], tag: true });
+              }
+            });
+          }
+
+          const hints = {
+            'already exists': 'hint: Updates were rejected because the tag already exists in the remote.',
+            'fetch first': `hint: Updates were rejected because the remote contains work that you do not
+hint: have locally. This is usually caused by another repository pushing to
+hint: the same ref. If you want to integrate the remote changes, use
+hint: 'git pull' before pushing again.`,
+            'non-fast-forward': `hint: Updates were rejected because the tip of your current branch is behind
+hint: its remote counterpart. If you want to integrate the remote changes,
+hint: use 'git pull' before pushing again.`
+          };
+          const short = value => value.substring(0, 7);
+          const lines = [];
+          const rejected = [];
+          updates.forEach(update => {
+            const ref = `refs/${update.tag ? 'tags' : 'heads'}/${update.target}`;
+            const old = server.refs[ref];
+            const label = `${update.source} -> ${update.target}`;
+            if (old === update.hash) return;
+
+            // A branch may only move forward; a tag that exists stays put
+            const fastForward = !update.tag && old && repo.objects[old] && GitRepo.isAncestor(repo, old, update.hash);
+            if (old && !force && !fastForward) {
+              const reason = update.tag ? 'already exists' : repo.objects[old] ? 'non-fast-forward' : 'fetch first';
+              lines.push(` ! ${'[rejected]'.padEnd(17)} ${label} (${reason})`);
+              if (!rejected.includes(reason)) rejected.push(reason);
+              return;
+            }
+
+            const isFirstBranch = !update.tag && !Object.keys(server.refs).some(name => name.startsWith('refs/heads/'));
+            GitRepo.copyObjects(repo, server, [update.hash]);
+            GitRepo.updateRef(server, ref, update.hash);
+            if (isFirstBranch) {
+              server.HEAD = `ref: ${ref}`;
+            }
+            // Only branches get a remote-tracking ref
+            if (!update.tag) {
+              GitRepo.updateRef(repo, `refs/remotes/${remote}/${update.target}`, update.hash, 'update by push');
+            }
+
+            if (!old) {
+              lines.push(` * ${(update.tag ? '[new tag]' : '[new branch]').padEnd(17)} ${label}`);
+            } else if (fastForward) {
+              lines.push(`   ${`${short(old)}..${short(update.hash)}`.padEnd(17)} ${label}`);
+            } else {
+              lines.push(` + ${`${short(old)}...${short(update.hash)}`.padEnd(17)} ${label} (forced update)`);
+            }
+          });
+
+          const output = lines.length ? [`To ${url}`, ...lines] : ['Everything up-to-date'];
+          if (rejected.length > 0) {
+            output.push(`error: failed to push some refs to '${url}'`, ...rejected.map(reason => hints[reason]));
+            return CommandLine.failure(output.join('\n'));
+          }
+          const pushed = updates.find(update => !update.tag);
+          const local = pushed && (pushed.source === 'HEAD' ? branch : pushed.source);
+          if (setUpstream && local && repo.refs[`refs/heads/${local}`]) {
+            output.push(playground.setUpstream(local, remote, pushed.target));
+          }
+          return output.join('\n');
+        }
+      },
+
+      'git branch': {
+        description: 'List, create or delete branches',
+        completion: ['refs'],
+        options: [
+          { name: 'delete', short: 'd', long: 'delete' },
+          { name: 'forceDelete', short: 'D' },
+          { name: 'verbose', short: 'v', long: 'verbose', count: true },
+          { name: 'all', short: 'a', long: 'all' },
+          { name: 'remotes', short: 'r', long: 'remotes' },
+          { name: 'list', short: 'l', long: 'list' },
+          { name: 'upstream', short: 'u', long: 'set-upstream-to', value: '<upstream>', complete: 'refs' },
+          { name: 'unsetUpstream', long: 'unset-upstream' }
+        ],
+        usage: `usage: git branch [-v | -vv] [-a | -r] [--list]
+   or: git branch <branchname> [<start-point>]
+   or: git branch (-d | -D) <branchname>...
+   or: git branch (-u <upstream> | --unset-upstream) [<branchname>]`,
+        handler: function(playground, names, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+
+          // Upstream tracking: -u <upstream> [<branch>], --unset-upstream [<branch>]
+          if (options.upstream) {
+            return playground.trackUpstream(names[0], options.upstream);
+          }
+          if (options.unsetUpstream) {
+            const branch = names[0] || GitRepo.currentBranch(repo);
+            if (!playground.upstreamOf(branch)) {
+              return CommandLine.failure(`fatal: branch '${branch}' has no upstream information`);
+            }
+            delete repo.config[`branch.${branch}.remote`];
+            delete repo.config[`branch.${branch}.merge`];
+            return null;
+          }
+
+          // Delete branches
+          if (options.delete || options.forceDelete) {
+            if (names.length === 0) {
+              return CommandLine.failure('fatal: branch name required');
+            }
+            const force = Boolean(options.forceDelete);
+            const head = GitRepo.headCommit(repo);
+            let failed = false;
+            const output = names.map(name => {
+              const ref = `refs/heads/${name}`;
+              let error = null;
+              if (!repo.refs[ref]) {
+                error = `error: branch '${name}' not found`;
+              } else if (GitRepo.currentBranch(repo) === name) {
+                error = `error: cannot delete branch '${name}' used by worktree at '${playground.state.workingDirectory}'`;
+              } else if (!force && !GitRepo.isAncestor(repo, repo.refs[ref], head)) {
+                error = `error: the branch '${name}' is not fully merged
+hint: If you are sure you want to delete it, run 'git branch -D ${name}'`;
+              }
+              if (error) {
+                failed = true;
+                return error;
+              }
+              const hash = repo.refs[ref];
+              delete repo.refs[ref];
+              delete repo.reflog[ref];
+              delete repo.config[`branch.${name}.remote`];
+              delete repo.config[`branch.${name}.merge`];
+              return `Deleted branch ${name} (was ${hash.substring(0, 7)}).`;
+            }).join('\n');
+            return failed ? CommandLine.failure(output) : output;
+          }
+
+          // Create a branch
+          if (names.length > 0 && !options.list) {
+            return playground.createBranch(names[0], names[1]);
+          }
+
+          // List branches
+          const verbose = options.verbose > 0;
+          const veryVerbose = options.verbose > 1;
+          const showLocal = !options.remotes;
+          const showRemote = Boolean(options.all || options.remotes);
+          const current = GitRepo.headRef(repo);
+          const rows = [];
+
+          if (showLocal && !current) {
+            rows.push({ label: `(HEAD detached at ${repo.HEAD.substring(0, 7)})`, hash: repo.HEAD, current: true });
+          }
+          Object.keys(repo.refs).sort().forEach(ref => {
+            if (showLocal && ref.startsWith('refs/heads/')) {
+              rows.push({ label: ref.slice(11), hash: repo.refs[ref], current: ref === current, branch: ref.slice(11) });
+            } else if (showRemote && ref.startsWith('refs/remotes/')) {
+              const name = ref.slice(13);
+              rows.push({ label: options.remotes ? name : `remotes/${name}`, hash: repo.refs[ref], remote: true });
+            }
+          });
+
+          if (rows.length === 0) {
+            return `Hint: There are no branches yet. Your first commit creates the '${GitRepo.currentBranch(repo)}' branch.`;
+          }
+
+          const width = Math.max(...rows.map(row => row.label.length));
+          return rows.map(row => {
+            const color = row.current ? '\x1b[32m' : row.remote ? '\x1b[31m' : '';
+            let line = `${row.current ? '* ' : '  '}${color}${verbose ? row.label.padEnd(width) : row.label}${color ? '\x1b[0m' : ''}`;
+            if (verbose) {
+              const commit = GitRepo.readObject(repo, row.hash);
+              line += ` ${row.hash.substring(0, 7)} `;
+              const upstream = row.branch && playground.upstreamOf(row.branch);
+              if (upstream) {
+                const counts = playground.trackingCounts(row.branch);
+                const detail = !counts ? ': gone' : [
+                  counts.ahead ? `ahead ${counts.ahead}` : '',
+                  counts.behind ? `behind ${counts.behind}` : ''
+                ].filter(Boolean).join(', ').replace(/^(.)/, ': $1');
+                if (veryVerbose) {
+                  line += `[${'\x1b[36m'}${upstream.name}${'\x1b[0m'}${detail}] `;
+                } else if (detail) {
+                  line += `[${detail.slice(2)}] `;
+                }
+              }
+              line += commit.message.split('\n')[0];
+            }
+            return line;
+          }).join('\n');
+        }
+      },
+
+      'git switch': {
+        description: 'Switch branches',
+        completion: ['refs'],
+        options: [
+          { name: 'create', short: 'c', long: 'create', value: '<branch>' },
+          { name: 'detach', short: 'd', long: 'detach' }
+        ],
+        usage: `usage: git switch [<branch>]
+   or: git switch -c <new-branch> [<start-point>]
+   or: git switch --detach <commit>`,
+        handler: function(playground, positional, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const detach = Boolean(options.detach);
+
+          if (options.create) {
+            return playground.createBranch(options.create, positional[0], true);
+          }
+          if (positional.length === 0) {
+            return CommandLine.failure('fatal: missing branch or commit argument');
+          }
+
+          const target = positional[0] === '-' ? repo.previousHead : positional[0];
+          if (!target) {
+            return CommandLine.failure('fatal: invalid reference: @{-1}');
+          }
+          if (repo.refs[`refs/heads/${target}`] && !detach) {
+            return playground.switchBranch(target);
+          }
+          const tracking = detach ? null : playground.checkoutRemoteBranch(target);
+          if (tracking) return tracking;
+
+          const hash = GitRepo.resolveRevision(repo, target);
+          if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+            return CommandLine.failure(`fatal: invalid reference: ${target}`);
+          }
+          if (!detach) {
+            return CommandLine.failure(`fatal: a branch is expected, got commit '${target}'
+hint: If you want to detach HEAD at the commit, try again with the --detach option.`);
+          }
+          return playground.detachHead(hash, target, false);
+        }
+      },
+
+      'git checkout': {
+        description: 'Switch branches or commits',
+        completion: ['refs', 'paths'],
+        options: [
+          { name: 'create', short: 'b', value: '<branch>' },
+          { name: 'detach', long: 'detach' }
+        ],
+        usage: `usage: git checkout [--detach] <branch>
+   or: git checkout -b <new-branch> [<start-point>]
+   or: git checkout [<commit>] -- <file>...`,
+        handler: function(playground, positional, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          const repo = playground.state.repo;
+          const detach = Boolean(options.detach);
+
+          // git checkout [<commit>] -- <file>...: copy files out of the index or a commit
+          if (options['--'] !== undefined) {
+            return playground.checkoutPaths(options['--'], positional[positional.length - 1]);
+          }
+
+          if (options.create) {
+            return playground.createBranch(options.create, positional[0], true);
+          }
+          if (positional.length === 0) {
+            return `Hint: Tell Git where to go, e.g. 'git checkout main' or 'git checkout -b new-branch'.`;
+          }
+
+          const target = positional[0] === '-' ? repo.previousHead : positional[0];
+          if (target && repo.refs[`refs/heads/${target}`] && !detach) {
+            return playground.switchBranch(target);
+          }
+          const tracking = target && !detach ? playground.checkoutRemoteBranch(target) : null;
+          if (tracking) return tracking;
+
+          const hash = target ? GitRepo.resolveRevision(repo, target) : null;
+          if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+            return CommandLine.failure(`error: pathspec '${positional[0]}' did not match any file(s) known to git`);
+          }
+          return playground.detachHead(hash, target, !detach);
+        }
+      },
+
+      'git check-ignore': {
+        description: 'Explain which .gitignore rule ignores a path',
+        options: [
+          { name: 'verbose', short: 'v', long: 'verbose' },
+          { name: 'nonMatching', short: 'n', long: 'non-matching' },
+          { name: 'noIndex', long: 'no-index' }
+        ],
+        usage: 'usage: git check-ignore [-v [-n]] [--no-index] <pathname>...',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          args = args.concat(options['--'] || []);
+          if (args.length === 0) {
+            return CommandLine.failure('fatal: no path specified');
+          }
+          if (options.nonMatching && !options.verbose) {
+            return CommandLine.failure('fatal: --non-matching is only valid with --verbose');
+          }
+
+          const { fs, repo } = playground.state;
+          const lines = [];
+          let ignored = false;
+          for (const arg of args) {
+            const path = playground.resolvePath(arg);
+            if (path === null) {
+              return CommandLine.failure(`fatal: ${arg}: '${arg}' is outside repository at '${playground.state.workingDirectory}'`);
+            }
+            // Tracked files are never ignored, whatever the rules say
+            const rule = repo.index[path] && !options.noIndex
+              ? null
+              : GitIgnore.check(fs, path, VirtualFS.isDir(fs, path));
+            if (rule && !rule.negate) ignored = true;
+            if (options.verbose && rule) {
+              lines.push(`${rule.source}:${rule.line}:${rule.text}\t${arg}`);
+            } else if (rule && !rule.negate) {
+              lines.push(arg);
+            } else if (options.nonMatching) {
+              lines.push(`::\t${arg}`);
+            }
+          }
+          // Like Git, fail when none of the paths is ignored
+          const output = lines.length ? lines.join('\n') : null;
+          return ignored ? output : CommandLine.failure(output);
+        }
+      },
+
+      'git cat-file': {
+        description: 'Inspect objects',
+        completion: ['refs'],
+        options: [
+          { name: 'mode', short: 't', set: '-t' },
+          { name: 'mode', short: 's', set: '-s' },
+          { name: 'mode', short: 'e', set: '-e' },
+          { name: 'mode', short: 'p', set: '-p' }
+        ],
+        usage: 'usage: git cat-file (-t | -s | -e | -p) <object>',
+        handler: function(playground, args, options) {
+          if (!playground.state.initialized) {
+            return CommandLine.failure('fatal: not a git repository (or any of the parent directories): .git');
+          }
+
+          if (args.length !== 1 || !options.mode) {
+            return CommandLine.failure(`${this.usage}
+
+Hint: Try 'git cat-file -p HEAD' to see what a commit really contains.`);
+          }
+
+          const repo = playground.state.repo;
+          const flag = options.mode;
+          const spec = args[0];
+          const hash = GitRepo.resolveObject(repo, spec);
+          const object = hash ? GitRepo.readObject(repo, hash) : null;
+
+          if (!object) {
+            return CommandLine.failure(flag === '-e' ? null : `fatal: Not a valid object name ${spec}`);
+          }
+
+          switch (flag) {
+            case '-t':
+              return object.type;
+            case '-s':
+              return String(GitObjects.size(object));
+            case '-e':
+              return '';
+            default:
+              if (object.type === 'blob') {
+                return object.content.replace(/\n$/, '');
+              }
+              if (object.type === 'tree') {
+                return object.entries.map(entry => {
+                  const type = entry.mode === '40000' ? 'tree' : 'blob';
+                  return `${entry.mode.padStart(6, '0')} ${type} ${entry.hash}\t${entry.name}`;
+                }).join('\n');
+              }
+              if (object.type === 'tag') {
+                return GitObjects.formatTag(object).replace(/\n$/, '');
+              }
+              return GitObjects.formatCommit(object).replace(/\n$/, '');
+          }
+        }
+      },
+
+      'git config': {
+        description: 'Get and set options, such as aliases',
+        completion: [],
+        options: [
+          { name: 'global', long: 'global' },
+          { name: 'action', short: 'l', long: 'list', set: 'list' },
+          { name: 'action', long: 'get', set: 'get' },
+          { name: 'action', long: 'unset', set: 'unset' }
+        ],
+        usage: `usage: git config [--global] <name> [<value>]
+   or: git config [--global] --get <name>
+   or: git config [--global] --unset <name>
+   or: git config [--global] (-l | --list)`,
+        handler: function(playground, args, options) {
+          const state = playground.state;
+          const expected = { list: 0, get: 1, unset: 1 }[options.action];
+          if (options.action ? args.length !== expected : args.length < 1 || args.length > 2) {
+            return CommandLine.failure(`error: wrong number of arguments, should be ${options.action ? expected : 'from 1 to 2'}
+${this.usage}`);
+          }
+          const action = options.action || (args.length === 2 ? 'set' : 'get');
+
+          // --global lives in the playground, everything else in the repository
+          if (!options.global && !state.initialized && action !== 'get' && action !== 'list') {
+            return CommandLine.failure('fatal: not in a git directory');
+          }
+          const files = options.global ? [state.config] : [state.config].concat(state.initialized ? [state.repo.config] : []);
+          const target = files[files.length - 1];
+
+          if (action === 'list') {
+            const lines = [];
+            files.forEach(config => Object.keys(config).forEach(key => lines.push(`${key}=${config[key]}`)));
+            return lines.length ? lines.join('\n') : null;
+          }
+
+          const key = args[0];
+          const dot = key.lastIndexOf('.');
+          if (dot === -1) {
+            return CommandLine.failure(`error: key does not contain a section: ${key}`);
+          }
+          if (dot === 0 || dot === key.length - 1) {
+            return CommandLine.failure(`error: invalid key: ${key}`);
+          }
+          const name = playground.normalizeConfigKey(key);
+
+          if (action === 'set') {
+            target[name] = args[1];
+            return null;
+          }
+          if (action === 'unset') {
+            delete target[name];
+            return null;
+          }
+          // Later files win, so a repository setting overrides a global one
+          // An unset key prints nothing and fails, so scripts can test for it
+          const found = files.filter(config => config[name] !== undefined).pop();
+          return found ? found[name] : CommandLine.failure(null);
+        }
+      }
+    };
+
+    /**
+     * Start the Playground page's playground and every mini-playground
+     * embedded with <div data-git-playground>
+     */
+    static init() {
+      const layout = document.querySelector('.playground-layout');
+      if (layout && layout.querySelector('.playground-terminal')) {
+        new GitPlayground(layout, { persist: true });
+      }
+      document.querySelectorAll('[data-git-playground]').forEach(element => GitPlayground.mount(element));
+    }
+
+    /**
+     * Build a mini-playground's terminal inside an element and start it.
+     * data-scenario names its starting repository (GitPlayground.scenarios)
+     * and data-commands, a comma-separated list, limits what it offers.
+     * @param {HTMLElement} element
+     * @param {Object} [options] - Constructor options, used instead of the data attributes
+     * @returns {GitPlayground}
+     */
+    static mount(element, options = {}) {
+      element.classList.add('playground-embed');
+      element.innerHTML = `
+        <div class="playground-terminal">
+          <div class="playground-header">
+            <div class="playground-dots">
+              <span class="terminal-dot red"></span>
+              <span class="terminal-dot yellow"></span>
+              <span class="terminal-dot green"></span>
+            </div>
+            <span class="playground-title">Git Playground — /my-project</span>
+            <div class="playground-actions">
+              <button class="playground-action-btn" data-action="reset">Reset</button>
+            </div>
+          </div>
+          <div class="playground-output" aria-live="polite"></div>
+          <div class="playground-input-wrapper">
+            <span class="input-prompt">$</span>
+            <input type="text" class="playground-input" placeholder="Type a command (try 'help')" autocomplete="off" spellcheck="false" aria-label="Command input">
+          </div>
+        </div>`;
+
+      const commands = element.dataset.commands;
+      return new GitPlayground(element, Object.assign({
+        scenario: element.dataset.scenario,
+        commands: commands ? commands.split(',').map(name => name.trim()).filter(Boolean) : null
+      }, options));
+    }
+
+    /**
+     * Create a playground in a container that holds a .playground-terminal
+     * and, on the Playground page, the side panel with the commit graph,
+     * challenges and quick reference. Each playground has its own state,
+     * history and elements, so several can share a page.
+     * @param {HTMLElement} root
+     * @param {Object} [options]
+     * @param {string} [options.scenario] - Starting repository, a key of GitPlayground.scenarios
+     * @param {string[]} [options.setup] - Commands that build the starting repository, instead of a scenario
+     * @param {string} [options.welcome] - What to say about the starting repository built by options.setup
+     * @param {string[]} [options.commands] - Commands to offer; all of them by default
+     * @param {boolean} [options.persist] - Keep the state and history in localStorage
+     * @param {Function} [options.onChange] - (playground) after each change the student makes, e.g. to grade it
+     */
+    constructor(root, options = {}) {
+      this.root = root;
+      this.terminal = root.querySelector('.playground-terminal');
+      this.persist = !!options.persist;
+      this.commands = this.availableCommands(options.commands);
+      this.scenario = options.scenario ? GitPlayground.scenarios[options.scenario] || null : null;
+      if (options.scenario && !this.scenario) {
+        console.warn(`Unknown playground scenario "${options.scenario}"`);
+      }
+      if (options.setup) {
+        this.scenario = { welcome: options.welcome || '', setup: options.setup };
+      }
+      // An inline panel waiting for input (rebase todo list, hunk picker)
+      this.panel = null;
+      this.saveFailed = false;
+
+      this.output = this.terminal.querySelector('.playground-output');
+      this.input = this.terminal.querySelector('.playground-input');
+      this.prompt = this.terminal.querySelector('.input-prompt');
+      this.statusIndicator = root.querySelector('.status-indicator .status-dot');
+      this.statusText = root.querySelector('.status-indicator .status-text');
+
+      // The commit graph and challenges exist once, on the Playground page
+      this.graph = CommitGraph.init(this) ? CommitGraph : null;
+      this.challenges = ChallengeMode.init(this) ? ChallengeMode : null;
+
+      this.state = this.startingState();
+      this.loadHistory();
+      this.bindEvents();
+      const restored = this.restoreState();
+      this.printWelcome();
+      if (restored) {
+        this.printLine(`Welcome back! Your playground in ${this.state.workingDirectory} is as you left it. Press Reset to start over.`, 'info');
+        this.printLine('');
+      }
+      this.refresh();
+      this.openSharedSnapshot();
+      // Set last, so that setting up doesn't count as a change
+      this.onChange = options.onChange || null;
+    }
+
+    /**
+     * The command registry, limited to the given names. help and clear
+     * are always there.
+     * @param {string[]|null} names
+     * @returns {Object}
+     */
+    availableCommands(names) {
+      if (!names) return GitPlayground.commands;
+      const commands = {};
+      ['help', 'clear'].concat(names).forEach(name => {
+        if (GitPlayground.commands[name]) {
+          commands[name] = GitPlayground.commands[name];
+        } else {
+          console.warn(`Unknown playground command "${name}"`);
+        }
+      });
+      return commands;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+      // Input handling: Enter runs, Up/Down walk the history, Tab completes, Ctrl+R searches
+      this.input.addEventListener('keydown', (e) => {
+        if (this.search) {
+          this.handleSearchKey(e);
+          return;
+        }
+        const ctrl = e.ctrlKey && !e.altKey && !e.metaKey;
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          const command = this.input.value;
+          this.remember(command);
+          this.executeCommand(command);
+          this.input.value = '';
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          this.browseHistory(e.key === 'ArrowUp' ? -1 : 1);
+        } else if (e.key === 'Tab' && !e.shiftKey && this.input.value.trim()) {
+          // On an empty line Tab still moves focus, so keyboard users aren't trapped
+          e.preventDefault();
+          this.completeInput();
+        } else if (ctrl && e.key.toLowerCase() === 'r') {
+          e.preventDefault();
+          this.startHistorySearch();
+        }
+      });
+      this.input.addEventListener('input', () => {
+        if (this.search) this.updateHistorySearch(false);
+      });
+
+      // Ctrl+L clears the screen and Ctrl+C cancels, wherever focus is in the terminal
+      this.searchMatch = document.createElement('span');
+      this.searchMatch.className = 'input-search-match';
+      this.searchMatch.hidden = true;
+      this.searchMatch.setAttribute('aria-live', 'polite');
+      this.input.after(this.searchMatch);
+      this.terminal.addEventListener('keydown', (e) => {
+        if (!e.ctrlKey || e.altKey || e.metaKey) return;
+        const key = e.key.toLowerCase();
+        if (key === 'l') {
+          e.preventDefault();
+          this.clearOutput();
+        } else if (key === 'c' && !this.hasSelection()) {
+          e.preventDefault();
+          this.cancelInput();
+        }
+      });
+
+      // Clear button
+      const clearBtn = this.root.querySelector('[data-action="clear"]');
+      if (clearBtn) {
+        clearBtn.addEventListener('click', () => this.clearOutput());
+      }
+
+      // Reset button
+      const resetBtn = this.root.querySelector('[data-action="reset"]');
+      if (resetBtn) {
+        resetBtn.addEventListener('click', () => this.reset());
+      }
+
+      // Teammate button
+      const teammateBtn = this.root.querySelector('[data-action="teammate"]');
+      if (teammateBtn) {
+        teammateBtn.addEventListener('click', () => this.teammatePush());
+      }
+
+      // Share, export and import buttons
+      const shareBtn = this.root.querySelector('[data-action="share"]');
+      if (shareBtn) {
+        shareBtn.addEventListener('click', () => this.shareSnapshot());
+      }
+      const exportBtn = this.root.querySelector('[data-action="export"]');
+      if (exportBtn) {
+        exportBtn.addEventListener('click', () => this.exportSnapshot());
+      }
+      const importBtn = this.root.querySelector('[data-action="import"]');
+      if (importBtn) {
+        importBtn.addEventListener('click', () => this.importSnapshot());
+      }
+
+      // Side panel tabs: commit graph and quick reference
+      const tabs = this.root.querySelectorAll('.help-tab');
+      tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+          tabs.forEach(other => {
+            const selected = other === tab;
+            other.classList.toggle('active', selected);
+            other.setAttribute('aria-selected', String(selected));
+            this.root.querySelector(`[data-tab-panel="${other.dataset.tab}"]`).hidden = !selected;
+          });
+        });
+      });
+
+      // Commit IDs in the output open the commit in the graph
+      this.output.addEventListener('click', (e) => {
+        const link = e.target.closest('.output-commit-link');
+        if (link && this.state.repo && this.state.repo.objects[link.dataset.hash]) {
+          this.revealCommit(link.dataset.hash);
+        }
+      });
+
+      // Help command clicks
+      const helpCommands = this.root.querySelectorAll('.help-command');
+      helpCommands.forEach(cmd => {
+        cmd.addEventListener('click', () => {
+          const command = cmd.querySelector('.help-command-name').textContent;
+          if (this.search) this.endHistorySearch('');
+          this.input.value = command;
+          this.input.focus();
+        });
+      });
+
+      // Focus input when clicking terminal
+      this.terminal.addEventListener('click', (e) => {
+        if (!e.target.closest('button')) {
+          this.input.focus();
+        }
+      });
+    }
+
+    /**
+     * Print welcome message
+     */
+    printWelcome() {
+      this.printLine('Welcome to the Git Playground! 🎮', 'info');
+      this.printLine('Practice Git commands in a safe, simulated environment.', 'info');
+      this.printLine('');
+      this.printLine('Type "help" to see available commands.', 'info');
+      this.printLine(this.scenario ? this.scenario.welcome : 'Try starting with "git init" to initialize a repository.', 'info');
+      this.printLine('─'.repeat(50), 'info');
+      this.printLine('');
+    }
+
+    /**
+     * Execute a command line: one or more commands joined by && or ;
+     * @param {string} commandStr - The command string to execute
+     */
+    executeCommand(commandStr) {
+      const trimmed = commandStr.trim();
+      if (!trimmed) return;
+
+      // Echo the command
+      this.printLine(`$ ${trimmed}`, 'command');
+
+      const parsed = CommandLine.parse(trimmed);
+      if (parsed.error) {
+        this.printLine(parsed.error, 'error');
+      } else {
+        let succeeded = true;
+        let skip = false;
+        parsed.commands.forEach(command => {
+          if (!skip) {
+            const result = this.runCommand(command.words);
+            succeeded = !result.failed;
+            // Like stderr, errors still reach the terminal when output is redirected
+            const error = command.redirect && succeeded ? this.redirectOutput(command.redirect, result.output) : null;
+            if (error) {
+              succeeded = false;
+              this.printLine(error);
+            } else if (result.output !== null && !(command.redirect && succeeded)) {
+              this.printLine(result.output, result.type);
+            }
+          }
+          // && skips the next command after a failure; ; runs it regardless
+          skip = command.connector === '&&' && !succeeded;
+        });
+      }
+
+      this.printLine('');
+      this.scrollToBottom();
+      this.refresh();
+    }
+
+    /**
+     * Run one command: find its handler (expanding Git aliases), parse
+     * its options against the handler's spec and call it
+     * @param {string[]} words - Command name and arguments, already unquoted
+     * @param {string[]} [expanding] - Aliases being expanded, to catch loops
+     * @returns {Object} { output, failed, type }
+     */
+    runCommand(words, expanding = []) {
+      if (words.length === 0) {
+        return { output: null, failed: false };
+      }
+
+      let command = words[0];
+      let args = words.slice(1);
+      if (command === 'git' && args.length > 0) {
+        command = `git ${args[0]}`;
+        args = args.slice(1);
+      }
+
+      const handler = this.commands[command];
+      if (!handler && words[0] === 'git' && words.length > 1) {
+        const expansion = this.configValue(`alias.${words[1]}`);
+        if (expansion !== null) {
+          return this.expandAlias(words[1], expansion, args, expanding);
+        }
+      }
+      if (!handler && GitPlayground.commands[command]) {
+        return { output: `${command}: not available in this example. Try it in the full Playground.`, failed: true, type: 'error' };
+      }
+      if (!handler) {
+        const output = words[0] === 'git'
+          ? `git: '${words[1] || ''}' is not a git command. See 'help'.`
+          : `Command not found: ${command}. Type 'help' for available commands.`;
+        return { output: output, failed: true, type: 'error' };
+      }
+
+      let returned;
+      if (handler.options) {
+        const tool = words[0] === 'git' ? undefined : command;
+        const parsed = CommandLine.parseOptions(args, handler.options, handler.usage, tool);
+        if (parsed.error) {
+          return CommandLine.failure(parsed.error);
+        }
+        returned = handler.handler(this, parsed.args, parsed.options);
+      } else {
+        returned = handler.handler(this, args);
+      }
+      return CommandLine.result(returned);
+    }
+
+    /**
+     * Run command lines against a state without printing anything, as
+     * the setup of a challenge or scenario does. Every command is
+     * available, whatever this playground offers the student.
+     * @param {Object} state - Changed in place; the playground's own state is left alone
+     * @param {string[]} lines
+     * @returns {Object|null} { command, output } for the first command that failed
+     */
+    runSilently(state, lines) {
+      const current = { state: this.state, commands: this.commands };
+      this.state = state;
+      this.commands = GitPlayground.commands;
+      try {
+        for (const line of lines) {
+          const parsed = CommandLine.parse(line);
+          if (parsed.error) return { command: line, output: parsed.error };
+          for (const command of parsed.commands) {
+            const result = this.runCommand(command.words);
+            if (result.failed) return { command: line, output: TerminalRenderer.toText(result.output) || '' };
+            const error = command.redirect ? this.redirectOutput(command.redirect, result.output) : null;
+            if (error) return { command: line, output: error };
+          }
+        }
+        return null;
+      } finally {
+        this.state = current.state;
+        this.commands = current.commands;
+      }
+    }
+
+    /**
+     * Run `git <alias> <args>` as the command the alias stands for
+     * @param {string} alias
+     * @param {string} expansion - Value of alias.<alias>
+     * @param {string[]} args - Arguments typed after the alias
+     * @param {string[]} expanding - Aliases already being expanded
+     * @returns {Object} { output, failed, type }
+     */
+    expandAlias(alias, expansion, args, expanding) {
+      if (expanding.includes(alias)) {
+        return CommandLine.failure(`fatal: alias loop detected: expansion of '${expanding[0]}' does not terminate:
+${expanding.concat(alias).join(' -> ')}`);
+      }
+      if (expansion.startsWith('!')) {
+        return CommandLine.failure(`fatal: alias '${alias}' runs a shell command, which the playground does not support
+
+Hint: Aliases for Git commands work, e.g. 'git config --global alias.co checkout'.`);
+      }
+
+      const { tokens, error } = CommandLine.tokenize(expansion);
+      if (error || tokens.some(token => token.type === 'op')) {
+        return CommandLine.failure(`fatal: bad alias.${alias} string: ${error ? 'unclosed quote' : 'shell operators need a "!" alias'}`);
+      }
+      if (tokens.length === 0) {
+        return CommandLine.failure(`fatal: empty alias for ${alias}`);
+      }
+      return this.runCommand(['git'].concat(tokens.map(token => token.value), args), expanding.concat(alias));
+    }
+
+    /**
+     * Write a command's output to a file, for `> file` and `>> file`
+     * @param {Object} redirect - { append, target }
+     * @param {string|Object|Array|null} output - See TerminalRenderer.render
+     * @returns {string|null} Error message
+     */
+    redirectOutput(redirect, output) {
+      const error = this.checkWritable(redirect.target);
+      if (error) {
+        return `bash: ${redirect.target}: ${error}`;
+      }
+
+      const fs = this.state.fs;
+      const path = this.resolvePath(redirect.target);
+      const existing = redirect.append && VirtualFS.isFile(fs, path) ? fs.files[path] : '';
+      // Colour codes only mean something on a terminal
+      const plain = TerminalRenderer.toText(output);
+      const text = plain === null ? '' : `${TerminalRenderer.strip(plain)}\n`;
+      VirtualFS.writeFile(fs, path, existing + text);
+      return null;
+    }
+
+    /**
+     * Look up a config value, repository settings first, then global ones
+     * @param {string} key - e.g. 'alias.co'
+     * @returns {string|null}
+     */
+    configValue(key) {
+      const name = this.normalizeConfigKey(key);
+      const repo = this.state.repo;
+      if (repo && repo.config[name] !== undefined) return repo.config[name];
+      return this.state.config[name] !== undefined ? this.state.config[name] : null;
+    }
+
+    /**
+     * Who new commits and tags are by: user.name and user.email from
+     * git config, or a stand-in until the student sets them
+     * @returns {Object} { name, email, timestamp, timezone } for right now
+     */
+    identity() {
+      return GitRepo.signature(
+        this.configValue('user.name') || 'You',
+        this.configValue('user.email') || 'you@example.com'
+      );
+    }
+
+    /**
+     * Config section and variable names are case-insensitive, subsections are not
+     * @param {string} key - e.g. 'Alias.CO' or 'branch.Feature.remote'
+     * @returns {string} e.g. 'alias.co' or 'branch.Feature.remote'
+     */
+    normalizeConfigKey(key) {
+      const parts = key.split('.');
+      parts[0] = parts[0].toLowerCase();
+      parts[parts.length - 1] = parts[parts.length - 1].toLowerCase();
+      return parts.join('.');
+    }
+
+    /**
+     * Load the command history saved by earlier visits
+     */
+    loadHistory() {
+      this.history = this.persist ? SavedList.read(CONFIG.PLAYGROUND_HISTORY_KEY, entry => typeof entry === 'string') : [];
+      this.historyIndex = this.history.length;
+      this.historyDraft = '';
+      this.search = null;
+    }
+
+    /**
+     * Add a command to the history, skipping blanks and repeats
+     * @param {string} command
+     */
+    remember(command) {
+      const trimmed = command.trim();
+      if (trimmed && this.history[this.history.length - 1] !== trimmed) {
+        this.history.push(trimmed);
+        this.history = this.history.slice(-CONFIG.PLAYGROUND_HISTORY_LIMIT);
+        if (this.persist) {
+          localStorage.setItem(CONFIG.PLAYGROUND_HISTORY_KEY, JSON.stringify(this.history));
+        }
+      }
+      this.historyIndex = this.history.length;
+      this.historyDraft = '';
+    }
+
+    /**
+     * Step through the history with Up (-1) and Down (+1). Stepping past
+     * the newest entry brings back what was being typed.
+     * @param {number} step
+     */
+    browseHistory(step) {
+      if (this.historyIndex === this.history.length) {
+        this.historyDraft = this.input.value;
+      }
+      const index = Math.min(Math.max(this.historyIndex + step, 0), this.history.length);
+      if (index === this.historyIndex) return;
+      this.historyIndex = index;
+      this.setInput(index === this.history.length ? this.historyDraft : this.history[index]);
+    }
+
+    /**
+     * Replace the input text and put the cursor at the end
+     * @param {string} value
+     */
+    setInput(value) {
+      this.input.value = value;
+      this.input.setSelectionRange(value.length, value.length);
+    }
+
+    /**
+     * Start a Ctrl+R search: what is typed now is the search text, and
+     * the newest command containing it is shown next to the input
+     */
+    startHistorySearch() {
+      this.search = { draft: this.input.value, index: this.history.length, match: null };
+      this.prompt.textContent = '(reverse-i-search)';
+      this.searchMatch.hidden = false;
+      this.input.value = '';
+      this.updateHistorySearch(false);
+    }
+
+    /**
+     * Find the newest matching command, or with older = true the next
+     * older one (Ctrl+R again)
+     * @param {boolean} older
+     */
+    updateHistorySearch(older) {
+      const search = this.search;
+      const query = this.input.value;
+      let found = null;
+      if (query) {
+        for (let i = (older ? search.index : this.history.length) - 1; i >= 0; i--) {
+          if (this.history[i].includes(query)) {
+            found = i;
+            break;
+          }
+        }
+      }
+      // Like bash, a failed Ctrl+R keeps the match it already had
+      if (found !== null || !older) {
+        search.index = found === null ? this.history.length : found;
+        search.match = found === null ? null : this.history[found];
+      }
+      this.searchMatch.textContent = search.match || (query ? 'no match' : 'type to search the history');
+      this.searchMatch.classList.toggle('failing', Boolean(query) && !search.match);
+    }
+
+    /**
+     * Keys while searching: Enter runs the match, Ctrl+R finds an older
+     * one, Esc gives up, and Tab or an arrow key takes the match for editing
+     * @param {KeyboardEvent} e
+     */
+    handleSearchKey(e) {
+      const ctrl = e.ctrlKey && !e.altKey && !e.metaKey;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const command = this.search.match;
+        this.endHistorySearch(command === null ? this.input.value : '');
+        if (command !== null) {
+          this.remember(command);
+          this.executeCommand(command);
+        }
+      } else if (ctrl && e.key.toLowerCase() === 'r') {
+        e.preventDefault();
+        this.updateHistorySearch(true);
+      } else if (e.key === 'Escape' || (ctrl && e.key.toLowerCase() === 'g')) {
+        e.preventDefault();
+        this.endHistorySearch(this.search.draft);
+      } else if (['Tab', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+        e.preventDefault();
+        this.endHistorySearch(this.search.match === null ? this.input.value : this.search.match);
+      }
+    }
+
+    /**
+     * Leave search mode
+     * @param {string} value - What to leave in the input
+     */
+    endHistorySearch(value) {
+      this.search = null;
+      this.prompt.textContent = '$';
+      this.searchMatch.hidden = true;
+      this.searchMatch.textContent = '';
+      this.historyIndex = this.history.length;
+      this.setInput(value);
+    }
+
+    /**
+     * Tab: complete the word before the cursor, or list the choices
+     * when there is nothing more to fill in
+     */
+    completeInput() {
+      const value = this.input.value;
+      const cursor = this.input.selectionStart;
+      const before = value.slice(0, cursor);
+      const { word, candidates } = Completion.complete(this, before);
+      if (candidates.length === 0) return;
+
+      let insert;
+      if (candidates.length === 1) {
+        insert = Completion.escape(candidates[0].text) + candidates[0].suffix;
+      } else {
+        const prefix = Completion.commonPrefix(candidates);
+        if (prefix.length > Completion.unescape(word).length) {
+          insert = Completion.escape(prefix);
+        } else {
+          // Show paths by their last component, as bash does
+          const names = candidates.map(candidate =>
+            candidate.text.slice(candidate.text.lastIndexOf('/', candidate.text.length - 2) + 1) +
+            (candidate.suffix === '/' ? '/' : ''));
+          const limit = 100;
+          this.printLine(`$ ${value}`, 'command');
+          this.printLine(names.slice(0, limit).join('  ') +
+            (names.length > limit ? `  … and ${names.length - limit} more` : ''), 'info');
+          this.printLine('');
+          this.scrollToBottom();
+          return;
+        }
+      }
+
+      const start = before.length - word.length;
+      this.input.value = value.slice(0, start) + insert + value.slice(cursor);
+      this.input.setSelectionRange(start + insert.length, start + insert.length);
+    }
+
+    /**
+     * Ctrl+C: leave a history search, cancel an operation that is
+     * waiting for input (the rebase todo list, the hunk picker), or
+     * abandon the line
+     */
+    cancelInput() {
+      if (this.search) {
+        this.endHistorySearch('');
+      }
+      if (this.panel) {
+        this.panel.querySelector('[data-action^="cancel"]').click();
+        return;
+      }
+      this.printLine(`$ ${this.input.value}^C`, 'command');
+      this.input.value = '';
+      this.historyIndex = this.history.length;
+      this.scrollToBottom();
+    }
+
+    /**
+     * Whether text is selected, in which case Ctrl+C should copy it
+     * @returns {boolean}
+     */
+    hasSelection() {
+      const selection = window.getSelection();
+      return Boolean(selection && selection.toString()) || this.input.selectionStart !== this.input.selectionEnd;
+    }
+
+    /**
+     * Print a line to the terminal output
+     * @param {string|Object|Array} text - Text to print, or output blocks
+     *   (see TerminalRenderer.render)
+     * @param {string} type - Line type (command, error, success, info)
+     */
+    printLine(text, type = '') {
+      const line = document.createElement('div');
+      line.className = 'output-line';
+      if (type) line.classList.add(type);
+
+      // What the user typed is echoed as is; in output, commit IDs become
+      // links to the commit graph, where there is one
+      const options = type === 'command' || !this.graph ? {} : { commitFor: token => this.commitForHash(token) };
+      line.appendChild(TerminalRenderer.render(text, options));
+      this.output.appendChild(line);
+    }
+
+    /**
+     * The commit an abbreviated ID in the output refers to
+     * @param {string} token - 7 to 40 hex digits
+     * @returns {string|null} Full commit ID, if exactly one commit matches
+     */
+    commitForHash(token) {
+      const repo = this.state.repo;
+      if (!repo) return null;
+      const matches = Object.keys(repo.objects).filter(hash => hash.startsWith(token));
+      return matches.length === 1 && repo.objects[matches[0]].type === 'commit' ? matches[0] : null;
+    }
+
+    /**
+     * Show a commit in the graph tab, for clicks on commit IDs in the output
+     * @param {string} hash
+     */
+    revealCommit(hash) {
+      const tab = this.root.querySelector('.help-tab[data-tab="graph"]');
+      if (tab) tab.click();
+      if (this.graph.selected !== hash) {
+        this.graph.select(this.state.repo, hash);
+      }
+    }
+
+    /**
+     * Clear the terminal output
+     */
+    clearOutput() {
+      this.output.innerHTML = '';
+      this.printWelcome();
+    }
+
+    /**
+     * Build a fresh playground state
+     * @returns {Object}
+     */
+    createState() {
+      return {
+        initialized: false,
+        repo: null,
+        fs: VirtualFS.create(GitPlayground.starterFiles),
+        cwd: '',
+        workingDirectory: '/my-project',
+        // A repository cloned into a subdirectory: { path, entered, workspace }
+        // where workspace holds whichever of the two projects is not active
+        nested: null,
+        // Global (--global) settings; repository settings live in repo.config
+        config: {},
+        // Simulated hosting: repositories by URL, for clone, fetch and push
+        servers: { [GitPlayground.demoRemoteUrl]: this.createDemoServer() },
+        teammateCommits: 0,
+        // Challenge being played: { id, hints shown, done }
+        challenge: null
+      };
+    }
+
+    /**
+     * Reset the playground state
+     */
+    reset() {
+      this.state = this.startingState();
+      this.clearOutput();
+      this.refresh();
+      this.printLine(this.scenario ? 'Playground reset to where this example starts.' : 'Playground reset! Start fresh with "git init".', 'success');
+      this.printLine('');
+    }
+
+    /**
+     * A fresh state, with the scenario's repository if there is one
+     * @returns {Object}
+     */
+    startingState() {
+      const state = this.createState();
+      const failure = this.scenario ? this.runSilently(state, this.scenario.setup) : null;
+      if (failure) {
+        console.warn(`Playground scenario setup failed at \`${failure.command}\`: ${failure.output}`);
+      }
+      return state;
+    }
+
+    /**
+     * Bring everything that mirrors the state up to date (status
+     * indicator, title, commit graph) and save the state
+     */
+    refresh() {
+      this.updateStatusIndicator();
+      this.updateTitle();
+      if (this.graph) this.graph.render(this.state.repo);
+      if (this.challenges) this.challenges.update();
+      this.saveState();
+      if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Save the state to localStorage, so a reload picks up where the
+     * student left off
+     */
+    saveState() {
+      if (!this.persist) return;
+      try {
+        localStorage.setItem(CONFIG.PLAYGROUND_STATE_KEY, JSON.stringify(Snapshot.create(this.state)));
+      } catch (e) {
+        // Storage is full or disabled: keep working in memory, and say so once
+        if (!this.saveFailed) {
+          this.saveFailed = true;
+          this.notify('warning: the playground could not be saved in this browser, so it will be lost on reload. Use Export to keep a copy.', 'error');
+        }
+      }
+    }
+
+    /**
+     * Load the state saved by an earlier visit
+     * @returns {boolean} Whether there was one
+     */
+    restoreState() {
+      if (!this.persist) return false;
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(CONFIG.PLAYGROUND_STATE_KEY));
+      } catch (e) {
+        // Unreadable: start fresh
+      }
+      const result = saved ? Snapshot.read(saved) : null;
+      if (!result || result.error) return false;
+      this.state = result.state;
+      return true;
+    }
+
+    /**
+     * Replace the whole playground with a snapshot's state
+     * @param {Object} state - From Snapshot.read
+     * @param {string} message - What to tell the student
+     */
+    loadState(state, message) {
+      if (this.panel) {
+        this.panel.remove();
+        this.panel = null;
+      }
+      this.state = state;
+      if (this.graph) this.graph.showDetails(null);
+      this.clearOutput();
+      this.refresh();
+      this.notify(message, 'success');
+    }
+
+    /**
+     * Print a message outside of a command, e.g. after a button press
+     * @param {string} text
+     * @param {string} [type]
+     */
+    notify(text, type = 'info') {
+      this.printLine(text, type);
+      this.printLine('');
+      this.scrollToBottom();
+    }
+
+    /**
+     * Download the state as a JSON snapshot file
+     */
+    exportSnapshot() {
+      const snapshot = Snapshot.create(this.state);
+      const name = `${this.state.workingDirectory.split('/').pop()}-playground.json`;
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' }));
+      link.download = name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      this.notify(`Exported the playground to ${name}. Import it here or in another browser to carry on.`);
+    }
+
+    /**
+     * Ask for a snapshot file and load it
+     */
+    importSnapshot() {
+      const picker = document.createElement('input');
+      picker.type = 'file';
+      picker.accept = '.json,application/json';
+      picker.addEventListener('change', async () => {
+        const file = picker.files[0];
+        if (!file) return;
+        let data;
+        try {
+          data = JSON.parse(await file.text());
+        } catch (e) {
+          this.notify(`error: ${file.name} is not a JSON file.`, 'error');
+          return;
+        }
+        const result = Snapshot.read(data);
+        if (result.error) {
+          this.notify(`error: could not import ${file.name}: ${result.error}`, 'error');
+          return;
+        }
+        this.loadState(result.state, `Imported ${file.name}.`);
+      });
+      picker.click();
+    }
+
+    /**
+     * Copy a link that opens this exact state in any browser. The state
+     * travels in the URL fragment, which never reaches a server.
+     */
+    async shareSnapshot() {
+      const encoded = await Snapshot.encode(Snapshot.create(this.state));
+      const url = `${location.href.split('#')[0]}#${Snapshot.fragmentKey}=${encoded}`;
+      let copied = false;
+      try {
+        await navigator.clipboard.writeText(url);
+        copied = true;
+      } catch (e) {
+        // No clipboard access (e.g. an insecure origin); the link is printed below
+      }
+      // Chat apps and some browsers cut off very long links
+      const advice = url.length > 30000 ? '\nThis link is long; if it gets cut off, use Export and send the file instead.' : '';
+      this.notify(`${copied ? 'Copied a link to this playground to the clipboard' : 'Copy this link to share the playground'} (${url.length} characters):\n${url}${advice}`);
+    }
+
+    /**
+     * Open the snapshot in a shared link (#snapshot=...), after asking
+     * before it replaces a repository saved in this browser
+     */
+    async openSharedSnapshot() {
+      const prefix = `#${Snapshot.fragmentKey}=`;
+      if (!this.persist || !location.hash.startsWith(prefix)) return;
+      const result = await Snapshot.decode(location.hash.slice(prefix.length));
+      // Drop the fragment so a reload doesn't open the link again
+      history.replaceState(null, '', location.href.split('#')[0]);
+
+      if (result.error) {
+        this.notify(`error: could not open the shared playground: ${result.error}`, 'error');
+        return;
+      }
+      if (this.state.initialized && !window.confirm('Open the shared playground? It replaces the one saved in this browser. Cancel and use Export first if you want to keep yours.')) {
+        this.notify('Kept your own playground; the shared one was not opened.');
+        return;
+      }
+      this.loadState(result.state, 'Opened the shared playground. Try \'git status\' and \'git log\' to see where things stand.');
+    }
+
+    /**
+     * Update the status indicator
+     */
+    updateStatusIndicator() {
+      if (this.statusIndicator && this.statusText) {
+        if (this.state.initialized) {
+          this.statusIndicator.classList.add('initialized');
+          this.statusIndicator.classList.remove('not-initialized');
+          this.statusText.textContent = 'Repository initialized';
+        } else {
+          this.statusIndicator.classList.remove('initialized');
+          this.statusIndicator.classList.add('not-initialized');
+          this.statusText.textContent = 'No repository';
+        }
+      }
+    }
+
+    /**
+     * Scroll terminal to bottom
+     */
+    scrollToBottom() {
+      this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    /**
+     * Update the index and working tree to match a commit. Local changes
+     * to files that are the same in both commits are carried over; Git
+     * refuses to switch if any other local change would be lost.
+     * @param {string} targetHash - Commit to check out
+     * @param {string} operation - Verb for error messages, e.g. 'checkout'
+     * @returns {string|null} Error message, or null on success
+     */
+    checkoutCommit(targetHash, operation = 'checkout') {
+      const { fs, repo } = this.state;
+      const unmerged = Object.keys(repo.unmerged).sort();
+      if (unmerged.length > 0) {
+        return `${unmerged.map(path => `${path}: needs merge`).join('\n')}
+error: you need to resolve your current index first`;
+      }
+
+      const current = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+      const target = GitRepo.commitFiles(repo, targetHash);
+      const hashOf = entry => entry ? entry.hash : null;
+      const workHash = path => VirtualFS.isFile(fs, path)
+        ? GitObjects.hash({ type: 'blob', content: fs.files[path] })
+        : null;
+
+      const changes = [];
+      const overwritten = [];
+      const untracked = [];
+
+      new Set(Object.keys(current).concat(Object.keys(target))).forEach(path => {
+        const from = hashOf(current[path]);
+        const to = hashOf(target[path]);
+        if (from === to) return;
+        changes.push(path);
+
+        const staged = hashOf(repo.index[path]);
+        const working = workHash(path);
+        if (!from && !staged) {
+          if (working !== null && working !== to) untracked.push(path);
+          return;
+        }
+        const dirty = staged !== from || working !== staged;
+        if (dirty && (staged !== to || working !== to)) {
+          overwritten.push(path);
+        }
+      });
+
+      const verb = operation === 'checkout' ? 'switch branches' : operation;
+      if (overwritten.length > 0) {
+        return `error: Your local changes to the following files would be overwritten by ${operation}:
+${overwritten.sort().map(path => `\t${path}`).join('\n')}
+Please commit your changes or stash them before you ${verb}.
+Aborting`;
+      }
+      if (untracked.length > 0) {
+        return `error: The following untracked working tree files would be overwritten by ${operation}:
+${untracked.sort().map(path => `\t${path}`).join('\n')}
+Please move or remove them before you ${verb}.
+Aborting`;
+      }
+
+      changes.forEach(path => {
+        if (target[path]) {
+          VirtualFS.writeFile(fs, path, GitRepo.readObject(repo, target[path].hash).content);
+          repo.index[path] = { mode: target[path].mode, hash: target[path].hash };
+        } else {
+          VirtualFS.remove(fs, path);
+          delete repo.index[path];
+        }
+      });
+
+      if (!VirtualFS.isDir(fs, this.state.cwd)) {
+        this.state.cwd = '';
+        this.updateTitle();
+      }
+      return null;
+    }
+
+    /**
+     * Record the index as a new commit and move HEAD to it
+     * @param {string} message - Commit message
+     * @param {string[]} parents - Parent commit IDs
+     * @param {Object} [options]
+     * @param {Object} [options.author] - Original author when replaying or amending a commit
+     * @param {string} [options.reflog] - Reflog message (defaults to 'commit: <subject>')
+     * @returns {string} New commit ID
+     */
+    createCommit(message, parents, options = {}) {
+      const repo = this.state.repo;
+      const committer = this.identity();
+      const hash = GitRepo.writeObject(repo, {
+        type: 'commit',
+        tree: GitRepo.writeTree(repo, repo.index),
+        parents: parents,
+        author: options.author || committer,
+        committer: committer,
+        message: message
+      });
+
+      const kind = parents.length === 0 ? 'commit (initial)' : parents.length > 1 ? 'commit (merge)' : 'commit';
+      GitRepo.advanceHead(repo, hash, options.reflog || `${kind}: ${message.split('\n')[0]}`);
+      return hash;
+    }
+
+    /**
+     * Summary Git prints after a commit, merge or fast-forward:
+     * " 2 files changed, 3 insertions(+), 1 deletion(-)" followed by
+     * "create mode"/"delete mode" lines for added and removed files
+     * @param {string|null} from - Old commit (null for an empty tree)
+     * @param {string} to - New commit
+     * @param {boolean} [withStat] - Start with a diffstat line per file, as merges do
+     * @returns {string}
+     */
+    summarizeChanges(from, to, withStat = false) {
+      const repo = this.state.repo;
+      const changes = this.collectChanges(GitRepo.commitFiles(repo, from), GitRepo.commitFiles(repo, to));
+      const lines = withStat ? this.formatDiffStat(changes) : [this.formatChangeSummary(changes)];
+      changes.forEach(change => {
+        if (!change.before) lines.push(` create mode ${change.after.mode} ${change.path}`);
+        if (!change.after) lines.push(` delete mode ${change.before.mode} ${change.path}`);
+      });
+      return lines.join('\n');
+    }
+
+    /**
+     * Pair up the versions of every path that differs between two file maps
+     * @param {Object} oldFiles - path -> { mode, hash, content? }
+     * @param {Object} newFiles - path -> { mode, hash, content? }
+     * @param {string[]} [paths] - Only include these paths (or files under these directories)
+     * @returns {Object[]} [{ path, before, after, insertions, deletions }], sorted by path
+     */
+    collectChanges(oldFiles, newFiles, paths) {
+      const repo = this.state.repo;
+      const contentOf = entry => {
+        if (!entry) return '';
+        return entry.content !== undefined ? entry.content : GitRepo.readObject(repo, entry.hash).content;
+      };
+      const wanted = path => !paths || paths.some(spec =>
+        spec === '' || path === spec || path.startsWith(`${spec}/`)
+      );
+
+      return [...new Set(Object.keys(oldFiles).concat(Object.keys(newFiles)))].sort()
+        .filter(path => wanted(path))
+        .filter(path => !oldFiles[path] || !newFiles[path] || oldFiles[path].hash !== newFiles[path].hash ||
+          oldFiles[path].mode !== newFiles[path].mode)
+        .map(path => {
+          const before = oldFiles[path] || null;
+          const after = newFiles[path] || null;
+          const oldText = contentOf(before);
+          const newText = contentOf(after);
+          const counts = TextDiff.countChanges(oldText, newText);
+          return {
+            path: path,
+            before: before,
+            after: after,
+            oldText: oldText,
+            newText: newText,
+            insertions: counts.insertions,
+            deletions: counts.deletions
+          };
+        });
+    }
+
+    /**
+     * "N files changed, X insertions(+), Y deletions(-)"
+     * @param {Object[]} changes - From collectChanges
+     * @returns {string}
+     */
+    formatChangeSummary(changes) {
+      const insertions = changes.reduce((sum, change) => sum + change.insertions, 0);
+      const deletions = changes.reduce((sum, change) => sum + change.deletions, 0);
+      const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+      let summary = ` ${plural(changes.length, 'file')} changed`;
+      if (insertions > 0 || deletions === 0) summary += `, ${plural(insertions, 'insertion')}(+)`;
+      if (deletions > 0 || insertions === 0) summary += `, ${plural(deletions, 'deletion')}(-)`;
+      return summary;
+    }
+
+    /**
+     * `--stat` output: " README.md | 3 ++-" per file, then the summary
+     * @param {Object[]} changes - From collectChanges
+     * @returns {string[]} Lines
+     */
+    formatDiffStat(changes) {
+      if (changes.length === 0) return [];
+      const nameWidth = Math.max(...changes.map(change => change.path.length));
+      const totals = changes.map(change => change.insertions + change.deletions);
+      const countWidth = String(Math.max(...totals)).length;
+      const largest = Math.max(...totals);
+      const graphWidth = 40;
+      const scale = largest > graphWidth ? graphWidth / largest : 1;
+
+      const lines = changes.map((change, i) => {
+        let plus = change.insertions;
+        let minus = change.deletions;
+        if (scale < 1) {
+          // Keep at least one mark for any non-zero count, as Git does
+          plus = plus ? Math.max(1, Math.round(plus * scale)) : 0;
+          minus = minus ? Math.max(1, Math.round(minus * scale)) : 0;
+        }
+        const graph = `${'\x1b[32m'}${'+'.repeat(plus)}${'\x1b[0m'}${'\x1b[31m'}${'-'.repeat(minus)}${'\x1b[0m'}`;
+        return ` ${change.path.padEnd(nameWidth)} | ${String(totals[i]).padStart(countWidth)} ${graph}`;
+      });
+      lines.push(this.formatChangeSummary(changes));
+      return lines;
+    }
+
+    /**
+     * Unified diff (`git diff` patch format) for a list of changes
+     * @param {Object[]} changes - From collectChanges
+     * @returns {string[]} Lines, coloured like Git's output
+     */
+    formatPatch(changes) {
+      const bold = text => `\x1b[1m${text}\x1b[0m`;
+      const short = entry => entry ? entry.hash.substring(0, 7) : '0000000';
+      const lines = [];
+
+      changes.forEach(change => {
+        const { path, before, after } = change;
+        lines.push(bold(`diff --git a/${path} b/${path}`));
+        if (!before) {
+          lines.push(bold(`new file mode ${after.mode}`));
+          lines.push(bold(`index ${short(before)}..${short(after)}`));
+        } else if (!after) {
+          lines.push(bold(`deleted file mode ${before.mode}`));
+          lines.push(bold(`index ${short(before)}..${short(after)}`));
+        } else if (before.mode !== after.mode) {
+          lines.push(bold(`old mode ${before.mode}`));
+          lines.push(bold(`new mode ${after.mode}`));
+          if (before.hash === after.hash) return;
+          lines.push(bold(`index ${short(before)}..${short(after)}`));
+        } else {
+          lines.push(bold(`index ${short(before)}..${short(after)} ${after.mode}`));
+        }
+        lines.push(bold(before ? `--- a/${path}` : '--- /dev/null'));
+        lines.push(bold(after ? `+++ b/${path}` : '+++ /dev/null'));
+
+        TextDiff.hunks(change.oldText, change.newText).forEach(hunk => {
+          const range = (start, count) => count === 1 ? `${start}` : `${start},${count}`;
+          lines.push(`\x1b[36m@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@\x1b[0m`);
+          hunk.ops.forEach(op => {
+            const text = op.line.replace(/\n$/, '');
+            if (op.type === 'delete') lines.push(`\x1b[31m-${text}\x1b[0m`);
+            else if (op.type === 'insert') lines.push(`\x1b[32m+${text}\x1b[0m`);
+            else lines.push(` ${text}`);
+            if (!op.line.endsWith('\n')) lines.push('\\ No newline at end of file');
+          });
+        });
+      });
+      return lines;
+    }
+
+    /**
+     * Render changes in the format chosen by --stat, --name-only,
+     * --name-status or (by default) as a patch
+     * @param {Object[]} changes - From collectChanges
+     * @param {string} format - 'patch', 'stat', 'name-only' or 'name-status'
+     * @returns {string[]} Lines
+     */
+    formatChanges(changes, format) {
+      switch (format) {
+        case 'stat':
+          return this.formatDiffStat(changes);
+        case 'name-only':
+          return changes.map(change => change.path);
+        case 'name-status':
+          return changes.map(change => `${!change.before ? 'A' : !change.after ? 'D' : 'M'}\t${change.path}`);
+        default:
+          return this.formatPatch(changes);
+      }
+    }
+
+    /**
+     * The working tree versions of tracked files, in the same shape as
+     * a commit's file map so they can be diffed against it
+     * @param {string[]} paths - Tracked paths
+     * @returns {Object} path -> { mode, hash, content }
+     */
+    workingTreeFiles(paths) {
+      const fs = this.state.fs;
+      const files = {};
+      paths.forEach(path => {
+        if (VirtualFS.isFile(fs, path)) {
+          const content = fs.files[path];
+          files[path] = { mode: '100644', hash: GitObjects.hash({ type: 'blob', content: content }), content: content };
+        }
+      });
+      return files;
+    }
+
+    /**
+     * Resolve the revision arguments of `git diff`: a single commit,
+     * "A..B", or "A...B" (changes on B since it forked from A)
+     * @param {string} arg
+     * @returns {Array|null} One or two commit IDs (null entries for bad
+     *   revisions), or null when the argument is not a revision at all
+     */
+    parseDiffRange(arg) {
+      const repo = this.state.repo;
+      const commitOf = spec => {
+        const hash = GitRepo.resolveRevision(repo, spec || 'HEAD');
+        return hash && GitRepo.readObject(repo, hash).type === 'commit' ? hash : null;
+      };
+      const range = arg.match(/^(.*?)(\.\.\.?)(.*)$/);
+      if (range) {
+        const from = commitOf(range[1]);
+        const to = commitOf(range[3]);
+        if (range[2] === '...' && from && to) {
+          return [GitRepo.mergeBase(repo, from, to), to];
+        }
+        return [from, to];
+      }
+      const hash = commitOf(arg);
+      return hash ? [hash] : null;
+    }
+
+    /**
+     * The commit header `git log` and `git show` print
+     * @param {string} hash - Commit ID
+     * @param {boolean} [decorate] - Show the refs pointing at the commit
+     * @returns {string} "commit ...", Merge/Author/Date lines and the indented message
+     */
+    formatCommitHeader(hash, decorate = true) {
+      const repo = this.state.repo;
+      const commit = GitRepo.readObject(repo, hash);
+      const decorations = decorate ? GitRepo.decorations(repo, hash) : '';
+      let output = `commit ${hash}`;
+      if (decorations) {
+        output += ` (${decorations})`;
+      }
+      output += '\n';
+      if (commit.parents.length > 1) {
+        output += `Merge: ${commit.parents.map(p => p.substring(0, 7)).join(' ')}\n`;
+      }
+      output += `Author: ${commit.author.name} <${commit.author.email}>\n`;
+      output += `Date:   ${GitRepo.formatDate(commit.author)}\n\n`;
+      output += commit.message.split('\n').map(line => `    ${line}`).join('\n');
+      return output;
+    }
+
+    /**
+     * One commit as `git log` prints it in a given --pretty format
+     * @param {string} hash - Commit ID
+     * @param {Object} format - { kind: 'oneline' | 'short' | 'medium' | 'full' | 'template', template?, abbrev? }
+     * @param {boolean} decorate - Show the refs pointing at the commit
+     * @returns {string}
+     */
+    formatLogEntry(hash, format, decorate) {
+      const repo = this.state.repo;
+      const commit = GitRepo.readObject(repo, hash);
+      if (format.kind === 'template') {
+        return this.formatPretty(hash, format.template, decorate);
+      }
+      if (format.kind === 'oneline') {
+        const decorations = decorate ? GitRepo.decorations(repo, hash) : '';
+        const id = format.abbrev ? hash.substring(0, 7) : hash;
+        return `${id}${decorations ? ` (${decorations})` : ''} ${commit.message.split('\n')[0]}`;
+      }
+      if (format.kind === 'medium') {
+        return this.formatCommitHeader(hash, decorate);
+      }
+
+      // short and full: no date, and only the subject for short
+      const decorations = decorate ? GitRepo.decorations(repo, hash) : '';
+      let output = `commit ${hash}${decorations ? ` (${decorations})` : ''}\n`;
+      if (commit.parents.length > 1) {
+        output += `Merge: ${commit.parents.map(p => p.substring(0, 7)).join(' ')}\n`;
+      }
+      output += `Author: ${commit.author.name} <${commit.author.email}>\n`;
+      if (format.kind === 'full') {
+        output += `Commit: ${commit.committer.name} <${commit.committer.email}>\n`;
+      }
+      const message = format.kind === 'short' ? commit.message.split('\n')[0] : commit.message;
+      return `${output}\n${message.split('\n').map(line => `    ${line}`).join('\n')}`;
+    }
+
+    /**
+     * Fill in a --pretty=format: template: %h, %an, %s, %ar, %d and friends,
+     * plus %C(...) colours
+     * @param {string} hash - Commit ID
+     * @param {string} template
+     * @param {boolean} decorate - Whether %d and %D show anything
+     * @returns {string}
+     */
+    formatPretty(hash, template, decorate) {
+      const repo = this.state.repo;
+      const commit = GitRepo.readObject(repo, hash);
+      const paragraphs = commit.message.split(/\n\s*\n/);
+      const decorations = decorate ? GitRepo.decorations(repo, hash) : '';
+      const person = (who, field) => ({
+        n: who.name,
+        e: who.email,
+        d: GitRepo.formatDate(who),
+        r: GitRepo.relativeDate(who),
+        t: String(who.timestamp)
+      })[field];
+      const fields = {
+        H: () => hash,
+        h: () => hash.substring(0, 7),
+        T: () => commit.tree,
+        t: () => commit.tree.substring(0, 7),
+        P: () => commit.parents.join(' '),
+        p: () => commit.parents.map(parent => parent.substring(0, 7)).join(' '),
+        s: () => paragraphs[0].split('\n').join(' '),
+        b: () => paragraphs.slice(1).join('\n\n'),
+        B: () => commit.message,
+        d: () => decorations ? ` (${decorations})` : '',
+        D: () => decorations,
+        n: () => '\n',
+        '%': () => '%'
+      };
+      const colors = { black: 30, red: 31, green: 32, yellow: 33, blue: 34, magenta: 35, cyan: 36, white: 37 };
+      const attributes = { reset: 0, bold: 1, dim: 2, italic: 3, ul: 4, reverse: 7 };
+      const color = spec => {
+        const codes = [];
+        let foreground = true;
+        for (const word of spec.split(/[\s,]+/).filter(Boolean)) {
+          if (word === 'auto' || word === 'normal') continue;
+          if (colors[word] !== undefined) {
+            codes.push(colors[word] + (foreground ? 0 : 10));
+            foreground = false;
+          } else if (attributes[word] !== undefined) {
+            codes.push(attributes[word]);
+          } else {
+            return null;
+          }
+        }
+        return codes.length ? `\x1b[${codes.join(';')}m` : '';
+      };
+
+      return template.replace(/%(C\(([^)]*)\)|Cred|Cgreen|Cblue|Creset|[ac][nedrt]|[HhTtPpsbBdDn%])/g, (match, code, spec) => {
+        if (spec !== undefined) {
+          const sequence = color(spec);
+          return sequence === null ? match : sequence;
+        }
+        if (code.startsWith('C')) {
+          return `\x1b[${{ Cred: 31, Cgreen: 32, Cblue: 34, Creset: 0 }[code]}m`;
+        }
+        if (code.length === 2) {
+          return person(code[0] === 'a' ? commit.author : commit.committer, code[1]);
+        }
+        return fields[code]();
+      });
+    }
+
+    /**
+     * Draw `git log --graph`: a column of * | / \ characters in front of
+     * each commit, one lane per line of history that is still open
+     * @param {string[]} hashes - Commits in the order they are shown, children first
+     * @param {string[]} entries - Each commit's formatted text (may span several lines)
+     * @returns {string[]} Output lines
+     */
+    logGraph(hashes, entries) {
+      const repo = this.state.repo;
+      const shown = new Set(hashes);
+
+      // Commits left out (by -n, --author and the like) are skipped over,
+      // so a line joins the nearest ancestor that is shown
+      const visibleParents = hash => {
+        const found = [];
+        GitRepo.readObject(repo, hash).parents.forEach(parent => {
+          const queue = [parent];
+          const seen = new Set();
+          while (queue.length) {
+            const next = queue.shift();
+            if (seen.has(next)) continue;
+            seen.add(next);
+            if (shown.has(next)) {
+              if (!found.includes(next)) found.push(next);
+              break;
+            }
+            queue.push(...GitRepo.readObject(repo, next).parents);
+          }
+        });
+        return found;
+      };
+
+      const lines = [];
+      let columns = [];
+      hashes.forEach((hash, n) => {
+        let col = columns.indexOf(hash);
+        if (col === -1) {
+          col = columns.length;
+          columns.push(hash);
+        }
+
+        // The first parent carries on in this lane unless another lane is
+        // already waiting for it; further parents (merges) open new lanes
+        const parents = visibleParents(hash);
+        const next = columns.slice();
+        next[col] = parents.length && !columns.includes(parents[0]) ? parents[0] : null;
+        let insertAt = col + 1;
+        parents.slice(1).forEach(parent => {
+          if (!next.includes(parent)) next.splice(insertAt++, 0, parent);
+        });
+        const remaining = next.filter(Boolean);
+
+        // Where each lane goes on its way to the next row
+        const width = 2 * Math.max(columns.length, remaining.length);
+        const edge = Array(width).fill(' ');
+        const draw = (from, to) => {
+          if (to === from) edge[2 * from] = '|';
+          else if (to < from) edge[2 * from - 1] = '/';
+          else edge[2 * from + 1] = '\\';
+        };
+        columns.forEach((lane, i) => {
+          if (i === col) {
+            parents.forEach(parent => draw(col, remaining.indexOf(parent)));
+          } else {
+            draw(i, remaining.indexOf(lane));
+          }
+        });
+        const edgeLine = edge.join('').trimEnd();
+        const straight = !/[/\\]/.test(edgeLine);
+
+        const text = entries[n].split('\n');
+        const node = columns.map((lane, i) => i === col ? '*' : '|').join(' ');
+        const rest = remaining.map(() => '|').join(' ');
+        lines.push(`${node.padEnd(width - 1)} ${text[0]}`.trimEnd());
+        text.slice(1).forEach((line, i) => {
+          const prefix = i === 0 && !straight ? edgeLine : rest;
+          lines.push(`${prefix.padEnd(width - 1)} ${line}`.trimEnd());
+        });
+        if (text.length === 1 && !straight) {
+          lines.push(edgeLine);
+        }
+        columns = remaining;
+      });
+      return lines;
+    }
+
+    /**
+     * Whether a commit changed any of the given paths, as `git log -- <path>` asks.
+     * A merge counts only if it differs from every parent there.
+     * @param {string} hash - Commit ID
+     * @param {string[]} paths - Repository paths (files or directories)
+     * @returns {boolean}
+     */
+    touchesPaths(hash, paths) {
+      const repo = this.state.repo;
+      const wanted = path => paths.some(spec => spec === '' || path === spec || path.startsWith(`${spec}/`));
+      const pick = commitHash => {
+        const files = GitRepo.commitFiles(repo, commitHash);
+        return JSON.stringify(Object.keys(files).filter(wanted).sort().map(path => [path, files[path].hash]));
+      };
+      const mine = pick(hash);
+      const parents = GitRepo.readObject(repo, hash).parents;
+      if (parents.length === 0) return mine !== '[]';
+      return parents.every(parent => pick(parent) !== mine);
+    }
+
+    /**
+     * Name a commit after the nearest tag it contains, like `git describe`:
+     * "v1.0" on the tag itself, "v1.0-3-g1a2b3c4" three commits later
+     * @param {string} hash - Commit ID
+     * @param {Object} options
+     * @param {boolean} [options.tags] - Lightweight tags count too
+     * @param {boolean} [options.always] - Fall back to the short commit ID
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    describeCommit(hash, options) {
+      const repo = this.state.repo;
+      const tags = Object.keys(repo.refs).filter(ref => ref.startsWith('refs/tags/')).sort();
+      const annotated = ref => GitRepo.readObject(repo, repo.refs[ref]).type === 'tag';
+      const usable = tags.filter(ref => options.tags || annotated(ref));
+
+      const reachable = GitRepo.ancestors(repo, hash);
+      let best = null;
+      usable.forEach(ref => {
+        const tagged = GitRepo.peel(repo, repo.refs[ref]);
+        if (!reachable.has(tagged)) return;
+        const before = GitRepo.ancestors(repo, tagged);
+        const distance = [...reachable].filter(commit => !before.has(commit)).length;
+        if (!best || distance < best.distance) best = { name: ref.slice(10), distance: distance };
+      });
+
+      if (best) {
+        return best.distance === 0 ? best.name : `${best.name}-${best.distance}-g${hash.substring(0, 7)}`;
+      }
+      if (options.always) {
+        return hash.substring(0, 7);
+      }
+      if (tags.length === 0) {
+        return CommandLine.failure('fatal: No names found, cannot describe anything.');
+      }
+      if (usable.length === 0) {
+        return CommandLine.failure(`fatal: No annotated tags can describe '${hash}'.
+However, there were unannotated tags: try --tags.`);
+      }
+      return CommandLine.failure(`fatal: No tags can describe '${hash}'.
+Try --always, or create some tags.`);
+    }
+
+    /**
+     * Find the commit that last changed each line of a file. Lines that
+     * a parent has unchanged are passed on to it; whatever is left is
+     * blamed on the commit itself.
+     * @param {string} path - Relative to the project root
+     * @param {string|null} hash - Commit to start from, or null for the
+     *   working tree file (its new lines are "Not Committed Yet")
+     * @returns {Object[]|null} [{ hash, boundary, author, text }] per line,
+     *   or null when there is no such file
+     */
+    blame(path, hash) {
+      const { fs, repo } = this.state;
+      const head = GitRepo.headCommit(repo);
+      const contentAt = commit => {
+        const id = commit ? GitRepo.lookupPath(repo, commit, path) : null;
+        const object = id ? GitRepo.readObject(repo, id) : null;
+        return object && object.type === 'blob' ? object.content : null;
+      };
+
+      const content = hash ? contentAt(hash) : VirtualFS.isFile(fs, path) ? fs.files[path] : null;
+      if (content === null || (!hash && contentAt(head) === null && !repo.index[path])) return null;
+
+      const lines = TextDiff.splitLines(content).map(text => ({
+        hash: null,
+        boundary: false,
+        author: { name: 'Not Committed Yet', email: 'not.committed.yet', timestamp: Math.floor(Date.now() / 1000), timezone: '+0000' },
+        text: text
+      }));
+      // Each entry: a version of the file and, per line, the line of the result it became
+      const queue = [{ hash: hash, text: content, targets: lines.map((line, i) => i) }];
+      while (queue.length) {
+        const { hash: commit, text, targets } = queue.shift();
+        const parents = commit ? GitRepo.readObject(repo, commit).parents : [head].filter(Boolean);
+        const remaining = targets.slice();
+        parents.forEach(parent => {
+          const parentText = contentAt(parent);
+          if (parentText === null) return;
+          const parentTargets = TextDiff.splitLines(parentText).map(() => null);
+          let passed = false;
+          TextDiff.diffLines(TextDiff.splitLines(parentText), TextDiff.splitLines(text)).forEach(op => {
+            if (op.type === 'equal' && remaining[op.newIndex] !== null) {
+              parentTargets[op.oldIndex] = remaining[op.newIndex];
+              remaining[op.newIndex] = null;
+              passed = true;
+            }
+          });
+          if (passed) queue.push({ hash: parent, text: parentText, targets: parentTargets });
+        });
+
+        if (!commit) continue;
+        const object = GitRepo.readObject(repo, commit);
+        remaining.filter(target => target !== null).forEach(target => {
+          Object.assign(lines[target], { hash: commit, boundary: object.parents.length === 0, author: object.author });
+        });
+      }
+      return lines;
+    }
+
+    /**
+     * Merge a commit into HEAD: fast-forward when possible, otherwise a
+     * three-way merge that either commits or stops with conflicts
+     * @param {string} name - What is being merged, as typed (used in labels and messages)
+     * @param {string} target - Commit to merge
+     * @param {Object} [options]
+     * @param {string} [options.message] - Merge commit message
+     * @param {boolean} [options.noFastForward] - Always create a merge commit (--no-ff)
+     * @param {boolean} [options.fastForwardOnly] - Refuse anything but a fast-forward (--ff-only)
+     * @returns {string|Object} Command output, or a CommandLine.failure when
+     *   the merge is refused or stops with conflicts
+     */
+    mergeCommit(name, target, options = {}) {
+      const repo = this.state.repo;
+      const head = GitRepo.headCommit(repo);
+      if (head && GitRepo.isAncestor(repo, target, head)) {
+        return 'Already up to date.';
+      }
+
+      const canFastForward = !head || GitRepo.isAncestor(repo, head, target);
+      if (options.fastForwardOnly && !canFastForward) {
+        return CommandLine.failure('fatal: Not possible to fast-forward, aborting.');
+      }
+
+      if (canFastForward && !options.noFastForward) {
+        const error = this.checkoutCommit(target, 'merge');
+        if (error) return CommandLine.failure(error);
+        GitRepo.advanceHead(repo, target, `merge ${name}: Fast-forward`);
+        const range = head ? `Updating ${head.substring(0, 7)}..${target.substring(0, 7)}\n` : '';
+        return `${range}Fast-forward
+${this.summarizeChanges(head, target, true)}`;
+      }
+
+      const base = GitRepo.mergeBase(repo, head, target);
+      if (!base) {
+        return CommandLine.failure('fatal: refusing to merge unrelated histories');
+      }
+
+      const result = GitRepo.mergeTrees(repo, base, head, target, { ours: 'HEAD', theirs: name });
+      const error = this.applyMergeResult(result, 'merge');
+      if (error) return CommandLine.failure(error);
+
+      const mergeMessage = options.message || this.defaultMergeMessage(name);
+      const output = result.messages.length ? `${result.messages.join('\n')}\n` : '';
+
+      if (result.conflicts.length > 0) {
+        repo.mergeHead = target;
+        repo.mergeMsg = mergeMessage;
+        return CommandLine.failure(`${output}Automatic merge failed; fix conflicts and then commit the result.
+
+${this.conflictHint(result.conflicts)}`);
+      }
+
+      const commitHash = this.createCommit(mergeMessage, [head, target], {
+        reflog: `merge ${name}: Merge made by the 'ort' strategy.`
+      });
+      return `${output}Merge made by the 'ort' strategy.
+${this.summarizeChanges(head, commitHash, true)}`;
+    }
+
+    /**
+     * Default message for a merge commit, the way Git words it
+     * @param {string} name - What was merged, as typed
+     * @returns {string}
+     */
+    defaultMergeMessage(name) {
+      const repo = this.state.repo;
+      let message;
+      if (repo.refs[`refs/heads/${name}`]) {
+        message = `Merge branch '${name}'`;
+      } else if (repo.refs[`refs/remotes/${name}`]) {
+        message = `Merge remote-tracking branch '${name}'`;
+      } else {
+        message = `Merge commit '${name}'`;
+      }
+      const branch = GitRepo.currentBranch(repo);
+      return branch && branch !== 'main' && branch !== 'master' ? `${message} into ${branch}` : message;
+    }
+
+    /**
+     * Write the outcome of a three-way merge into the index and working
+     * tree. Conflicted paths become unmerged index entries and their
+     * working tree file gets the conflict markers.
+     * @param {Object} result - From GitRepo.mergeTrees
+     * @param {string} operation - Verb for error messages, e.g. 'merge'
+     * @param {Object} [options]
+     * @param {boolean} [options.keepStaged] - Only refuse staged changes to
+     *   paths the merge touches (stash apply), not every staged change
+     * @returns {string|null} Error message if local changes are in the way
+     */
+    applyMergeResult(result, operation, options = {}) {
+      const { fs, repo } = this.state;
+      const headFiles = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+      const conflicted = {};
+      result.conflicts.forEach(conflict => {
+        conflicted[conflict.path] = conflict;
+      });
+
+      const touched = [...new Set(Object.keys(headFiles).concat(Object.keys(result.files), Object.keys(conflicted)))]
+        .filter(path => conflicted[path] || !headFiles[path] || !result.files[path] ||
+          headFiles[path].hash !== result.files[path].hash)
+        .sort();
+
+      // Git refuses to merge over staged changes or over edits to files the merge touches
+      const hashOf = entry => entry ? entry.hash : null;
+      const workHash = path => VirtualFS.isFile(fs, path)
+        ? GitObjects.hash({ type: 'blob', content: fs.files[path] })
+        : null;
+      const staged = [...new Set(Object.keys(headFiles).concat(Object.keys(repo.index)))]
+        .filter(path => hashOf(headFiles[path]) !== hashOf(repo.index[path]))
+        .filter(path => !options.keepStaged || touched.includes(path));
+      const overwritten = new Set(staged);
+      const untracked = [];
+      touched.forEach(path => {
+        if (!repo.index[path] && workHash(path) !== null && !headFiles[path]) {
+          untracked.push(path);
+        } else if (repo.index[path] && workHash(path) !== repo.index[path].hash) {
+          overwritten.add(path);
+        }
+      });
+
+      if (overwritten.size > 0) {
+        return `error: Your local changes to the following files would be overwritten by ${operation}:
+${[...overwritten].sort().map(path => `\t${path}`).join('\n')}
+Please commit your changes or stash them before you ${operation}.
+Aborting`;
+      }
+      if (untracked.length > 0) {
+        return `error: The following untracked working tree files would be overwritten by ${operation}:
+${untracked.map(path => `\t${path}`).join('\n')}
+Please move or remove them before you ${operation}.
+Aborting`;
+      }
+
+      touched.forEach(path => {
+        if (conflicted[path]) {
+          delete repo.index[path];
+          repo.unmerged[path] = conflicted[path].stages;
+          VirtualFS.writeFile(fs, path, conflicted[path].content);
+        } else if (result.files[path]) {
+          repo.index[path] = { mode: result.files[path].mode, hash: result.files[path].hash };
+          VirtualFS.writeFile(fs, path, GitRepo.readObject(repo, result.files[path].hash).content);
+        } else {
+          delete repo.index[path];
+          VirtualFS.remove(fs, path);
+        }
+      });
+      return null;
+    }
+
+    /**
+     * Explain to the student how to resolve the conflicts just created
+     * @param {Object[]} conflicts - From GitRepo.mergeTrees
+     * @returns {string}
+     */
+    conflictHint(conflicts) {
+      const hasMarkers = conflicts.some(conflict => conflict.label.startsWith('both'));
+      if (hasMarkers) {
+        return `Hint: Open the conflicted files with 'cat', keep the lines you want and delete the
+<<<<<<<, ======= and >>>>>>> markers, then 'git add' each file and 'git commit'.`;
+      }
+      return `Hint: One side deleted a file the other side changed. Keep it with 'git add <file>',
+or delete it with 'rm <file>' followed by 'git add <file>', then 'git commit'.`;
+    }
+
+    /**
+     * Put the index and working tree back to HEAD after a failed merge,
+     * leaving unrelated unstaged edits alone
+     * @returns {string|null} Error message, or null on success
+     */
+    abortMerge() {
+      const { fs, repo } = this.state;
+      if (!repo.mergeHead) {
+        return 'fatal: There is no merge to abort (MERGE_HEAD missing).';
+      }
+
+      const headFiles = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+      const paths = new Set(Object.keys(headFiles).concat(Object.keys(repo.index), Object.keys(repo.unmerged)));
+      paths.forEach(path => {
+        const head = headFiles[path];
+        const staged = repo.index[path];
+        if (!repo.unmerged[path] && head && staged && head.hash === staged.hash) return;
+        if (head) {
+          repo.index[path] = { mode: head.mode, hash: head.hash };
+          VirtualFS.writeFile(fs, path, GitRepo.readObject(repo, head.hash).content);
+        } else {
+          delete repo.index[path];
+          VirtualFS.remove(fs, path);
+        }
+      });
+
+      repo.unmerged = {};
+      repo.mergeHead = null;
+      repo.mergeMsg = null;
+      return null;
+    }
+
+    /**
+     * Make the index and working tree match a commit exactly, throwing
+     * away staged and unstaged changes to tracked files (like
+     * `git reset --hard`). Untracked files are left alone.
+     * @param {string} hash - Commit to reset to
+     */
+    resetToCommit(hash) {
+      const { fs, repo } = this.state;
+      const target = GitRepo.commitFiles(repo, hash);
+      const headFiles = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+      const paths = new Set(Object.keys(headFiles).concat(
+        Object.keys(repo.index), Object.keys(repo.unmerged), Object.keys(target)
+      ));
+      paths.forEach(path => {
+        if (target[path]) {
+          repo.index[path] = { mode: target[path].mode, hash: target[path].hash };
+          VirtualFS.writeFile(fs, path, GitRepo.readObject(repo, target[path].hash).content);
+        } else {
+          delete repo.index[path];
+          VirtualFS.remove(fs, path);
+        }
+      });
+      repo.unmerged = {};
+
+      if (!VirtualFS.isDir(fs, this.state.cwd)) {
+        this.state.cwd = '';
+        this.updateTitle();
+      }
+    }
+
+    /**
+     * Record the index and working tree as a stash entry, then put both
+     * back to HEAD like `git stash push`
+     * @param {string|null} message - Description (defaults to "WIP on <branch>: ...")
+     * @param {boolean} untracked - Stash untracked files too, and remove them (-u)
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    saveStash(message, untracked) {
+      const { fs, repo } = this.state;
+      const head = GitRepo.headCommit(repo);
+      if (!head) {
+        return CommandLine.failure('You do not have the initial commit yet');
+      }
+      const unmerged = Object.keys(repo.unmerged).sort();
+      if (unmerged.length > 0) {
+        return CommandLine.failure(`${unmerged.map(path => `${path}: needs merge`).join('\n')}
+error: could not write index`);
+      }
+
+      const status = this.getStatus();
+      const untrackedPaths = untracked
+        ? Object.keys(fs.files).filter(path => !repo.index[path] && !GitIgnore.isIgnored(fs, path)).sort()
+        : [];
+      if (status.staged.length === 0 && status.unstaged.length === 0 && untrackedPaths.length === 0) {
+        return 'No local changes to save';
+      }
+
+      // The stash is a commit of the working tree whose parents are HEAD,
+      // a commit of the index and, with -u, a commit of the untracked files
+      const subject = GitRepo.readObject(repo, head).message.split('\n')[0];
+      const branch = GitRepo.currentBranch(repo) || '(no branch)';
+      const where = `${branch}: ${head.substring(0, 7)} ${subject}`;
+      const signature = this.identity();
+      const commit = (files, parents, text) => GitRepo.writeObject(repo, {
+        type: 'commit',
+        tree: GitRepo.writeTree(repo, files),
+        parents: parents,
+        author: signature,
+        committer: signature,
+        message: text
+      });
+
+      const parents = [head, commit(repo.index, [head], `index on ${where}`)];
+      if (untrackedPaths.length > 0) {
+        const files = {};
+        untrackedPaths.forEach(path => {
+          files[path] = { mode: '100644', hash: GitRepo.writeBlob(repo, fs.files[path]) };
+        });
+        parents.push(commit(files, [], `untracked files on ${where}`));
+      }
+      const workFiles = {};
+      Object.keys(repo.index).forEach(path => {
+        if (VirtualFS.isFile(fs, path)) {
+          workFiles[path] = { mode: repo.index[path].mode, hash: GitRepo.writeBlob(repo, fs.files[path]) };
+        }
+      });
+      const description = message ? `On ${branch}: ${message}` : `WIP on ${where}`;
+      GitRepo.updateRef(repo, 'refs/stash', commit(workFiles, parents, description), description);
+
+      this.resetToCommit(head);
+      untrackedPaths.forEach(path => VirtualFS.remove(fs, path));
+      if (!VirtualFS.isDir(fs, this.state.cwd)) {
+        this.state.cwd = '';
+        this.updateTitle();
+      }
+      return `Saved working directory and index state ${description}`;
+    }
+
+    /**
+     * Look up a stash entry by "stash@{n}" or plain "n"
+     * @param {string} [name] - Defaults to the newest entry
+     * @returns {Object} { hash, index } or { error }
+     */
+    findStash(name) {
+      const entries = this.state.repo.reflog['refs/stash'] || [];
+      if (entries.length === 0) {
+        return { error: 'No stash entries found.' };
+      }
+      const match = (name || '0').match(/^(?:stash@\{(\d+)\}|(\d+))$/);
+      if (!match) {
+        return { error: `error: '${name}' is not a stash reference` };
+      }
+      const index = parseInt(match[1] || match[2], 10);
+      const entry = entries[entries.length - 1 - index];
+      if (!entry) {
+        return { error: `error: stash@{${index}} is not a valid reference` };
+      }
+      return { hash: entry.new, index: index };
+    }
+
+    /**
+     * Merge a stash entry's changes into the working tree. Conflicts are
+     * left for the student to resolve the same way as after a merge.
+     * @param {string} hash - The stash commit
+     * @param {boolean} [popping] - Called by `git stash pop`, which keeps the entry on conflicts
+     * @returns {string|Object} Command output, or a CommandLine.failure when
+     *   the stash can't be applied or leaves conflicts
+     */
+    applyStash(hash, popping = false) {
+      const { fs, repo } = this.state;
+      const unmerged = Object.keys(repo.unmerged).sort();
+      if (unmerged.length > 0) {
+        return CommandLine.failure(`${unmerged.map(path => `${path}: needs merge`).join('\n')}
+error: could not write index`);
+      }
+
+      const stash = GitRepo.readObject(repo, hash);
+      const untrackedFiles = stash.parents[2] ? GitRepo.commitFiles(repo, stash.parents[2]) : {};
+      const existing = Object.keys(untrackedFiles).filter(path => VirtualFS.exists(fs, path));
+      if (existing.length > 0) {
+        return CommandLine.failure(`${existing.map(path => `${path} already exists, no checkout`).join('\n')}
+error: could not restore untracked files from stash`);
+      }
+
+      const head = GitRepo.headCommit(repo);
+      const result = GitRepo.mergeTrees(repo, stash.parents[0], head, hash, {
+        ours: 'Updated upstream',
+        theirs: 'Stashed changes'
+      });
+      const error = this.applyMergeResult(result, 'merge', { keepStaged: true });
+      if (error) return CommandLine.failure(error);
+
+      // Stashed edits come back unstaged; only new files stay in the index
+      const headFiles = GitRepo.commitFiles(repo, head);
+      Object.keys(result.files).concat(Object.keys(headFiles)).forEach(path => {
+        if (repo.unmerged[path] || !headFiles[path]) return;
+        const stashed = result.files[path];
+        if (!stashed || stashed.hash !== headFiles[path].hash) {
+          repo.index[path] = { mode: headFiles[path].mode, hash: headFiles[path].hash };
+        }
+      });
+      Object.keys(untrackedFiles).forEach(path => {
+        VirtualFS.writeFile(fs, path, GitRepo.readObject(repo, untrackedFiles[path].hash).content);
+      });
+
+      const lines = result.messages.slice();
+      lines.push(GitPlayground.commands['git status'].handler(this, [], {}));
+      if (result.conflicts.length > 0) {
+        if (popping) lines.push('The stash entry is kept in case you need it again.');
+        lines.push(`
+Hint: Fix the conflicted files and 'git add' them. There is nothing to commit:
+the stashed changes are simply back in your working tree. Run 'git stash drop'
+once you no longer need the stash entry.`);
+        return CommandLine.failure(lines.join('\n'));
+      }
+      return lines.join('\n');
+    }
+
+    /**
+     * Remove one stash entry, keeping refs/stash on the newest one left
+     * @param {number} index - n in stash@{n}
+     * @returns {string} Command output
+     */
+    dropStash(index) {
+      const repo = this.state.repo;
+      const entries = repo.reflog['refs/stash'];
+      const [entry] = entries.splice(entries.length - 1 - index, 1);
+      if (entries.length > 0) {
+        repo.refs['refs/stash'] = entries[entries.length - 1].new;
+      } else {
+        delete repo.refs['refs/stash'];
+        delete repo.reflog['refs/stash'];
+      }
+      return `Dropped refs/stash@{${index}} (${entry.new})`;
+    }
+
+    /**
+     * Rebase refuses to start (or continue) with uncommitted changes
+     * @returns {string|null} Error message, or null when the tree is clean
+     */
+    checkCleanForRebase() {
+      const status = this.getStatus();
+      if (status.unstaged.length > 0) {
+        return `error: cannot rebase: You have unstaged changes.
+error: Please commit or stash them.`;
+      }
+      if (status.staged.length > 0) {
+        return `error: cannot rebase: Your index contains uncommitted changes.
+error: Please commit or stash them.`;
+      }
+      if (this.state.repo.mergeHead) {
+        return `error: cannot rebase: You are in the middle of a merge.
+
+Hint: Finish it with 'git commit' or give up with 'git merge --abort'.`;
+      }
+      return null;
+    }
+
+    /**
+     * Commits reachable from `tip` but not from `upstream`, oldest first.
+     * Merge commits are left out, as `git rebase` does by default.
+     * @param {string} upstream
+     * @param {string} tip
+     * @returns {string[]} Commit IDs
+     */
+    commitsToReplay(upstream, tip) {
+      const repo = this.state.repo;
+      const excluded = GitRepo.ancestors(repo, upstream);
+      return GitRepo.reachableCommits(repo, [tip])
+        .filter(hash => !excluded.has(hash) && GitRepo.readObject(repo, hash).parents.length <= 1)
+        .reverse();
+    }
+
+    /**
+     * Begin a rebase, cherry-pick or revert. All three replay a list of
+     * commits one at a time ("the sequencer") and can stop on a conflict,
+     * to be resumed with --continue or --skip or undone with --abort.
+     * @param {string} operation - 'rebase', 'cherry-pick' or 'revert'
+     * @param {string|null} onto - New base for a rebase
+     * @param {Object[]} todo - Steps { action, hash, message? }, oldest first
+     * @param {Object} [options]
+     * @param {boolean} [options.interactive] - Started with rebase -i
+     * @param {string} [options.ontoName] - The new base as the student typed it
+     * @returns {string|Object} Command output, or a CommandLine.failure when
+     *   it can't start or a step stops
+     */
+    startSequencer(operation, onto, todo, options = {}) {
+      const repo = this.state.repo;
+      const head = GitRepo.headCommit(repo);
+      repo.sequencer = {
+        operation: operation,
+        interactive: Boolean(options.interactive),
+        headName: GitRepo.headRef(repo),
+        origHead: head,
+        onto: onto || head,
+        todo: todo,
+        current: null,
+        rewritten: []
+      };
+
+      if (operation === 'rebase') {
+        // Rebase works on a detached HEAD and moves the branch at the end
+        const error = this.checkoutCommit(onto, 'rebase');
+        if (error) {
+          repo.sequencer = null;
+          return CommandLine.failure(error);
+        }
+        this.rememberHead();
+        GitRepo.setHead(repo, onto, `rebase (start): checkout ${options.ontoName || onto}`);
+      }
+      return this.runSequencer();
+    }
+
+    /**
+     * Replay the remaining steps until the todo list is empty or one stops
+     * @param {string[]} [output] - Lines already printed by the caller
+     * @returns {string|Object} Command output, or a CommandLine.failure when a step stops
+     */
+    runSequencer(output = []) {
+      const sequencer = this.state.repo.sequencer;
+      while (sequencer.todo.length > 0) {
+        const step = sequencer.todo.shift();
+        const result = this.applySequencerStep(step);
+        output.push(...result.lines);
+        if (result.stopped) {
+          return CommandLine.failure(output.join('\n'));
+        }
+      }
+      output.push(...this.finishSequencer());
+      return output.join('\n');
+    }
+
+    /**
+     * Apply one commit's changes on top of HEAD and commit them, or stop
+     * with the conflicts in the working tree
+     * @param {Object} step - { action, hash, message? }
+     * @returns {Object} { lines, stopped }
+     */
+    applySequencerStep(step) {
+      const repo = this.state.repo;
+      const sequencer = repo.sequencer;
+      const head = GitRepo.headCommit(repo);
+      const commit = GitRepo.readObject(repo, step.hash);
+      const parent = commit.parents[0] || null;
+      const short = step.hash.substring(0, 7);
+      const subject = commit.message.split('\n')[0];
+
+      // A commit whose parent is already HEAD doesn't need rewriting
+      if (sequencer.operation === 'rebase' && step.action === 'pick' && parent === head) {
+        const error = this.checkoutCommit(step.hash, 'rebase');
+        if (error) {
+          sequencer.todo.unshift(step);
+          return { lines: [error], stopped: true };
+        }
+        GitRepo.advanceHead(repo, step.hash, `rebase (pick): ${subject}`);
+        sequencer.rewritten.push({ from: step.hash, to: step.hash });
+        return { lines: [], stopped: false };
+      }
+
+      // Squash and fixup need an earlier commit from this rebase to fold into
+      if ((step.action === 'squash' || step.action === 'fixup') && !sequencer.rewritten.some(entry => entry.to === head)) {
+        step = Object.assign({}, step, { action: 'pick' });
+      }
+
+      // Reverting merges in the opposite direction: from the commit back to its parent
+      const result = sequencer.operation === 'revert'
+        ? GitRepo.mergeTrees(repo, step.hash, head, parent, { ours: 'HEAD', theirs: `parent of ${short} (${subject})` })
+        : GitRepo.mergeTrees(repo, parent, head, step.hash, { ours: 'HEAD', theirs: `${short} (${subject})` });
+      const error = this.applyMergeResult(result, sequencer.operation);
+      if (error) {
+        sequencer.todo.unshift(step);
+        return { lines: [error], stopped: true };
+      }
+
+      let message = commit.message;
+      if (sequencer.operation === 'revert') {
+        message = `Revert "${subject}"\n\nThis reverts commit ${step.hash}.`;
+      } else if (step.action === 'reword' && step.message) {
+        message = step.message;
+      } else if (step.action === 'squash' || step.action === 'fixup') {
+        const previous = GitRepo.readObject(repo, head).message;
+        message = step.action === 'squash' ? `${previous}\n\n${commit.message}` : previous;
+      }
+      sequencer.current = { action: step.action, hash: step.hash, message: message, startHead: head };
+
+      const lines = result.messages.slice();
+      if (result.conflicts.length > 0) {
+        const command = `git ${sequencer.operation}`;
+        lines.push(`error: could not apply ${short}... ${subject}`);
+        lines.push('hint: Resolve all conflicts manually, mark them as resolved with');
+        lines.push(`hint: "git add/rm <conflicted_files>", then run "${command} --continue".`);
+        lines.push(`hint: You can instead skip this commit: run "${command} --skip".`);
+        lines.push(`hint: To abort and get back to the state before "${command}", run "${command} --abort".`);
+        if (sequencer.operation === 'rebase') {
+          lines.push(`Could not apply ${short}... ${subject}`);
+        }
+        return { lines: lines, stopped: true };
+      }
+
+      const committed = this.commitSequencerStep();
+      lines.push(...committed.lines);
+      return { lines: lines, stopped: committed.stopped };
+    }
+
+    /**
+     * Commit the index for the step that was just applied (or resolved)
+     * @returns {Object} { lines, stopped }
+     */
+    commitSequencerStep() {
+      const repo = this.state.repo;
+      const sequencer = repo.sequencer;
+      const step = sequencer.current;
+      const head = GitRepo.headCommit(repo);
+      const headCommit = GitRepo.readObject(repo, head);
+      const tree = GitRepo.writeTree(repo, repo.index);
+      const squashing = step.action === 'squash' || step.action === 'fixup';
+
+      if (!squashing && tree === headCommit.tree) {
+        if (sequencer.operation !== 'rebase') {
+          const already = sequencer.operation === 'revert' ? 'already undone' : 'already';
+          return {
+            lines: [`The previous ${sequencer.operation} is now empty, possibly due to conflict resolution.
+If you wish to skip this commit, use:
+
+    git ${sequencer.operation} --skip
+
+Hint: The changes from ${step.hash.substring(0, 7)} are ${already} on this branch.`],
+            stopped: true
+          };
+        }
+        sequencer.current = null;
+        sequencer.rewritten.push({ from: step.hash, to: null });
+        return { lines: [`warning: skipped previously applied commit ${step.hash.substring(0, 7)}`], stopped: false };
+      }
+
+      // Squash and fixup fold the changes into the previous commit
+      // A revert is new work, so it gets a new author too
+      const original = GitRepo.readObject(repo, step.hash);
+      const parents = squashing ? headCommit.parents : [head];
+      const author = squashing ? headCommit.author : sequencer.operation === 'revert' ? null : original.author;
+      const reason = sequencer.operation === 'rebase' ? `rebase (${step.action})` : sequencer.operation;
+      const hash = this.createCommit(step.message, parents, {
+        author: author,
+        reflog: `${reason}: ${step.message.split('\n')[0]}`
+      });
+      if (squashing) {
+        sequencer.rewritten.filter(entry => entry.to === head).forEach(entry => {
+          entry.to = hash;
+        });
+      }
+      sequencer.rewritten.push({ from: step.hash, to: hash });
+      sequencer.current = null;
+
+      if (sequencer.operation !== 'rebase') {
+        const branch = GitRepo.currentBranch(repo) || 'detached HEAD';
+        return {
+          lines: [`[${branch} ${hash.substring(0, 7)}] ${step.message.split('\n')[0]}`, this.summarizeChanges(head, hash)],
+          stopped: false
+        };
+      }
+      if (step.action === 'reword') {
+        return { lines: [`[detached HEAD ${hash.substring(0, 7)}] ${step.message.split('\n')[0]}`], stopped: false };
+      }
+      return { lines: [], stopped: false };
+    }
+
+    /**
+     * Wrap up once every step has been replayed
+     * @returns {string[]} Lines to print
+     */
+    finishSequencer() {
+      const repo = this.state.repo;
+      const sequencer = repo.sequencer;
+      repo.sequencer = null;
+      if (sequencer.operation !== 'rebase') return [];
+
+      const lines = [];
+      if (sequencer.headName) {
+        const head = GitRepo.headCommit(repo);
+        GitRepo.updateRef(repo, sequencer.headName, head, `rebase (finish): ${sequencer.headName} onto ${sequencer.onto}`);
+        GitRepo.setHead(repo, `ref: ${sequencer.headName}`, `rebase (finish): returning to ${sequencer.headName}`);
+        lines.push(`Successfully rebased and updated ${sequencer.headName}.`);
+      } else {
+        lines.push('Successfully rebased and updated detached HEAD.');
+      }
+
+      const changed = sequencer.rewritten.filter(entry => entry.from !== entry.to);
+      if (changed.length > 0) {
+        lines.push('');
+        lines.push('Hint: Rebasing rewrote these commits, so they have new IDs:');
+        changed.forEach(entry => {
+          const subject = GitRepo.readObject(repo, entry.from).message.split('\n')[0];
+          const to = entry.to ? entry.to.substring(0, 7) : '(dropped)';
+          lines.push(`  ${entry.from.substring(0, 7)} -> ${to}  ${subject}`);
+        });
+      }
+      return lines;
+    }
+
+    /**
+     * Shared front end of `git cherry-pick` and `git revert`: parse the
+     * commits (or A..B ranges) and hand them to the sequencer
+     * @param {string} operation - 'cherry-pick' or 'revert'
+     * @param {string[]} names - Commits or ranges to apply
+     * @param {string} [action] - '--continue', '--abort' or '--skip'
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    pickCommits(operation, names, action) {
+      const repo = this.state.repo;
+      const sequencer = repo.sequencer;
+      if (action) {
+        if (!sequencer || sequencer.operation !== operation) {
+          return CommandLine.failure(`error: no cherry-pick or revert in progress
+fatal: ${operation} failed`);
+        }
+        if (action === '--abort') return this.abortSequencer();
+        if (action === '--skip') return this.skipSequencer();
+        return this.continueSequencer();
+      }
+
+      if (sequencer) {
+        return CommandLine.failure(this.describeSequencerInProgress());
+      }
+      if (names.length === 0) {
+        return CommandLine.failure(operation === 'revert'
+          ? `usage: git revert <commit>...
+
+Hint: Undo a commit by adding a new one that reverses it, e.g. 'git revert HEAD'.`
+          : `usage: git cherry-pick <commit>...
+
+Hint: Copy a commit from another branch, e.g. 'git cherry-pick feature'.`);
+      }
+      if (!GitRepo.headCommit(repo)) {
+        return CommandLine.failure(`fatal: your current branch '${GitRepo.currentBranch(repo)}' does not have any commits yet`);
+      }
+
+      // Each argument is a commit, or a range A..B meaning "in B but not in A"
+      const commits = [];
+      for (const name of names) {
+        const range = name.match(/^(.*)\.\.(.*)$/);
+        if (range) {
+          const from = GitRepo.resolveRevision(repo, range[1] || 'HEAD');
+          const to = GitRepo.resolveRevision(repo, range[2] || 'HEAD');
+          if (!from || !to) {
+            return CommandLine.failure(`fatal: bad revision '${name}'`);
+          }
+          commits.push(...this.commitsToReplay(from, to));
+          continue;
+        }
+        const hash = GitRepo.resolveRevision(repo, name);
+        if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+          return CommandLine.failure(`fatal: bad revision '${name}'`);
+        }
+        if (GitRepo.readObject(repo, hash).parents.length > 1) {
+          return CommandLine.failure(`error: commit ${hash} is a merge but no -m option was given.
+fatal: ${operation} failed
+
+Hint: ${operation === 'revert' ? 'Revert' : 'Cherry-pick'} the ordinary commits on that branch instead of the merge.`);
+        }
+        commits.push(hash);
+      }
+      if (commits.length === 0) {
+        return CommandLine.failure(`error: empty commit set passed\nfatal: ${operation} failed`);
+      }
+
+      // Reverts undo the newest change first
+      const ordered = operation === 'revert' ? commits.reverse() : commits;
+      return this.startSequencer(operation, null, ordered.map(hash => ({ action: 'pick', hash: hash })));
+    }
+
+    /**
+     * The "Unstaged changes after reset:" list `git reset` prints
+     * @returns {string|null} null when the working tree matches the index
+     */
+    describeUnstagedChanges() {
+      const unstaged = this.getStatus().unstaged;
+      if (unstaged.length === 0) return null;
+      return `Unstaged changes after reset:
+${unstaged.map(change => `${change.label === 'deleted' ? 'D' : 'M'}\t${change.path}`).join('\n')}`;
+    }
+
+    /**
+     * Error for starting a rebase, cherry-pick or revert while another is stopped
+     * @returns {string}
+     */
+    describeSequencerInProgress() {
+      const operation = this.state.repo.sequencer.operation;
+      return `error: a ${operation} is already in progress
+hint: Finish it with "git ${operation} --continue" (or "--skip"),
+hint: or use "git ${operation} --abort" to go back to where you started.`;
+    }
+
+    /**
+     * --continue: commit the resolved step and carry on
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    continueSequencer() {
+      const repo = this.state.repo;
+      const sequencer = repo.sequencer;
+      if (Object.keys(repo.unmerged).length > 0) {
+        return CommandLine.failure(`error: you must edit all merge conflicts and then
+mark them as resolved using git add
+
+Hint: 'git status' lists the files that still need resolving.`);
+      }
+      if (sequencer.operation === 'rebase' && this.getStatus().unstaged.length > 0) {
+        return CommandLine.failure(`error: cannot rebase: You have unstaged changes.
+error: Please commit or stash them.
+
+Hint: Use 'git add' on the files you resolved, then run 'git rebase --continue' again.`);
+      }
+
+      const output = [];
+      const step = sequencer.current;
+      if (step && GitRepo.headCommit(repo) !== step.startHead) {
+        // The student already ran `git commit` for this step
+        sequencer.rewritten.push({ from: step.hash, to: GitRepo.headCommit(repo) });
+        sequencer.current = null;
+      } else if (step) {
+        const committed = this.commitSequencerStep();
+        output.push(...committed.lines);
+        if (committed.stopped) return CommandLine.failure(output.join('\n'));
+      }
+      return this.runSequencer(output);
+    }
+
+    /**
+     * --skip: drop the stopped step and carry on
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    skipSequencer() {
+      const repo = this.state.repo;
+      const sequencer = repo.sequencer;
+      this.resetToCommit(GitRepo.headCommit(repo));
+      if (sequencer.current) {
+        sequencer.rewritten.push({ from: sequencer.current.hash, to: null });
+        sequencer.current = null;
+      }
+      return this.runSequencer();
+    }
+
+    /**
+     * --abort: go back to where the operation started
+     * @returns {string} Command output
+     */
+    abortSequencer() {
+      const repo = this.state.repo;
+      const sequencer = repo.sequencer;
+      this.resetToCommit(sequencer.origHead);
+      if (sequencer.operation === 'rebase') {
+        const target = sequencer.headName || sequencer.origHead;
+        GitRepo.setHead(repo, sequencer.headName ? `ref: ${target}` : target, `rebase (abort): returning to ${target}`);
+      } else {
+        GitRepo.advanceHead(repo, sequencer.origHead, `reset: moving to ${sequencer.origHead}`);
+      }
+      repo.sequencer = null;
+      return `Hint: Back at ${sequencer.origHead.substring(0, 7)}, exactly where you were before the ${sequencer.operation}.`;
+    }
+
+    /**
+     * Begin a bisect, remembering where HEAD was so that
+     * `git bisect reset` can go back there
+     * @param {string[]} revs - An optional bad commit, then good ones
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    startBisect(revs) {
+      const repo = this.state.repo;
+      const hashes = [];
+      for (const rev of revs) {
+        const hash = GitRepo.resolveRevision(repo, rev);
+        if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+          return CommandLine.failure(`fatal: '${rev}' does not appear to be a valid revision`);
+        }
+        hashes.push(hash);
+      }
+      if (Object.keys(repo.unmerged).length > 0) {
+        return CommandLine.failure('error: you need to resolve your current index first');
+      }
+
+      // Starting again keeps the original starting point
+      const start = repo.bisect ? repo.bisect.start : GitRepo.headRef(repo) || GitRepo.headCommit(repo);
+      repo.bisect = {
+        start: start,
+        bad: null,
+        good: [],
+        skip: [],
+        log: [`git bisect start${revs.map(rev => ` '${rev}'`).join('')}`]
+      };
+      hashes.forEach((hash, i) => this.markBisect(i === 0 ? 'bad' : 'good', hash, false));
+      return this.bisectNext();
+    }
+
+    /**
+     * Record a verdict on a commit
+     * @param {string} term - 'bad', 'good' or 'skip'
+     * @param {string} hash - Commit ID
+     * @param {boolean} [logCommand] - Also log the command that gave it
+     */
+    markBisect(term, hash, logCommand = true) {
+      const bisect = this.state.repo.bisect;
+      if (term === 'bad') {
+        bisect.bad = hash;
+      } else if (!bisect[term].includes(hash)) {
+        bisect[term].push(hash);
+      }
+      const subject = GitRepo.readObject(this.state.repo, hash).message.split('\n')[0];
+      bisect.log.push(`# ${term}: [${hash}] ${subject}`);
+      if (logCommand) bisect.log.push(`git bisect ${term} ${hash}`);
+    }
+
+    /**
+     * Take the next step of a bisect: say what is still missing, name the
+     * first bad commit, or check out the commit that best halves the
+     * commits still in question
+     * @returns {string|Object} Command output, or a CommandLine.failure when
+     *   the bisect can't go on
+     */
+    bisectNext() {
+      const repo = this.state.repo;
+      const bisect = repo.bisect;
+      const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+      const status = message => {
+        bisect.log.push(`# status: ${message}`);
+        return `status: ${message}`;
+      };
+      if (!bisect.bad && bisect.good.length === 0) return status('waiting for both good and bad commits');
+      if (!bisect.bad) return status(`waiting for bad commit, ${plural(bisect.good.length, 'good commit')} known`);
+      if (bisect.good.length === 0) return status('waiting for good commit(s), bad commit known');
+
+      // Suspects: the bad commit and its ancestors that no good commit has
+      const cleared = new Set();
+      bisect.good.forEach(hash => GitRepo.ancestors(repo, hash).forEach(ancestor => cleared.add(ancestor)));
+      const suspects = [...GitRepo.ancestors(repo, bisect.bad)].filter(hash => !cleared.has(hash))
+        .sort((a, b) => GitRepo.readObject(repo, b).committer.timestamp - GitRepo.readObject(repo, a).committer.timestamp);
+      if (!suspects.includes(bisect.bad)) {
+        return CommandLine.failure(`Some good revs are not ancestors of the bad rev.
+git bisect cannot work properly in this case.
+Maybe you mistook good and bad revs?`);
+      }
+
+      const subject = hash => GitRepo.readObject(repo, hash).message.split('\n')[0];
+      const testable = suspects.filter(hash => hash !== bisect.bad && !bisect.skip.includes(hash));
+      if (suspects.length === 1) {
+        const hash = bisect.bad;
+        const commit = GitRepo.readObject(repo, hash);
+        const changes = this.collectChanges(GitRepo.commitFiles(repo, commit.parents[0]), GitRepo.commitFiles(repo, hash));
+        bisect.log.push(`# first bad commit: [${hash}] ${subject(hash)}`);
+        return `${hash} is the first bad commit
+${this.formatCommitHeader(hash, false)}
+
+${this.formatDiffStat(changes).join('\n')}
+
+Hint: git show ${hash.substring(0, 7)} shows what it changed; git bisect reset takes you back to where you started.`;
+      }
+      if (testable.length === 0) {
+        const left = suspects.filter(hash => hash === bisect.bad || bisect.skip.includes(hash));
+        bisect.log.push('# only skipped commits left to test');
+        left.forEach(hash => bisect.log.push(`# possible first bad commit: [${hash}] ${subject(hash)}`));
+        return CommandLine.failure(`There are only 'skip'ped commits left to test.
+The first bad commit could be any of:
+${left.join('\n')}
+We cannot bisect more!`);
+      }
+
+      // The commit whose verdict rules out the most suspects either way
+      const weight = hash => [...GitRepo.ancestors(repo, hash)].filter(ancestor => suspects.includes(ancestor)).length;
+      let best = testable[0];
+      let bestWeight = weight(best);
+      testable.forEach(hash => {
+        const w = weight(hash);
+        if (Math.min(w, suspects.length - w) > Math.min(bestWeight, suspects.length - bestWeight)) {
+          best = hash;
+          bestWeight = w;
+        }
+      });
+
+      const error = this.checkoutCommit(best, 'checkout');
+      if (error) return CommandLine.failure(error);
+      const from = GitRepo.currentBranch(repo) || GitRepo.headCommit(repo);
+      GitRepo.setHead(repo, best, `checkout: moving from ${from} to ${best}`);
+
+      // Git's estimate of the steps still to go: about log2 of the suspects
+      const all = suspects.length;
+      const n = Math.floor(Math.log2(all));
+      const steps = all < 3 ? 0 : (2 ** n < 3 * (all - 2 ** n) ? n : n - 1);
+      const left = all - bestWeight - 1;
+      return `Bisecting: ${left} revision${left === 1 ? '' : 's'} left to test after this (roughly ${plural(steps, 'step')})
+[${best}] ${subject(best)}`;
+    }
+
+    /**
+     * End a bisect and go back to where it started (or to a given commit)
+     * @param {string} [rev] - Where to go instead
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    resetBisect(rev) {
+      const repo = this.state.repo;
+      const start = repo.bisect.start;
+      const target = rev ? GitRepo.resolveRevision(repo, rev) : start.startsWith('refs/') ? repo.refs[start] : start;
+      if (!target || GitRepo.readObject(repo, target).type !== 'commit') {
+        return CommandLine.failure(`error: '${rev}' is not a valid commit`);
+      }
+      const previous = GitRepo.headCommit(repo);
+      const detached = !GitRepo.headRef(repo);
+
+      const error = this.checkoutCommit(target);
+      if (error) return CommandLine.failure(error);
+      repo.bisect = null;
+
+      const from = GitRepo.currentBranch(repo) || previous;
+      const onBranch = !rev && start.startsWith('refs/heads/');
+      if (onBranch && GitRepo.headRef(repo) === start) {
+        return `Already on '${start.slice(11)}'`;
+      }
+      GitRepo.setHead(repo, onBranch ? `ref: ${start}` : target, `checkout: moving from ${from} to ${onBranch ? start.slice(11) : target}`);
+      const subject = GitRepo.readObject(repo, previous).message.split('\n')[0];
+      const left = detached && previous !== target ? `Previous HEAD position was ${previous.substring(0, 7)} ${subject}\n` : '';
+      return onBranch
+        ? `${left}Switched to branch '${start.slice(11)}'`
+        : `${left}HEAD is now at ${target.substring(0, 7)} ${GitRepo.readObject(repo, target).message.split('\n')[0]}`;
+    }
+
+    /**
+     * Show the todo list of `git rebase -i` as an inline panel in the
+     * terminal. Git opens an editor here; the panel lets students pick,
+     * reword, squash, fixup, drop and reorder commits instead.
+     * @param {string} onto - New base commit
+     * @param {string[]} commits - Commits to replay, oldest first
+     * @param {string} ontoName - The new base as the student typed it
+     * @returns {null} The panel prints its own output
+     */
+    showRebaseTodo(onto, commits, ontoName) {
+      const repo = this.state.repo;
+      const head = GitRepo.headCommit(repo);
+      const headRef = GitRepo.headRef(repo);
+      const actions = ['pick', 'reword', 'squash', 'fixup', 'drop'];
+
+      if (this.panel) this.panel.remove();
+      const panel = document.createElement('div');
+      panel.className = 'rebase-todo';
+      this.panel = panel;
+
+      const title = document.createElement('div');
+      title.className = 'rebase-todo-title';
+      title.textContent = `Rebase ${onto.substring(0, 7)}..${head.substring(0, 7)} onto ${onto.substring(0, 7)} (${commits.length} command${commits.length === 1 ? '' : 's'})`;
+      panel.appendChild(title);
+
+      const list = document.createElement('ol');
+      list.className = 'rebase-todo-list';
+      panel.appendChild(list);
+
+      commits.forEach(hash => {
+        const message = GitRepo.readObject(repo, hash).message;
+        const row = document.createElement('li');
+        row.className = 'rebase-todo-row';
+        row.dataset.hash = hash;
+
+        const select = document.createElement('select');
+        select.className = 'rebase-todo-action';
+        select.setAttribute('aria-label', `Action for ${hash.substring(0, 7)}`);
+        actions.forEach(action => {
+          const option = document.createElement('option');
+          option.value = action;
+          option.textContent = action;
+          select.appendChild(option);
+        });
+
+        const id = document.createElement('code');
+        id.textContent = hash.substring(0, 7);
+
+        const subject = document.createElement('input');
+        subject.type = 'text';
+        subject.className = 'rebase-todo-message';
+        subject.value = message.split('\n')[0];
+        subject.disabled = true;
+        subject.setAttribute('aria-label', `Message for ${hash.substring(0, 7)}`);
+        row.dataset.body = message.split('\n').slice(1).join('\n');
+
+        select.addEventListener('change', () => {
+          subject.disabled = select.value !== 'reword';
+          row.classList.toggle('dropped', select.value === 'drop');
+        });
+
+        const up = document.createElement('button');
+        up.type = 'button';
+        up.className = 'rebase-todo-move';
+        up.textContent = '↑';
+        up.setAttribute('aria-label', 'Move up');
+        up.addEventListener('click', () => {
+          if (row.previousElementSibling) list.insertBefore(row, row.previousElementSibling);
+        });
+
+        const down = document.createElement('button');
+        down.type = 'button';
+        down.className = 'rebase-todo-move';
+        down.textContent = '↓';
+        down.setAttribute('aria-label', 'Move down');
+        down.addEventListener('click', () => {
+          if (row.nextElementSibling) list.insertBefore(row.nextElementSibling, row);
+        });
+
+        row.append(select, id, subject, up, down);
+        list.appendChild(row);
+      });
+
+      const buttons = document.createElement('div');
+      buttons.className = 'rebase-todo-buttons';
+      const start = document.createElement('button');
+      start.type = 'button';
+      start.className = 'btn btn-primary btn-sm';
+      start.dataset.action = 'start-rebase';
+      start.textContent = 'Start rebase';
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'btn btn-secondary btn-sm';
+      cancel.dataset.action = 'cancel-rebase';
+      cancel.textContent = 'Cancel';
+      buttons.append(start, cancel);
+      panel.appendChild(buttons);
+
+      const finish = output => {
+        panel.remove();
+        this.panel = null;
+        this.printLine(output);
+        this.printLine('');
+        this.scrollToBottom();
+        this.refresh();
+        this.input.focus();
+      };
+
+      cancel.addEventListener('click', () => finish('Rebase cancelled; nothing was changed.'));
+      start.addEventListener('click', () => {
+        // The todo list was made for this HEAD; anything else would replay the wrong commits
+        if (this.state.repo !== repo || GitRepo.headCommit(repo) !== head || GitRepo.headRef(repo) !== headRef) {
+          finish('error: HEAD has moved since the todo list was made. Run git rebase -i again.');
+          return;
+        }
+        const todo = [...list.children].map(row => {
+          const action = row.querySelector('select').value;
+          const subject = row.querySelector('input').value.trim();
+          const body = row.dataset.body;
+          return { action: action, hash: row.dataset.hash, message: body ? `${subject}\n${body}` : subject };
+        }).filter(step => step.action !== 'drop');
+
+        if (todo.length > 0 && (todo[0].action === 'squash' || todo[0].action === 'fixup')) {
+          this.printLine(`error: cannot '${todo[0].action}' without a previous commit`, 'error');
+          this.scrollToBottom();
+          return;
+        }
+        if (todo.some(step => step.action === 'reword' && !step.message.trim())) {
+          this.printLine('error: a reworded commit needs a message', 'error');
+          this.scrollToBottom();
+          return;
+        }
+        const error = this.checkCleanForRebase() || (repo.sequencer ? 'error: another rebase or cherry-pick is in progress' : null);
+        if (error) {
+          finish(error);
+          return;
+        }
+        finish(CommandLine.result(this.startSequencer('rebase', onto, todo, { interactive: true, ontoName: ontoName })).output);
+      });
+
+      this.printLine(`Edit the todo list below: choose pick, reword, squash, fixup or drop for each
+commit and reorder them with the arrows, then press 'Start rebase'.`, 'info');
+      this.output.appendChild(panel);
+      return null;
+    }
+
+    /**
+     * Show the hunks of `git add -p` as an inline panel in the terminal.
+     * Git asks about each hunk in turn; the panel lists them all with a
+     * checkbox each and stages the ticked ones together.
+     * @param {Object[]} specs - Pathspecs from pathspecs()
+     * @returns {string|null} "No changes." or null, as the panel prints its own output
+     */
+    showHunkPicker(specs) {
+      const { fs, repo } = this.state;
+      const files = Object.keys(repo.index).sort()
+        .filter(path => !repo.unmerged[path] && Pathspec.matches(specs, path))
+        .map(path => {
+          const entry = repo.index[path];
+          const oldText = GitRepo.readObject(repo, entry.hash).content;
+          const newText = VirtualFS.isFile(fs, path) ? fs.files[path] : null;
+          return { path: path, entry: entry, oldText: oldText, newText: newText };
+        })
+        .filter(file => file.newText !== file.oldText);
+      if (files.length === 0) return 'No changes.';
+
+      if (this.panel) this.panel.remove();
+      const panel = document.createElement('div');
+      panel.className = 'hunk-picker';
+      this.panel = panel;
+
+      // A deleted file is staged as a whole, like Git's "Delete this file?"
+      const items = [];
+      files.forEach(file => {
+        if (file.newText === null) {
+          items.push({ file: file, hunk: null, lines: [`\x1b[1mdeleted file mode ${file.entry.mode}\x1b[0m`] });
+          return;
+        }
+        const range = (start, count) => count === 1 ? `${start}` : `${start},${count}`;
+        TextDiff.hunks(file.oldText, file.newText).forEach(hunk => {
+          const lines = [`\x1b[36m@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@\x1b[0m`];
+          hunk.ops.forEach(op => {
+            const text = op.line.replace(/\n$/, '');
+            if (op.type === 'delete') lines.push(`\x1b[31m-${text}\x1b[0m`);
+            else if (op.type === 'insert') lines.push(`\x1b[32m+${text}\x1b[0m`);
+            else lines.push(` ${text}`);
+            if (!op.line.endsWith('\n')) lines.push('\\ No newline at end of file');
+          });
+          items.push({ file: file, hunk: hunk, lines: lines });
+        });
+      });
+
+      const title = document.createElement('div');
+      title.className = 'hunk-picker-title';
+      title.textContent = `Stage which changes? (${items.length} hunk${items.length === 1 ? '' : 's'} in ${files.length} file${files.length === 1 ? '' : 's'})`;
+      panel.appendChild(title);
+
+      const list = document.createElement('ol');
+      list.className = 'hunk-picker-list';
+      panel.appendChild(list);
+
+      items.forEach(item => {
+        const row = document.createElement('li');
+        row.className = 'hunk-picker-hunk skipped';
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('change', () => {
+          item.selected = checkbox.checked;
+          row.classList.toggle('skipped', !checkbox.checked);
+        });
+        const name = document.createElement('code');
+        name.textContent = item.file.path;
+        const count = item.hunk ? items.filter(other => other.file === item.file).length : 0;
+        const position = items.filter(other => other.file === item.file).indexOf(item) + 1;
+        label.append(checkbox, name, document.createTextNode(item.hunk
+          ? (count > 1 ? ` hunk ${position} of ${count}` : '')
+          : ' delete this file'));
+        row.append(label, TerminalRenderer.renderDiff(TerminalRenderer.diff(item.lines), {}));
+        list.appendChild(row);
+      });
+
+      const buttons = document.createElement('div');
+      buttons.className = 'hunk-picker-buttons';
+      const stage = document.createElement('button');
+      stage.type = 'button';
+      stage.className = 'btn btn-primary btn-sm';
+      stage.dataset.action = 'stage-hunks';
+      stage.textContent = 'Stage selected';
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'btn btn-secondary btn-sm';
+      cancel.dataset.action = 'cancel-hunks';
+      cancel.textContent = 'Cancel';
+      buttons.append(stage, cancel);
+      panel.appendChild(buttons);
+
+      const finish = output => {
+        panel.remove();
+        this.panel = null;
+        this.printLine(output);
+        this.printLine('');
+        this.scrollToBottom();
+        this.refresh();
+        this.input.focus();
+      };
+
+      cancel.addEventListener('click', () => finish('Nothing was staged.'));
+      stage.addEventListener('click', () => {
+        // The hunks were cut from these versions; staging them over anything else would lose changes
+        const current = this.state.repo === repo && files.every(file =>
+          repo.index[file.path] === file.entry && !repo.unmerged[file.path] &&
+          (VirtualFS.isFile(this.state.fs, file.path) ? this.state.fs.files[file.path] : null) === file.newText
+        );
+        if (!current) {
+          finish('error: the files have changed since the hunks were shown. Run git add -p again.');
+          return;
+        }
+
+        const chosen = items.filter(item => item.selected);
+        files.forEach(file => {
+          const picked = chosen.filter(item => item.file === file);
+          if (picked.length === 0) return;
+          if (file.newText === null) {
+            delete repo.index[file.path];
+            return;
+          }
+
+          // Replay the diff, taking a change only where its hunk was ticked
+          const ops = TextDiff.diffLines(TextDiff.splitLines(file.oldText), TextDiff.splitLines(file.newText));
+          const taken = new Set();
+          picked.forEach(item => {
+            for (let i = item.hunk.end - item.hunk.ops.length; i < item.hunk.end; i++) taken.add(i);
+          });
+          const content = ops.map((op, i) => {
+            if (op.type === 'equal') return op.line;
+            if (op.type === 'delete') return taken.has(i) ? '' : op.line;
+            return taken.has(i) ? op.line : '';
+          }).join('');
+          repo.index[file.path] = { mode: file.entry.mode, hash: GitRepo.writeBlob(repo, content) };
+        });
+
+        if (chosen.length === 0) {
+          finish('Nothing was staged.');
+          return;
+        }
+        finish(`Staged ${chosen.length} of ${items.length} hunk${items.length === 1 ? '' : 's'}.
+
+Hint: 'git diff --staged' shows what is staged now, and 'git diff' what is left.`);
+      });
+
+      this.printLine(`Tick the changes to stage and press 'Stage selected'. Git asks about each
+hunk in turn (y/n); here they are all listed at once.`, 'info');
+      this.output.appendChild(panel);
+      return null;
+    }
+
+    /**
+     * Names of the configured remotes, e.g. ['origin']
+     * @returns {string[]}
+     */
+    remoteNames() {
+      return Object.keys(this.state.repo.config)
+        .map(key => key.match(/^remote\.(.*)\.url$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+    }
+
+    /**
+     * The remote fetch and push use when none is named
+     * @returns {string|null}
+     */
+    defaultRemote() {
+      const names = this.remoteNames();
+      return names.includes('origin') ? 'origin' : names[0] || null;
+    }
+
+    /**
+     * Record a remote in the repository config
+     * @param {string} name
+     * @param {string} url
+     */
+    addRemote(name, url) {
+      const config = this.state.repo.config;
+      config[`remote.${name}.url`] = url;
+      config[`remote.${name}.fetch`] = `+refs/heads/*:refs/remotes/${name}/*`;
+    }
+
+    /**
+     * The branch a local branch tracks, from branch.<name>.remote and .merge
+     * @param {string} branch
+     * @returns {Object|null} { remote, branch, name, ref }, e.g. name 'origin/main'
+     */
+    upstreamOf(branch) {
+      const config = this.state.repo.config;
+      const remote = config[`branch.${branch}.remote`];
+      const merge = config[`branch.${branch}.merge`];
+      if (!remote || !merge) return null;
+
+      const name = merge.replace(/^refs\/heads\//, '');
+      return { remote: remote, branch: name, name: `${remote}/${name}`, ref: `refs/remotes/${remote}/${name}` };
+    }
+
+    /**
+     * Make a local branch track a remote branch
+     * @param {string} branch
+     * @param {string} remote
+     * @param {string} remoteBranch
+     * @returns {string} Git's confirmation line
+     */
+    setUpstream(branch, remote, remoteBranch) {
+      const config = this.state.repo.config;
+      config[`branch.${branch}.remote`] = remote;
+      config[`branch.${branch}.merge`] = `refs/heads/${remoteBranch}`;
+      return `branch '${branch}' set up to track '${remote}/${remoteBranch}'.`;
+    }
+
+    /**
+     * git branch --set-upstream-to=<upstream> [<branch>]
+     * @param {string} [branch] - Defaults to the current branch
+     * @param {string} upstream - Remote-tracking branch, e.g. 'origin/main'
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    trackUpstream(branch, upstream) {
+      const repo = this.state.repo;
+      const name = branch || GitRepo.currentBranch(repo);
+      if (!repo.refs[`refs/heads/${name}`]) {
+        return CommandLine.failure(`fatal: branch '${name}' does not exist`);
+      }
+
+      const short = upstream.replace(/^(refs\/)?remotes\//, '');
+      const remote = this.remoteNames().find(candidate => short.startsWith(`${candidate}/`));
+      if (!remote || !repo.refs[`refs/remotes/${short}`]) {
+        return CommandLine.failure(`fatal: the requested upstream branch '${upstream}' does not exist
+hint:
+hint: If you are planning on basing your work on an upstream
+hint: branch that already exists at the remote, you may need to
+hint: run "git fetch" to retrieve it.`);
+      }
+      return this.setUpstream(name, remote, short.slice(remote.length + 1));
+    }
+
+    /**
+     * How far a branch is from its upstream, as of the last fetch
+     * @param {string} branch
+     * @returns {Object|null} { ahead, behind }, or null when the upstream is gone
+     */
+    trackingCounts(branch) {
+      const repo = this.state.repo;
+      const upstream = this.upstreamOf(branch);
+      const tip = repo.refs[`refs/heads/${branch}`];
+      if (!upstream || !repo.refs[upstream.ref]) return null;
+      return tip ? GitRepo.aheadBehind(repo, tip, repo.refs[upstream.ref]) : { ahead: 0, behind: 0 };
+    }
+
+    /**
+     * The "Your branch is ahead of 'origin/main'..." lines of git status
+     * @param {string} branch
+     * @returns {string} Lines ending in a newline, or '' without an upstream
+     */
+    describeTracking(branch) {
+      const upstream = this.upstreamOf(branch);
+      if (!upstream || !this.state.repo.refs[`refs/heads/${branch}`]) return '';
+
+      const counts = this.trackingCounts(branch);
+      const commits = count => `${count} commit${count === 1 ? '' : 's'}`;
+      if (!counts) {
+        return `Your branch is based on '${upstream.name}', but the upstream is gone.
+  (use "git branch --unset-upstream" to fixup)\n`;
+      }
+      if (counts.ahead && counts.behind) {
+        return `Your branch and '${upstream.name}' have diverged,
+and have ${counts.ahead} and ${counts.behind} different commits each, respectively.
+  (use "git pull" if you want to integrate the remote branch with yours)\n`;
+      }
+      if (counts.ahead) {
+        return `Your branch is ahead of '${upstream.name}' by ${commits(counts.ahead)}.
+  (use "git push" to publish your local commits)\n`;
+      }
+      if (counts.behind) {
+        return `Your branch is behind '${upstream.name}' by ${commits(counts.behind)}, and can be fast-forwarded.
+  (use "git pull" to update your local branch)\n`;
+      }
+      return `Your branch is up to date with '${upstream.name}'.\n`;
+    }
+
+    /**
+     * Copy new commits from a remote's server and move the matching
+     * refs/remotes/<remote>/* branches
+     * @param {string} name - Remote name
+     * @returns {Object} { lines } with Git's fetch report, or { error }
+     */
+    fetchRemote(name) {
+      const repo = this.state.repo;
+      const url = repo.config[`remote.${name}.url`];
+      const server = url ? this.state.servers[url] : null;
+      if (!server) {
+        return { error: `fatal: '${name}' does not appear to be a git repository
+fatal: Could not read from remote repository.
+
+Hint: 'git remote -v' lists the remotes you have.` };
+      }
+
+      const branches = Object.keys(server.refs)
+        .filter(ref => ref.startsWith('refs/heads/') && server.refs[ref] !== repo.refs[`refs/remotes/${name}/${ref.slice(11)}`])
+        .sort();
+      const width = Math.max(0, ...branches.map(ref => ref.length - 11));
+      const short = hash => hash.substring(0, 7);
+      const lines = [];
+      branches.forEach(ref => {
+        const branch = ref.slice(11);
+        const trackingRef = `refs/remotes/${name}/${branch}`;
+        const old = repo.refs[trackingRef];
+        const hash = server.refs[ref];
+
+        GitRepo.copyObjects(server, repo, [hash]);
+        const label = `${branch.padEnd(width)} -> ${name}/${branch}`;
+        if (!old) {
+          GitRepo.updateRef(repo, trackingRef, hash, 'fetch: storing head');
+          lines.push(` * ${'[new branch]'.padEnd(17)} ${label}`);
+        } else if (GitRepo.isAncestor(repo, old, hash)) {
+          GitRepo.updateRef(repo, trackingRef, hash, 'fetch: fast-forward');
+          lines.push(`   ${`${short(old)}..${short(hash)}`.padEnd(17)} ${label}`);
+        } else {
+          GitRepo.updateRef(repo, trackingRef, hash, 'fetch: forced-update');
+          lines.push(` + ${`${short(old)}...${short(hash)}`.padEnd(17)} ${label}  (forced update)`);
+        }
+      });
+      return { lines: lines.length ? [`From ${url}`, ...lines] : [] };
+    }
+
+    /**
+     * The branch a server's HEAD points at, which clone checks out
+     * @param {Object} server
+     * @returns {string|null}
+     */
+    defaultBranchOf(server) {
+      const head = GitRepo.headRef(server);
+      if (head && server.refs[head]) return head.slice(11);
+      const first = Object.keys(server.refs).sort().find(ref => ref.startsWith('refs/heads/'));
+      return first ? first.slice(11) : null;
+    }
+
+    /**
+     * `git switch feature` when only origin/feature exists: create a
+     * local branch that tracks it
+     * @param {string} name
+     * @returns {string|Object|null} Command output or a CommandLine.failure,
+     *   or null when no remote has the branch
+     */
+    checkoutRemoteBranch(name) {
+      const repo = this.state.repo;
+      const remotes = this.remoteNames().filter(remote => repo.refs[`refs/remotes/${remote}/${name}`]);
+      if (remotes.length !== 1) return null;
+
+      const output = this.createBranch(name, `${remotes[0]}/${name}`, true);
+      if (!repo.refs[`refs/heads/${name}`]) return output;
+      return `${this.setUpstream(name, remotes[0], name)}\n${output}`;
+    }
+
+    /**
+     * Commit straight onto a branch of a server repository, the way
+     * someone else's push would land there
+     * @param {Object} server
+     * @param {string} branch
+     * @param {Object} changes - Map of path to new content (null deletes)
+     * @param {string} message
+     * @param {Object} author - Person record from GitRepo.signature
+     * @returns {string} New commit ID
+     */
+    serverCommit(server, branch, changes, message, author) {
+      const ref = `refs/heads/${branch}`;
+      const parent = server.refs[ref] || null;
+      const files = Object.assign({}, GitRepo.commitFiles(server, parent));
+      Object.keys(changes).forEach(path => {
+        if (changes[path] === null) {
+          delete files[path];
+        } else {
+          files[path] = { mode: '100644', hash: GitRepo.writeBlob(server, changes[path]) };
+        }
+      });
+
+      const hash = GitRepo.writeObject(server, {
+        type: 'commit',
+        tree: GitRepo.writeTree(server, files),
+        parents: parent ? [parent] : [],
+        author: author,
+        committer: author,
+        message: message
+      });
+      GitRepo.updateRef(server, ref, hash);
+      return hash;
+    }
+
+    /**
+     * The project behind demoRemoteUrl: a short main branch and a
+     * feature branch to clone, fetch and switch to
+     * @returns {Object} Server repository
+     */
+    createDemoServer() {
+      const server = GitRepo.create();
+      const author = GitRepo.signature(GitPlayground.teammate.name, GitPlayground.teammate.email);
+      this.serverCommit(server, 'main', Object.assign({}, GitPlayground.starterFiles, {
+        'README.md': '# Demo Site\n\nA small website the whole class works on together.\n'
+      }), 'Initial commit', author);
+      this.serverCommit(server, 'main', {
+        'about.html': '<!DOCTYPE html>\n<html>\n<body>\n  <h1>About us</h1>\n</body>\n</html>\n'
+      }, 'Add an about page', author);
+      GitRepo.updateRef(server, 'refs/heads/feature/contact-form', server.refs['refs/heads/main']);
+      this.serverCommit(server, 'feature/contact-form', {
+        'contact.html': '<!DOCTYPE html>\n<html>\n<body>\n  <form>\n    <input name="email">\n    <button>Send</button>\n  </form>\n</body>\n</html>\n'
+      }, 'Add a contact form', author);
+      this.serverCommit(server, 'main', {
+        'style.css': `${GitPlayground.starterFiles['style.css']}\nh1 {\n  color: #0969da;\n}\n`
+      }, 'Make the heading blue', author);
+      return server;
+    }
+
+    /**
+     * The "Teammate pushes" button: commit to origin's default branch
+     * as someone else, so fetch, pull and rejected pushes have
+     * something to show
+     */
+    teammatePush() {
+      const say = text => {
+        this.notify(text);
+        this.refresh();
+      };
+
+      const repo = this.state.repo;
+      const url = repo && repo.config['remote.origin.url'];
+      const server = url ? this.state.servers[url] : null;
+      if (!server) {
+        say(`Your teammate shares work through a remote called 'origin', and this repository has none yet.
+Clone one with 'git clone ${GitPlayground.demoRemoteUrl}', or connect your own with
+'git remote add origin <url>' followed by 'git push -u origin main'.`);
+        return;
+      }
+
+      const branch = this.defaultBranchOf(server);
+      if (!branch) {
+        say(`origin is still empty, so there is nothing for your teammate to build on.
+Publish your work first with 'git push -u origin ${GitRepo.currentBranch(repo) || 'main'}'.`);
+        return;
+      }
+
+      const count = this.state.teammateCommits;
+      const step = GitPlayground.teammateChanges[Math.min(count, GitPlayground.teammateChanges.length - 1)];
+      const files = GitRepo.commitFiles(server, server.refs[`refs/heads/${branch}`]);
+      const contents = {};
+      Object.keys(files).forEach(path => {
+        contents[path] = GitRepo.readObject(server, files[path].hash).content;
+      });
+
+      const message = step.message.replace('{n}', count + 1);
+      const author = GitRepo.signature(GitPlayground.teammate.name, GitPlayground.teammate.email);
+      const hash = this.serverCommit(server, branch, step.change(contents, count + 1), message, author);
+      this.state.teammateCommits = count + 1;
+      say(`👥 ${GitPlayground.teammate.name} pushed "${message}" to origin/${branch} (${hash.substring(0, 7)}).
+Your repository doesn't know yet: run 'git fetch' and 'git status' to compare, then 'git pull' to bring it in.`);
+    }
+
+    /**
+     * Overwrite working tree files with their staged version, or with
+     * the version from a commit (which is staged as well)
+     * @param {string[]} paths - Paths as typed by the user
+     * @param {string} [source] - Revision to take the files from
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    checkoutPaths(paths, source) {
+      const { fs, repo } = this.state;
+      let files = repo.index;
+      let hash = null;
+      if (source) {
+        hash = GitRepo.resolveRevision(repo, source);
+        if (!hash || GitRepo.readObject(repo, hash).type !== 'commit') {
+          return CommandLine.failure(`fatal: invalid reference: ${source}`);
+        }
+        files = GitRepo.commitFiles(repo, hash);
+      }
+
+      const updated = new Set();
+      for (const arg of paths) {
+        const path = this.resolvePath(arg);
+        const prefix = path ? `${path}/` : '';
+        const matches = path === null ? [] : Object.keys(files).filter(file => file === path || file.startsWith(prefix));
+        if (matches.length === 0) {
+          return CommandLine.failure(`error: pathspec '${arg}' did not match any file(s) known to git`);
+        }
+        matches.forEach(file => updated.add(file));
+      }
+
+      updated.forEach(file => {
+        VirtualFS.writeFile(fs, file, GitRepo.readObject(repo, files[file].hash).content);
+        if (source) {
+          repo.index[file] = { mode: files[file].mode, hash: files[file].hash };
+        }
+      });
+      const count = updated.size === 1 ? '1 path' : `${updated.size} paths`;
+      return `Updated ${count} from ${hash ? hash.substring(0, 7) : 'the index'}`;
+    }
+
+    /**
+     * Summarize local changes carried over by a checkout ("M\tREADME.md")
+     * @returns {string} One line per changed file, or '' when clean
+     */
+    describeLocalChanges() {
+      const status = this.getStatus();
+      const letters = { 'modified': 'M', 'new file': 'A', 'deleted': 'D' };
+      const lines = {};
+      status.staged.concat(status.unstaged).forEach(change => {
+        lines[change.path] = lines[change.path] || `${letters[change.label]}\t${change.path}`;
+      });
+      return Object.keys(lines).sort().map(path => `${lines[path]}\n`).join('');
+    }
+
+    /**
+     * Describe what happens to the commit HEAD is leaving when it was detached
+     * @param {string} newHash - Commit HEAD is moving to
+     * @returns {string} Message to print before switching, or ''
+     */
+    describeLeavingDetached(newHash) {
+      const repo = this.state.repo;
+      if (GitRepo.headRef(repo) || repo.HEAD === newHash) return '';
+
+      const oldHash = repo.HEAD;
+      const kept = GitRepo.reachableCommits(repo, Object.values(repo.refs));
+      const orphaned = GitRepo.reachableCommits(repo, [oldHash]).filter(hash => !kept.includes(hash));
+      const subject = hash => GitRepo.readObject(repo, hash).message.split('\n')[0];
+
+      if (orphaned.length === 0) {
+        return `Previous HEAD position was ${oldHash.substring(0, 7)} ${subject(oldHash)}\n`;
+      }
+
+      const plural = orphaned.length === 1 ? '1 commit' : `${orphaned.length} commits`;
+      return `Warning: you are leaving ${plural} behind, not connected to
+any of your branches:
+
+${orphaned.map(hash => `  ${hash.substring(0, 7)} ${subject(hash)}`).join('\n')}
+
+If you want to keep ${orphaned.length === 1 ? 'it' : 'them'} by creating a new branch, this may be a good time
+to do so with:
+
+ git branch <new-branch-name> ${oldHash.substring(0, 7)}
+
+`;
+    }
+
+    /**
+     * Remember where HEAD was, for `git switch -`
+     */
+    rememberHead() {
+      const repo = this.state.repo;
+      repo.previousHead = GitRepo.currentBranch(repo) || repo.HEAD;
+    }
+
+    /**
+     * Check out an existing branch
+     * @param {string} name - Branch name
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    switchBranch(name) {
+      const repo = this.state.repo;
+      if (GitRepo.currentBranch(repo) === name) {
+        return `Already on '${name}'`;
+      }
+
+      const hash = repo.refs[`refs/heads/${name}`];
+      const error = this.checkoutCommit(hash);
+      if (error) return CommandLine.failure(error);
+
+      const note = this.describeLeavingDetached(hash);
+      this.rememberHead();
+      GitRepo.setHead(repo, `ref: refs/heads/${name}`, `checkout: moving from ${repo.previousHead} to ${name}`);
+      return `${note}${this.describeLocalChanges()}Switched to branch '${name}'`;
+    }
+
+    /**
+     * Create a branch, optionally switching to it
+     * @param {string} name - New branch name
+     * @param {string} [startPoint] - Revision to start from (defaults to HEAD)
+     * @param {boolean} [switchTo] - Check the new branch out (switch -c / checkout -b)
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    createBranch(name, startPoint, switchTo = false) {
+      const repo = this.state.repo;
+      if (!GitRepo.isValidBranchName(name)) {
+        return CommandLine.failure(`fatal: '${name}' is not a valid branch name`);
+      }
+      if (repo.refs[`refs/heads/${name}`]) {
+        return CommandLine.failure(`fatal: a branch named '${name}' already exists`);
+      }
+
+      const hash = startPoint ? GitRepo.resolveRevision(repo, startPoint) : GitRepo.headCommit(repo);
+      if (startPoint && (!hash || GitRepo.readObject(repo, hash).type !== 'commit')) {
+        return CommandLine.failure(`fatal: not a valid object name: '${startPoint}'`);
+      }
+
+      if (!hash) {
+        // No commits yet: the new branch is just where the first commit will go
+        if (!switchTo) {
+          return CommandLine.failure(`fatal: not a valid object name: '${GitRepo.currentBranch(repo)}'
+
+Hint: Make your first commit before creating branches.`);
+        }
+        this.rememberHead();
+        GitRepo.setHead(repo, `ref: refs/heads/${name}`);
+        return `Switched to a new branch '${name}'`;
+      }
+
+      if (!switchTo) {
+        GitRepo.updateRef(repo, `refs/heads/${name}`, hash, `branch: Created from ${startPoint || 'HEAD'}`);
+        return `Created branch '${name}' at ${hash.substring(0, 7)}.
+
+Hint: Use 'git switch ${name}' to start working on it.`;
+      }
+
+      const error = this.checkoutCommit(hash);
+      if (error) return CommandLine.failure(error);
+
+      const note = this.describeLeavingDetached(hash);
+      GitRepo.updateRef(repo, `refs/heads/${name}`, hash, `branch: Created from ${startPoint || 'HEAD'}`);
+      this.rememberHead();
+      GitRepo.setHead(repo, `ref: refs/heads/${name}`, `checkout: moving from ${repo.previousHead} to ${name}`);
+      return `${note}${this.describeLocalChanges()}Switched to a new branch '${name}'`;
+    }
+
+    /**
+     * Check out a commit without a branch (detached HEAD)
+     * @param {string} hash - Commit to check out
+     * @param {string} label - Revision as typed by the user
+     * @param {boolean} showAdvice - Print Git's detached HEAD explanation
+     * @returns {string|Object} Command output, or a CommandLine.failure
+     */
+    detachHead(hash, label, showAdvice) {
+      const repo = this.state.repo;
+      const error = this.checkoutCommit(hash);
+      if (error) return CommandLine.failure(error);
+
+      const note = this.describeLeavingDetached(hash);
+      this.rememberHead();
+      GitRepo.setHead(repo, hash, `checkout: moving from ${repo.previousHead} to ${label}`);
+
+      const subject = GitRepo.readObject(repo, hash).message.split('\n')[0];
+      const advice = showAdvice ? `Note: switching to '${label}'.
+
+You are in 'detached HEAD' state. You can look around, make experimental
+changes and commit them, and you can discard any commits you make in this
+state without impacting any branches by switching back to a branch.
+
+If you want to create a new branch to retain commits you create, you may
+do so (now or later) by using -c with the switch command. Example:
+
+  git switch -c <new-branch-name>
+
+Or undo this operation with:
+
+  git switch -
+
+` : '';
+      return `${note}${advice}${this.describeLocalChanges()}HEAD is now at ${hash.substring(0, 7)} ${subject}`;
+    }
+
+    /**
+     * Resolve a path typed by the user against the current directory
+     * @param {string} path
+     * @returns {string|null} Path relative to the project root, or null if outside it
+     */
+    resolvePath(path) {
+      return VirtualFS.resolve(this.state.workingDirectory, this.state.cwd, path);
+    }
+
+    /**
+     * The repository cloned into a subdirectory, forgetting it once its
+     * directory has been removed from the project around it
+     * @returns {Object|null} state.nested
+     */
+    nestedClone() {
+      const nested = this.state.nested;
+      if (nested && !nested.entered && !VirtualFS.isDir(this.state.fs, nested.path)) {
+        this.state.nested = null;
+      }
+      return this.state.nested;
+    }
+
+    /**
+     * Resolve a path typed by the user from the project around the clone,
+     * so it can lead from one repository into the other
+     * @param {string} path
+     * @returns {Object} { path, inside } where path is relative to the clone
+     *   when inside is true and to the outer project otherwise (null if outside both)
+     */
+    resolveAcrossClone(path) {
+      const nested = this.state.nested;
+      const outer = nested.entered ? nested.workspace : this.state;
+      const cwd = nested.entered ? [nested.path, this.state.cwd].filter(Boolean).join('/') : this.state.cwd;
+      const resolved = VirtualFS.resolve(outer.workingDirectory, cwd, path);
+      if (resolved !== null && (resolved === nested.path || resolved.startsWith(`${nested.path}/`))) {
+        return { path: resolved.slice(nested.path.length + 1), inside: true };
+      }
+      return { path: resolved, inside: false };
+    }
+
+    /**
+     * Swap the active project for the other one in state.nested. The outer
+     * project keeps a copy of the clone's files, brought up to date on every
+     * swap, so ls and cat see them from outside and edits made there carry in
+     */
+    switchWorkspace() {
+      const state = this.state;
+      const nested = state.nested;
+      const inactive = nested.workspace;
+      const active = {};
+      ['fs', 'repo', 'initialized', 'cwd', 'workingDirectory'].forEach(field => {
+        active[field] = state[field];
+        state[field] = inactive[field];
+      });
+      nested.workspace = active;
+      nested.entered = !nested.entered;
+
+      const prefix = `${nested.path}/`;
+      const outer = nested.entered ? active.fs : state.fs;
+      if (nested.entered) {
+        const files = {};
+        VirtualFS.filesUnder(outer, nested.path).forEach(path => {
+          files[path.slice(prefix.length)] = outer.files[path];
+        });
+        state.fs = VirtualFS.create(files);
+        Object.keys(outer.dirs).filter(dir => dir.startsWith(prefix)).forEach(dir => {
+          VirtualFS.mkdir(state.fs, dir.slice(prefix.length));
+        });
+        if (!VirtualFS.isDir(state.fs, state.cwd)) state.cwd = '';
+      } else {
+        const inner = active.fs;
+        VirtualFS.remove(outer, nested.path);
+        VirtualFS.mkdir(outer, nested.path);
+        Object.keys(inner.files).forEach(path => VirtualFS.writeFile(outer, prefix + path, inner.files[path]));
+        Object.keys(inner.dirs).forEach(dir => VirtualFS.mkdir(outer, prefix + dir));
+      }
+    }
+
+    /**
+     * Read pathspecs typed by the user (see Pathspec.parse)
+     * @param {string[]} args
+     * @returns {Object} { specs } or { error } for the first bad one
+     */
+    pathspecs(args) {
+      const specs = [];
+      for (const arg of args) {
+        const spec = Pathspec.parse(arg, this.state.workingDirectory, this.state.cwd);
+        if (spec.error) return { error: spec.error };
+        specs.push(spec);
+      }
+      return { specs: specs };
+    }
+
+    /**
+     * Check whether a shell command may create or overwrite a file
+     * @param {string} target - Path as typed by the user
+     * @returns {string|null} Error message, or null if the path is writable
+     */
+    checkWritable(target) {
+      const fs = this.state.fs;
+      const path = this.resolvePath(target);
+      if (path === null || VirtualFS.isGitDir(path)) {
+        return 'Permission denied';
+      }
+      if (path === '' || VirtualFS.isDir(fs, path)) {
+        return 'Is a directory';
+      }
+      if (!VirtualFS.isDir(fs, VirtualFS.dirname(path))) {
+        return 'No such file or directory';
+      }
+      return null;
+    }
+
+    /**
+     * Update the index entry for a path from the working tree: stage its
+     * current content, or stage its removal if the file no longer exists
+     * @param {string} file - Path relative to the project root
+     * @returns {boolean} Whether the index changed
+     */
+    stageFile(file) {
+      const { fs, repo } = this.state;
+      const previous = repo.index[file];
+      const resolved = Boolean(repo.unmerged[file]);
+      delete repo.unmerged[file];
+
+      if (!VirtualFS.isFile(fs, file)) {
+        delete repo.index[file];
+        return Boolean(previous) || resolved;
+      }
+
+      const hash = GitRepo.writeBlob(repo, fs.files[file]);
+      repo.index[file] = { mode: '100644', hash: hash };
+      return resolved || !previous || previous.hash !== hash;
+    }
+
+    /**
+     * Compare HEAD, the index and the working tree
+     * @returns {Object} { staged, unstaged, untracked, ignored, unmerged } where
+     *   staged, unstaged and unmerged are [{ path, label }] and untracked and
+     *   ignored list paths (directories end in "/")
+     */
+    getStatus() {
+      const { fs, repo } = this.state;
+      const headFiles = GitRepo.commitFiles(repo, GitRepo.headCommit(repo));
+      const index = repo.index;
+      const staged = [];
+      const unstaged = [];
+
+      const unmerged = repo.unmerged;
+      const stagedPaths = new Set(Object.keys(headFiles).concat(Object.keys(index)));
+      [...stagedPaths].sort().forEach(path => {
+        if (unmerged[path]) return;
+        if (!headFiles[path]) {
+          staged.push({ path: path, label: 'new file' });
+        } else if (!index[path]) {
+          staged.push({ path: path, label: 'deleted' });
+        } else if (headFiles[path].hash !== index[path].hash) {
+          staged.push({ path: path, label: 'modified' });
+        }
+      });
+
+      Object.keys(index).sort().forEach(path => {
+        if (!VirtualFS.isFile(fs, path)) {
+          unstaged.push({ path: path, label: 'deleted' });
+        } else if (GitObjects.hash({ type: 'blob', content: fs.files[path] }) !== index[path].hash) {
+          unstaged.push({ path: path, label: 'modified' });
+        }
+      });
+
+      // Like Git, collapse a directory with no tracked files into "dir/"
+      const trackedDirs = new Set();
+      Object.keys(index).forEach(path => {
+        for (let dir = VirtualFS.dirname(path); dir; dir = VirtualFS.dirname(dir)) {
+          trackedDirs.add(dir);
+        }
+      });
+      const untracked = new Set();
+      const ignored = new Set();
+      Object.keys(fs.files).filter(path => !index[path] && !unmerged[path]).forEach(path => {
+        // An ignored directory is listed as a whole, like an untracked one
+        if (GitIgnore.isIgnored(fs, path)) {
+          let shown = path;
+          for (let dir = VirtualFS.dirname(path); dir; dir = VirtualFS.dirname(dir)) {
+            if (!trackedDirs.has(dir) && GitIgnore.isIgnored(fs, dir, true)) shown = `${dir}/`;
+          }
+          ignored.add(shown);
+          return;
+        }
+        let shown = path;
+        for (let dir = VirtualFS.dirname(path); dir; dir = VirtualFS.dirname(dir)) {
+          if (!trackedDirs.has(dir)) shown = `${dir}/`;
+        }
+        untracked.add(shown);
+      });
+
+      const conflicts = Object.keys(unmerged).sort().map(path => {
+        const stages = unmerged[path];
+        let label = 'both modified';
+        if (!stages.ours) label = stages.base ? 'deleted by us' : 'added by them';
+        else if (!stages.theirs) label = stages.base ? 'deleted by them' : 'added by us';
+        else if (!stages.base) label = 'both added';
+        return { path: path, label: label };
+      });
+
+      return {
+        staged: staged,
+        unstaged: unstaged,
+        untracked: [...untracked].sort(),
+        ignored: [...ignored].sort(),
+        unmerged: conflicts
+      };
+    }
+
+    /**
+     * Show the current directory in the terminal title bar
+     */
+    updateTitle() {
+      const title = this.terminal.querySelector('.playground-title');
+      if (title) {
+        const cwd = this.state.cwd;
+        title.textContent = `Git Playground — ${this.state.workingDirectory}${cwd ? `/${cwd}` : ''}`;
+      }
+    }
+  }
+
+  // ============================================
+  // Cheatsheet Search
+  // ============================================
+  
+  const CheatsheetSearch = {
+    init() {
+      const searchInput = document.querySelector('.search-input');
+      if (!searchInput) return;
+
+      const commandItems = document.querySelectorAll('.command-item');
+      const categories = document.querySelectorAll('.cheatsheet-category');
+
+      searchInput.addEventListener('input', (e) => {
+        const query = e.target.value.toLowerCase().trim();
+
+        if (!query) {
+          // Show all items
+          commandItems.forEach(item => item.style.display = '');
+          categories.forEach(cat => cat.style.display = '');
+          return;
+        }
+
+        // Filter items
+        categories.forEach(category => {
+          const items = category.querySelectorAll('.command-item');
+          let visibleCount = 0;
+
+          items.forEach(item => {
+            const syntax = item.querySelector('.command-syntax').textContent.toLowerCase();
+            const description = item.querySelector('.command-description').textContent.toLowerCase();
+            const matches = syntax.includes(query) || description.includes(query);
+            
+            item.style.display = matches ? '' : 'none';
+            if (matches) visibleCount++;
+          });
+
+          // Hide category if no visible items
+          category.style.display = visibleCount === 0 ? 'none' : '';
+        });
+      });
+
+      // Clear search on Escape
+      searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          searchInput.value = '';
+          searchInput.dispatchEvent(new Event('input'));
+        }
+      });
+    }
+  };
+
+  // ============================================
+  // Lesson Progress Tracking
+  // ============================================
+  
+  const LessonProgress = {
+    init() {
+      this.loadProgress();
+      this.bindEvents();
+      this.updateUI();
+    },
+
+    /**
+     * Load progress from localStorage
+     */
+    loadProgress() {
+      const saved = localStorage.getItem(CONFIG.COMPLETED_LESSONS_KEY);
+      this.completed = saved ? JSON.parse(saved) : [];
+    },
+
+    /**
+     * Save progress to localStorage
+     */
+    saveProgress() {
+      localStorage.setItem(CONFIG.COMPLETED_LESSONS_KEY, JSON.stringify(this.completed));
+    },
+
+    /**
+     * Mark a lesson as complete
+     * @param {string} lessonId - The lesson identifier
+     */
+    markComplete(lessonId) {
+      if (!this.completed.includes(lessonId)) {
+        this.completed.push(lessonId);
+        this.saveProgress();
+        this.updateUI();
+      }
+    },
+
+    /**
+     * Check if a lesson is complete
+     * @param {string} lessonId - The lesson identifier
+     * @returns {boolean}
+     */
+    isComplete(lessonId) {
+      return this.completed.includes(lessonId);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+      // Mark as complete button
+      const completeBtn = document.querySelector('[data-action="mark-complete"]');
+      if (completeBtn) {
+        completeBtn.addEventListener('click', () => {
+          const lessonId = completeBtn.dataset.lessonId;
+          this.markComplete(lessonId);
+          completeBtn.textContent = '✓ Completed';
+          completeBtn.disabled = true;
+        });
+      }
+    },
+
+    /**
+     * Update UI to reflect progress
+     */
+    updateUI() {
+      // Update sidebar navigation
+      const navLinks = document.querySelectorAll('.lesson-nav-link');
+      navLinks.forEach(link => {
+        const lessonId = link.dataset.lessonId;
+        if (lessonId && this.isComplete(lessonId)) {
+          link.classList.add('completed');
+        }
+      });
+
+      // Update complete button state
+      const completeBtn = document.querySelector('[data-action="mark-complete"]');
+      if (completeBtn) {
+        const lessonId = completeBtn.dataset.lessonId;
+        if (this.isComplete(lessonId)) {
+          completeBtn.textContent = '✓ Completed';
+          completeBtn.disabled = true;
+        }
+      }
+    }
+  };
+
+  // ============================================
+  // Certification Test Question Bank
+  // ============================================
+
+  const QuestionBank = {
+    // Question types, by how they are answered
+    types: ['single', 'multiple', 'order', 'command', 'task'],
+
+    // Difficulty levels, easiest first
+    difficulties: ['easy', 'medium', 'hard'],
+
+    /**
+     * Fetch the question bank. It is built by tools/build-question-bank.js,
+     * which keeps the answers out of it: see the README.
+     * @param {string} url
+     * @returns {Promise<Object>} From read(), or { error } when it can't be fetched
+     */
+    async load(url) {
+      let data;
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        data = await response.json();
+      } catch (e) {
+        console.warn('The question bank could not be loaded:', e.message);
+        return { error: e.message };
+      }
+      const bank = this.read(data);
+      if (bank.error) console.warn(`The question bank is not usable: ${bank.error}`);
+      return bank;
+    },
+
+    /**
+     * Check a question bank. Questions or draw entries with a mistake are
+     * skipped with a warning in the console.
+     * @param {Object} data - Parsed JSON
+     * @returns {Object} { version, salt, draw: [{ topic, difficulty, count }], passingScore, topics, questions },
+     *   or { error } when it isn't a question bank
+     */
+    read(data) {
+      if (!data || typeof data.salt !== 'string' || !data.salt || !Array.isArray(data.questions) || !Array.isArray(data.draw)) {
+        return { error: 'it needs a "salt", a "draw" and a list of "questions"' };
+      }
+
+      const ids = new Set();
+      const questions = data.questions.filter(question => {
+        const problem = this.validate(question, ids);
+        if (problem) {
+          console.warn(`Skipping question ${question && question.id ? `"${question.id}"` : '(no id)'}: ${problem}`);
+          return false;
+        }
+        ids.add(question.id);
+        return true;
+      });
+
+      const draw = data.draw.filter(part => {
+        const valid = part && typeof part.topic === 'string' && Number.isInteger(part.count) && part.count > 0 &&
+          (part.difficulty === undefined || this.difficulties.includes(part.difficulty));
+        if (!valid) console.warn('Skipping a draw entry: it needs a "topic", a positive "count" and, optionally, a known "difficulty"');
+        return valid;
+      });
+
+      // Without a pass mark in the bank, four in five is a pass
+      const total = draw.reduce((sum, part) => sum + part.count, 0);
+      const passingScore = Number.isInteger(data.passingScore) && data.passingScore > 0 && data.passingScore <= total
+        ? data.passingScore
+        : Math.ceil(total * 0.8);
+
+      // Topic names for the results; a topic without one shows its id
+      const topics = {};
+      Object.entries(data.topics || {}).forEach(([topic, name]) => {
+        if (typeof name === 'string') topics[topic] = name;
+      });
+
+      return {
+        version: typeof data.version === 'string' && data.version ? data.version : 'unversioned',
+        salt: data.salt,
+        draw: draw,
+        passingScore: passingScore,
+        topics: topics,
+        questions: questions
+      };
+    },
+
+    /**
+     * What is wrong with a question definition. Instead of its answer, a
+     * question that isn't a task has a "key" of the hashes of its right
+     * responses (see hash()), and every question has a "reveal": its
+     * answer and explanation, encrypted until the review (see seal()).
+     * @param {Object} question
+     * @param {Set<string>} ids - Ids already taken
+     * @returns {string|null}
+     */
+    validate(question, ids) {
+      const isStrings = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+      const isKey = value => Array.isArray(value) && value.length > 0 && value.every(hash => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash));
+      if (!question || typeof question.id !== 'string' || !question.id) return 'it needs an "id"';
+      if (ids.has(question.id)) return 'the id is already used';
+      if (typeof question.question !== 'string' || typeof question.topic !== 'string') return 'it needs a "question" and a "topic"';
+      if (!this.difficulties.includes(question.difficulty)) return `"difficulty" must be one of ${this.difficulties.join(', ')}`;
+      if (question.tags !== undefined && !isStrings(question.tags)) return '"tags" must be a list of strings';
+      if (question.lesson !== undefined && typeof question.lesson !== 'string') return '"lesson" must be a learn.html lesson id';
+
+      switch (question.type) {
+        case 'single':
+        case 'multiple':
+          if (!isStrings(question.options)) return 'a choice question needs "options"';
+          break;
+        case 'order':
+          if (!isStrings(question.steps) || question.steps.length < 2 || new Set(question.steps).size !== question.steps.length) {
+            return 'an ordering question needs two or more different "steps"';
+          }
+          break;
+        case 'command':
+          break;
+        case 'task': {
+          const isCommands = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+          if (question.setup !== undefined && !isCommands(question.setup)) return '"setup" must be a list of commands';
+          if (question.scenario !== undefined && !Object.prototype.hasOwnProperty.call(GitPlayground.scenarios, question.scenario)) {
+            return `unknown scenario "${question.scenario}"`;
+          }
+          if (question.commands !== undefined && !isStrings(question.commands)) return '"commands" must be a list of command names';
+          const problem = ChallengeMode.validateGoals(question.goals);
+          if (problem) return problem;
+          break;
+        }
+        default:
+          return `unknown type "${question.type}"; use one of ${this.types.join(', ')}`;
+      }
+      if ((question.type !== 'task' && !isKey(question.key)) || typeof question.reveal !== 'string' || !question.reveal) {
+        return 'it needs a "key" of hashed answers and a "reveal"; build the bank with tools/build-question-bank.js';
+      }
+      return null;
+    },
+
+    /**
+     * A copy of a list in random order (Fisher-Yates)
+     * @param {Array} list
+     * @param {Function} random - Returns a number in [0, 1)
+     * @returns {Array}
+     */
+    shuffle(list, random = Math.random) {
+      const shuffled = list.slice();
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    },
+
+    /**
+     * Draw the questions for one attempt. Each draw entry takes its count
+     * at random from the questions on its topic (and difficulty, if it
+     * names one), dealing from each difficulty level in turn so that a
+     * topic isn't all easy or all hard questions. The result is shuffled.
+     * @param {Object} bank - From load()
+     * @param {Function} random - Returns a number in [0, 1)
+     * @returns {Array<Object>} Items from prepare()
+     */
+    draw(bank, random = Math.random) {
+      const drawn = [];
+      const taken = new Set();
+
+      bank.draw.forEach(part => {
+        const pool = bank.questions.filter(question => question.topic === part.topic && !taken.has(question.id) &&
+          (!part.difficulty || question.difficulty === part.difficulty));
+        const piles = this.difficulties
+          .map(level => this.shuffle(pool.filter(question => question.difficulty === level), random))
+          .filter(pile => pile.length);
+
+        const chosen = [];
+        let turn = Math.floor(random() * piles.length);
+        while (chosen.length < part.count && piles.some(pile => pile.length)) {
+          const pile = piles[turn++ % piles.length];
+          if (pile.length) chosen.push(pile.pop());
+        }
+        if (chosen.length < part.count) {
+          console.warn(`The question bank has ${chosen.length} question(s) for "${part.topic}"${part.difficulty ? ` (${part.difficulty})` : ''}, but the draw asks for ${part.count}`);
+        }
+
+        chosen.forEach(question => {
+          taken.add(question.id);
+          drawn.push(question);
+        });
+      });
+
+      return this.shuffle(drawn, random).map(question => this.prepare(question, random));
+    },
+
+    /**
+     * A question as one attempt shows it: its options (or steps) in a
+     * random order, each keeping its index in the definition, which is
+     * what responses are made of, so the answer key still holds.
+     * "shuffle": false keeps the options of a question in their order.
+     * @param {Object} question - Definition
+     * @param {Function} random - Returns a number in [0, 1)
+     * @returns {Object} { question, choices: [{ text, index }] }
+     */
+    prepare(question, random = Math.random) {
+      const texts = question.type === 'order' ? question.steps : (question.options || []);
+      const choices = texts.map((text, index) => ({ text: text, index: index }));
+      if (question.type === 'command' || question.shuffle === false) return { question: question, choices: choices };
+
+      return { question: question, choices: this.shuffle(choices, random) };
+    },
+
+    /**
+     * A response as the key hashes it: the option for "single", the
+     * options for "multiple" (sorted, all of the right ones and nothing
+     * else), the steps in the chosen order for "order", and the command
+     * for "command", as normalizeCommand() leaves it
+     * @param {Object} question - Definition
+     * @param {number|Array<number>|string} response - Indices from the definition, or the text typed
+     * @returns {string}
+     */
+    canonical(question, response) {
+      switch (question.type) {
+        case 'multiple':
+          return [...new Set(response)].sort((a, b) => a - b).join(',');
+        case 'order':
+          return response.join(',');
+        case 'command':
+          return this.normalizeCommand(response);
+      }
+      return String(response);
+    },
+
+    /**
+     * A secret derived from some text: a SHA-256 of it as an AES-GCM key,
+     * and the hash of the secret, which can be published without giving
+     * the secret away
+     * @param {string} text
+     * @returns {Promise<Object>} { secret: CryptoKey, hash: hex, iv }
+     */
+    async derive(text) {
+      const secret = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+      const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', secret));
+      return {
+        secret: await crypto.subtle.importKey('raw', secret, 'AES-GCM', false, ['encrypt', 'decrypt']),
+        hash: [...hash].map(byte => byte.toString(16).padStart(2, '0')).join(''),
+        // Each secret encrypts one text, so its hash can serve as the nonce
+        iv: hash.slice(0, 12)
+      };
+    },
+
+    /**
+     * The key entry for a response: a hash of the bank's salt, the
+     * question id and the response. tools/build-question-bank.js lists
+     * the one for each right response.
+     * @param {string} salt - From the bank
+     * @param {Object} question - Definition
+     * @param {string} response - From canonical()
+     * @returns {Promise<string>} Hex
+     */
+    async hash(salt, question, response) {
+      return (await this.derive(`${salt}:${question.id}:${response}`)).hash;
+    },
+
+    /**
+     * Encrypt what the review shows about a question once the test is
+     * submitted; tools/build-question-bank.js does this for each one
+     * @param {string} salt - From the bank
+     * @param {Object} question - Definition
+     * @param {Object} reveal - { answer, explanation }
+     * @returns {Promise<string>} Base64url
+     */
+    async seal(salt, question, reveal) {
+      const { secret, iv } = await this.derive(`${salt}:reveal:${question.id}`);
+      const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, secret, new TextEncoder().encode(JSON.stringify(reveal)));
+      return Certificate.toBase64(new Uint8Array(sealed));
+    },
+
+    /**
+     * The right answer and the explanation of a question, decrypted for
+     * the review. The page holds everything needed to do this, so it
+     * keeps the answers out of the page source and the repository, not
+     * away from someone who runs this before submitting (see the README).
+     * @param {Object} bank - From read()
+     * @param {Object} question - Definition
+     * @returns {Promise<Object|null>} { answer, explanation }, or null when it doesn't decrypt
+     */
+    async reveal(bank, question) {
+      try {
+        const { secret, iv } = await this.derive(`${bank.salt}:reveal:${question.id}`);
+        const text = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, secret, Certificate.fromBase64(question.reveal));
+        const reveal = JSON.parse(new TextDecoder().decode(text));
+        return {
+          answer: typeof reveal.answer === 'string' ? reveal.answer : null,
+          explanation: typeof reveal.explanation === 'string' ? reveal.explanation : null
+        };
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Mark a response. A task earns a share of its one point for each
+     * goal met; any other question earns it all when its response is in
+     * the key.
+     * @param {Object} bank - From read()
+     * @param {Object} question - Definition
+     * @param {number|Array<number>|Array<boolean>|string|null} response - Indices from the
+     *   definition (see canonical()), the text typed, or whether each goal of a task is met
+     * @returns {Promise<number>} Credit, from 0 to 1
+     */
+    async grade(bank, question, response) {
+      if (response === null || response === undefined) return 0;
+      if (question.type === 'task') return response.filter(Boolean).length / question.goals.length;
+
+      const hash = await this.hash(bank.salt, question, this.canonical(question, response));
+      return question.key.includes(hash) ? 1 : 0;
+    },
+
+    /**
+     * A response in words, for the answer review
+     * @param {Object} question - Definition
+     * @param {number|Array<number>|Array<boolean>|string|null} response - As for grade()
+     * @returns {string|null} null when unanswered
+     */
+    describe(question, response) {
+      if (response === null || response === undefined) return null;
+      switch (question.type) {
+        case 'single':
+          return question.options[response];
+        case 'multiple':
+          return response.slice().sort((a, b) => a - b).map(index => question.options[index]).join(', ');
+        case 'order':
+          return response.map(index => question.steps[index]).join(' → ');
+        case 'command':
+          return this.normalizeCommand(response);
+        case 'task':
+          return question.goals.map((goal, i) => `${response[i] ? '✓' : '✗'} ${goal.text}`).join('\n');
+      }
+      return null;
+    },
+
+    /**
+     * A typed command without the differences that don't matter: spaces
+     * around and between words, and a "$ " prompt copied from a lesson
+     * @param {string} text
+     * @returns {string}
+     */
+    normalizeCommand(text) {
+      return String(text).trim().replace(/^\$\s*/, '').replace(/\s+/g, ' ');
+    }
+  };
+
+  // ============================================
+  // Certificates
+  // ============================================
+
+  const Certificate = {
+    // Verification codes start with this, so the format can change later
+    PREFIX: 'XGS1',
+
+    // Where certificates are checked, printed on each one
+    VERIFY_URL: 'https://xdas-research.github.io/xdas-git-school/verify.html',
+
+    // Public half of the ECDSA P-256 key that signs certificates. The private
+    // half stays with the maintainers and never ships with the site: they
+    // sign requests with tools/sign-certificate.js (see the README).
+    PUBLIC_KEY: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: 'IooVX0LFq7hJ8oeqdXnt9tnsYswu9aGLBlM0CUiJ4es',
+      y: 'Kqlz7sY8zLcQr1sKi5wmI9fS4ibeCEsL0AXBah0ovb0'
+    },
+
+    ALGORITHM: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+
+    // Longest name a certificate takes
+    NAME_LIMIT: 80,
+
+    /**
+     * Whether this browser can check codes. Web Crypto needs a secure
+     * context: https, localhost or a file opened from disk.
+     * @returns {boolean}
+     */
+    supported() {
+      return !!(window.crypto && window.crypto.subtle);
+    },
+
+    /**
+     * A name as it goes on a certificate: trimmed, with single spaces
+     * @param {string} text
+     * @returns {string}
+     */
+    cleanName(text) {
+      return String(text).trim().replace(/\s+/g, ' ').slice(0, this.NAME_LIMIT);
+    },
+
+    /**
+     * Bytes as base64url, without padding
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    toBase64(bytes) {
+      let binary = '';
+      bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+      });
+      return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * base64url back to bytes
+     * @param {string} text
+     * @returns {Uint8Array}
+     */
+    fromBase64(text) {
+      const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+      return Uint8Array.from(binary, char => char.charCodeAt(0));
+    },
+
+    /**
+     * Turn a certificate's details into a request for the maintainers to
+     * sign: PREFIX.payload, where the payload is the details as base64url
+     * JSON. Signing appends .signature, which covers "PREFIX.payload".
+     * @param {Object} details - { name, score, total, date: 'YYYY-MM-DD', version }
+     * @returns {string}
+     */
+    request(details) {
+      const payload = this.toBase64(new TextEncoder().encode(JSON.stringify({
+        n: details.name,
+        s: details.score,
+        t: details.total,
+        d: details.date,
+        v: details.version
+      })));
+      return `${this.PREFIX}.${payload}`;
+    },
+
+    /**
+     * Read a request or a signed code, without checking the signature
+     * @param {string} code
+     * @returns {Object} { details, signed, signature } where signed is the
+     *   "PREFIX.payload" part and signature is null for a request, or { error }
+     */
+    parse(code) {
+      const match = String(code).replace(/\s+/g, '').match(/^([A-Z0-9]+)\.([A-Za-z0-9_-]+)(?:\.([A-Za-z0-9_-]+))?$/);
+      if (!match || match[1] !== this.PREFIX) {
+        return { error: 'This is not a certificate verification code. Check that it was copied in full.' };
+      }
+
+      let details;
+      try {
+        const data = JSON.parse(new TextDecoder().decode(this.fromBase64(match[2])));
+        details = { name: data.n, score: data.s, total: data.t, date: data.d, version: data.v };
+      } catch (e) {
+        return { error: 'The code is damaged. Check that it was copied in full.' };
+      }
+      if (typeof details.name !== 'string' || !details.name || details.name.length > this.NAME_LIMIT ||
+          !Number.isFinite(details.score) || !Number.isInteger(details.total) ||
+          typeof details.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(details.date) || typeof details.version !== 'string') {
+        return { error: 'The code is damaged. Check that it was copied in full.' };
+      }
+      return { details: details, signed: `${match[1]}.${match[2]}`, signature: match[3] || null };
+    },
+
+    /**
+     * Check a verification code against the public key
+     * @param {string} code
+     * @returns {Promise<Object>} { details, code } with the code as signed
+     *   (without the line breaks of a copy from a certificate), or { error }
+     */
+    async verify(code) {
+      if (!this.supported()) {
+        return { error: 'This browser cannot check signatures here. Open the page over https, or use a current version of Chrome, Firefox or Safari.' };
+      }
+
+      const parsed = this.parse(code);
+      if (parsed.error) return parsed;
+      if (!parsed.signature) {
+        return { error: 'This is a certificate request, not a verification code. It proves nothing until the Git School maintainers sign it.' };
+      }
+
+      let valid;
+      try {
+        const key = await crypto.subtle.importKey('jwk', this.PUBLIC_KEY, this.ALGORITHM, false, ['verify']);
+        valid = await crypto.subtle.verify(this.ALGORITHM, key, this.fromBase64(parsed.signature),
+          new TextEncoder().encode(parsed.signed));
+      } catch (e) {
+        return { error: 'The code is damaged. Check that it was copied in full.' };
+      }
+      if (!valid) {
+        return { error: 'The signature does not match: this code was changed after it was signed, or was not signed by the Git School maintainers.' };
+      }
+      return { details: parsed.details, code: `${parsed.signed}.${parsed.signature}` };
+    },
+
+    /**
+     * A date from a code (YYYY-MM-DD) in words
+     * @param {string} date
+     * @returns {string}
+     */
+    formatDate(date) {
+      const [year, month, day] = date.split('-').map(Number);
+      return new Date(year, month - 1, day).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    },
+
+    /**
+     * Escape text for SVG markup
+     * @param {string} text
+     * @returns {string}
+     */
+    escape(text) {
+      return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    },
+
+    /**
+     * The certificate as an SVG document
+     * @param {Object} details - As for request()
+     * @param {string} code - Its verification code
+     * @returns {string}
+     */
+    svg(details, code) {
+      const e = text => this.escape(text);
+      const percentage = Math.round((details.score / details.total) * 100);
+      // Long names get a smaller font so they fit between the borders
+      const nameSize = Math.min(48, Math.floor(1500 / Math.max(details.name.length, 1)));
+      const codeLines = code.match(/.{1,88}/g).map((line, i) =>
+        `<tspan x="500" dy="${i ? 15 : 0}">${e(line)}</tspan>`).join('');
+
+      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1000 707" width="1000" height="707" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif">
+  <rect width="1000" height="707" fill="#ffffff"/>
+  <rect x="20" y="20" width="960" height="667" fill="none" stroke="#238636" stroke-width="6"/>
+  <rect x="34" y="34" width="932" height="639" fill="none" stroke="#2ea043" stroke-width="1.5"/>
+  <circle cx="500" cy="100" r="38" fill="#238636"/>
+  <path d="M500 72 L507 91 L528 93 L512 107 L517 128 L500 117 L483 128 L488 107 L472 93 L493 91 Z" fill="#ffffff"/>
+  <text x="500" y="180" text-anchor="middle" font-size="38" font-weight="700" fill="#1f2328">Git Proficiency Certificate</text>
+  <text x="500" y="215" text-anchor="middle" font-size="18" fill="#656d76">XDAS Git School</text>
+  <text x="500" y="280" text-anchor="middle" font-size="18" fill="#656d76">This certifies that</text>
+  <text x="500" y="${300 + nameSize}" text-anchor="middle" font-size="${nameSize}" font-weight="600" fill="#1f2328">${e(details.name)}</text>
+  <line x1="250" y1="${318 + nameSize}" x2="750" y2="${318 + nameSize}" stroke="#d0d7de" stroke-width="1.5"/>
+  <text x="500" y="410" text-anchor="middle" font-size="18" fill="#1f2328">passed the Git Certification Test with a score of ${e(details.score)}/${e(details.total)} (${percentage}%)</text>
+  <text x="500" y="440" text-anchor="middle" font-size="18" fill="#1f2328">on ${e(this.formatDate(details.date))}</text>
+  <text x="500" y="470" text-anchor="middle" font-size="14" fill="#656d76">Question set ${e(details.version)}</text>
+  <text x="500" y="560" text-anchor="middle" font-size="13" font-weight="600" fill="#656d76">Verification code</text>
+  <text x="500" y="582" text-anchor="middle" font-size="12" fill="#1f2328" font-family="ui-monospace, SFMono-Regular, Menlo, Consolas, monospace">${codeLines}</text>
+  <text x="500" y="650" text-anchor="middle" font-size="13" fill="#656d76">Check this certificate at ${e(this.VERIFY_URL)}</text>
+</svg>`;
+    },
+
+    /**
+     * Offer a blob as a download
+     * @param {Blob} blob
+     * @param {string} name - File name
+     */
+    download(blob, name) {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
+    /**
+     * Draw an SVG certificate onto a canvas, at twice its size for print quality
+     * @param {string} svg
+     * @returns {Promise<Blob>} PNG
+     */
+    toPng(svg) {
+      return new Promise((resolve, reject) => {
+        const image = new Image();
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        image.onload = () => {
+          const canvas = document.createElement('canvas');
+          canvas.width = 2000;
+          canvas.height = 1414;
+          canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+          URL.revokeObjectURL(url);
+          canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The certificate could not be drawn'))), 'image/png');
+        };
+        image.onerror = () => {
+          URL.revokeObjectURL(url);
+          reject(new Error('The certificate could not be drawn'));
+        };
+        image.src = url;
+      });
+    },
+
+    /**
+     * The verify page link for a code, next to the current page
+     * @param {string} code
+     * @returns {string}
+     */
+    verifyLink(code) {
+      return new URL(`verify.html#code=${code}`, location.href).href;
+    }
+  };
+
+  // ============================================
+  // Test Proctoring
+  // ============================================
+
+  const Proctor = {
+    // Watched signals, in words: leaving the test and coming back
+    SIGNALS: {
+      visibility: { left: 'switched to another tab or window', returned: 'back on the test tab' },
+      fullscreen: { left: 'left full screen', returned: 'back in full screen' },
+      blur: { left: 'moved the focus away from the test window', returned: 'focus back on the test window' }
+    },
+
+    // The policy used for anything the page's policy leaves out
+    DEFAULT_POLICY: {
+      strikes: 3,
+      graceSeconds: 5,
+      signals: ['visibility', 'fullscreen', 'blur'],
+      requireFullscreen: true,
+      allowNoFullscreen: true,
+      blockCopy: true,
+      blockShortcuts: true,
+      extraTime: [0, 25, 50, 100]
+    },
+
+    // The running session, or null
+    session: null,
+
+    /**
+     * Read the proctoring policy from a JSON script element. A setting
+     * with a mistake is replaced by its default, with a console warning.
+     * @param {HTMLElement|null} source - <script type="application/json">
+     * @returns {Object} Policy, see DEFAULT_POLICY
+     */
+    loadPolicy(source) {
+      const policy = Object.assign({}, this.DEFAULT_POLICY);
+      if (!source) return policy;
+      let data;
+      try {
+        data = JSON.parse(source.textContent);
+      } catch (e) {
+        console.warn('The proctoring policy is not valid JSON:', e.message);
+        return policy;
+      }
+
+      const checks = {
+        strikes: value => Number.isInteger(value) && value >= 0,
+        graceSeconds: value => typeof value === 'number' && value >= 0,
+        signals: value => Array.isArray(value) && value.every(signal => Object.prototype.hasOwnProperty.call(this.SIGNALS, signal)),
+        requireFullscreen: value => typeof value === 'boolean',
+        allowNoFullscreen: value => typeof value === 'boolean',
+        blockCopy: value => typeof value === 'boolean',
+        blockShortcuts: value => typeof value === 'boolean',
+        extraTime: value => Array.isArray(value) && value.length > 0 && value.every(percent => Number.isInteger(percent) && percent >= 0)
+      };
+      Object.keys(data || {}).forEach(key => {
+        if (!checks[key]) {
+          console.warn(`Ignoring unknown proctoring setting "${key}"`);
+        } else if (!checks[key](data[key])) {
+          console.warn(`Ignoring proctoring setting "${key}": ${JSON.stringify(data[key])} is not valid, so it stays ${JSON.stringify(policy[key])}`);
+        } else {
+          policy[key] = data[key];
+        }
+      });
+      return policy;
+    },
+
+    /**
+     * The rules a policy sets, in words, for the start screen
+     * @param {Object} policy
+     * @returns {string[]}
+     */
+    describe(policy) {
+      const rules = [];
+      if (policy.requireFullscreen && policy.signals.includes('fullscreen')) rules.push('Stay in full screen mode');
+      if (policy.signals.includes('visibility')) rules.push("Don't switch to other tabs or windows");
+      if (policy.signals.includes('blur')) rules.push('Keep the focus on the test window');
+      if (policy.signals.length) {
+        const grace = policy.graceSeconds
+          ? `Coming back within ${policy.graceSeconds} second${policy.graceSeconds === 1 ? '' : 's'} only gives a warning; staying away longer is a strike`
+          : 'Each time you leave is a strike';
+        rules.push(policy.strikes
+          ? `${grace}. ${policy.strikes} strike${policy.strikes === 1 ? ' ends' : 's end'} the test and submit${policy.strikes === 1 ? 's' : ''} it`
+          : `${grace}. Strikes are listed with your results but don't end the test`);
+      }
+      if (policy.blockCopy) rules.push('Copy, paste and right-click are turned off');
+      if (policy.blockShortcuts) rules.push('Print, save and view-source shortcuts are turned off');
+      return rules;
+    },
+
+    /**
+     * Start watching. Each time the student leaves (by any watched signal)
+     * and stays away past the grace period is one strike; reaching the
+     * policy's strikes ends the test through onStrikeOut.
+     * @param {Object} policy
+     * @param {Object} options
+     * @param {boolean} options.fullscreen - Full screen is required (not waived as an accommodation)
+     * @param {Function} options.onNotice - (text, kind, action) for in-page warnings; action is 'return-fullscreen' or undefined
+     * @param {Function} options.onStrikeOut - (reason) when the strikes run out
+     * @param {Function} [options.onRecord] - () after each log entry, e.g. to save the session
+     * @param {Object} [options.resume] - { startedAt, log } from state(), to carry on a
+     *   session after a reload with its log and strikes
+     */
+    start(policy, options) {
+      this.stop();
+      const signals = policy.signals.filter(signal => signal !== 'fullscreen' || options.fullscreen);
+      const resume = options.resume;
+      const log = resume ? resume.log.slice() : [];
+      this.session = {
+        policy: policy,
+        signals: signals,
+        options: options,
+        startedAt: resume ? resume.startedAt : Date.now(),
+        log: log,
+        strikes: log.filter(entry => entry.event === 'strike').length,
+        away: new Set(),
+        struck: false,
+        graceTimer: null,
+        listeners: []
+      };
+
+      const listen = (target, type, handler) => {
+        target.addEventListener(type, handler);
+        this.session.listeners.push([target, type, handler]);
+      };
+
+      if (signals.includes('visibility')) {
+        listen(document, 'visibilitychange', () => (document.hidden ? this.leave('visibility') : this.back('visibility')));
+      }
+      if (signals.includes('fullscreen')) {
+        const handleFullscreenChange = () => (this.isFullscreen() ? this.back('fullscreen') : this.leave('fullscreen'));
+        ['fullscreenchange', 'webkitfullscreenchange', 'mozfullscreenchange', 'MSFullscreenChange'].forEach(type => {
+          listen(document, type, handleFullscreenChange);
+        });
+      }
+      if (signals.includes('blur')) {
+        // A short delay avoids counting focus that moves within the page
+        listen(window, 'blur', () => {
+          setTimeout(() => {
+            if (this.session && !document.hasFocus()) this.leave('blur');
+          }, 100);
+        });
+        listen(window, 'focus', () => this.back('blur'));
+      }
+      if (policy.blockCopy) {
+        ['copy', 'paste', 'cut', 'contextmenu'].forEach(type => {
+          listen(document, type, e => {
+            e.preventDefault();
+            this.record('blocked', type);
+          });
+        });
+      }
+      if (policy.blockShortcuts) {
+        // F11 (full screen toggle), Ctrl+P (print), Ctrl+S (save) and Ctrl+U (view source)
+        listen(document, 'keydown', e => {
+          if (e.key === 'F11' || ((e.ctrlKey || e.metaKey) && ['p', 's', 'u'].includes(e.key.toLowerCase()))) {
+            e.preventDefault();
+            this.record('blocked', e.key === 'F11' ? 'F11' : `${e.metaKey ? 'Cmd' : 'Ctrl'}+${e.key.toUpperCase()}`);
+          }
+        });
+      }
+      this.record(resume ? 'resumed' : 'started', null, {
+        signals: signals,
+        fullscreen: options.fullscreen
+      });
+    },
+
+    /**
+     * What start() needs to resume the running session
+     * @returns {Object|null} { startedAt, log }
+     */
+    state() {
+      return this.session ? { startedAt: this.session.startedAt, log: this.session.log } : null;
+    },
+
+    /**
+     * Stop watching and remove every listener
+     * @returns {Array<Object>} The session's log, empty if none was running
+     */
+    stop() {
+      const session = this.session;
+      if (!session) return [];
+      clearTimeout(session.graceTimer);
+      session.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+      this.session = null;
+      return session.log;
+    },
+
+    /**
+     * Whether the page is in full screen
+     * @returns {boolean}
+     */
+    isFullscreen() {
+      return !!(document.fullscreenElement || document.webkitFullscreenElement ||
+        document.mozFullScreenElement || document.msFullscreenElement);
+    },
+
+    /**
+     * Add a timestamped entry to the log
+     * @param {string} event - 'started', 'resumed', 'left', 'returned', 'strike' or 'blocked'
+     * @param {string|null} signal - What triggered it
+     * @param {Object} [details]
+     */
+    record(event, signal, details = {}) {
+      const session = this.session;
+      if (!session) return;
+      const now = Date.now();
+      session.log.push(Object.assign({
+        time: new Date(now).toISOString(),
+        elapsed: Math.floor((now - session.startedAt) / 1000),
+        event: event,
+        signal: signal
+      }, details));
+      if (session.options.onRecord) session.options.onRecord();
+    },
+
+    /**
+     * A watched signal fired: the student left the test
+     * @param {string} signal
+     */
+    leave(signal) {
+      const session = this.session;
+      if (!session || session.away.has(signal)) return;
+      session.away.add(signal);
+      this.record('left', signal);
+      if (session.away.size > 1) return; // Already away; one absence, one strike at most
+
+      session.struck = false;
+      const grace = session.policy.graceSeconds;
+      if (!grace) {
+        this.strike(signal);
+        return;
+      }
+      session.graceTimer = setTimeout(() => this.strike(signal), grace * 1000);
+      session.options.onNotice(
+        `⚠️ You ${this.SIGNALS[signal].left}. Come back within ${grace} second${grace === 1 ? '' : 's'} or it counts as a strike.`,
+        'warning',
+        signal === 'fullscreen' ? 'return-fullscreen' : undefined
+      );
+    },
+
+    /**
+     * A watched signal cleared; once nothing is left, the student is back
+     * @param {string} signal
+     */
+    back(signal) {
+      const session = this.session;
+      if (!session || !session.away.delete(signal)) return;
+      this.record('returned', signal);
+      if (session.away.size) return;
+
+      clearTimeout(session.graceTimer);
+      // A strike's warning has done its job once the student is back
+      session.options.onNotice(session.struck ? null : 'Welcome back. Nothing was counted against you.', 'info');
+    },
+
+    /**
+     * Count a strike for the current absence, ending the test on the last one
+     * @param {string} signal - What started the absence
+     */
+    strike(signal) {
+      const session = this.session;
+      if (!session || !session.away.size) return;
+      session.struck = true;
+      session.strikes++;
+      const max = session.policy.strikes;
+      this.record('strike', signal, { strike: session.strikes });
+
+      if (max && session.strikes >= max) {
+        session.options.onStrikeOut(`${session.strikes} proctoring strike${session.strikes === 1 ? '' : 's'}`);
+        return;
+      }
+      session.options.onNotice(
+        max
+          ? `❌ Strike ${session.strikes} of ${max}: you ${this.SIGNALS[signal].left}. ${max - session.strikes === 1 ? 'One more ends' : `${max - session.strikes} more end`} the test.`
+          : `❌ Strike ${session.strikes}: you ${this.SIGNALS[signal].left}. It will be listed with your results.`,
+        'error',
+        session.away.has('fullscreen') ? 'return-fullscreen' : undefined
+      );
+    },
+
+    /**
+     * A log entry in words
+     * @param {Object} entry
+     * @returns {string}
+     */
+    describeEntry(entry) {
+      switch (entry.event) {
+        case 'started':
+          return `Test started${entry.fullscreen ? ' in full screen' : ' without full screen'}; watching: ${entry.signals.length ? entry.signals.join(', ') : 'nothing'}`;
+        case 'resumed':
+          return 'The page was reloaded; the test carried on';
+        case 'left':
+          return `Left the test: ${this.SIGNALS[entry.signal].left}`;
+        case 'returned':
+          return `Came back: ${this.SIGNALS[entry.signal].returned}`;
+        case 'strike':
+          return `Strike ${entry.strike}`;
+        case 'blocked':
+          return `Blocked: ${entry.signal}`;
+      }
+      return entry.event;
+    }
+  };
+
+  // ============================================
+  // Certification Test
+  // ============================================
+
+  const CertificationTest = {
+    /**
+     * Set up the test page, if this is it
+     */
+    init() {
+      this.form = document.getElementById('quiz-form');
+      if (!this.form) return;
+
+      this.policy = Proctor.loadPolicy(document.getElementById('test-proctoring-policy'));
+      this.items = [];
+      this.ended = true;
+      this.renderRules();
+
+      this.bindEvents();
+      this.updateAccommodations();
+      this.loadBank();
+    },
+
+    /**
+     * Fetch the question bank, then show the test length and pick up an
+     * attempt saved before a reload. Start waits for it.
+     */
+    async loadBank() {
+      const start = document.getElementById('start-test-btn');
+      const error = document.getElementById('start-error');
+      start.disabled = true;
+      // Answers are checked with Web Crypto, which needs https or localhost
+      if (!window.crypto || !window.crypto.subtle) {
+        error.textContent = '❌ This browser can\'t mark the test on this address. Please open the site over https.';
+        return;
+      }
+      const bank = await QuestionBank.load(CONFIG.TEST_QUESTION_BANK_URL);
+      if (bank.error) {
+        error.textContent = location.protocol === 'file:'
+          ? '❌ A page opened from a file can\'t load the questions. Please serve the site locally (see Run Locally in the README).'
+          : '❌ The questions could not be loaded. Please check your connection and reload the page.';
+        return;
+      }
+
+      this.bank = bank;
+      this.total = this.bank.draw.reduce((sum, part) => sum + part.count, 0);
+      document.querySelectorAll('[data-test="total"]').forEach(element => {
+        element.textContent = this.total;
+      });
+      document.querySelectorAll('[data-test="passing-score"]').forEach(element => {
+        element.textContent = this.bank.passingScore;
+      });
+      start.disabled = false;
+      this.renderHistory();
+      this.restoreSession();
+    },
+
+    /**
+     * Show the proctoring rules and the accommodations the policy offers
+     */
+    renderRules() {
+      const rules = document.getElementById('proctoring-rules');
+      rules.replaceChildren(...Proctor.describe(this.policy).map(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        return item;
+      }));
+
+      const extraTime = document.getElementById('extra-time');
+      extraTime.replaceChildren(...this.policy.extraTime.map(percent => {
+        const option = document.createElement('option');
+        option.value = percent;
+        option.textContent = percent ? `${percent}% more time` : 'None';
+        return option;
+      }));
+      extraTime.closest('.accommodation').hidden = this.policy.extraTime.length < 2 && !this.policy.extraTime[0];
+      document.getElementById('no-fullscreen').closest('.accommodation').hidden =
+        !this.policy.requireFullscreen || !this.policy.allowNoFullscreen;
+    },
+
+    /**
+     * The accommodations chosen on the start screen
+     * @returns {Object} { extraTime: percent, fullscreen: whether full screen is required }
+     */
+    accommodations() {
+      const waived = this.policy.allowNoFullscreen && document.getElementById('no-fullscreen').checked;
+      return {
+        extraTime: Number(document.getElementById('extra-time').value) || 0,
+        fullscreen: this.policy.requireFullscreen && !waived
+      };
+    },
+
+    /**
+     * Update the time allowed and the start button for the chosen accommodations
+     */
+    updateAccommodations() {
+      const accommodations = this.accommodations();
+      this.duration = Math.round(CONFIG.TEST_DURATION * (100 + accommodations.extraTime) / 100);
+      this.timeLeft = this.duration;
+      this.updateTimerDisplay();
+      document.querySelectorAll('[data-test="minutes"]').forEach(element => {
+        element.textContent = this.duration % 60 ? (this.duration / 60).toFixed(1) : this.duration / 60;
+      });
+      document.getElementById('start-test-label').textContent = accommodations.fullscreen ? 'Start Test (Enter Full Screen)' : 'Start Test';
+    },
+
+    /**
+     * Bind the buttons and the answer inputs
+     */
+    bindEvents() {
+      document.getElementById('start-test-btn').addEventListener('click', () => this.requestStart());
+      document.getElementById('extra-time').addEventListener('change', () => this.updateAccommodations());
+      document.getElementById('no-fullscreen').addEventListener('change', () => this.updateAccommodations());
+      document.getElementById('test-notice').addEventListener('click', e => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'return-fullscreen') {
+          this.enterFullscreen().catch(() => this.notify('❌ The browser refused full screen. Press the button again, or use F11.', 'error', 'return-fullscreen'));
+        } else if (button.dataset.action === 'submit-anyway') {
+          this.submit();
+        }
+        if (button.dataset.action !== 'return-fullscreen') this.notify(null);
+      });
+
+      // Enter in a command answer must not submit the form
+      this.form.addEventListener('submit', e => e.preventDefault());
+      this.form.addEventListener('change', () => this.answerChanged());
+      this.form.addEventListener('input', () => this.answerChanged());
+      this.form.addEventListener('click', e => {
+        const button = e.target.closest('[data-move]');
+        if (button) this.moveStep(button);
+      });
+
+      document.getElementById('submit-btn').addEventListener('click', () => {
+        const unanswered = this.items.length - this.answeredCount();
+        if (unanswered > 0) {
+          this.notify(`⚠️ You have ${unanswered} unanswered question(s).`, 'warning', 'submit-anyway');
+          return;
+        }
+        this.submit();
+      });
+
+      document.getElementById('retake-btn').addEventListener('click', () => this.reset());
+      document.addEventListener('click', e => {
+        if (e.target.closest('[data-action="clear-test-history"]')) this.clearHistory();
+      });
+      document.getElementById('certificate-form').addEventListener('submit', e => {
+        e.preventDefault();
+        this.requestCertificate(document.getElementById('certificate-name').value);
+      });
+      document.getElementById('copy-certificate-request').addEventListener('click', e => this.copyRequest(e.currentTarget));
+    },
+
+    /**
+     * Start the test, entering full screen first unless it is waived
+     */
+    requestStart() {
+      const error = document.getElementById('start-error');
+      error.textContent = '';
+      if (!this.accommodations().fullscreen) {
+        this.start();
+        return;
+      }
+
+      const alternative = this.policy.allowNoFullscreen ? ', or choose "Don\'t require full screen" under accommodations' : '';
+      if (!document.fullscreenEnabled && !document.webkitFullscreenEnabled && !document.mozFullScreenEnabled && !document.msFullscreenEnabled) {
+        error.textContent = `❌ Full screen is not available in this browser. Please use Chrome, Firefox, Edge or Safari${alternative}.`;
+        return;
+      }
+      this.enterFullscreen().then(() => {
+        this.start();
+      }).catch(err => {
+        error.textContent = `❌ The test needs full screen. Please allow full screen access and try again${alternative}.`;
+        console.error('Fullscreen error:', err);
+      });
+    },
+
+    /**
+     * Ask the browser for full screen
+     * @returns {Promise}
+     */
+    enterFullscreen() {
+      const elem = document.documentElement;
+      const requestFullscreen = elem.requestFullscreen || elem.webkitRequestFullscreen || elem.mozRequestFullScreen || elem.msRequestFullscreen;
+      if (!requestFullscreen) return Promise.reject(new Error('Full screen is not supported'));
+      return Promise.resolve(requestFullscreen.call(elem));
+    },
+
+    /**
+     * Draw a fresh set of questions, start the clock and start proctoring
+     */
+    start() {
+      document.getElementById('password-section').style.display = 'none';
+      document.getElementById('quiz-section').style.display = 'block';
+
+      this.updateAccommodations();
+      this.accommodationsUsed = this.accommodations();
+      this.items = QuestionBank.draw(this.bank);
+      this.startTime = Date.now();
+      this.deadline = this.startTime + this.duration * 1000;
+      this.ended = false;
+      this.saveFailed = false;
+      this.renderQuestions();
+      this.updateAnsweredCount();
+      this.startProctoring();
+      this.startTimer();
+      this.saveSession();
+    },
+
+    /**
+     * Start proctoring the attempt, or carry on with its log after a reload
+     * @param {Object} [resume] - { startedAt, log } from Proctor.state()
+     */
+    startProctoring(resume) {
+      Proctor.start(this.policy, {
+        fullscreen: this.accommodationsUsed.fullscreen,
+        onNotice: (text, kind, action) => this.notify(text, kind, action),
+        onStrikeOut: reason => this.submit(reason),
+        onRecord: () => this.saveSession(),
+        resume: resume
+      });
+    },
+
+    /**
+     * Save the attempt in progress to sessionStorage: the questions drawn
+     * (with their option order), the answers so far, the repository of each
+     * hands-on task, the deadline and the proctoring log. It lasts as long
+     * as the tab, so a reload or a crash that restores the tab picks the
+     * attempt up again.
+     */
+    saveSession() {
+      if (this.ended) return;
+      const session = {
+        version: this.bank.version,
+        startTime: this.startTime,
+        deadline: this.deadline,
+        duration: this.duration,
+        accommodations: this.accommodationsUsed,
+        items: this.items.map(item => ({ id: item.question.id, choices: item.choices.map(choice => choice.index) })),
+        responses: this.items.map((item, index) => this.response(index)),
+        work: this.items.map((item, index) => (this.playgrounds[index] && this.form.children[index].dataset.answered
+          ? Snapshot.create(this.playgrounds[index].state)
+          : null)),
+        proctoring: Proctor.state()
+      };
+      try {
+        sessionStorage.setItem(CONFIG.TEST_SESSION_KEY, JSON.stringify(session));
+      } catch (e) {
+        // Storage is full or disabled: the test goes on, and the student knows a reload would lose it
+        if (!this.saveFailed) {
+          this.saveFailed = true;
+          this.notify('⚠️ This browser could not save your progress: reloading the page would lose your answers.', 'warning');
+        }
+      }
+    },
+
+    /**
+     * Forget the saved attempt
+     */
+    clearSession() {
+      try {
+        sessionStorage.removeItem(CONFIG.TEST_SESSION_KEY);
+      } catch (e) {
+        // Nothing was saved
+      }
+    },
+
+    /**
+     * Pick up an attempt saved before a reload: carry on with it, or
+     * submit it if its time ran out while the page was closed
+     */
+    restoreSession() {
+      let saved = null;
+      try {
+        saved = JSON.parse(sessionStorage.getItem(CONFIG.TEST_SESSION_KEY));
+      } catch (e) {
+        // Unreadable: nothing to restore
+      }
+      if (!saved) return;
+
+      const items = this.readSession(saved);
+      if (!items) {
+        this.clearSession();
+        document.getElementById('start-error').textContent = '❌ Your unfinished test could not be restored, because the questions have changed since it started. Please start again.';
+        return;
+      }
+
+      this.items = items;
+      this.startTime = saved.startTime;
+      this.deadline = saved.deadline;
+      this.duration = saved.duration;
+      this.accommodationsUsed = saved.accommodations;
+      this.ended = false;
+      this.saveFailed = false;
+      document.getElementById('password-section').style.display = 'none';
+      document.getElementById('quiz-section').style.display = 'block';
+      this.renderQuestions();
+      saved.responses.forEach((response, index) => this.applyResponse(index, response));
+      this.startProctoring(saved.proctoring);
+      this.restoreWork(saved.work || []);
+      this.updateAnsweredCount();
+
+      if (Date.now() >= this.deadline) {
+        this.submit('Time ran out while the page was closed');
+        return;
+      }
+      this.startTimer();
+      // A reload leaves full screen; coming back to it is the usual grace period
+      if (this.accommodationsUsed.fullscreen && this.policy.signals.includes('fullscreen') && !Proctor.isFullscreen()) {
+        Proctor.leave('fullscreen');
+      } else {
+        this.notify('Your test was restored after the page reloaded. The clock kept running while it was closed.', 'info');
+      }
+    },
+
+    /**
+     * Put back the repositories of the hands-on tasks the student had started
+     * @param {Array<Object|null>} work - Playground snapshots, by position in the test
+     */
+    restoreWork(work) {
+      work.forEach((snapshot, index) => {
+        const playground = this.playgrounds[index];
+        if (!playground || !snapshot) return;
+        const result = Snapshot.read(snapshot);
+        if (result.error) {
+          console.warn(`Could not restore the work on question ${index + 1}: ${result.error}`);
+          return;
+        }
+        playground.loadState(result.state, 'Your work on this task was restored after the page reloaded.');
+      });
+    },
+
+    /**
+     * Check a saved attempt against the question bank
+     * @param {Object} saved - From sessionStorage
+     * @returns {Array<Object>|null} The drawn questions, as QuestionBank.prepare() gives them,
+     *   or null if the attempt can't be restored
+     */
+    readSession(saved) {
+      const valid = saved.version === this.bank.version &&
+        [saved.startTime, saved.deadline, saved.duration].every(Number.isFinite) &&
+        saved.accommodations && Array.isArray(saved.items) && saved.items.length &&
+        Array.isArray(saved.responses) && saved.responses.length === saved.items.length &&
+        saved.proctoring && Array.isArray(saved.proctoring.log);
+      if (!valid) return null;
+
+      const items = saved.items.map(entry => {
+        const question = this.bank.questions.find(candidate => candidate.id === entry.id);
+        if (!question || !Array.isArray(entry.choices)) return null;
+        const texts = question.type === 'order' ? question.steps : (question.options || []);
+        const sorted = entry.choices.slice().sort((a, b) => a - b);
+        if (sorted.length !== texts.length || sorted.some((choice, i) => choice !== i)) return null;
+        return { question: question, choices: entry.choices.map(index => ({ text: texts[index], index: index })) };
+      });
+      return items.every(Boolean) ? items : null;
+    },
+
+    /**
+     * Show a message in the page, without blocking the test the way
+     * alert() does (a dialog can itself take the focus away)
+     * @param {string|null} text - null hides the message
+     * @param {string} [kind] - 'info', 'warning' or 'error'
+     * @param {string} [action] - 'return-fullscreen' or 'submit-anyway', for a button
+     */
+    notify(text, kind = 'info', action) {
+      const notice = document.getElementById('test-notice');
+      clearTimeout(this.noticeTimer);
+      notice.hidden = !text;
+      if (!text) return;
+
+      notice.className = `test-notice ${kind}`;
+      const message = document.createElement('span');
+      message.textContent = text;
+      notice.replaceChildren(message);
+      if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-primary btn-sm';
+        button.dataset.action = action;
+        button.textContent = action === 'return-fullscreen' ? 'Return to full screen' : 'Submit anyway';
+        notice.appendChild(button);
+      }
+      const dismiss = document.createElement('button');
+      dismiss.type = 'button';
+      dismiss.className = 'test-notice-dismiss';
+      dismiss.dataset.action = 'dismiss-notice';
+      dismiss.setAttribute('aria-label', 'Dismiss');
+      dismiss.textContent = '×';
+      notice.appendChild(dismiss);
+
+      // Information fades on its own; warnings stay until dealt with
+      if (kind === 'info') {
+        this.noticeTimer = setTimeout(() => this.notify(null), 5000);
+      }
+    },
+
+    /**
+     * Leave full screen, if the browser is in it
+     */
+    exitFullscreen() {
+      const exitFullscreen = document.exitFullscreen || document.webkitExitFullscreen ||
+                           document.mozCancelFullScreen || document.msExitFullscreen;
+      if (!exitFullscreen || !Proctor.isFullscreen()) return;
+      const result = exitFullscreen.call(document);
+      if (result && result.catch) {
+        result.catch(err => {
+          console.error('Error exiting fullscreen:', err);
+        });
+      }
+    },
+
+    /**
+     * Count down to the deadline, with warnings at 5 minutes and 1 minute
+     */
+    startTimer() {
+      clearInterval(this.timerInterval);
+      this.timeLeft = Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000));
+      this.updateTimerDisplay();
+      // Several ticks a second, so the display keeps up; each works out the time from the clock
+      this.timerInterval = setInterval(() => this.tick(), 250);
+    },
+
+    /**
+     * Work out the time left from the deadline. Counting ticks instead
+     * would drift, since browsers slow timers down in background tabs.
+     */
+    tick() {
+      const previous = this.timeLeft;
+      this.timeLeft = Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000));
+      if (this.timeLeft !== previous) this.updateTimerDisplay();
+
+      if (previous > 300 && this.timeLeft <= 300 && this.timeLeft > 60) {
+        this.notify('⏰ 5 minutes remaining!', 'info');
+      }
+      if (previous > 60 && this.timeLeft <= 60 && this.timeLeft > 0) {
+        this.notify('⚠️ 1 minute remaining!', 'warning');
+      }
+      if (this.timeLeft <= 0) {
+        this.submit('Time is up');
+      }
+    },
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatTime(seconds) {
+      const minutes = Math.floor(seconds / 60);
+      const rest = seconds % 60;
+      return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+    },
+
+    /**
+     * Show the time left, in orange under 5 minutes and red under 1
+     */
+    updateTimerDisplay() {
+      document.getElementById('timer-display').textContent = this.formatTime(this.timeLeft);
+
+      const timerElement = document.getElementById('timer');
+      if (this.timeLeft <= 60) {
+        timerElement.style.color = '#cf222e';
+      } else if (this.timeLeft <= 300) {
+        timerElement.style.color = '#fb8500';
+      } else {
+        timerElement.style.color = '';
+      }
+    },
+
+    /**
+     * Render the drawn questions into the form
+     */
+    renderQuestions() {
+      this.form.innerHTML = '';
+      // The terminal of each hands-on task, and which of its goals held before
+      // the student did anything, by position in the test
+      this.playgrounds = [];
+      this.startingGoals = [];
+      this.items.forEach((item, index) => this.form.appendChild(this.renderQuestion(item, index)));
+    },
+
+    /**
+     * A question card, with the inputs its type is answered with
+     * @param {Object} item - From QuestionBank.prepare()
+     * @param {number} index - Position in the test
+     * @returns {HTMLElement}
+     */
+    renderQuestion(item, index) {
+      const question = item.question;
+      const card = document.createElement('div');
+      card.className = 'question-card';
+      card.dataset.type = question.type;
+
+      const title = document.createElement('h3');
+      title.className = 'question-title';
+      const number = document.createElement('span');
+      number.className = 'question-number';
+      number.textContent = `Question ${index + 1}`;
+      title.appendChild(number);
+
+      const text = document.createElement('p');
+      text.className = 'question-text';
+      text.id = `q${index}-text`;
+      text.textContent = question.question;
+      card.append(title, text);
+
+      const instructions = {
+        multiple: 'Select all that apply.',
+        order: 'Use the arrows to put the steps in order.',
+        command: 'Type the command.',
+        task: 'Do it in the terminal below. What counts is the repository you end with, and each goal met earns part of the point.'
+      };
+      if (instructions[question.type]) {
+        const hint = document.createElement('p');
+        hint.className = 'question-hint';
+        hint.textContent = instructions[question.type];
+        card.appendChild(hint);
+      }
+
+      if (question.type === 'single' || question.type === 'multiple') {
+        const list = document.createElement('div');
+        list.className = 'options-list';
+        item.choices.forEach(choice => {
+          const label = document.createElement('label');
+          label.className = 'option-label';
+          const input = document.createElement('input');
+          input.type = question.type === 'single' ? 'radio' : 'checkbox';
+          input.name = `q${index}`;
+          input.value = choice.index;
+          const option = document.createElement('span');
+          option.className = 'option-text';
+          option.textContent = choice.text;
+          label.append(input, option);
+          list.appendChild(label);
+        });
+        card.appendChild(list);
+      } else if (question.type === 'order') {
+        const list = document.createElement('ol');
+        list.className = 'order-list';
+        item.choices.forEach(choice => {
+          const step = document.createElement('li');
+          step.className = 'order-step';
+          step.dataset.index = choice.index;
+          const label = document.createElement('span');
+          label.className = 'option-text';
+          label.textContent = choice.text;
+          step.appendChild(label);
+          [['-1', '↑', 'Move up'], ['1', '↓', 'Move down']].forEach(([move, arrow, name]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'order-move';
+            button.dataset.move = move;
+            button.textContent = arrow;
+            button.setAttribute('aria-label', `${name}: ${choice.text}`);
+            step.appendChild(button);
+          });
+          list.appendChild(step);
+        });
+        card.appendChild(list);
+      } else if (question.type === 'task') {
+        const terminal = document.createElement('div');
+        card.appendChild(terminal);
+        this.playgrounds[index] = GitPlayground.mount(terminal, {
+          scenario: question.scenario,
+          setup: question.setup,
+          welcome: 'This repository is set up for the task above. Reset starts it over.',
+          commands: question.commands || null,
+          onChange: () => {
+            card.dataset.answered = 'true';
+            this.answerChanged();
+          }
+        });
+        this.startingGoals[index] = ChallengeMode.checkGoals(this.playgrounds[index], question.goals).map(goal => goal.done);
+      } else {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'command-input';
+        input.name = `q${index}`;
+        input.placeholder = 'git ...';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.setAttribute('autocapitalize', 'off');
+        input.setAttribute('aria-labelledby', `q${index}-text`);
+        card.appendChild(input);
+      }
+      return card;
+    },
+
+    /**
+     * Move a step of an ordering question up or down. A sequence counts
+     * as answered once a step has been moved.
+     * @param {HTMLElement} button - An arrow with data-move="-1" or "1"
+     */
+    moveStep(button) {
+      const step = button.closest('.order-step');
+      const list = step.parentElement;
+      if (button.dataset.move === '-1' && step.previousElementSibling) {
+        list.insertBefore(step, step.previousElementSibling);
+      } else if (button.dataset.move === '1' && step.nextElementSibling) {
+        list.insertBefore(step.nextElementSibling, step);
+      } else {
+        return;
+      }
+      step.closest('.question-card').dataset.answered = 'true';
+      button.focus();
+      this.answerChanged();
+    },
+
+    /**
+     * The response given to a question, in the form QuestionBank.grade()
+     * takes. A task counts as answered once it meets a goal that didn't
+     * hold at the start: goals like "keep the first commit" are true
+     * before anything is done, and mustn't earn points on their own.
+     * @param {number} index - Position in the test
+     * @returns {number|Array<number>|Array<boolean>|string|null} null when unanswered
+     */
+    response(index) {
+      const card = this.form.children[index];
+      switch (this.items[index].question.type) {
+        case 'single': {
+          const selected = card.querySelector('input:checked');
+          return selected ? Number(selected.value) : null;
+        }
+        case 'multiple': {
+          const selected = [...card.querySelectorAll('input:checked')].map(input => Number(input.value));
+          return selected.length ? selected : null;
+        }
+        case 'order':
+          return card.dataset.answered ? [...card.querySelectorAll('.order-step')].map(step => Number(step.dataset.index)) : null;
+        case 'command':
+          return card.querySelector('input').value.trim() || null;
+        case 'task': {
+          if (!card.dataset.answered) return null;
+          const done = ChallengeMode.checkGoals(this.playgrounds[index], this.items[index].question.goals).map(goal => goal.done);
+          return done.some((met, i) => met && !this.startingGoals[index][i]) ? done : null;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * How many questions have a response
+     * @returns {number}
+     */
+    answeredCount() {
+      return this.items.filter((item, index) => this.response(index) !== null).length;
+    },
+
+    /**
+     * Show how many questions have a response
+     */
+    updateAnsweredCount() {
+      document.getElementById('answered-count').textContent = this.answeredCount();
+    },
+
+    /**
+     * An answer was given or changed
+     */
+    answerChanged() {
+      this.updateAnsweredCount();
+      this.saveSession();
+    },
+
+    /**
+     * Put a saved response back into its question's inputs
+     * @param {number} index - Position in the test
+     * @param {number|Array<number>|Array<boolean>|string|null} response - From response()
+     */
+    applyResponse(index, response) {
+      if (response === null || response === undefined) return;
+      const card = this.form.children[index];
+      switch (this.items[index].question.type) {
+        case 'single':
+        case 'multiple':
+          card.querySelectorAll('input').forEach(input => {
+            input.checked = [].concat(response).includes(Number(input.value));
+          });
+          break;
+        case 'order': {
+          const list = card.querySelector('.order-list');
+          response.forEach(stepIndex => {
+            const step = list.querySelector(`[data-index="${stepIndex}"]`);
+            if (step) list.appendChild(step);
+          });
+          card.dataset.answered = 'true';
+          break;
+        }
+        case 'command':
+          card.querySelector('input').value = response;
+          break;
+      }
+    },
+
+    /**
+     * Score the test and show the result
+     * @param {string} [reason] - Why the test was submitted for the student,
+     *   e.g. 'Time is up'; leave it out when they submitted it themselves
+     */
+    async submit(reason) {
+      if (this.ended) return; // Prevent double submission
 
-          return `* ${playground.state.branch}
+      this.ended = true;
+      clearInterval(this.timerInterval);
+      this.notify(null);
+      this.clearSession();
+      const log = Proctor.stop();
+      const seconds = Math.min(this.duration, Math.floor((Date.now() - this.startTime) / 1000));
+      this.finishedOn = new Date();
 
-Hint: You're on the '${playground.state.branch}' branch. In a real project, you might have multiple branches!`;
-        }
+      const responses = this.items.map((item, index) => this.response(index));
+      const credits = await Promise.all(this.items.map((item, index) => QuestionBank.grade(this.bank, item.question, responses[index])));
+      // Only now that the test is over are the answers decrypted
+      const reveals = await Promise.all(this.items.map(item => QuestionBank.reveal(this.bank, item.question)));
+      const results = this.items.map((item, index) => ({
+        question: item.question,
+        response: responses[index],
+        credit: credits[index],
+        correct: credits[index] === 1,
+        answer: reveals[index] ? reveals[index].answer : null,
+        explanation: reveals[index] ? reveals[index].explanation : null
+      }));
+      const score = this.points(results.reduce((sum, result) => sum + result.credit, 0));
+      const total = this.items.length;
+      const timeTaken = this.formatTime(seconds);
+      this.score = score;
+
+      document.getElementById('quiz-section').style.display = 'none';
+      document.getElementById('results-section').style.display = 'block';
+      document.getElementById('score-number').textContent = score;
+
+      const scoreMessage = document.getElementById('score-message');
+      const percentage = total ? Math.round((score / total) * 100) : 0;
+      const submitted = reason ? `<br>Submitted automatically: ${reason}` : '';
+      if (score >= this.bank.passingScore) {
+        scoreMessage.innerHTML = `
+          <strong style="color: #2ea043;">✅ Passed!</strong><br>
+          You scored ${percentage}% (${score}/${total})<br>
+          Time taken: ${timeTaken}${submitted}
+        `;
+        document.getElementById('badge').style.display = 'block';
+        document.getElementById('badge-date').textContent = new Date().toLocaleDateString('en-US', {
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric'
+        });
+        this.showRequest(null);
+      } else {
+        scoreMessage.innerHTML = `
+          <strong style="color: #cf222e;">❌ Not Passed</strong><br>
+          You scored ${percentage}% (${score}/${total})<br>
+          You need ${this.bank.passingScore}/${total} to pass<br>
+          Time taken: ${timeTaken}${submitted}
+        `;
+        document.getElementById('badge').style.display = 'none';
       }
+
+      const strikes = log.filter(entry => entry.event === 'strike').length;
+      this.recordAttempt(results, seconds, { strikes: strikes, endedBy: reason || null, accommodations: this.accommodationsUsed });
+      this.renderProctoringLog(log);
+      this.renderReview(results);
+      this.renderHistory();
+      this.exitFullscreen();
     },
 
     /**
-     * Initialize the playground
+     * A score rounded to hundredths, since hands-on tasks earn parts of a point
+     * @param {number} value
+     * @returns {number}
      */
-    init() {
-      this.terminal = document.querySelector('.playground-terminal');
-      if (!this.terminal) return;
+    points(value) {
+      return Math.round(value * 100) / 100;
+    },
 
-      this.output = this.terminal.querySelector('.playground-output');
-      this.input = this.terminal.querySelector('.playground-input');
-      this.statusIndicator = document.querySelector('.status-indicator .status-dot');
-      this.statusText = document.querySelector('.status-indicator .status-text');
+    /**
+     * Show the accommodations used and the proctoring log of the attempt
+     * @param {Array<Object>} log - From Proctor.stop()
+     */
+    renderProctoringLog(log) {
+      const container = document.getElementById('proctoring-log');
+      if (!container) return;
+      container.innerHTML = '';
 
-      this.bindEvents();
-      this.printWelcome();
-      this.updateStatusIndicator();
+      const heading = document.createElement('h3');
+      heading.textContent = 'Proctoring log';
+      const accommodations = document.createElement('p');
+      accommodations.className = 'proctoring-log-accommodations';
+      accommodations.textContent = `Accommodations: ${this.describeAccommodations(this.accommodationsUsed)}`;
+      container.append(heading, accommodations);
+
+      const list = document.createElement('ol');
+      list.className = 'proctoring-log-list';
+      log.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `proctoring-log-entry ${entry.event}`;
+        const time = document.createElement('time');
+        time.dateTime = entry.time;
+        time.title = new Date(entry.time).toLocaleString();
+        time.textContent = this.formatTime(entry.elapsed);
+        item.append(time, ` ${Proctor.describeEntry(entry)}`);
+        list.appendChild(item);
+      });
+      container.appendChild(list);
     },
 
     /**
-     * Bind event listeners
+     * Accommodations in words
+     * @param {Object} accommodations - { extraTime, fullscreen }
+     * @returns {string}
      */
-    bindEvents() {
-      // Input handling
-      this.input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          e.preventDefault();
-          this.executeCommand(this.input.value);
-          this.input.value = '';
-        }
+    describeAccommodations(accommodations) {
+      const used = [];
+      if (accommodations.extraTime) used.push(`${accommodations.extraTime}% extra time`);
+      if (!accommodations.fullscreen && this.policy.requireFullscreen) used.push('full screen not required');
+      return used.length ? used.join('; ') : 'none';
+    },
+
+    /**
+     * Past attempts saved in this browser, oldest first
+     * @returns {Array<Object>} { date, score, total, passed, seconds, topics: { topic: { correct, total } },
+     *   strikes, endedBy, accommodations }
+     */
+    attempts() {
+      return SavedList.read(CONFIG.TEST_HISTORY_KEY, attempt =>
+        attempt && typeof attempt.date === 'string' && Number.isFinite(attempt.score) && attempt.topics);
+    },
+
+    /**
+     * Save an attempt, with how it went on each topic
+     * @param {Array<Object>} results - { question, response, credit, correct, answer, explanation } per question
+     * @param {number} seconds - Time taken
+     * @param {Object} proctoring - { strikes, endedBy, accommodations }
+     */
+    recordAttempt(results, seconds, proctoring) {
+      const topics = {};
+      results.forEach(result => {
+        const topic = topics[result.question.topic] || (topics[result.question.topic] = { correct: 0, total: 0 });
+        topic.total++;
+        topic.correct = this.points(topic.correct + result.credit);
       });
+      const score = this.points(results.reduce((sum, result) => sum + result.credit, 0));
 
-      // Clear button
-      const clearBtn = document.querySelector('[data-action="clear"]');
-      if (clearBtn) {
-        clearBtn.addEventListener('click', () => this.clearOutput());
+      const attempts = this.attempts().concat({
+        date: new Date().toISOString(),
+        score: score,
+        total: results.length,
+        passed: score >= this.bank.passingScore,
+        seconds: seconds,
+        topics: topics,
+        strikes: proctoring.strikes,
+        endedBy: proctoring.endedBy,
+        accommodations: proctoring.accommodations
+      });
+      try {
+        localStorage.setItem(CONFIG.TEST_HISTORY_KEY, JSON.stringify(attempts.slice(-CONFIG.TEST_HISTORY_LIMIT)));
+      } catch (e) {
+        // Storage is full or disabled: the review still shows this attempt, it just isn't kept
       }
+    },
 
-      // Reset button
-      const resetBtn = document.querySelector('[data-action="reset"]');
-      if (resetBtn) {
-        resetBtn.addEventListener('click', () => this.reset());
-      }
+    /**
+     * List every question with the answer given, the right answer (for a
+     * task, an example that meets its goals), why it is right and the
+     * lesson to read
+     * @param {Array<Object>} results - { question, response, credit, correct, answer, explanation } per question
+     */
+    renderReview(results) {
+      const review = document.getElementById('answer-review');
+      if (!review) return;
+      review.innerHTML = '';
 
-      // Help command clicks
-      const helpCommands = document.querySelectorAll('.help-command');
-      helpCommands.forEach(cmd => {
-        cmd.addEventListener('click', () => {
-          const command = cmd.querySelector('.help-command-name').textContent;
-          this.input.value = command;
-          this.input.focus();
+      const heading = document.createElement('h3');
+      heading.textContent = 'Review your answers';
+      const list = document.createElement('ol');
+      list.className = 'review-list';
+      review.append(heading, list);
+
+      results.forEach(result => {
+        const question = result.question;
+        const item = document.createElement('li');
+        const outcome = result.correct ? 'correct' : result.credit > 0 ? 'partial' : 'incorrect';
+        item.className = `review-item ${outcome}`;
+
+        const text = document.createElement('p');
+        text.className = 'review-question';
+        const mark = document.createElement('span');
+        mark.className = 'review-mark';
+        mark.textContent = { correct: '✓', partial: '◐', incorrect: '✗' }[outcome];
+        mark.setAttribute('aria-label', { correct: 'Correct', partial: 'Partly correct', incorrect: 'Incorrect' }[outcome]);
+        text.append(mark, question.question);
+        item.appendChild(text);
+
+        const answers = document.createElement('dl');
+        answers.className = 'review-answers';
+        const given = QuestionBank.describe(question, result.response);
+        const task = question.type === 'task';
+        const rows = [[task ? 'Goals' : 'Your answer', given === null ? 'Not answered' : given]];
+        if (task) rows.push(['Points', `${this.points(result.credit)} of 1`]);
+        if (result.answer) rows.push([task ? 'One way to do it' : 'Correct answer', result.answer]);
+        rows.forEach(([label, value]) => {
+          const term = document.createElement('dt');
+          term.textContent = label;
+          const detail = document.createElement('dd');
+          detail.textContent = value;
+          if (question.type === 'command' || question.type === 'order' || label === 'One way to do it') detail.classList.add('review-code');
+          if (task && label !== 'Points') detail.classList.add('review-lines');
+          answers.append(term, detail);
         });
-      });
+        item.appendChild(answers);
 
-      // Focus input when clicking terminal
-      this.terminal.addEventListener('click', (e) => {
-        if (!e.target.closest('button')) {
-          this.input.focus();
+        if (result.explanation) {
+          const explanation = document.createElement('p');
+          explanation.className = 'review-explanation';
+          explanation.textContent = result.explanation;
+          item.appendChild(explanation);
+        }
+        if (question.lesson) {
+          const lesson = document.createElement('a');
+          lesson.className = 'review-lesson';
+          lesson.href = `learn.html#${question.lesson}`;
+          lesson.textContent = 'Read the lesson →';
+          item.appendChild(lesson);
         }
+        list.appendChild(item);
       });
     },
 
     /**
-     * Print welcome message
+     * Show past attempts and a per-topic breakdown, weakest topic first,
+     * in every [data-test="history"] container
      */
-    printWelcome() {
-      this.printLine('Welcome to the Git Playground! 🎮', 'info');
-      this.printLine('Practice Git commands in a safe, simulated environment.', 'info');
-      this.printLine('');
-      this.printLine('Type "help" to see available commands.', 'info');
-      this.printLine('Try starting with "git init" to initialize a repository.', 'info');
-      this.printLine('─'.repeat(50), 'info');
-      this.printLine('');
-    },
+    renderHistory() {
+      const attempts = this.attempts();
+      document.querySelectorAll('[data-test="history"]').forEach(container => {
+        container.innerHTML = '';
+        container.hidden = !attempts.length;
+        if (!attempts.length) return;
 
-    /**
-     * Execute a command
-     * @param {string} commandStr - The command string to execute
-     */
-    executeCommand(commandStr) {
-      const trimmed = commandStr.trim();
-      if (!trimmed) return;
+        const heading = document.createElement('h3');
+        heading.textContent = 'Your attempts';
+        container.appendChild(heading);
+        container.appendChild(this.table(['Date', 'Score', 'Result', 'Time', 'Notes'], attempts.slice().reverse().map(attempt => [
+          new Date(attempt.date).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+          `${attempt.score}/${attempt.total}`,
+          attempt.passed ? '✅ Passed' : '❌ Not passed',
+          this.formatTime(attempt.seconds || 0),
+          this.attemptNotes(attempt)
+        ])));
 
-      // Echo the command
-      this.printLine(`$ ${trimmed}`, 'command');
+        // Totals per topic, over every attempt and for the latest one
+        const latest = attempts[attempts.length - 1].topics;
+        const overall = {};
+        attempts.forEach(attempt => {
+          Object.entries(attempt.topics).forEach(([topic, counts]) => {
+            const sum = overall[topic] || (overall[topic] = { correct: 0, total: 0 });
+            sum.correct += counts.correct;
+            sum.total += counts.total;
+          });
+        });
+        const ratio = counts => counts.total ? counts.correct / counts.total : 0;
+        const topics = Object.keys(overall).sort((a, b) => ratio(overall[a]) - ratio(overall[b]));
 
-      // Parse command and arguments
-      const parts = trimmed.split(' ');
-      let command = parts[0];
-      let args = parts.slice(1);
+        const topicHeading = document.createElement('h3');
+        topicHeading.textContent = 'By topic';
+        const note = document.createElement('p');
+        note.className = 'attempt-history-note';
+        note.textContent = 'Weakest topics first: study these before you retake.';
+        container.append(topicHeading, note);
+        const table = this.table(['Topic', 'Last attempt', 'All attempts'], topics.map(topic => [
+          this.bank.topics[topic] || topic,
+          latest[topic] ? `${this.points(latest[topic].correct)}/${latest[topic].total}` : '—',
+          `${this.points(overall[topic].correct)}/${overall[topic].total} (${Math.round(ratio(overall[topic]) * 100)}%)`
+        ]));
+        // A topic below the pass mark is one to work on
+        const passRatio = this.total ? this.bank.passingScore / this.total : 0;
+        topics.forEach((topic, i) => {
+          if (ratio(overall[topic]) < passRatio) table.tBodies[0].rows[i].classList.add('weak');
+        });
+        container.appendChild(table);
 
-      // Handle git subcommands
-      if (command === 'git' && parts.length > 1) {
-        command = `git ${parts[1]}`;
-        args = parts.slice(2);
-      }
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'btn btn-secondary btn-sm';
+        clear.dataset.action = 'clear-test-history';
+        clear.textContent = 'Clear history';
+        container.appendChild(clear);
+      });
+    },
 
-      // Find and execute command handler
-      const handler = this.commands[command];
-      if (handler) {
-        const result = handler.handler(this, args);
-        if (result !== null) {
-          this.printLine(result);
-        }
-      } else if (command === 'git') {
-        this.printLine(`git: '${parts[1] || ''}' is not a git command. See 'help'.`, 'error');
-      } else {
-        this.printLine(`Command not found: ${command}. Type 'help' for available commands.`, 'error');
+    /**
+     * What else to know about an attempt: how it ended, strikes and
+     * accommodations (older attempts have none of these)
+     * @param {Object} attempt
+     * @returns {string}
+     */
+    attemptNotes(attempt) {
+      const notes = [];
+      if (attempt.endedBy) notes.push(attempt.endedBy);
+      if (attempt.strikes && !/strike/.test(attempt.endedBy || '')) notes.push(`${attempt.strikes} strike${attempt.strikes === 1 ? '' : 's'}`);
+      if (attempt.accommodations) {
+        const accommodations = this.describeAccommodations(attempt.accommodations);
+        if (accommodations !== 'none') notes.push(accommodations);
       }
-
-      this.printLine('');
-      this.scrollToBottom();
+      return notes.join('; ') || '—';
     },
 
     /**
-     * Print a line to the terminal output
-     * @param {string} text - Text to print
-     * @param {string} type - Line type (command, error, success, info)
+     * A simple table
+     * @param {string[]} headings
+     * @param {Array<string[]>} rows
+     * @returns {HTMLTableElement}
      */
-    printLine(text, type = '') {
-      const line = document.createElement('div');
-      line.className = 'output-line';
-      if (type) line.classList.add(type);
-      
-      // Handle ANSI color codes (simplified)
-      text = text.replace(/\x1b\[32m/g, '<span class="text-success">');
-      text = text.replace(/\x1b\[31m/g, '<span class="text-error">');
-      text = text.replace(/\x1b\[0m/g, '</span>');
-      
-      line.innerHTML = text;
-      this.output.appendChild(line);
+    table(headings, rows) {
+      const table = document.createElement('table');
+      table.className = 'attempt-table';
+      const head = table.createTHead().insertRow();
+      headings.forEach(text => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = text;
+        head.appendChild(cell);
+      });
+      const body = table.createTBody();
+      rows.forEach(values => {
+        const row = body.insertRow();
+        values.forEach(value => {
+          row.insertCell().textContent = value;
+        });
+      });
+      return table;
     },
 
     /**
-     * Clear the terminal output
+     * Forget every past attempt, after asking
      */
-    clearOutput() {
-      this.output.innerHTML = '';
-      this.printWelcome();
+    clearHistory() {
+      if (!confirm('Delete the record of all your past attempts in this browser?')) return;
+      localStorage.removeItem(CONFIG.TEST_HISTORY_KEY);
+      this.renderHistory();
     },
 
     /**
-     * Reset the playground state
+     * Back to the start screen for another attempt
      */
     reset() {
-      this.state = {
-        initialized: false,
-        branch: 'main',
-        stagedFiles: [],
-        modifiedFiles: ['README.md', 'index.html', 'style.css'],
-        commits: [],
-        workingDirectory: '/my-project'
-      };
-      this.clearOutput();
-      this.updateStatusIndicator();
-      this.printLine('Playground reset! Start fresh with "git init".', 'success');
-      this.printLine('');
+      this.ended = true;
+      this.clearSession();
+      Proctor.stop();
+      this.notify(null);
+      this.items = [];
+      this.form.innerHTML = '';
+      this.updateAccommodations();
+
+      document.getElementById('results-section').style.display = 'none';
+      document.getElementById('password-section').style.display = 'block';
     },
 
     /**
-     * Update the status indicator
+     * Make a certificate request for the passed test in the given name and
+     * show it. The page can't sign it: the maintainers keep that key.
+     * @param {string} text - Name as typed
      */
-    updateStatusIndicator() {
-      if (this.statusIndicator && this.statusText) {
-        if (this.state.initialized) {
-          this.statusIndicator.classList.add('initialized');
-          this.statusIndicator.classList.remove('not-initialized');
-          this.statusText.textContent = 'Repository initialized';
-        } else {
-          this.statusIndicator.classList.remove('initialized');
-          this.statusIndicator.classList.add('not-initialized');
-          this.statusText.textContent = 'No repository';
-        }
+    requestCertificate(text) {
+      const name = Certificate.cleanName(text);
+      const error = document.getElementById('certificate-error');
+      error.textContent = '';
+      if (!name) {
+        error.textContent = 'Enter the name to put on your certificate.';
+        return;
       }
+
+      const finished = this.finishedOn;
+      const pad = number => String(number).padStart(2, '0');
+      this.showRequest(Certificate.request({
+        name: name,
+        score: this.score,
+        total: this.items.length,
+        date: `${finished.getFullYear()}-${pad(finished.getMonth() + 1)}-${pad(finished.getDate())}`,
+        version: this.bank.version
+      }));
     },
 
     /**
-     * Scroll terminal to bottom
+     * Show a certificate request, or (with null) hide the last one
+     * @param {string|null} request
      */
-    scrollToBottom() {
-      this.output.scrollTop = this.output.scrollHeight;
+    showRequest(request) {
+      const panel = document.getElementById('certificate-request');
+      panel.hidden = !request;
+      if (!request) {
+        document.getElementById('certificate-error').textContent = '';
+        return;
+      }
+      document.getElementById('certificate-request-code').textContent = request;
     },
 
     /**
-     * Generate a fake commit hash
-     * @returns {string} A 40-character hex string
+     * Copy the request, to send it off for signing
+     * @param {HTMLElement} button
      */
-    generateHash() {
-      const chars = '0123456789abcdef';
-      let hash = '';
-      for (let i = 0; i < 40; i++) {
-        hash += chars[Math.floor(Math.random() * chars.length)];
+    async copyRequest(button) {
+      const original = button.textContent;
+      try {
+        await navigator.clipboard.writeText(document.getElementById('certificate-request-code').textContent);
+        button.textContent = 'Copied!';
+      } catch (e) {
+        button.textContent = 'Failed';
       }
-      return hash;
+      setTimeout(() => {
+        button.textContent = original;
+      }, 2000);
     }
   };
 
   // ============================================
-  // Cheatsheet Search
+  // Certificate Verification Page
   // ============================================
-  
-  const CheatsheetSearch = {
-    init() {
-      const searchInput = document.querySelector('.search-input');
-      if (!searchInput) return;
-
-      const commandItems = document.querySelectorAll('.command-item');
-      const categories = document.querySelectorAll('.cheatsheet-category');
-
-      searchInput.addEventListener('input', (e) => {
-        const query = e.target.value.toLowerCase().trim();
-
-        if (!query) {
-          // Show all items
-          commandItems.forEach(item => item.style.display = '');
-          categories.forEach(cat => cat.style.display = '');
-          return;
-        }
-
-        // Filter items
-        categories.forEach(category => {
-          const items = category.querySelectorAll('.command-item');
-          let visibleCount = 0;
 
-          items.forEach(item => {
-            const syntax = item.querySelector('.command-syntax').textContent.toLowerCase();
-            const description = item.querySelector('.command-description').textContent.toLowerCase();
-            const matches = syntax.includes(query) || description.includes(query);
-            
-            item.style.display = matches ? '' : 'none';
-            if (matches) visibleCount++;
-          });
+  const CertificateVerifier = {
+    /**
+     * Set up the verify page, if this is it. A link with #code=... is
+     * checked straight away.
+     */
+    init() {
+      this.form = document.getElementById('verify-form');
+      if (!this.form) return;
+      this.input = document.getElementById('verification-code');
+      this.result = document.getElementById('verify-result');
 
-          // Hide category if no visible items
-          category.style.display = visibleCount === 0 ? 'none' : '';
-        });
+      this.form.addEventListener('submit', e => {
+        e.preventDefault();
+        this.check(this.input.value);
       });
 
-      // Clear search on Escape
-      searchInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-          searchInput.value = '';
-          searchInput.dispatchEvent(new Event('input'));
-        }
+      document.getElementById('certificate').addEventListener('click', e => {
+        const button = e.target.closest('[data-action]');
+        if (button) this.certificateAction(button);
       });
-    }
-  };
 
-  // ============================================
-  // Lesson Progress Tracking
-  // ============================================
-  
-  const LessonProgress = {
-    init() {
-      this.loadProgress();
-      this.bindEvents();
-      this.updateUI();
-    },
-
-    /**
-     * Load progress from localStorage
-     */
-    loadProgress() {
-      const saved = localStorage.getItem(CONFIG.COMPLETED_LESSONS_KEY);
-      this.completed = saved ? JSON.parse(saved) : [];
+      const match = location.hash.match(/^#code=(.+)$/);
+      if (match) {
+        // A link cut off mid-escape (%E0%A4%A) can't be decoded; check it as it is
+        try {
+          this.input.value = decodeURIComponent(match[1]);
+        } catch (e) {
+          this.input.value = match[1];
+        }
+        this.check(this.input.value);
+      }
     },
 
     /**
-     * Save progress to localStorage
+     * Check a code and show what it certifies, or why it fails
+     * @param {string} code
      */
-    saveProgress() {
-      localStorage.setItem(CONFIG.COMPLETED_LESSONS_KEY, JSON.stringify(this.completed));
-    },
+    async check(code) {
+      this.result.hidden = false;
+      this.result.className = 'verify-result';
+      this.result.replaceChildren();
+      this.showCertificate(null);
+      if (!code.trim()) {
+        this.showMessage('invalid', '❌ Paste a verification code first.');
+        return;
+      }
 
-    /**
-     * Mark a lesson as complete
-     * @param {string} lessonId - The lesson identifier
-     */
-    markComplete(lessonId) {
-      if (!this.completed.includes(lessonId)) {
-        this.completed.push(lessonId);
-        this.saveProgress();
-        this.updateUI();
+      const outcome = await Certificate.verify(code);
+      if (outcome.error) {
+        this.showMessage('invalid', `❌ ${outcome.error}`);
+        return;
       }
+
+      const details = outcome.details;
+      this.showMessage('valid', '✅ Signed by the Git School maintainers, for the details below.');
+      const list = document.createElement('dl');
+      list.className = 'verify-details';
+      [
+        ['Name', details.name],
+        ['Score', `${details.score}/${details.total} (${Math.round((details.score / details.total) * 100)}%)`],
+        ['Date', Certificate.formatDate(details.date)],
+        ['Question set', details.version]
+      ].forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        list.append(term, detail);
+      });
+      this.result.appendChild(list);
+
+      this.showCertificate({ details: details, code: outcome.code, svg: Certificate.svg(details, outcome.code) });
     },
 
     /**
-     * Check if a lesson is complete
-     * @param {string} lessonId - The lesson identifier
-     * @returns {boolean}
+     * Show the certificate for a valid code, or (with null) hide the last one
+     * @param {Object|null} certificate - { details, code, svg }
      */
-    isComplete(lessonId) {
-      return this.completed.includes(lessonId);
+    showCertificate(certificate) {
+      this.certificate = certificate;
+      const panel = document.getElementById('certificate');
+      panel.hidden = !certificate;
+      document.getElementById('certificate-error').textContent = '';
+      if (!certificate) return;
+      // svg() escapes everything it is given
+      panel.querySelector('.certificate-preview').innerHTML = certificate.svg;
     },
 
     /**
-     * Bind event listeners
+     * Download, print or share the certificate
+     * @param {HTMLElement} button - With data-action
      */
-    bindEvents() {
-      // Mark as complete button
-      const completeBtn = document.querySelector('[data-action="mark-complete"]');
-      if (completeBtn) {
-        completeBtn.addEventListener('click', () => {
-          const lessonId = completeBtn.dataset.lessonId;
-          this.markComplete(lessonId);
-          completeBtn.textContent = '✓ Completed';
-          completeBtn.disabled = true;
-        });
+    async certificateAction(button) {
+      const certificate = this.certificate;
+      if (!certificate) return;
+      const file = `Git_Proficiency_Certificate_${certificate.details.name.replace(/[^A-Za-z0-9]+/g, '_')}`;
+
+      switch (button.dataset.action) {
+        case 'download-certificate-svg':
+          Certificate.download(new Blob([certificate.svg], { type: 'image/svg+xml' }), `${file}.svg`);
+          break;
+        case 'download-certificate-png':
+          try {
+            Certificate.download(await Certificate.toPng(certificate.svg), `${file}.png`);
+          } catch (e) {
+            document.getElementById('certificate-error').textContent = `${e.message}. Download the SVG instead.`;
+          }
+          break;
+        case 'print-certificate':
+          // The print stylesheet shows only the certificate while this class is set
+          document.body.classList.add('printing-certificate');
+          window.addEventListener('afterprint', () => document.body.classList.remove('printing-certificate'), { once: true });
+          window.print();
+          break;
+        case 'copy-verification-link': {
+          const original = button.textContent;
+          try {
+            await navigator.clipboard.writeText(Certificate.verifyLink(certificate.code));
+            button.textContent = 'Copied!';
+          } catch (e) {
+            button.textContent = 'Failed';
+          }
+          setTimeout(() => {
+            button.textContent = original;
+          }, 2000);
+          break;
+        }
       }
     },
 
     /**
-     * Update UI to reflect progress
+     * Show the outcome line
+     * @param {string} kind - 'valid' or 'invalid'
+     * @param {string} text
      */
-    updateUI() {
-      // Update sidebar navigation
-      const navLinks = document.querySelectorAll('.lesson-nav-link');
-      navLinks.forEach(link => {
-        const lessonId = link.dataset.lessonId;
-        if (lessonId && this.isComplete(lessonId)) {
-          link.classList.add('completed');
-        }
-      });
-
-      // Update complete button state
-      const completeBtn = document.querySelector('[data-action="mark-complete"]');
-      if (completeBtn) {
-        const lessonId = completeBtn.dataset.lessonId;
-        if (this.isComplete(lessonId)) {
-          completeBtn.textContent = '✓ Completed';
-          completeBtn.disabled = true;
-        }
-      }
+    showMessage(kind, text) {
+      this.result.classList.add(kind);
+      const message = document.createElement('p');
+      message.className = 'verify-message';
+      message.textContent = text;
+      this.result.appendChild(message);
     }
   };
 
@@ -807,10 +12502,18 @@ Hint: You're on the '${playground.state.branch}' branch. In a real project, you
     GitPlayground.init();
     CheatsheetSearch.init();
     LessonProgress.init();
+    CertificationTest.init();
+    CertificateVerifier.init();
     SmoothScroll.init();
     TerminalAnimation.init();
   }
 
+  // Under Node (tests/ and tools/) there is no page: hand over the modules that don't need one
+  if (typeof module === 'object' && module.exports) {
+    module.exports = { GitRepo: GitRepo, Snapshot: Snapshot, QuestionBank: QuestionBank, Certificate: Certificate };
+    return;
+  }
+
   // Run on DOM ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,66 @@
+/**
+ * QuestionBank.grade must mark a response from the hashes in the key,
+ * and QuestionBank.reveal give back the sealed answer and explanation
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { QuestionBank } = require('../assets/js/app.js');
+
+const SALT = 'test-salt';
+
+/**
+ * A question with a key for each right response and a sealed reveal, as
+ * tools/build-question-bank.js makes it
+ * @param {Object} question - Without its key
+ * @param {Array} responses - Right responses, as the page gives them
+ * @param {string} explanation
+ * @returns {Promise<Object>}
+ */
+async function locked(question, responses, explanation) {
+  const key = await Promise.all(responses.map(response =>
+    QuestionBank.hash(SALT, question, QuestionBank.canonical(question, response))));
+  const reveal = await QuestionBank.seal(SALT, question, { answer: QuestionBank.describe(question, responses[0]), explanation: explanation });
+  return { ...question, key: key, reveal: reveal };
+}
+
+test('marks a single choice from its key', async () => {
+  const question = await locked({ id: 'purpose', type: 'single', options: ['Text', 'Version control'] }, [1], 'It records history.');
+  assert.strictEqual(await QuestionBank.grade({ salt: SALT }, question, 1), 1);
+  assert.strictEqual(await QuestionBank.grade({ salt: SALT }, question, 0), 0);
+});
+
+test('holds neither the answer nor the explanation in the clear', async () => {
+  const question = await locked({ id: 'purpose', type: 'single', options: ['Text', 'Version control'] }, [1], 'It records history.');
+  assert.ok(!JSON.stringify(question.key).includes('history'));
+  assert.ok(!/history|Version control/.test(Buffer.from(question.reveal, 'base64url').toString('latin1')));
+  assert.strictEqual(question.answer, undefined);
+});
+
+test('reveals the right answer and the explanation whatever was answered', async () => {
+  const question = await locked({ id: 'order', type: 'order', steps: ['git add', 'git commit'] }, [[0, 1]], 'Stage, then commit.');
+  assert.deepStrictEqual(await QuestionBank.reveal({ salt: SALT }, question), { answer: 'git add → git commit', explanation: 'Stage, then commit.' });
+  assert.strictEqual(await QuestionBank.reveal({ salt: 'other' }, question), null);
+});
+
+test('takes the options of a multiple choice in any order', async () => {
+  const question = await locked({ id: 'areas', type: 'multiple', options: ['a', 'b', 'c'] }, [[0, 2]]);
+  assert.strictEqual(await QuestionBank.grade({ salt: SALT }, question, [2, 0]), 1);
+  assert.strictEqual(await QuestionBank.grade({ salt: SALT }, question, [0, 1, 2]), 0);
+});
+
+test('accepts any listed command, ignoring extra spaces and a prompt', async () => {
+  const question = await locked({ id: 'switch', type: 'command' }, ['git switch -c feature', 'git checkout -b feature']);
+  assert.strictEqual(await QuestionBank.grade({ salt: SALT }, question, '$ git  checkout -b feature '), 1);
+  assert.strictEqual(await QuestionBank.grade({ salt: SALT }, question, 'git branch feature'), 0);
+});
+
+test('does not carry a key over to another question or bank', async () => {
+  const question = await locked({ id: 'purpose', type: 'single', options: ['Text', 'Version control'] }, [1]);
+  assert.strictEqual(await QuestionBank.grade({ salt: 'other' }, question, 1), 0);
+  assert.strictEqual(await QuestionBank.grade({ salt: SALT }, { ...question, id: 'other' }, 1), 0);
+});
@@ -0,0 +1,128 @@
+/**
+ * Snapshot.read must turn away damaged snapshots before they reach the
+ * playground, which would otherwise throw on every command
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GitRepo, Snapshot } = require('../assets/js/app.js');
+
+/**
+ * A saved playground with one commit on main
+ * @returns {Object}
+ */
+function snapshotWithCommit() {
+  const repo = GitRepo.create();
+  const blob = GitRepo.writeBlob(repo, '# My Project\n');
+  repo.index['README.md'] = { mode: '100644', hash: blob };
+  const person = { name: 'Ada', email: 'ada@example.com', timestamp: 1700000000, timezone: '+0000' };
+  const commit = GitRepo.writeObject(repo, {
+    type: 'commit',
+    tree: GitRepo.writeTree(repo, repo.index),
+    parents: [],
+    author: person,
+    committer: person,
+    message: 'Initial commit'
+  });
+  repo.refs['refs/heads/main'] = commit;
+
+  const snapshot = Snapshot.create({
+    initialized: true,
+    repo: repo,
+    fs: { files: { 'README.md': '# My Project\n' }, dirs: {} },
+    cwd: '',
+    workingDirectory: '/my-project',
+    servers: {}
+  });
+  return { snapshot: JSON.parse(JSON.stringify(snapshot)), commit: commit };
+}
+
+test('reads a sound snapshot', () => {
+  const { snapshot } = snapshotWithCommit();
+  const result = Snapshot.read(snapshot);
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.state.repo.HEAD, 'ref: refs/heads/main');
+});
+
+test('rejects a commit without parents', () => {
+  const { snapshot, commit } = snapshotWithCommit();
+  delete snapshot.state.repo.objects[commit].parents;
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects a commit whose tree is missing', () => {
+  const { snapshot, commit } = snapshotWithCommit();
+  delete snapshot.state.repo.objects[snapshot.state.repo.objects[commit].tree];
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects a missing index', () => {
+  const { snapshot } = snapshotWithCommit();
+  snapshot.state.repo.index = null;
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('reads an older snapshot without a reflog, config, merge, sequencer or bisect', () => {
+  const { snapshot } = snapshotWithCommit();
+  ['reflog', 'config', 'mergeHead', 'mergeMsg', 'sequencer', 'bisect'].forEach(field => delete snapshot.state.repo[field]);
+  const result = Snapshot.read(snapshot);
+  assert.strictEqual(result.error, undefined);
+  assert.deepStrictEqual(result.state.repo.reflog, {});
+  assert.strictEqual(result.state.repo.bisect, null);
+});
+
+test('rejects a missing reflog', () => {
+  const { snapshot } = snapshotWithCommit();
+  snapshot.state.repo.reflog = null;
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects a reflog entry without the commit it moved to', () => {
+  const { snapshot } = snapshotWithCommit();
+  snapshot.state.repo.reflog['refs/heads/main'] = [{ old: null, message: 'commit (initial): Initial commit' }];
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects missing config in the repository or the global settings', () => {
+  const { snapshot } = snapshotWithCommit();
+  snapshot.state.repo.config = null;
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+
+  const global = snapshotWithCommit().snapshot;
+  global.state.config = null;
+  assert.deepStrictEqual(Snapshot.read(global), { error: 'The snapshot is damaged (bad config).' });
+});
+
+test('rejects a merge in progress with a blob for the commit being merged', () => {
+  const { snapshot } = snapshotWithCommit();
+  snapshot.state.repo.mergeHead = snapshot.state.repo.index['README.md'].hash;
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects a sequencer without its steps', () => {
+  const { snapshot, commit } = snapshotWithCommit();
+  snapshot.state.repo.sequencer = { operation: 'rebase', interactive: false, headName: 'refs/heads/main', origHead: commit, onto: commit };
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects a bisect without its verdicts', () => {
+  const { snapshot } = snapshotWithCommit();
+  snapshot.state.repo.bisect = {};
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects a branch that points at a blob', () => {
+  const { snapshot } = snapshotWithCommit();
+  snapshot.state.repo.refs['refs/heads/notes'] = snapshot.state.repo.index['README.md'].hash;
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
+
+test('rejects a detached HEAD that points at a tree', () => {
+  const { snapshot, commit } = snapshotWithCommit();
+  snapshot.state.repo.HEAD = snapshot.state.repo.objects[commit].tree;
+  assert.deepStrictEqual(Snapshot.read(snapshot), { error: 'The snapshot is damaged (bad repository).' });
+});
@@ -0,0 +1,123 @@
+/**
+ * Build the question bank test.html fetches, assets/data/question-bank.json,
+ * from the source bank, which holds the answers and stays with the
+ * maintainers like the certificate signing key. The built bank has the
+ * questions without their answers: a hash for each right response
+ * (QuestionBank.hash in assets/js/app.js), and the answer and explanation
+ * encrypted for the review after the test (QuestionBank.seal).
+ *
+ *   node tools/build-question-bank.js <source-file>
+ *
+ * The source format is in the README, under Adding Test Questions.
+ *
+ * @author XDAS Research
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { createHash } = require('node:crypto');
+const { QuestionBank } = require('../assets/js/app.js');
+
+const OUTPUT = path.join(__dirname, '..', 'assets', 'data', 'question-bank.json');
+
+/**
+ * The right responses to a source question, in the form
+ * QuestionBank.canonical() takes, and the question as the page shows it
+ * @param {Object} question - From the source bank
+ * @returns {Object} { shown, responses }
+ */
+function split(question) {
+  const { answer, accept, explanation, ...shown } = question;
+  const isIndex = value => Number.isInteger(value) && Array.isArray(shown.options) && value >= 0 && value < shown.options.length;
+
+  switch (question.type) {
+    case 'single':
+      if (!isIndex(answer)) throw new Error('a single-choice question needs the index of the right option as its "answer"');
+      return { shown: shown, responses: [answer] };
+    case 'multiple':
+      if (!Array.isArray(answer) || !answer.length || !answer.every(isIndex)) {
+        throw new Error('a multiple-choice question needs the indices of the right options as its "answer"');
+      }
+      return { shown: shown, responses: [answer] };
+    case 'order': {
+      if (!Array.isArray(shown.steps)) throw new Error('an ordering question needs its "steps" in the right order');
+      // The page gets the steps sorted, which mustn't be the right order
+      const steps = shown.steps.slice().sort((a, b) => a.localeCompare(b));
+      if (steps.every((step, i) => step === shown.steps[i])) steps.reverse();
+      return { shown: { ...shown, steps: steps }, responses: [shown.steps.map(step => steps.indexOf(step))] };
+    }
+    case 'command':
+      if (!Array.isArray(accept) || !accept.length || !accept.every(command => typeof command === 'string')) {
+        throw new Error('a command question needs an "accept" list of every command that counts');
+      }
+      return { shown: shown, responses: accept };
+  }
+  // A task is marked by its goals, which the page checks itself
+  return { shown: shown, responses: [] };
+}
+
+/**
+ * The right answer in words, as the review shows it: the first right
+ * response, or for a task the commands of its example answer
+ * @param {Object} question - From the source bank
+ * @param {Object} shown - From split()
+ * @param {Array} responses - From split()
+ * @returns {string|undefined}
+ */
+function describe(question, shown, responses) {
+  if (question.type !== 'task') return QuestionBank.describe(shown, responses[0]);
+  if (Array.isArray(question.answer)) return question.answer.join('\n');
+}
+
+/**
+ * Build the public bank from the source text
+ * @param {string} text - The source bank, as JSON
+ * @returns {Promise<Object>}
+ */
+async function build(text) {
+  const source = JSON.parse(text);
+  if (!source || !Array.isArray(source.questions) || !Array.isArray(source.draw)) {
+    throw new Error('the source bank needs a "draw" and a list of "questions"');
+  }
+  // Any change to the source gives a new salt, and so new hashes
+  const salt = createHash('sha256').update(text).digest('hex');
+
+  const ids = new Set();
+  const questions = [];
+  for (const question of source.questions) {
+    const name = question && question.id ? `"${question.id}"` : '(no id)';
+    try {
+      const { shown, responses } = split(question);
+      const canonical = [...new Set(responses.map(response => QuestionBank.canonical(shown, response)))];
+      const key = await Promise.all(canonical.map(response => QuestionBank.hash(salt, shown, response)));
+      const reveal = await QuestionBank.seal(salt, shown, { answer: describe(question, shown, responses), explanation: question.explanation });
+      const built = question.type === 'task' ? { ...shown, reveal: reveal } : { ...shown, key: key, reveal: reveal };
+      const problem = QuestionBank.validate(built, ids);
+      if (problem) throw new Error(problem);
+      ids.add(built.id);
+      questions.push(built);
+    } catch (e) {
+      throw new Error(`question ${name}: ${e.message}`);
+    }
+  }
+
+  const { questions: _, ...settings } = source;
+  return { ...settings, salt: salt, questions: questions };
+}
+
+const [file] = process.argv.slice(2);
+if (!file) {
+  console.error('usage: node tools/build-question-bank.js <source-file>');
+  process.exit(1);
+}
+build(fs.readFileSync(file, 'utf8')).then(bank => {
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, `${JSON.stringify(bank, null, 2)}\n`);
+  console.log(`Built ${bank.questions.length} questions (version ${bank.version}) into ${path.relative(process.cwd(), OUTPUT)}`);
+}).catch(error => {
+  console.error(`error: ${error.message}`);
+  process.exit(1);
+});
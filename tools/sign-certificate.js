@@ -0,0 +1,85 @@
+/**
+ * Sign certificate requests from the test page, with a key that never
+ * ships with the site. verify.html checks the result with the public
+ * key in assets/js/app.js (Certificate.PUBLIC_KEY).
+ *
+ * Make a key pair once, keep the file private, and paste the public key
+ * it prints into Certificate.PUBLIC_KEY:
+ *   node tools/sign-certificate.js keygen <key-file>
+ *
+ * Sign a request (XGS1.<payload>) a student sent you:
+ *   node tools/sign-certificate.js sign <key-file> <request>
+ *
+ * @author XDAS Research
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const { webcrypto } = require('node:crypto');
+const { Certificate } = require('../assets/js/app.js');
+
+const USAGE = `usage: node tools/sign-certificate.js keygen <key-file>
+   or: node tools/sign-certificate.js sign <key-file> <request>`;
+
+/**
+ * Make a new key pair, write the private key to a file only its owner
+ * can read, and print the public key for app.js
+ * @param {string} file
+ */
+async function keygen(file) {
+  if (fs.existsSync(file)) {
+    throw new Error(`${file} already exists; a new key would make every certificate signed with it invalid`);
+  }
+  const pair = await webcrypto.subtle.generateKey(Certificate.ALGORITHM, true, ['sign', 'verify']);
+  const privateKey = await webcrypto.subtle.exportKey('jwk', pair.privateKey);
+  fs.writeFileSync(file, `${JSON.stringify(privateKey, null, 2)}\n`, { mode: 0o600 });
+
+  console.log(`Wrote the signing key to ${file}. Keep it out of the repository.`);
+  console.log('Put this in Certificate.PUBLIC_KEY in assets/js/app.js:\n');
+  console.log(`    PUBLIC_KEY: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: '${privateKey.x}',
+      y: '${privateKey.y}'
+    },`);
+}
+
+/**
+ * Sign a request and print the verification code and its link
+ * @param {string} file - Private key written by keygen
+ * @param {string} request - PREFIX.payload from the test page
+ */
+async function sign(file, request) {
+  const privateKey = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (privateKey.x !== Certificate.PUBLIC_KEY.x || privateKey.y !== Certificate.PUBLIC_KEY.y) {
+    throw new Error(`${file} is not the key whose public half is in assets/js/app.js, so verify.html would reject its codes`);
+  }
+
+  const parsed = Certificate.parse(request);
+  if (parsed.error) throw new Error(parsed.error);
+  if (parsed.signature) throw new Error('This code is already signed.');
+
+  const key = await webcrypto.subtle.importKey('jwk', privateKey, Certificate.ALGORITHM, false, ['sign']);
+  const signature = await webcrypto.subtle.sign(Certificate.ALGORITHM, key, new TextEncoder().encode(parsed.signed));
+  const code = `${parsed.signed}.${Certificate.toBase64(new Uint8Array(signature))}`;
+
+  const { name, score, total, date, version } = parsed.details;
+  console.log(`Signed: ${name}, ${score}/${total} on ${date} (question set ${version})\n`);
+  console.log(`Verification code:\n${code}\n`);
+  console.log(`Send the student this link, where they can check and download the certificate:\n${Certificate.VERIFY_URL}#code=${code}`);
+}
+
+const [command, file, request] = process.argv.slice(2);
+const run = command === 'keygen' && file ? keygen(file)
+  : command === 'sign' && file && request ? sign(file, request)
+  : null;
+if (!run) {
+  console.error(USAGE);
+  process.exit(1);
+}
+run.catch(error => {
+  console.error(`error: ${error.message}`);
+  process.exit(1);
+});